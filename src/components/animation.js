@@ -1,29 +1,82 @@
 // Система анимации спрайтов
+
+// Направления воспроизведения (как у тегов Aseprite)
+export const AnimationDirection = {
+    FORWARD: 'forward',
+    REVERSE: 'reverse',
+    PINGPONG: 'pingpong'
+};
+
 export class Animation {
     /**
      * @param {string} name - имя анимации
-     * @param {Array} frames - массив кадров [{x, y, width, height}]
+     * @param {Array} frames - массив кадров [{x, y, width, height, duration?}];
+     *     duration (мс) у кадра заменяет 1000 / frameRate
      * @param {number} frameRate - кадров в секунду
      * @param {boolean} loop - зацикливание
+     * @param {Object} options
+     * @param {string} options.direction - 'forward', 'reverse' или 'pingpong'
      */
-    constructor(name, frames, frameRate = 12, loop = true) {
+    constructor(name, frames, frameRate = 12, loop = true, options = {}) {
         this.name = name;
         this.frames = frames;
         this.frameRate = frameRate;
         this.loop = loop;
+        this.direction = AnimationDirection.FORWARD;
+        this.setDirection(options.direction || AnimationDirection.FORWARD);
         this.currentFrame = 0;
         this.elapsed = 0;
+        // Текущий шаг по кадрам: 1 или -1 (меняется в pingpong)
+        this.step = 1;
         this.playing = false;
         this.onComplete = null;
     }
 
+    /**
+     * @param {string} direction - значение AnimationDirection
+     */
+    setDirection(direction) {
+        if (!Object.values(AnimationDirection).includes(direction)) {
+            throw new RangeError(`Unknown animation direction "${direction}"`);
+        }
+        this.direction = direction;
+    }
+
+    /**
+     * Длительность кадра в мс
+     * @param {number} index
+     * @returns {number}
+     */
+    getFrameDuration(index = this.currentFrame) {
+        const frame = this.frames[index];
+        return frame && frame.duration > 0 ? frame.duration : 1000 / this.frameRate;
+    }
+
+    /**
+     * Длительность одного прохода анимации в мс
+     * @returns {number}
+     */
+    getDuration() {
+        let total = 0;
+        for (let i = 0; i < this.frames.length; i++) {
+            total += this.getFrameDuration(i);
+        }
+        return total;
+    }
+
     /**
      * Запустить анимацию
      */
     play() {
         this.playing = true;
-        this.currentFrame = 0;
         this.elapsed = 0;
+        if (this.direction === AnimationDirection.REVERSE) {
+            this.currentFrame = Math.max(0, this.frames.length - 1);
+            this.step = -1;
+        } else {
+            this.currentFrame = 0;
+            this.step = 1;
+        }
     }
 
     /**
@@ -52,27 +105,63 @@ export class Animation {
      * @param {number} deltaTime - время с прошлого кадра (мс)
      */
     update(deltaTime) {
-        if (!this.playing) return;
+        if (!this.playing || this.frames.length === 0) return;
 
         this.elapsed += deltaTime;
-        const frameDuration = 1000 / this.frameRate;
 
-        while (this.elapsed >= frameDuration) {
+        let frameDuration = this.getFrameDuration();
+        while (this.playing && this.elapsed >= frameDuration) {
             this.elapsed -= frameDuration;
-            this.currentFrame++;
-
-            if (this.currentFrame >= this.frames.length) {
-                if (this.loop) {
-                    this.currentFrame = 0;
-                } else {
-                    this.currentFrame = this.frames.length - 1;
-                    this.playing = false;
-                    if (this.onComplete) this.onComplete();
+            this._advance();
+            frameDuration = this.getFrameDuration();
+        }
+    }
+
+    /**
+     * Перейти к следующему кадру с учётом направления
+     * @private
+     */
+    _advance() {
+        const last = this.frames.length - 1;
+        const next = this.currentFrame + this.step;
+
+        if (this.direction === AnimationDirection.PINGPONG) {
+            if (next > last) {
+                // Разворот на последнем кадре (без повтора крайнего кадра)
+                this.step = -1;
+                this.currentFrame = Math.max(0, last - 1);
+            } else if (next < 0) {
+                if (!this.loop) {
+                    this._complete(0);
+                    return;
                 }
+                this.step = 1;
+                this.currentFrame = Math.min(1, last);
+            } else {
+                this.currentFrame = next;
             }
+            return;
+        }
+
+        if (next >= 0 && next <= last) {
+            this.currentFrame = next;
+        } else if (this.loop) {
+            this.currentFrame = this.step > 0 ? 0 : last;
+        } else {
+            this._complete(this.step > 0 ? last : 0);
         }
     }
 
+    /**
+     * @private
+     */
+    _complete(frame) {
+        this.currentFrame = frame;
+        this.playing = false;
+        this.elapsed = 0;
+        if (this.onComplete) this.onComplete();
+    }
+
     /**
      * Получить текущий кадр
      * @returns {Object} - {x, y, width, height}
@@ -104,10 +193,11 @@ export class AnimationController {
      * @param {Array} frames 
      * @param {number} frameRate 
      * @param {boolean} loop 
+     * @param {Object} options - { direction }
      * @returns {Animation}
      */
-    create(name, frames, frameRate = 12, loop = true) {
-        const animation = new Animation(name, frames, frameRate, loop);
+    create(name, frames, frameRate = 12, loop = true, options = {}) {
+        const animation = new Animation(name, frames, frameRate, loop, options);
         this.add(animation);
         return animation;
     }
@@ -184,4 +274,16 @@ export class AnimationController {
             this.create(name, frames, frameRate, loop);
         }
     }
+
+    /**
+     * Добавить анимации из тегов спрайт-листа (Aseprite)
+     * @param {SpriteSheet} sheet
+     * @param {Object} options - { loop, frameRate } для всех анимаций
+     * @returns {Array<Animation>}
+     */
+    addFromSpriteSheet(sheet, options = {}) {
+        const animations = sheet.createAnimations(options);
+        animations.forEach(animation => this.add(animation));
+        return animations;
+    }
 }
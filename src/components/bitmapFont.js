@@ -0,0 +1,193 @@
+// Растровые шрифты BMFont (AngelCode .fnt: текстовый, XML и JSON форматы)
+import { loadImage, loadText } from '../utils/loader.js';
+
+// Атрибуты key=value и key="value" (текстовый формат и XML)
+const ATTRIBUTE_PATTERN = /(\w+)=("[^"]*"|\S+)/g;
+const XML_TAG_PATTERN = /<(\w+)\s+([^>]*?)\/?>/g;
+
+export class BitmapFont {
+    /**
+     * @param {string|Object} source - содержимое .fnt (текст или XML) либо объект JSON
+     * @param {Array<HTMLImageElement|HTMLCanvasElement>} pages - изображения страниц по id
+     */
+    constructor(source, pages = []) {
+        const data = BitmapFont.parse(source);
+        this.face = data.info.face || '';
+        // Размер, под который нарисован шрифт (px)
+        this.size = Math.abs(data.info.size) || data.common.lineHeight;
+        this.lineHeight = data.common.lineHeight;
+        this.base = data.common.base;
+        this.pageFiles = data.pages;
+        this.pages = pages;
+
+        this.chars = new Map();
+        data.chars.forEach(char => this.chars.set(char.id, char));
+        // Кернинг: "first,second" -> поправка к xadvance
+        this.kernings = new Map();
+        data.kernings.forEach(({ first, second, amount }) => {
+            this.kernings.set(`${first},${second}`, amount);
+        });
+    }
+
+    /**
+     * Глиф символа (или '?', если символа нет в шрифте)
+     * @param {number} code - код символа
+     * @returns {Object|null} - {id, x, y, width, height, xoffset, yoffset, xadvance, page}
+     */
+    getGlyph(code) {
+        return this.chars.get(code) || this.chars.get(63) || null;
+    }
+
+    /**
+     * Поправка кернинга между двумя символами
+     * @param {number} first
+     * @param {number} second
+     * @returns {number}
+     */
+    getKerning(first, second) {
+        return this.kernings.get(`${first},${second}`) || 0;
+    }
+
+    /**
+     * Ширина строки без переносов (в пикселях шрифта)
+     * @param {string} text
+     * @param {number} letterSpacing
+     * @returns {number}
+     */
+    measure(text, letterSpacing = 0) {
+        let width = 0;
+        let previous = null;
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            const glyph = this.getGlyph(code);
+            if (!glyph) continue;
+            if (previous !== null) width += this.getKerning(previous, code) + letterSpacing;
+            width += glyph.xadvance;
+            previous = code;
+        }
+        return width;
+    }
+
+    /**
+     * Загрузить .fnt/.xml/.json и изображения страниц (пути относительно файла шрифта)
+     * @param {string} url
+     * @returns {Promise<BitmapFont>}
+     */
+    static async load(url) {
+        const data = BitmapFont.parse(await loadText(url));
+        const base = url.slice(0, url.lastIndexOf('/') + 1);
+        const pages = await Promise.all(data.pages.map(file => loadImage(base + file)));
+        return new BitmapFont(data, pages);
+    }
+
+    /**
+     * Разобрать описание шрифта в общий вид
+     * @param {string|Object} source
+     * @returns {{info: Object, common: Object, pages: Array<string>, chars: Array<Object>, kernings: Array<Object>}}
+     */
+    static parse(source) {
+        if (typeof source !== 'string') {
+            return BitmapFont._normalize(source);
+        }
+        const text = source.trim();
+        if (text.startsWith('{')) {
+            return BitmapFont._normalize(JSON.parse(text));
+        }
+        const tags = text.startsWith('<') ? BitmapFont._xmlTags(text) : BitmapFont._textTags(text);
+        const data = { info: {}, common: {}, pages: [], chars: [], kernings: [] };
+        for (const { tag, attributes } of tags) {
+            switch (tag) {
+                case 'info': data.info = attributes; break;
+                case 'common': data.common = attributes; break;
+                case 'page': data.pages[attributes.id] = attributes.file; break;
+                case 'char': data.chars.push(attributes); break;
+                case 'kerning': data.kernings.push(attributes); break;
+                default: break;
+            }
+        }
+        return BitmapFont._normalize(data);
+    }
+
+    /**
+     * Строки текстового формата: "char id=65 x=0 ..."
+     * @private
+     */
+    static _textTags(text) {
+        return text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(line => {
+                const space = line.indexOf(' ');
+                return {
+                    tag: space === -1 ? line : line.slice(0, space),
+                    attributes: BitmapFont._attributes(space === -1 ? '' : line.slice(space + 1))
+                };
+            });
+    }
+
+    /**
+     * Элементы XML-формата: <char id="65" ... />
+     * @private
+     */
+    static _xmlTags(text) {
+        const tags = [];
+        for (const match of text.matchAll(XML_TAG_PATTERN)) {
+            tags.push({ tag: match[1], attributes: BitmapFont._attributes(match[2]) });
+        }
+        return tags;
+    }
+
+    /**
+     * @private
+     */
+    static _attributes(text) {
+        const attributes = {};
+        for (const [, key, raw] of text.matchAll(ATTRIBUTE_PATTERN)) {
+            if (raw.startsWith('"')) {
+                attributes[key] = raw.slice(1, -1);
+            } else if (raw.includes(',')) {
+                attributes[key] = raw.split(',').map(Number);
+            } else {
+                const value = Number(raw);
+                attributes[key] = Number.isNaN(value) ? raw : value;
+            }
+        }
+        return attributes;
+    }
+
+    /**
+     * Привести числа и обязательные поля к одному виду (XML и JSON хранят их по-разному)
+     * @private
+     */
+    static _normalize(data) {
+        if (!data || !Array.isArray(data.chars) || !data.common) {
+            throw new Error('Invalid BMFont data: "common" and "chars" are required');
+        }
+        const number = value => Number(value) || 0;
+        return {
+            info: { ...data.info, size: number(data.info && data.info.size) },
+            common: {
+                ...data.common,
+                lineHeight: number(data.common.lineHeight),
+                base: number(data.common.base)
+            },
+            pages: data.pages || [],
+            chars: data.chars.map(char => ({
+                id: number(char.id),
+                x: number(char.x),
+                y: number(char.y),
+                width: number(char.width),
+                height: number(char.height),
+                xoffset: number(char.xoffset),
+                yoffset: number(char.yoffset),
+                xadvance: number(char.xadvance),
+                page: number(char.page)
+            })),
+            kernings: (data.kernings || []).map(kerning => ({
+                first: number(kerning.first),
+                second: number(kerning.second),
+                amount: number(kerning.amount)
+            }))
+        };
+    }
+}
@@ -13,11 +13,6 @@ export class Character {
         this.y = 0;
         this.health = 100;
         this.scripts = [];
-        try {
-            Object.freeze(this); // Prevents accidental changes to the object
-        } catch (error) {
-            console.warn('Failed to freeze character object:', error);
-        }
     }
 
     update(deltaTime) {
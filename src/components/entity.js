@@ -1,5 +1,7 @@
 // Игровые объекты
-export class Entity {
+import { Node } from './node.js';
+
+export class Entity extends Node {
     constructor(x, y) {
         if (x === null || x === undefined) {
             throw new Error('x is null or undefined');
@@ -7,9 +9,24 @@ export class Entity {
         if (y === null || y === undefined) {
             throw new Error('y is null or undefined');
         }
-        this.x = x;
-        this.y = y;
+        super(x, y);
         this.velocity = { x: 0, y: 0 };
+
+        // Имя, теги, размер (для пространственных запросов) и сцена-владелец
+        this.name = null;
+        this.tags = new Set();
+        this.width = 0;
+        this.height = 0;
+        this.scene = null;
+        this.destroyed = false;
+
+        // Слой отрисовки сцены и порядок внутри слоя с сортировкой 'zIndex'
+        this.layer = 'default';
+        this.zIndex = 0;
+
+        // Состояние на предыдущем шаге обновления (для интерполяции отрисовки)
+        this.prevX = x;
+        this.prevY = y;
     }
 
     update(deltaTime) {
@@ -18,20 +35,159 @@ export class Entity {
         }
 
         try {
+            this.prevX = this.x;
+            this.prevY = this.y;
             this.x += this.velocity.x * deltaTime;
             this.y += this.velocity.y * deltaTime;
         } catch (error) {
             console.error('Error while updating entity:', error);
         }
+
+        this.updateChildren(deltaTime);
+    }
+
+    /**
+     * Сущность добавлена в сцену
+     * @param {Scene} scene
+     */
+    onAdded(scene) {}
+
+    /**
+     * Сущность убрана из сцены
+     * @param {Scene} scene
+     */
+    onRemoved(scene) {}
+
+    /**
+     * Уничтожить сущность: пометить, убрать из сцены и родителя, уничтожить детей.
+     * Во время update сцены удаление применяется в конце кадра.
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        for (const child of [...this.children]) {
+            if (typeof child.destroy === 'function') child.destroy();
+        }
+        this.removeFromParent();
+        if (this.scene) this.scene.removeEntity(this);
+    }
+
+    /**
+     * Перенести сущность в слой отрисовки сцены
+     * @param {string} name
+     * @returns {Entity}
+     */
+    setLayer(name) {
+        if (this.scene) {
+            this.scene.setEntityLayer(this, name);
+        } else {
+            this.layer = name;
+        }
+        return this;
+    }
+
+    /**
+     * Установить имя
+     * @param {string} name
+     * @returns {Entity}
+     */
+    setName(name) {
+        this.name = name;
+        this._reindex();
+        return this;
+    }
+
+    /**
+     * Добавить тег
+     * @param {string} tag
+     * @returns {Entity}
+     */
+    addTag(tag) {
+        if (!this.tags.has(tag)) {
+            this.tags.add(tag);
+            this._reindex();
+        }
+        return this;
+    }
+
+    /**
+     * Убрать тег
+     * @param {string} tag
+     * @returns {Entity}
+     */
+    removeTag(tag) {
+        if (this.tags.delete(tag)) {
+            this._reindex();
+        }
+        return this;
+    }
+
+    /**
+     * @param {string} tag
+     * @returns {boolean}
+     */
+    hasTag(tag) {
+        return this.tags.has(tag);
+    }
+
+    /**
+     * Границы в мировых координатах (для пространственных запросов сцены)
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getBounds() {
+        const pos = this.parent ? this.getWorldPosition() : { x: this.x, y: this.y };
+        return { x: pos.x, y: pos.y, width: this.width, height: this.height };
+    }
+
+    /**
+     * Сообщить сцене об изменении имени или тегов
+     * @private
+     */
+    _reindex() {
+        if (this.scene) this.scene.updateEntityIndex(this);
+    }
+
+    /**
+     * Мировая позиция изменилась (сдвиг, поворот, смена родителя): сцена обновит
+     * пространственный индекс перед следующим запросом
+     * @private
+     */
+    _markWorldDirty() {
+        if (this.scene && typeof this.scene.markEntityMoved === 'function') {
+            this.scene.markEntityMoved(this);
+        }
+        super._markWorldDirty();
+    }
+
+    /**
+     * Получить позицию для отрисовки между предыдущим и текущим шагом
+     * @param {number} alpha - коэффициент интерполяции (0-1)
+     * @returns {{x: number, y: number}}
+     */
+    getRenderPosition(alpha = 1) {
+        return {
+            x: this.prevX + (this.x - this.prevX) * alpha,
+            y: this.prevY + (this.y - this.prevY) * alpha
+        };
+    }
+
+    /**
+     * Сбросить интерполяцию (после телепортации, чтобы объект не "проезжал" путь)
+     */
+    resetInterpolation() {
+        this.prevX = this.x;
+        this.prevY = this.y;
     }
 
-    draw(context) {
+    draw(context, alpha = 1) {
         if (!context) {
             throw new Error('Context is null or undefined');
         }
 
         try {
-            // Логика отрисовки объекта
+            // Трансформация узла, drawable и дочерние узлы
+            super.draw(context, alpha);
         } catch (error) {
             if (error instanceof ReferenceError) {
                 console.error('ReferenceError while drawing entity:', error);
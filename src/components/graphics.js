@@ -0,0 +1,659 @@
+// Векторная графика: фигуры и пути строятся один раз и рисуются каждый кадр из кэша
+import { createCanvas, canCreateCanvas } from '../utils/canvas.js';
+
+const TWO_PI = Math.PI * 2;
+
+// Стиль линии по умолчанию
+const DEFAULT_LINE = {
+    width: 1,
+    color: '#ffffff',
+    alpha: 1,
+    cap: 'butt',
+    join: 'miter',
+    miterLimit: 10,
+    dash: null
+};
+
+// Градиент -> (контекст -> CanvasGradient): объект градиента свой у каждого контекста
+const gradientCache = new WeakMap();
+
+export class Graphics {
+    /**
+     * @param {number} x - смещение фигур
+     * @param {number} y
+     */
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+        this.rotation = 0;
+        this.scaleX = 1;
+        this.scaleY = 1;
+        this.opacity = 1;
+        this.visible = true;
+        // Длина отрезка, которым аппроксимируются кривые и дуги (px)
+        this.curveSegmentLength = 4;
+        // Пикселей холста на единицу для фигур, растеризованных для WebGL
+        this.resolution = 1;
+
+        // Готовые команды: {type: 'fill' | 'stroke', path, style}
+        this.commands = [];
+        // Строящийся путь: {subpaths: [{points, closed}], used, path2d}
+        this.path = null;
+        this.bounds = null;
+    }
+
+    /**
+     * Линейный градиент для fill() и stroke()
+     * @param {number} x0
+     * @param {number} y0
+     * @param {number} x1
+     * @param {number} y1
+     * @param {Array<[number, string]>} stops - [смещение 0-1, цвет]
+     * @returns {Object}
+     */
+    static linearGradient(x0, y0, x1, y1, stops) {
+        return { type: 'linear', coords: [x0, y0, x1, y1], stops: normalizeStops(stops) };
+    }
+
+    /**
+     * Радиальный градиент между двумя окружностями
+     * @param {number} x0
+     * @param {number} y0
+     * @param {number} r0
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} r1
+     * @param {Array<[number, string]>} stops
+     * @returns {Object}
+     */
+    static radialGradient(x0, y0, r0, x1, y1, r1, stops) {
+        return { type: 'radial', coords: [x0, y0, r0, x1, y1, r1], stops: normalizeStops(stops) };
+    }
+
+    /**
+     * Удалить все фигуры
+     * @returns {Graphics}
+     */
+    clear() {
+        this.commands.forEach(releaseRaster);
+        this.commands = [];
+        this.path = null;
+        this.bounds = null;
+        return this;
+    }
+
+    // --- Пути ---
+
+    /**
+     * Начать новый путь (фигуры до него уже не попадут в следующий fill/stroke)
+     * @returns {Graphics}
+     */
+    beginPath() {
+        this.path = { subpaths: [], used: false, path2d: null };
+        return this;
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @returns {Graphics}
+     */
+    moveTo(x, y) {
+        this._getPath().subpaths.push({ points: [x, y], closed: false });
+        return this;
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @returns {Graphics}
+     */
+    lineTo(x, y) {
+        this._currentSubpath(x, y).points.push(x, y);
+        return this;
+    }
+
+    /**
+     * @param {number} cx - контрольная точка
+     * @param {number} cy
+     * @param {number} x
+     * @param {number} y
+     * @returns {Graphics}
+     */
+    quadraticCurveTo(cx, cy, x, y) {
+        const { points } = this._currentSubpath(cx, cy);
+        const x0 = points[points.length - 2];
+        const y0 = points[points.length - 1];
+        const steps = this._curveSteps(Math.hypot(cx - x0, cy - y0) + Math.hypot(x - cx, y - cy));
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            const u = 1 - t;
+            points.push(
+                u * u * x0 + 2 * u * t * cx + t * t * x,
+                u * u * y0 + 2 * u * t * cy + t * t * y
+            );
+        }
+        return this;
+    }
+
+    /**
+     * Кубическая кривая Безье
+     * @param {number} c1x
+     * @param {number} c1y
+     * @param {number} c2x
+     * @param {number} c2y
+     * @param {number} x
+     * @param {number} y
+     * @returns {Graphics}
+     */
+    bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+        const { points } = this._currentSubpath(c1x, c1y);
+        const x0 = points[points.length - 2];
+        const y0 = points[points.length - 1];
+        const steps = this._curveSteps(
+            Math.hypot(c1x - x0, c1y - y0) + Math.hypot(c2x - c1x, c2y - c1y) + Math.hypot(x - c2x, y - c2y)
+        );
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            const u = 1 - t;
+            const a = u * u * u;
+            const b = 3 * u * u * t;
+            const c = 3 * u * t * t;
+            const d = t * t * t;
+            points.push(a * x0 + b * c1x + c * c2x + d * x, a * y0 + b * c1y + c * c2y + d * y);
+        }
+        return this;
+    }
+
+    /**
+     * Дуга окружности; продолжает текущий подпуть линией до её начала, как в canvas
+     * @param {number} x
+     * @param {number} y
+     * @param {number} radius
+     * @param {number} startAngle
+     * @param {number} endAngle
+     * @param {boolean} counterclockwise
+     * @returns {Graphics}
+     */
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        this._ellipseArc(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise, false);
+        return this;
+    }
+
+    /**
+     * Замкнуть текущий подпуть
+     * @returns {Graphics}
+     */
+    closePath() {
+        const path = this._getPath();
+        const subpath = path.subpaths[path.subpaths.length - 1];
+        if (subpath) subpath.closed = true;
+        return this;
+    }
+
+    // --- Фигуры: каждая — отдельный подпуть текущего пути ---
+
+    /**
+     * @returns {Graphics}
+     */
+    line(x1, y1, x2, y2) {
+        return this.moveTo(x1, y1).lineTo(x2, y2);
+    }
+
+    /**
+     * Ломаная
+     * @param {Array<{x: number, y: number}>|Array<number>} points - точки или плоский массив [x, y, ...]
+     * @param {boolean} closed
+     * @returns {Graphics}
+     */
+    polyline(points, closed = false) {
+        const flat = typeof points[0] === 'number' ? points : points.flatMap(point => [point.x, point.y]);
+        if (flat.length < 2) return this;
+        this._getPath().subpaths.push({ points: flat.slice(), closed });
+        return this;
+    }
+
+    /**
+     * Замкнутый многоугольник
+     * @param {Array<{x: number, y: number}>|Array<number>} points
+     * @returns {Graphics}
+     */
+    polygon(points) {
+        return this.polyline(points, true);
+    }
+
+    /**
+     * @returns {Graphics}
+     */
+    rect(x, y, width, height) {
+        return this.polyline([x, y, x + width, y, x + width, y + height, x, y + height], true);
+    }
+
+    /**
+     * Прямоугольник со скруглёнными углами
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     * @param {number|Array<number>} radius - общий радиус или [левый верхний, правый верхний, правый нижний, левый нижний]
+     * @returns {Graphics}
+     */
+    roundRect(x, y, width, height, radius = 0) {
+        const radii = Array.isArray(radius) ? radius : [radius, radius, radius, radius];
+        // Радиусы не больше половины стороны
+        const limit = Math.min(Math.abs(width), Math.abs(height)) / 2;
+        const [tl, tr, br, bl] = [0, 1, 2, 3].map(i => Math.max(0, Math.min(radii[i] || 0, limit)));
+
+        this._getPath().subpaths.push({ points: [], closed: true });
+        this._corner(x + width - tr, y + tr, tr, -Math.PI / 2, x + width, y);
+        this._corner(x + width - br, y + height - br, br, 0, x + width, y + height);
+        this._corner(x + bl, y + height - bl, bl, Math.PI / 2, x, y + height);
+        this._corner(x + tl, y + tl, tl, Math.PI, x, y);
+        return this;
+    }
+
+    /**
+     * @returns {Graphics}
+     */
+    circle(x, y, radius) {
+        return this.ellipse(x, y, radius, radius);
+    }
+
+    /**
+     * @param {number} x - центр
+     * @param {number} y
+     * @param {number} radiusX
+     * @param {number} radiusY
+     * @param {number} rotation - поворот эллипса (радианы)
+     * @returns {Graphics}
+     */
+    ellipse(x, y, radiusX, radiusY, rotation = 0) {
+        this._ellipseArc(x, y, radiusX, radiusY, rotation, 0, TWO_PI, false, true);
+        return this;
+    }
+
+    // --- Заливка и обводка текущего пути ---
+
+    /**
+     * Залить текущий путь. Следующая фигура начнёт новый путь; обводка того же пути — stroke().
+     * @param {string|Object} color - цвет или градиент (Graphics.linearGradient / radialGradient)
+     * @param {number} alpha
+     * @returns {Graphics}
+     */
+    fill(color = '#ffffff', alpha = 1) {
+        return this._commit('fill', { color, alpha });
+    }
+
+    /**
+     * Обвести текущий путь
+     * @param {string|Object} style - цвет или {width, color, alpha, cap, join, miterLimit, dash}
+     * @returns {Graphics}
+     */
+    stroke(style = {}) {
+        const options = typeof style === 'string' || style.type ? { color: style } : style;
+        return this._commit('stroke', { ...DEFAULT_LINE, ...options });
+    }
+
+    /**
+     * Границы всех фигур с учётом толщины обводки (в координатах Graphics, без x/y и поворота)
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getBounds() {
+        if (!this.bounds) {
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (const command of this.commands) {
+                const box = commandBounds(command);
+                if (!box) continue;
+                minX = Math.min(minX, box.x);
+                minY = Math.min(minY, box.y);
+                maxX = Math.max(maxX, box.x + box.width);
+                maxY = Math.max(maxY, box.y + box.height);
+            }
+            this.bounds = minX > maxX
+                ? { x: 0, y: 0, width: 0, height: 0 }
+                : { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+        }
+        return this.bounds;
+    }
+
+    draw(context) {
+        if (!this.visible || this.opacity <= 0 || this.commands.length === 0) return;
+        // WebGL-контекст (у него есть материалы) не знает Path2D и градиентов, заливает только
+        // выпуклые многоугольники и обводит без концов, соединений и пунктира: такие фигуры
+        // рисуются из холста, растеризованного один раз
+        const webgl = typeof context.setMaterial === 'function';
+        const usePath2D = !webgl && typeof Path2D !== 'undefined';
+
+        context.save();
+        context.globalAlpha *= this.opacity;
+        const baseAlpha = context.globalAlpha;
+        context.translate(this.x, this.y);
+        if (this.rotation !== 0) context.rotate(this.rotation);
+        if (this.scaleX !== 1 || this.scaleY !== 1) context.scale(this.scaleX, this.scaleY);
+
+        for (const command of this.commands) {
+            const { type, path, style } = command;
+            context.globalAlpha = baseAlpha * style.alpha;
+            if (webgl && needsRaster(command) && this._drawRaster(context, command)) continue;
+            const paint = resolvePaint(context, style.color, webgl);
+            if (type === 'fill') {
+                context.fillStyle = paint;
+            } else {
+                context.strokeStyle = paint;
+                context.lineWidth = style.width;
+                context.lineCap = style.cap;
+                context.lineJoin = style.join;
+                context.miterLimit = style.miterLimit;
+                if (typeof context.setLineDash === 'function') context.setLineDash(style.dash || []);
+            }
+
+            if (usePath2D) {
+                if (!path.path2d) path.path2d = buildPath2D(path);
+                context[type](path.path2d);
+            } else {
+                tracePath(context, path);
+                context[type]();
+            }
+        }
+        context.restore();
+    }
+
+    /**
+     * Нарисовать команду из её растра (для WebGL-контекста)
+     * @returns {boolean} - false, если холст создать нельзя
+     * @private
+     */
+    _drawRaster(context, command) {
+        let raster = command.raster;
+        if (!raster || raster.resolution !== this.resolution) {
+            if (!canCreateCanvas()) return false;
+            releaseRaster(command);
+            raster = command.raster = rasterize(command, this.resolution);
+            if (!raster) return true;
+        }
+        raster.context = context;
+        const { canvas, bounds, resolution } = raster;
+        context.drawImage(
+            canvas, 0, 0, canvas.width, canvas.height,
+            bounds.x, bounds.y, canvas.width / resolution, canvas.height / resolution
+        );
+        return true;
+    }
+
+    /**
+     * Текущий путь (новый, если прошлый уже залит или обведён и к нему добавляют фигуры)
+     * @private
+     */
+    _getPath() {
+        if (!this.path || this.path.used) this.beginPath();
+        return this.path;
+    }
+
+    /**
+     * Подпуть, к которому добавляются точки (начинается в (x, y), если его нет)
+     * @private
+     */
+    _currentSubpath(x, y) {
+        const path = this._getPath();
+        let subpath = path.subpaths[path.subpaths.length - 1];
+        if (!subpath || subpath.closed) {
+            // После closePath новый подпуть начинается с начала замкнутого, как в canvas
+            const start = subpath ? [subpath.points[0], subpath.points[1]] : [x, y];
+            subpath = { points: start, closed: false };
+            path.subpaths.push(subpath);
+        }
+        return subpath;
+    }
+
+    /**
+     * Сколько отрезков нужно кривой такой длины
+     * @private
+     */
+    _curveSteps(length) {
+        return Math.max(4, Math.min(128, Math.ceil(length / this.curveSegmentLength)));
+    }
+
+    /**
+     * Точки дуги эллипса в текущий подпуть
+     * @private
+     */
+    _ellipseArc(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise, full) {
+        let sweep = endAngle - startAngle;
+        if (full) {
+            sweep = TWO_PI;
+        } else if (counterclockwise) {
+            if (sweep > 0) sweep = sweep % TWO_PI - TWO_PI;
+            sweep = Math.max(sweep, -TWO_PI);
+        } else {
+            if (sweep < 0) sweep = sweep % TWO_PI + TWO_PI;
+            sweep = Math.min(sweep, TWO_PI);
+        }
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const point = (angle) => {
+            const px = Math.cos(angle) * radiusX;
+            const py = Math.sin(angle) * radiusY;
+            return [x + px * cos - py * sin, y + px * sin + py * cos];
+        };
+
+        const [sx, sy] = point(startAngle);
+        let points;
+        if (full) {
+            // Полный эллипс — отдельный замкнутый подпуть
+            points = [sx, sy];
+            this._getPath().subpaths.push({ points, closed: true });
+        } else {
+            points = this._currentSubpath(sx, sy).points;
+            // Линия от текущей точки к началу дуги
+            if (points[points.length - 2] !== sx || points[points.length - 1] !== sy) points.push(sx, sy);
+        }
+        const steps = this._curveSteps(Math.abs(sweep) * Math.max(radiusX, radiusY));
+        // Последняя точка полного эллипса совпала бы с первой
+        const last = full ? steps - 1 : steps;
+        for (let i = 1; i <= last; i++) {
+            points.push(...point(startAngle + sweep * (i / steps)));
+        }
+    }
+
+    /**
+     * Угол скруглённого прямоугольника: четверть окружности или вершина при нулевом радиусе
+     * @private
+     */
+    _corner(cx, cy, radius, startAngle, cornerX, cornerY) {
+        const { points } = this.path.subpaths[this.path.subpaths.length - 1];
+        if (radius <= 0) {
+            points.push(cornerX, cornerY);
+            return;
+        }
+        const steps = this._curveSteps(radius * Math.PI / 2);
+        for (let i = 0; i <= steps; i++) {
+            const angle = startAngle + (Math.PI / 2) * (i / steps);
+            points.push(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _commit(type, style) {
+        if (!this.path || this.path.subpaths.length === 0) return this;
+        this.path.used = true;
+        this.commands.push({ type, path: this.path, style });
+        this.bounds = null;
+        return this;
+    }
+}
+
+/**
+ * @private
+ */
+function normalizeStops(stops) {
+    return stops.map(stop => (Array.isArray(stop) ? { offset: stop[0], color: stop[1] } : stop));
+}
+
+/**
+ * @private
+ */
+function isGradient(color) {
+    return Boolean(color) && typeof color === 'object';
+}
+
+/**
+ * Нужен ли команде растр на WebGL (результат запоминается: путь команды уже не меняется)
+ * @private
+ */
+function needsRaster(command) {
+    if (command.needsRaster === undefined) {
+        const { type, path, style } = command;
+        if (isGradient(style.color)) {
+            command.needsRaster = true;
+        } else if (type === 'fill') {
+            command.needsRaster = path.subpaths.length > 1 || !isConvex(path.subpaths[0].points);
+        } else {
+            command.needsRaster = style.cap !== DEFAULT_LINE.cap || style.join !== DEFAULT_LINE.join
+                || style.miterLimit !== DEFAULT_LINE.miterLimit || Boolean(style.dash && style.dash.length > 0);
+        }
+    }
+    return command.needsRaster;
+}
+
+/**
+ * Выпуклый ли простой многоугольник: все повороты в одну сторону и ровно один оборот
+ * (звезда с самопересечением поворачивает в одну сторону, но делает два)
+ * @private
+ */
+function isConvex(points) {
+    const count = points.length / 2;
+    if (count < 4) return true;
+    let sign = 0;
+    let turning = 0;
+    for (let i = 0; i < count; i++) {
+        const j = (i + 1) % count;
+        const k = (i + 2) % count;
+        const ax = points[j * 2] - points[i * 2];
+        const ay = points[j * 2 + 1] - points[i * 2 + 1];
+        const bx = points[k * 2] - points[j * 2];
+        const by = points[k * 2 + 1] - points[j * 2 + 1];
+        const cross = ax * by - ay * bx;
+        // Почти коллинеарные отрезки (погрешность дуг) не меняют знак
+        if (Math.abs(cross) > 1e-9 * Math.hypot(ax, ay) * Math.hypot(bx, by)) {
+            if (sign !== 0 && Math.sign(cross) !== sign) return false;
+            sign = Math.sign(cross);
+        }
+        turning += Math.atan2(cross, ax * bx + ay * by);
+    }
+    return Math.abs(turning) < TWO_PI + 1e-6;
+}
+
+/**
+ * Границы команды с учётом толщины обводки (null — путь без точек)
+ * @private
+ */
+function commandBounds({ type, path, style }) {
+    const pad = type === 'stroke' ? style.width / 2 : 0;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const { points } of path.subpaths) {
+        for (let i = 0; i < points.length; i += 2) {
+            minX = Math.min(minX, points[i] - pad);
+            maxX = Math.max(maxX, points[i] + pad);
+            minY = Math.min(minY, points[i + 1] - pad);
+            maxY = Math.max(maxY, points[i + 1] + pad);
+        }
+    }
+    return minX > maxX ? null : { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Залить или обвести путь команды на отдельном холсте (с полем в 1px на сглаживание)
+ * @returns {{canvas, bounds, resolution, context}|null} - null для пустого пути
+ * @private
+ */
+function rasterize(command, resolution) {
+    const box = commandBounds(command);
+    if (!box) return null;
+    const x = Math.floor(box.x) - 1;
+    const y = Math.floor(box.y) - 1;
+    const bounds = { x, y, width: Math.ceil(box.x + box.width) + 1 - x, height: Math.ceil(box.y + box.height) + 1 - y };
+    const canvas = createCanvas(Math.ceil(bounds.width * resolution), Math.ceil(bounds.height * resolution));
+    const ctx = canvas.getContext('2d');
+    const { type, path, style } = command;
+    ctx.setTransform(resolution, 0, 0, resolution, -x * resolution, -y * resolution);
+    const paint = resolvePaint(ctx, style.color, false);
+    if (type === 'fill') {
+        ctx.fillStyle = paint;
+    } else {
+        ctx.strokeStyle = paint;
+        ctx.lineWidth = style.width;
+        ctx.lineCap = style.cap;
+        ctx.lineJoin = style.join;
+        ctx.miterLimit = style.miterLimit;
+        if (typeof ctx.setLineDash === 'function') ctx.setLineDash(style.dash || []);
+    }
+    tracePath(ctx, path);
+    ctx[type]();
+    return { canvas, bounds, resolution, context: null };
+}
+
+/**
+ * Освободить текстуру растра команды в контексте, где он рисовался
+ * @private
+ */
+function releaseRaster(command) {
+    const raster = command.raster;
+    if (!raster) return;
+    command.raster = null;
+    if (raster.context && typeof raster.context.releaseTexture === 'function') {
+        raster.context.releaseTexture(raster.canvas);
+    }
+}
+
+/**
+ * Цвет или CanvasGradient для контекста
+ * @private
+ */
+function resolvePaint(context, color, webgl) {
+    if (!isGradient(color)) return color;
+    // Холст для растра создать нельзя — первый цвет градиента
+    if (webgl) return color.stops.length > 0 ? color.stops[0].color : '#ffffff';
+
+    let byContext = gradientCache.get(color);
+    if (!byContext) {
+        byContext = new WeakMap();
+        gradientCache.set(color, byContext);
+    }
+    let gradient = byContext.get(context);
+    if (!gradient) {
+        gradient = color.type === 'radial'
+            ? context.createRadialGradient(...color.coords)
+            : context.createLinearGradient(...color.coords);
+        color.stops.forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+        byContext.set(context, gradient);
+    }
+    return gradient;
+}
+
+/**
+ * Повторить путь вызовами moveTo/lineTo
+ * @private
+ */
+function tracePath(context, path) {
+    context.beginPath();
+    for (const { points, closed } of path.subpaths) {
+        context.moveTo(points[0], points[1]);
+        for (let i = 2; i < points.length; i += 2) context.lineTo(points[i], points[i + 1]);
+        if (closed) context.closePath();
+    }
+}
+
+/**
+ * @private
+ */
+function buildPath2D(path) {
+    const path2d = new Path2D();
+    for (const { points, closed } of path.subpaths) {
+        path2d.moveTo(points[0], points[1]);
+        for (let i = 2; i < points.length; i += 2) path2d.lineTo(points[i], points[i + 1]);
+        if (closed) path2d.closePath();
+    }
+    return path2d;
+}
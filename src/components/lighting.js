@@ -0,0 +1,408 @@
+// Освещение: карта света с окружающим цветом, точечные и направленные источники, тени
+import { parseColor } from '../utils/color.js';
+import { createCanvas } from '../utils/canvas.js';
+import { computeVisibilityPolygon, polygonToSegments, rectToSegments } from '../utils/visibility.js';
+
+export class PointLight {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {Object} options
+     * @param {number} options.radius - дальность света
+     * @param {string} options.color - цвет света
+     * @param {number} options.intensity - яркость (0-1)
+     * @param {number} options.flicker - сила мерцания (0 — нет, 1 — до полного затухания)
+     * @param {number} options.flickerSpeed - смен яркости в секунду
+     * @param {boolean} options.castShadows - отбрасывают ли стены и окклюдеры тени
+     * @param {number} options.softness - радиус размытия края тени (0 — жёсткие тени)
+     */
+    constructor(x, y, options = {}) {
+        const {
+            radius = 200,
+            color = '#ffffff',
+            intensity = 1,
+            flicker = 0,
+            flickerSpeed = 10,
+            castShadows = true,
+            softness = 0
+        } = options;
+        this.x = x;
+        this.y = y;
+        this.radius = radius;
+        this.color = color;
+        this.intensity = intensity;
+        this.flicker = flicker;
+        this.flickerSpeed = flickerSpeed;
+        this.castShadows = castShadows;
+        this.softness = softness;
+        this.enabled = true;
+
+        // Мерцание: плавный переход между случайными уровнями
+        this.flickerValue = 1;
+        this._flickerFrom = Math.random();
+        this._flickerTo = Math.random();
+        this._flickerTime = 0;
+    }
+
+    /**
+     * @param {number} deltaTime - мс
+     */
+    update(deltaTime) {
+        if (this.flicker <= 0) {
+            this.flickerValue = 1;
+            return;
+        }
+        this._flickerTime += deltaTime / 1000 * this.flickerSpeed;
+        while (this._flickerTime >= 1) {
+            this._flickerTime -= 1;
+            this._flickerFrom = this._flickerTo;
+            this._flickerTo = Math.random();
+        }
+        const t = this._flickerTime * this._flickerTime * (3 - 2 * this._flickerTime);
+        const noise = this._flickerFrom + (this._flickerTo - this._flickerFrom) * t;
+        this.flickerValue = 1 - this.flicker * noise;
+    }
+
+    /**
+     * Яркость с учётом мерцания
+     * @returns {number}
+     */
+    getIntensity() {
+        return this.intensity * this.flickerValue;
+    }
+
+    /**
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getBounds() {
+        return {
+            x: this.x - this.radius,
+            y: this.y - this.radius,
+            width: this.radius * 2,
+            height: this.radius * 2
+        };
+    }
+
+    /**
+     * Залить область света градиентом
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} intensity
+     */
+    drawShape(ctx, intensity) {
+        ctx.fillStyle = this._gradient(ctx, intensity);
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Радиальный градиент с быстрым спадом у центра
+     * @private
+     */
+    _gradient(ctx, intensity) {
+        const { r, g, b } = parseColor(this.color);
+        const rgb = `${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}`;
+        const gradient = ctx.createRadialGradient(this.x, this.y, 0, this.x, this.y, this.radius);
+        gradient.addColorStop(0, `rgba(${rgb}, ${intensity})`);
+        gradient.addColorStop(0.5, `rgba(${rgb}, ${intensity * 0.4})`);
+        gradient.addColorStop(1, `rgba(${rgb}, 0)`);
+        return gradient;
+    }
+}
+
+export class SpotLight extends PointLight {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {Object} options - как у PointLight, плюс:
+     * @param {number} options.direction - направление (радианы, 0 — вправо)
+     * @param {number} options.angle - ширина конуса (радианы)
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this.direction = options.direction || 0;
+        this.angle = options.angle !== undefined ? options.angle : Math.PI / 3;
+    }
+
+    /**
+     * Направить свет на точку
+     * @param {number} x
+     * @param {number} y
+     */
+    pointAt(x, y) {
+        this.direction = Math.atan2(y - this.y, x - this.x);
+    }
+
+    drawShape(ctx, intensity) {
+        ctx.fillStyle = this._gradient(ctx, intensity);
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.arc(this.x, this.y, this.radius, this.direction - this.angle / 2, this.direction + this.angle / 2);
+        ctx.closePath();
+        ctx.fill();
+    }
+}
+
+export class LightLayer {
+    /**
+     * Добавляется в сцену как сущность и рисуется поверх уже нарисованного:
+     * карта света (окружающий цвет + источники) умножается на кадр.
+     * @param {Object} options
+     * @param {string} options.ambient - цвет неосвещённых мест
+     * @param {number} options.resolution - масштаб карты света относительно мира (меньше — быстрее)
+     * @param {number} options.shadowSamples - число смещённых копий источника для мягких теней
+     * @param {string} options.layer - слой сцены
+     * @param {Object} options.bounds - область мира {x, y, width, height}, если рисуется без камеры
+     */
+    constructor(options = {}) {
+        this.ambient = options.ambient || '#202020';
+        this.resolution = options.resolution || 1;
+        this.shadowSamples = options.shadowSamples || 6;
+        this.bounds = options.bounds || null;
+        if (options.layer) this.layer = options.layer;
+        this.visible = true;
+
+        this.lights = [];
+        // Окклюдеры: объекты с getBounds(), {x, y, width, height} или {points}
+        this.occluders = [];
+        this.tilemaps = [];
+
+        this.canvas = null;
+        this.lightContext = null;
+    }
+
+    /**
+     * @param {PointLight} light
+     * @returns {PointLight}
+     */
+    addLight(light) {
+        if (!this.lights.includes(light)) this.lights.push(light);
+        return light;
+    }
+
+    /**
+     * @param {PointLight} light
+     * @returns {boolean}
+     */
+    removeLight(light) {
+        const index = this.lights.indexOf(light);
+        if (index === -1) return false;
+        this.lights.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Объект, отбрасывающий тень. Свет внутри окклюдера им не загораживается.
+     * @param {Object} occluder - getBounds(), {x, y, width, height} или {points: [{x, y}]}
+     * @returns {Object}
+     */
+    addOccluder(occluder) {
+        if (!this.occluders.includes(occluder)) this.occluders.push(occluder);
+        return occluder;
+    }
+
+    /**
+     * @param {Object} occluder
+     * @returns {boolean}
+     */
+    removeOccluder(occluder) {
+        const index = this.occluders.indexOf(occluder);
+        if (index === -1) return false;
+        this.occluders.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Стены карты (тайлы из collisionTiles) отбрасывают тени
+     * @param {Tilemap} tilemap
+     */
+    addTilemap(tilemap) {
+        if (!this.tilemaps.includes(tilemap)) this.tilemaps.push(tilemap);
+    }
+
+    /**
+     * @param {Tilemap} tilemap
+     * @returns {boolean}
+     */
+    removeTilemap(tilemap) {
+        const index = this.tilemaps.indexOf(tilemap);
+        if (index === -1) return false;
+        this.tilemaps.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        this.lights.forEach(light => light.update(deltaTime));
+    }
+
+    /**
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} alpha
+     * @param {Camera} camera - видимая область берётся из камеры
+     */
+    draw(context, alpha = 1, camera = null) {
+        if (!this.visible) return;
+        const bounds = camera ? camera.getWorldBounds() : this._defaultBounds(context);
+        if (bounds.width <= 0 || bounds.height <= 0) return;
+
+        const canvas = this.renderLightMap(bounds, context);
+        context.save();
+        context.globalCompositeOperation = 'multiply';
+        context.drawImage(
+            canvas, 0, 0, canvas.width, canvas.height,
+            bounds.x, bounds.y, canvas.width / this.resolution, canvas.height / this.resolution
+        );
+        context.restore();
+    }
+
+    /**
+     * Нарисовать карту света для области мира
+     * @param {{x: number, y: number, width: number, height: number}} bounds
+     * @param {Object} target - контекст, в который карта будет нарисована (для WebGL-текстуры)
+     * @returns {HTMLCanvasElement|OffscreenCanvas}
+     */
+    renderLightMap(bounds, target = null) {
+        const width = Math.max(1, Math.ceil(bounds.width * this.resolution));
+        const height = Math.max(1, Math.ceil(bounds.height * this.resolution));
+        if (!this.canvas) {
+            this.canvas = createCanvas(width, height);
+            this.lightContext = this.canvas.getContext('2d');
+        } else if (this.canvas.width !== width || this.canvas.height !== height) {
+            // Текстура WebGL старого размера больше не подходит
+            if (target && typeof target.releaseTexture === 'function') target.releaseTexture(this.canvas);
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        const ctx = this.lightContext;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.fillStyle = this.ambient;
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.setTransform(this.resolution, 0, 0, this.resolution, -bounds.x * this.resolution, -bounds.y * this.resolution);
+        ctx.globalCompositeOperation = 'lighter';
+        const walls = this.tilemaps.flatMap(tilemap => tilemap.getCollisionEdges());
+        const occluders = this.occluders.map(occluder => this._occluderShape(occluder)).filter(Boolean);
+        for (const light of this.lights) {
+            if (!light.enabled || light.getIntensity() <= 0) continue;
+            if (!intersects(light.getBounds(), bounds)) continue;
+            this._drawLight(ctx, light, walls, occluders);
+        }
+
+        if (target && typeof target.updateTexture === 'function') target.updateTexture(this.canvas);
+        return this.canvas;
+    }
+
+    /**
+     * Освободить холст карты света
+     */
+    destroy() {
+        this.canvas = null;
+        this.lightContext = null;
+        this.lights = [];
+        this.occluders = [];
+        this.tilemaps = [];
+    }
+
+    /**
+     * Свет, обрезанный полигоном видимости. Мягкие тени — несколько полигонов
+     * из точек вокруг источника, каждый со своей долей яркости.
+     * @private
+     */
+    _drawLight(ctx, light, walls, occluders) {
+        const soft = light.castShadows && light.softness > 0;
+        const samples = soft ? this.shadowSamples : 1;
+        const intensity = light.getIntensity() / samples;
+        let segments = null;
+        if (light.castShadows) {
+            segments = walls.slice();
+            for (const { bounds, segments: edges } of occluders) {
+                if (!containsPoint(bounds, light.x, light.y)) segments.push(...edges);
+            }
+        }
+
+        for (let i = 0; i < samples; i++) {
+            ctx.save();
+            if (segments) {
+                const angle = i / samples * Math.PI * 2;
+                const offset = soft ? light.softness : 0;
+                const polygon = computeVisibilityPolygon(
+                    light.x + Math.cos(angle) * offset,
+                    light.y + Math.sin(angle) * offset,
+                    segments, light.radius + offset
+                );
+                ctx.beginPath();
+                polygon.forEach((point, j) => (j === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+                ctx.closePath();
+                ctx.clip();
+            }
+            light.drawShape(ctx, intensity);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Границы и отрезки окклюдера в мировых координатах
+     * @private
+     */
+    _occluderShape(occluder) {
+        if (occluder.castShadows === false || occluder.destroyed) return null;
+        if (Array.isArray(occluder.points)) {
+            const xs = occluder.points.map(point => point.x);
+            const ys = occluder.points.map(point => point.y);
+            const x = Math.min(...xs);
+            const y = Math.min(...ys);
+            return {
+                bounds: { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y },
+                segments: polygonToSegments(occluder.points)
+            };
+        }
+        const bounds = typeof occluder.getBounds === 'function' ? occluder.getBounds() : occluder;
+        if (typeof bounds.x !== 'number' || typeof bounds.y !== 'number') return null;
+        return { bounds, segments: rectToSegments(bounds.x, bounds.y, bounds.width || 0, bounds.height || 0) };
+    }
+
+    /**
+     * Область без камеры: options.bounds или часть мира, видимая на холсте.
+     * Холст в физических пикселях, поэтому его прямоугольник переводится
+     * обратной текущей трансформацией (масштаб ScaleManager, снимок кадра).
+     * @private
+     */
+    _defaultBounds(context) {
+        if (this.bounds) return this.bounds;
+        const canvas = context.canvas || { width: 0, height: 0 };
+        const m = typeof context.getTransform === 'function' ? context.getTransform() : null;
+        const det = m ? m.a * m.d - m.b * m.c : 0;
+        if (!det) return { x: 0, y: 0, width: canvas.width, height: canvas.height };
+
+        const xs = [];
+        const ys = [];
+        for (const [px, py] of [[0, 0], [canvas.width, 0], [0, canvas.height], [canvas.width, canvas.height]]) {
+            const x = px - m.e;
+            const y = py - m.f;
+            xs.push((m.d * x - m.c * y) / det);
+            ys.push((m.a * y - m.b * x) / det);
+        }
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+}
+
+/**
+ * @private
+ */
+function intersects(a, b) {
+    return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+}
+
+/**
+ * @private
+ */
+function containsPoint(rect, x, y) {
+    return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
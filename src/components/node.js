@@ -0,0 +1,327 @@
+// Узел графа сцены с локальной трансформацией и иерархией родитель/дети
+import { Matrix2D } from '../utils/matrix2d.js';
+
+export class Node {
+    /**
+     * @param {number} x - локальная позиция X (в координатах родителя)
+     * @param {number} y - локальная позиция Y
+     */
+    constructor(x = 0, y = 0) {
+        this._x = x;
+        this._y = y;
+        this._rotation = 0;
+        this._scaleX = 1;
+        this._scaleY = 1;
+        this._pivotX = 0;
+        this._pivotY = 0;
+
+        this.parent = null;
+        this.children = [];
+        this.visible = true;
+
+        // Объект с draw(ctx), рисуется в локальных координатах узла (например, Sprite в 0,0)
+        this.drawable = null;
+
+        // Кэш матриц с флагами "грязности"
+        this._localMatrix = new Matrix2D();
+        this._worldMatrix = new Matrix2D();
+        this._renderMatrix = new Matrix2D();
+        this._localDirty = true;
+        this._worldDirty = true;
+    }
+
+    get x() { return this._x; }
+    set x(value) { if (value !== this._x) { this._x = value; this._markLocalDirty(); } }
+
+    get y() { return this._y; }
+    set y(value) { if (value !== this._y) { this._y = value; this._markLocalDirty(); } }
+
+    /** Поворот в радианах */
+    get rotation() { return this._rotation; }
+    set rotation(value) { if (value !== this._rotation) { this._rotation = value; this._markLocalDirty(); } }
+
+    get scaleX() { return this._scaleX; }
+    set scaleX(value) { if (value !== this._scaleX) { this._scaleX = value; this._markLocalDirty(); } }
+
+    get scaleY() { return this._scaleY; }
+    set scaleY(value) { if (value !== this._scaleY) { this._scaleY = value; this._markLocalDirty(); } }
+
+    /** Точка опоры в локальных координатах: вокруг неё вращение и масштаб */
+    get pivotX() { return this._pivotX; }
+    set pivotX(value) { if (value !== this._pivotX) { this._pivotX = value; this._markLocalDirty(); } }
+
+    get pivotY() { return this._pivotY; }
+    set pivotY(value) { if (value !== this._pivotY) { this._pivotY = value; this._markLocalDirty(); } }
+
+    /**
+     * Установить позицию
+     * @param {number} x
+     * @param {number} y
+     * @returns {Node}
+     */
+    setPosition(x, y) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+
+    /**
+     * Установить масштаб
+     * @param {number} scaleX
+     * @param {number} scaleY
+     * @returns {Node}
+     */
+    setScale(scaleX, scaleY = scaleX) {
+        this.scaleX = scaleX;
+        this.scaleY = scaleY;
+        return this;
+    }
+
+    /**
+     * Установить точку опоры
+     * @param {number} x
+     * @param {number} y
+     * @returns {Node}
+     */
+    setPivot(x, y) {
+        this.pivotX = x;
+        this.pivotY = y;
+        return this;
+    }
+
+    /**
+     * Добавить дочерний узел (отсоединяется от прежнего родителя)
+     * @param {Node} child
+     * @returns {Node} - добавленный узел
+     */
+    addChild(child) {
+        if (!(child instanceof Node)) {
+            throw new TypeError('Child must be a Node');
+        }
+        if (child === this || this.isDescendantOf(child)) {
+            throw new Error('Cannot add a node to itself or to its own descendant');
+        }
+        if (child.parent) {
+            child.parent.removeChild(child);
+        }
+        child.parent = this;
+        this.children.push(child);
+        child._markWorldDirty();
+        return child;
+    }
+
+    /**
+     * Удалить дочерний узел
+     * @param {Node} child
+     * @returns {boolean}
+     */
+    removeChild(child) {
+        const index = this.children.indexOf(child);
+        if (index === -1) return false;
+        this.children.splice(index, 1);
+        child.parent = null;
+        child._markWorldDirty();
+        return true;
+    }
+
+    /**
+     * Удалить узел из родителя
+     */
+    removeFromParent() {
+        if (this.parent) this.parent.removeChild(this);
+    }
+
+    /**
+     * Перенести узел к другому родителю
+     * @param {Node|null} parent - новый родитель (null — сделать корневым)
+     * @param {boolean} keepWorldTransform - сохранить положение в мире
+     * @returns {Node}
+     */
+    setParent(parent, keepWorldTransform = true) {
+        const world = keepWorldTransform ? this.getWorldMatrix().clone() : null;
+
+        if (parent) {
+            parent.addChild(this);
+        } else {
+            this.removeFromParent();
+        }
+
+        if (world) {
+            const local = parent ? parent.getWorldMatrix().clone().invert().multiply(world) : world;
+            // Матрица включает точку опоры: возвращаем её, чтобы получить позицию узла
+            local.translate(this._pivotX, this._pivotY);
+            const { x, y, rotation, scaleX, scaleY } = local.decompose();
+            this.x = x;
+            this.y = y;
+            this.rotation = rotation;
+            this.scaleX = scaleX;
+            this.scaleY = scaleY;
+        }
+        return this;
+    }
+
+    /**
+     * Является ли узел потомком другого
+     * @param {Node} node
+     * @returns {boolean}
+     */
+    isDescendantOf(node) {
+        let current = this.parent;
+        while (current) {
+            if (current === node) return true;
+            current = current.parent;
+        }
+        return false;
+    }
+
+    /**
+     * Локальная матрица (в координатах родителя)
+     * @returns {Matrix2D}
+     */
+    getLocalMatrix() {
+        if (this._localDirty) {
+            Matrix2D.fromTransform(
+                this._x, this._y, this._rotation, this._scaleX, this._scaleY,
+                this._pivotX, this._pivotY, this._localMatrix
+            );
+            this._localDirty = false;
+        }
+        return this._localMatrix;
+    }
+
+    /**
+     * Мировая матрица (с учётом всех родителей)
+     * @returns {Matrix2D}
+     */
+    getWorldMatrix() {
+        if (this._worldDirty) {
+            if (this.parent) {
+                this._worldMatrix.copy(this.parent.getWorldMatrix()).multiply(this.getLocalMatrix());
+            } else {
+                this._worldMatrix.copy(this.getLocalMatrix());
+            }
+            this._worldDirty = false;
+        }
+        return this._worldMatrix;
+    }
+
+    /**
+     * Позиция узла (точки опоры) в мировых координатах
+     * @returns {{x: number, y: number}}
+     */
+    getWorldPosition() {
+        return this.getWorldMatrix().transformPoint(this._pivotX, this._pivotY);
+    }
+
+    /**
+     * Поворот в мировых координатах
+     * @returns {number}
+     */
+    getWorldRotation() {
+        return this.getWorldMatrix().decompose().rotation;
+    }
+
+    /**
+     * Перевести локальную точку в мировые координаты
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number}}
+     */
+    localToWorld(x, y) {
+        return this.getWorldMatrix().transformPoint(x, y);
+    }
+
+    /**
+     * Перевести мировую точку в локальные координаты
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number}}
+     */
+    worldToLocal(x, y) {
+        return this.getWorldMatrix().clone().invert().transformPoint(x, y);
+    }
+
+    /**
+     * Позиция для отрисовки (наследники могут интерполировать)
+     * @param {number} alpha
+     * @returns {{x: number, y: number}}
+     */
+    getRenderPosition(alpha = 1) {
+        return { x: this._x, y: this._y };
+    }
+
+    /**
+     * Обновить дочерние узлы
+     * @param {number} deltaTime
+     */
+    updateChildren(deltaTime) {
+        for (const child of [...this.children]) {
+            if (child.destroyed) continue;
+            child.update(deltaTime);
+        }
+    }
+
+    update(deltaTime) {
+        this.updateChildren(deltaTime);
+    }
+
+    /**
+     * Отрисовать узел и детей с применением трансформации
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} alpha - коэффициент интерполяции
+     */
+    draw(context, alpha = 1) {
+        if (!this.visible) return;
+
+        context.save();
+        this._getRenderMatrix(alpha).applyToContext(context);
+        this.drawSelf(context, alpha);
+        for (const child of this.children) {
+            child.draw(context, alpha);
+        }
+        context.restore();
+    }
+
+    /**
+     * Отрисовать содержимое узла в локальных координатах
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} alpha
+     */
+    drawSelf(context, alpha = 1) {
+        if (this.drawable) this.drawable.draw(context, alpha);
+    }
+
+    /**
+     * Локальная матрица с интерполированной позицией
+     * @private
+     */
+    _getRenderMatrix(alpha) {
+        const pos = this.getRenderPosition(alpha);
+        if (pos.x === this._x && pos.y === this._y) {
+            return this.getLocalMatrix();
+        }
+        return Matrix2D.fromTransform(
+            pos.x, pos.y, this._rotation, this._scaleX, this._scaleY,
+            this._pivotX, this._pivotY, this._renderMatrix
+        );
+    }
+
+    /**
+     * @private
+     */
+    _markLocalDirty() {
+        this._localDirty = true;
+        this._markWorldDirty();
+    }
+
+    /**
+     * @private
+     */
+    _markWorldDirty() {
+        if (this._worldDirty) return;
+        this._worldDirty = true;
+        for (const child of this.children) {
+            child._markWorldDirty();
+        }
+    }
+}
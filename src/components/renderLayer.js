@@ -0,0 +1,119 @@
+// Слой отрисовки сцены с кэшируемой сортировкой по глубине
+export const LayerSort = {
+    NONE: 'none',
+    Z_INDEX: 'zIndex',
+    Y: 'y'
+};
+
+const SORT_KEYS = {
+    [LayerSort.Z_INDEX]: entity => entity.zIndex || 0,
+    [LayerSort.Y]: entity => entity.y || 0
+};
+
+export class RenderLayer {
+    /**
+     * @param {string} name - имя слоя
+     * @param {Object} options
+     * @param {number} options.zIndex - порядок слоя (меньше — раньше рисуется)
+     * @param {boolean} options.visible - рисовать ли слой
+     * @param {string} options.sort - сортировка сущностей: 'none', 'zIndex' или 'y'
+     * @param {Material} options.material - материал для всех сущностей слоя (WebGL)
+     */
+    constructor(name, options = {}) {
+        const { zIndex = 0, visible = true, sort = LayerSort.NONE, material = null } = options;
+        this.name = name;
+        this._zIndex = zIndex;
+        // Вызывается при смене zIndex (сцена пересортировывает слои)
+        this.onZIndexChange = null;
+        this.visible = visible;
+        this.material = material;
+        this._sort = LayerSort.NONE;
+        this.sort = sort;
+
+        // Сущности в порядке добавления
+        this.entities = [];
+
+        // Кэш сортировки: порядок и ключи, по которым он был получен
+        this._sorted = [];
+        this._sortedKeys = [];
+        this._dirty = true;
+    }
+
+    get zIndex() { return this._zIndex; }
+    set zIndex(value) {
+        if (value === this._zIndex) return;
+        this._zIndex = value;
+        if (this.onZIndexChange) this.onZIndexChange(this);
+    }
+
+    get sort() { return this._sort; }
+    set sort(value) {
+        if (!Object.values(LayerSort).includes(value)) {
+            throw new RangeError(`Unknown layer sort mode "${value}"`);
+        }
+        if (value !== this._sort) {
+            this._sort = value;
+            this._dirty = true;
+        }
+    }
+
+    /**
+     * @param {Object} entity
+     */
+    add(entity) {
+        if (this.entities.includes(entity)) return;
+        this.entities.push(entity);
+        this._dirty = true;
+    }
+
+    /**
+     * @param {Object} entity
+     * @returns {boolean}
+     */
+    remove(entity) {
+        const index = this.entities.indexOf(entity);
+        if (index === -1) return false;
+        this.entities.splice(index, 1);
+        this._dirty = true;
+        return true;
+    }
+
+    /**
+     * Принудительно пересортировать при следующей отрисовке
+     */
+    markDirty() {
+        this._dirty = true;
+    }
+
+    /**
+     * Сущности в порядке отрисовки. Сортировка стабильная (при равных ключах — порядок
+     * добавления) и повторяется только если изменился состав слоя или ключи сущностей.
+     * @returns {Array<Object>}
+     */
+    getSortedEntities() {
+        const getKey = SORT_KEYS[this._sort];
+        if (!getKey) return this.entities;
+
+        if (!this._dirty && this._keysUnchanged(getKey)) {
+            return this._sorted;
+        }
+
+        // Array.prototype.sort стабилен, поэтому при равных ключах сохраняется порядок добавления
+        const keyed = this.entities.map(entity => ({ entity, key: getKey(entity) }));
+        keyed.sort((a, b) => a.key - b.key);
+        this._sorted = keyed.map(item => item.entity);
+        this._sortedKeys = keyed.map(item => item.key);
+        this._dirty = false;
+        return this._sorted;
+    }
+
+    /**
+     * @private
+     */
+    _keysUnchanged(getKey) {
+        for (let i = 0; i < this._sorted.length; i++) {
+            if (getKey(this._sorted[i]) !== this._sortedKeys[i]) return false;
+        }
+        return true;
+    }
+}
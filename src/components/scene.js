@@ -1,29 +1,485 @@
 // Сцены
+import { SpatialHash } from '../utils/spatialHash.js';
+import { RenderLayer } from './renderLayer.js';
+
+export const DEFAULT_LAYER = 'default';
+
 export class Scene {
-    constructor() {
+    /**
+     * @param {string} name - имя сцены (для SceneManager)
+     * @param {Object} options
+     * @param {number} options.cellSize - размер ячейки пространственного индекса
+     */
+    constructor(name = null, options = {}) {
+        this.name = name;
         this.entities = [];
+        // Быстрая проверка принадлежности сцене
+        this.entitySet = new Set();
+
+        // Индексы для поиска: имя -> сущности, тег -> сущности, пространственный хеш
+        this.nameIndex = new Map();
+        this.tagIndex = new Map();
+        this.spatialIndex = new SpatialHash(options.cellSize || 128);
+        // Имя и теги, под которыми сущность сейчас проиндексирована
+        this.indexedKeys = new Map();
+        // Сдвинутые после последней индексации сущности: индекс обновляется перед запросом
+        this.movedEntities = new Set();
+
+        // Во время update добавления и удаления копятся в очереди и применяются после кадра
+        this.updating = false;
+        this.pendingChanges = [];
+
+        // Слои отрисовки: имя -> RenderLayer; порядок слоёв кэшируется
+        this.layers = new Map();
+        this.layerOrder = [];
+        // Слой, в котором сущность сейчас лежит (entity.layer может быть изменён напрямую)
+        this.entityLayers = new Map();
+        this.addLayer(DEFAULT_LAYER);
+
+        // Ассеты для предзагрузки: { images: {key: url}, json: {key: url} }
+        this.assets = null;
+        // Загруженные ассеты по ключам
+        this.resources = {};
+
+        // Поведение в стеке сцен: продолжают ли сцены под этой обновляться и рисоваться
+        this.updateBelow = false;
+        this.drawBelow = false;
     }
 
+    /**
+     * Сцена стала активной (добавлена в стек)
+     * @param {*} data - данные перехода
+     */
+    onEnter(data) {}
+
+    /**
+     * Сцена убрана из стека
+     */
+    onExit() {}
+
+    /**
+     * Поверх сцены положили другую
+     */
+    onPause() {}
+
+    /**
+     * Сцена снова стала верхней
+     * @param {*} data - данные от popScene
+     */
+    onResume(data) {}
+
+    /**
+     * Добавить сущность. Во время update сцены добавление откладывается до конца кадра.
+     * @param {Object} entity
+     */
     addEntity(entity) {
         if (!entity) {
             throw new Error('Entity is null or undefined');
         }
+        if (this.updating) {
+            this.pendingChanges.push({ type: 'add', entity });
+            return;
+        }
+        this._attach(entity);
+    }
+
+    /**
+     * Удалить сущность. Во время update сцены удаление откладывается до конца кадра.
+     * @param {Object} entity
+     */
+    removeEntity(entity) {
+        if (this.updating) {
+            this.pendingChanges.push({ type: 'remove', entity });
+            return;
+        }
+        this._detach(entity);
+    }
+
+    /**
+     * Применить отложенные добавления и удаления (в порядке вызова)
+     */
+    flushPendingChanges() {
+        while (this.pendingChanges.length > 0) {
+            const { type, entity } = this.pendingChanges.shift();
+            if (type === 'add') {
+                this._attach(entity);
+            } else {
+                this._detach(entity);
+            }
+        }
+    }
+
+    /**
+     * Удалить все сущности
+     */
+    clear() {
+        [...this.entities].forEach(entity => this.removeEntity(entity));
+    }
+
+    update(deltaTime) {
+        this.updating = true;
+        try {
+            for (const entity of this.entities) {
+                // Уничтоженные в этом кадре сущности больше не обновляются
+                if (entity.destroyed) continue;
+                entity.update(deltaTime);
+            }
+        } finally {
+            this.updating = false;
+            // Очередь применяется и при ошибке в update сущности, чтобы не сдвигаться на кадр
+            this.flushPendingChanges();
+            // Сущности могли сдвинуться или изменить размер — обновляем пространственный индекс
+            this.entities.forEach(entity => this._updateSpatial(entity));
+            this.movedEntities.clear();
+        }
+    }
+
+    /**
+     * Нарисовать видимые слои
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} alpha - коэффициент интерполяции
+     * @param {Camera} camera - камера; слои вне её маски пропускаются, сущности получают её
+     *     третьим аргументом draw (например, чтобы знать видимую область)
+     */
+    draw(context, alpha = 1, camera = null) {
+        const supportsMaterials = typeof context.setMaterial === 'function';
+        for (const layer of this.layerOrder) {
+            if (!layer.visible) continue;
+            if (camera && camera.layerMask && !camera.rendersLayer(layer.name)) continue;
+            const useMaterial = layer.material && supportsMaterials;
+            if (useMaterial) context.setMaterial(layer.material);
+            for (const entity of layer.getSortedEntities()) {
+                if (!entity.destroyed) entity.draw(context, alpha, camera);
+            }
+            if (useMaterial) context.setMaterial(null);
+        }
+    }
+
+    /**
+     * Добавить слой отрисовки
+     * @param {string} name
+     * @param {Object} options - { zIndex, visible, sort: 'none' | 'zIndex' | 'y' }
+     * @returns {RenderLayer}
+     */
+    addLayer(name, options = {}) {
+        if (this.layers.has(name)) {
+            throw new Error(`Layer "${name}" already exists`);
+        }
+        const layer = new RenderLayer(name, options);
+        layer.onZIndexChange = () => this._sortLayers();
+        this.layers.set(name, layer);
+        this._sortLayers();
+        return layer;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {RenderLayer|null}
+     */
+    getLayer(name) {
+        return this.layers.get(name) || null;
+    }
+
+    /**
+     * Удалить слой; его сущности переходят в слой по умолчанию
+     * @param {string} name
+     * @returns {boolean}
+     */
+    removeLayer(name) {
+        if (name === DEFAULT_LAYER) {
+            throw new Error('Cannot remove the default layer');
+        }
+        const layer = this.layers.get(name);
+        if (!layer) return false;
+        [...layer.entities].forEach(entity => this.setEntityLayer(entity, DEFAULT_LAYER));
+        layer.onZIndexChange = null;
+        this.layers.delete(name);
+        this._sortLayers();
+        return true;
+    }
+
+    /**
+     * Изменить порядок слоя (то же, что layer.zIndex = zIndex)
+     * @param {string} name
+     * @param {number} zIndex
+     */
+    setLayerZIndex(name, zIndex) {
+        this._requireLayer(name).zIndex = zIndex;
+    }
+
+    /**
+     * Показать или скрыть слой
+     * @param {string} name
+     * @param {boolean} visible
+     */
+    setLayerVisible(name, visible) {
+        this._requireLayer(name).visible = visible;
+    }
+
+    /**
+     * Перенести сущность в другой слой
+     * @param {Object} entity
+     * @param {string} name - имя слоя (создаётся, если его нет)
+     */
+    setEntityLayer(entity, name) {
+        if (!this.entitySet.has(entity)) {
+            entity.layer = name;
+            return;
+        }
+        this.entityLayers.get(entity).remove(entity);
+        entity.layer = name;
+        this._addToLayer(entity);
+    }
+
+    /**
+     * Найти первую сущность по имени
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    findByName(name) {
+        const set = this.nameIndex.get(name);
+        return set && set.size > 0 ? set.values().next().value : null;
+    }
+
+    /**
+     * Найти все сущности по имени
+     * @param {string} name
+     * @returns {Array<Object>}
+     */
+    findAllByName(name) {
+        const set = this.nameIndex.get(name);
+        return set ? [...set] : [];
+    }
+
+    /**
+     * Найти все сущности с тегом
+     * @param {string} tag
+     * @returns {Array<Object>}
+     */
+    findAllByTag(tag) {
+        const set = this.tagIndex.get(tag);
+        return set ? [...set] : [];
+    }
+
+    /**
+     * Найти сущности, пересекающие прямоугольник
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     * @returns {Array<Object>}
+     */
+    queryRect(x, y, width, height) {
+        this._refreshMoved();
+        return this.spatialIndex.queryRect(x, y, width, height);
+    }
+
+    /**
+     * Найти сущности, пересекающие круг
+     * @param {number} x - центр X
+     * @param {number} y - центр Y
+     * @param {number} radius
+     * @returns {Array<Object>}
+     */
+    queryRadius(x, y, radius) {
+        const r2 = radius * radius;
+        this._refreshMoved();
+        return this.spatialIndex.queryRect(x - radius, y - radius, radius * 2, radius * 2)
+            .filter(entity => {
+                const b = this.spatialIndex.getBounds(entity);
+                // Ближайшая к центру точка прямоугольника
+                const nx = Math.max(b.x, Math.min(x, b.x + b.width));
+                const ny = Math.max(b.y, Math.min(y, b.y + b.height));
+                return (nx - x) * (nx - x) + (ny - y) * (ny - y) <= r2;
+            });
+    }
+
+    /**
+     * Переиндексировать сущность после смены имени, тегов или позиции.
+     * Entity вызывает это сам; для простых объектов вызывайте вручную.
+     * @param {Object} entity
+     */
+    updateEntityIndex(entity) {
+        if (!this.entitySet.has(entity)) return;
+
+        const previous = this.indexedKeys.get(entity) || { name: null, tags: [] };
+        const name = entity.name !== undefined && entity.name !== null ? entity.name : null;
+        const tags = entity.tags ? [...entity.tags] : [];
+
+        if (previous.name !== name) {
+            this._removeFromIndex(this.nameIndex, previous.name, entity);
+            this._addToIndex(this.nameIndex, name, entity);
+        }
+        previous.tags.filter(tag => !tags.includes(tag))
+            .forEach(tag => this._removeFromIndex(this.tagIndex, tag, entity));
+        tags.filter(tag => !previous.tags.includes(tag))
+            .forEach(tag => this._addToIndex(this.tagIndex, tag, entity));
+
+        this.indexedKeys.set(entity, { name, tags });
+        this._updateSpatial(entity);
+    }
+
+    /**
+     * Отметить, что сущность (и её дочерние узлы) сдвинулась: пространственный индекс
+     * обновится перед ближайшим запросом. Entity вызывает это сам при смене позиции.
+     * @param {Object} entity
+     */
+    markEntityMoved(entity) {
+        if (this.entitySet.has(entity)) this.movedEntities.add(entity);
+    }
+
+    /**
+     * @private
+     */
+    _attach(entity) {
+        if (this.entitySet.has(entity) || entity.destroyed) return;
+        // Сущность может принадлежать только одной сцене
+        if (entity.scene && entity.scene !== this && typeof entity.scene.removeEntity === 'function') {
+            entity.scene.removeEntity(entity);
+        }
         try {
             this.entities.push(entity);
         } catch (e) {
             throw new Error(`Cannot add entity to scene: ${e.message}`);
         }
+        this.entitySet.add(entity);
+        if ('scene' in entity) entity.scene = this;
+        this.updateEntityIndex(entity);
+        this._addToLayer(entity);
+        this._callEntityHook(entity, 'onAdded');
     }
 
-    removeEntity(entity) {
-        this.entities = this.entities.filter(e => e !== entity);
+    /**
+     * @private
+     */
+    _detach(entity) {
+        if (!this.entitySet.has(entity)) return;
+        this.entities.splice(this.entities.indexOf(entity), 1);
+        this.entitySet.delete(entity);
+        this.movedEntities.delete(entity);
+        this._unindex(entity);
+        this.entityLayers.get(entity).remove(entity);
+        this.entityLayers.delete(entity);
+        if ('scene' in entity && entity.scene === this) entity.scene = null;
+        this._callEntityHook(entity, 'onRemoved');
     }
 
-    update(deltaTime) {
-        this.entities.forEach(entity => entity.update(deltaTime));
+    /**
+     * Положить сущность в слой entity.layer; неизвестный слой создаётся с параметрами по умолчанию
+     * @private
+     */
+    _addToLayer(entity) {
+        const name = entity.layer || DEFAULT_LAYER;
+        const layer = this.layers.get(name) || this.addLayer(name);
+        layer.add(entity);
+        this.entityLayers.set(entity, layer);
+    }
+
+    /**
+     * @private
+     */
+    _requireLayer(name) {
+        const layer = this.layers.get(name);
+        if (!layer) {
+            throw new Error(`Layer "${name}" does not exist`);
+        }
+        return layer;
+    }
+
+    /**
+     * Стабильная сортировка слоёв по zIndex (при равных — порядок создания)
+     * @private
+     */
+    _sortLayers() {
+        this.layerOrder = [...this.layers.values()].sort((a, b) => a.zIndex - b.zIndex);
+    }
+
+    /**
+     * @private
+     */
+    _callEntityHook(entity, hook) {
+        if (typeof entity[hook] !== 'function') return;
+        try {
+            entity[hook](this);
+        } catch (e) {
+            console.error(`Error in entity ${hook}:`, e);
+        }
+    }
+
+    /**
+     * Границы сущности: getBounds() или x, y, width, height
+     * @private
+     */
+    _getBounds(entity) {
+        if (typeof entity.getBounds === 'function') {
+            return entity.getBounds();
+        }
+        if (typeof entity.x !== 'number' || typeof entity.y !== 'number') {
+            return null;
+        }
+        return {
+            x: entity.x,
+            y: entity.y,
+            width: typeof entity.width === 'number' ? entity.width : 0,
+            height: typeof entity.height === 'number' ? entity.height : 0
+        };
+    }
+
+    /**
+     * @private
+     */
+    _updateSpatial(entity) {
+        const bounds = this._getBounds(entity);
+        if (bounds) {
+            this.spatialIndex.insert(entity, bounds);
+        } else {
+            this.spatialIndex.remove(entity);
+        }
+    }
+
+    /**
+     * Переиндексировать сдвинутые сущности; мировые границы дочерних узлов меняются вместе с ними
+     * @private
+     */
+    _refreshMoved() {
+        if (this.movedEntities.size === 0) return;
+        const visit = (node) => {
+            if (this.entitySet.has(node)) this._updateSpatial(node);
+            if (node.children) node.children.forEach(visit);
+        };
+        this.movedEntities.forEach(visit);
+        this.movedEntities.clear();
+    }
+
+    /**
+     * @private
+     */
+    _unindex(entity) {
+        const keys = this.indexedKeys.get(entity);
+        if (keys) {
+            this._removeFromIndex(this.nameIndex, keys.name, entity);
+            keys.tags.forEach(tag => this._removeFromIndex(this.tagIndex, tag, entity));
+            this.indexedKeys.delete(entity);
+        }
+        this.spatialIndex.remove(entity);
+    }
+
+    /**
+     * @private
+     */
+    _addToIndex(index, key, entity) {
+        if (key === null) return;
+        if (!index.has(key)) index.set(key, new Set());
+        index.get(key).add(entity);
     }
 
-    draw(context) {
-        this.entities.forEach(entity => entity.draw(context));
+    /**
+     * @private
+     */
+    _removeFromIndex(index, key, entity) {
+        if (key === null || !index.has(key)) return;
+        const set = index.get(key);
+        set.delete(entity);
+        if (set.size === 0) index.delete(key);
     }
-}
\ No newline at end of file
+}
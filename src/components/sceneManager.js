@@ -1,8 +1,24 @@
 // Менеджер сцен
+import { createTransition } from './transitions.js';
+import { loadImage, loadJSON } from '../utils/loader.js';
+
 export class SceneManager {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {number} options.width - логическая ширина экрана для переходов
+     * @param {number} options.height - логическая высота экрана для переходов
+     */
+    constructor(options = {}) {
         this.scenes = [];
+        this.sceneNames = new Map();
         this.currentScene = null;
+        this.width = options.width || 800;
+        this.height = options.height || 600;
+
+        // Активный переход: { transition, from, to, ready, switched, resolve, reject }
+        this.activeTransition = null;
+        // Загрузка ассетов сцен (чтобы не грузить одно и то же дважды)
+        this.loading = new Map();
 
         if (!Array.isArray(this.scenes)) {
             throw new Error('SceneManager: scenes must be an array');
@@ -13,28 +29,167 @@ export class SceneManager {
         }
     }
 
-    addScene(scene) {
+    /**
+     * Добавить сцену
+     * @param {Scene} scene
+     * @param {string} name - имя для обращения к сцене (по умолчанию scene.name)
+     */
+    addScene(scene, name = scene && scene.name) {
         if (!scene) {
             throw new Error('SceneManager: scene cannot be null or undefined');
         }
         if (typeof scene !== 'object') {
             throw new Error('SceneManager: scene must be an object');
         }
+        if (name) {
+            if (this.sceneNames.has(name)) {
+                throw new Error(`SceneManager: scene "${name}" already exists`);
+            }
+            this.sceneNames.set(name, scene);
+        }
         this.scenes.push(scene);
     }
 
-    setScene(index) {
-        if (typeof index !== 'number' || index < 0 || index >= this.scenes.length) {
+    /**
+     * Получить сцену по имени или индексу
+     * @param {string|number} key
+     * @returns {Scene|null}
+     */
+    getScene(key) {
+        if (typeof key === 'number') {
+            return this.scenes[key] || null;
+        }
+        return this.sceneNames.get(key) || null;
+    }
+
+    /**
+     * Переключить сцену
+     * @param {string|number} key - имя или индекс сцены
+     * @param {Object} options
+     * @param {Transition|string|Object} options.transition - переход ('fade', 'crossfade', 'slide', 'circle')
+     * @param {*} options.data - данные для onEnter новой сцены
+     * @returns {Promise<Scene>} - завершается, когда переход закончен. Если переход прерван
+     *     следующим setScene, промис завершается сценой, которая была на экране в этот момент
+     *
+     * @example
+     * manager.setScene('level2', {
+     *   transition: { type: 'fade', duration: 600, color: '#000', easing: 'easeInOutQuad' }
+     * });
+     */
+    setScene(key, options = {}) {
+        if (typeof key === 'number' && (key < 0 || key >= this.scenes.length)) {
             throw new Error('SceneManager: index must be a valid number');
         }
-        const scene = this.scenes[index];
+        const scene = this.getScene(key);
         if (!scene || typeof scene !== 'object') {
-            throw new Error(`SceneManager: scene at index ${index} is null or not an object`);
+            throw new Error(`SceneManager: scene "${key}" is null or not an object`);
         }
-        this.currentScene = scene;
+
+        if (this.activeTransition) {
+            this._interruptTransition();
+        }
+
+        const loading = this.preload(scene);
+
+        // Без перехода и без загрузки сцена меняется сразу, как и раньше
+        if (!options.transition && scene.loaded !== false) {
+            this._switchTo(scene, options.data);
+            return Promise.resolve(scene);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.activeTransition = {
+                transition: createTransition(options.transition || 'cut'),
+                from: this.currentScene,
+                to: scene,
+                data: options.data,
+                // Уже загруженная сцена не ждёт ни одного кадра
+                ready: scene.loaded !== false,
+                switched: false,
+                resolve,
+                reject
+            };
+
+            const entry = this.activeTransition;
+            loading.then(() => {
+                entry.ready = true;
+            }, error => {
+                console.error(`SceneManager: failed to load assets for scene "${key}"`, error);
+                if (this.activeTransition === entry) {
+                    this._finishTransition(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Загрузить ассеты сцены: scene.assets = { images: {key: url}, json: {key: url} }
+     * и необязательный async scene.preload(). Результаты попадают в scene.resources.
+     * @param {Scene} scene
+     * @returns {Promise}
+     */
+    preload(scene) {
+        if (this.loading.has(scene)) {
+            return this.loading.get(scene);
+        }
+
+        const { images = {}, json = {} } = scene.assets || {};
+        const tasks = [];
+        if (!scene.resources) scene.resources = {};
+
+        Object.entries(images).forEach(([name, url]) => {
+            tasks.push(loadImage(url).then(image => { scene.resources[name] = image; }));
+        });
+        Object.entries(json).forEach(([name, url]) => {
+            tasks.push(loadJSON(url).then(data => { scene.resources[name] = data; }));
+        });
+        if (typeof scene.preload === 'function') {
+            tasks.push(Promise.resolve(scene.preload()));
+        }
+
+        if (tasks.length === 0) {
+            const done = Promise.resolve();
+            this.loading.set(scene, done);
+            return done;
+        }
+
+        scene.loaded = false;
+        const promise = Promise.all(tasks).then(() => {
+            scene.loaded = true;
+        }, error => {
+            // Следующая попытка переключения загрузит сцену заново
+            this.loading.delete(scene);
+            throw error;
+        });
+        this.loading.set(scene, promise);
+        return promise;
+    }
+
+    /**
+     * Идёт ли сейчас переход
+     * @returns {boolean}
+     */
+    isTransitioning() {
+        return this.activeTransition !== null;
     }
 
     update(deltaTime) {
+        if (this.activeTransition) {
+            const entry = this.activeTransition;
+            entry.transition.update(deltaTime, entry.ready);
+
+            if (!entry.switched && entry.ready && entry.transition.hasReachedSwitch()) {
+                entry.switched = true;
+                this._switchTo(entry.to, entry.data);
+            }
+            if (entry.switched && entry.transition.isComplete()) {
+                this._finishTransition(null);
+            }
+        }
+
+        // Первая сцена ещё загружается
+        if (this.currentScene === null && this.activeTransition) return;
+
         if (this.currentScene === null) {
             throw new Error('SceneManager: currentScene is null');
         }
@@ -49,10 +204,61 @@ export class SceneManager {
         } catch (e) {
             console.error('SceneManager: error in update method of currentScene', e);
         }
+    }
+
+    /**
+     * Задать логический размер экрана (например, после ScaleManager.setLogicalSize)
+     * @param {number} width
+     * @param {number} height
+     */
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    draw(context, alpha = 1, camera = null) {
+        if (this.activeTransition) {
+            const { transition, from, to, switched } = this.activeTransition;
+            // Новая сцена рисуется только после загрузки и onEnter
+            transition.draw(context, from, switched ? to : null, this.width, this.height, alpha, camera);
+            return;
+        }
+        if (this.currentScene) this.currentScene.draw(context, alpha, camera);
+    }
 
-    draw(context) , {
-        
+    /**
+     * Сменить текущую сцену с вызовом onExit/onEnter
+     * @private
+     */
+    _switchTo(scene, data) {
+        const previous = this.currentScene;
+        if (previous === scene) return;
+        if (previous && typeof previous.onExit === 'function') previous.onExit();
+        this.currentScene = scene;
+        if (typeof scene.onEnter === 'function') scene.onEnter(data);
+    }
+
+    /**
+     * Прервать переход ради нового: его промис завершается текущей сценой
+     * @private
+     */
+    _interruptTransition() {
+        const entry = this.activeTransition;
+        this.activeTransition = null;
+        entry.resolve(this.currentScene);
     }
-        if (this.currentScene) this.currentScene.draw(context);
+
+    /**
+     * Завершить переход (успешно или с ошибкой)
+     * @private
+     */
+    _finishTransition(error) {
+        const entry = this.activeTransition;
+        this.activeTransition = null;
+        if (error) {
+            entry.reject(error);
+        } else {
+            entry.resolve(entry.to);
+        }
     }
 }
@@ -1,4 +1,52 @@
 // Спрайты
+import { BlendMode, COMPOSITE_OPERATIONS } from '../core/renderer/renderBackend.js';
+import { createCanvas } from '../utils/canvas.js';
+import { drawFrameImage } from './spriteSheet.js';
+
+// Тонированные копии изображений: изображение -> (цвет -> холст)
+const tintCache = new WeakMap();
+// Больше цветов на изображение не храним (например, при плавной смене оттенка)
+const MAX_TINTS_PER_IMAGE = 16;
+
+/**
+ * Копия изображения, умноженная на цвет (прозрачность сохраняется)
+ * @param {HTMLImageElement|HTMLCanvasElement} image
+ * @param {string} tint
+ * @param {Object} context - контекст, у которого освобождаются текстуры вытесненных копий
+ * @returns {HTMLImageElement|HTMLCanvasElement|OffscreenCanvas} - исходное изображение, пока оно не загружено
+ */
+function getTintedImage(image, tint, context) {
+    let byColor = tintCache.get(image);
+    if (!byColor) {
+        byColor = new Map();
+        tintCache.set(image, byColor);
+    }
+    let canvas = byColor.get(tint);
+    if (canvas) return canvas;
+
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    if (!width || !height) return image;
+
+    canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = tint;
+    ctx.fillRect(0, 0, width, height);
+    // multiply закрашивает и прозрачные пиксели — возвращаем альфу исходника
+    ctx.globalCompositeOperation = 'destination-in';
+    ctx.drawImage(image, 0, 0);
+
+    if (byColor.size >= MAX_TINTS_PER_IMAGE) {
+        const [oldest, evicted] = byColor.entries().next().value;
+        byColor.delete(oldest);
+        if (typeof context.releaseTexture === 'function') context.releaseTexture(evicted);
+    }
+    byColor.set(tint, canvas);
+    return canvas;
+}
+
 export class Sprite {
     constructor(image, x, y, width, height) {
         if (image === null || image === undefined) {
@@ -11,20 +59,210 @@ export class Sprite {
             throw new Error('Coordinates and dimensions must be valid numbers');
         }
         this.image = image;
+        // Позиция точки привязки
         this.x = x;
         this.y = y;
+        // Позиция на предыдущем шаге для интерполяции (null — update() не вызывался, без интерполяции)
+        this.prevX = null;
+        this.prevY = null;
         this.width = width;
         this.height = height;
         this.opacity = 1.0;
+        this.visible = true;
+        // Поворот (радианы) и масштаб вокруг точки привязки
+        this.rotation = 0;
+        this.scaleX = 1;
+        this.scaleY = 1;
+        // Отражение на месте, независимо от точки привязки
+        this.flipX = false;
+        this.flipY = false;
+        // Точка привязки в долях размера (0, 0 — левый верхний угол, 0.5, 0.5 — центр)
+        this.anchorX = 0;
+        this.anchorY = 0;
+        this.blendMode = BlendMode.NORMAL;
+        // Цвет, на который умножается изображение (null — без тонирования)
+        this.tint = null;
+        // Кадр: прямоугольник источника {x, y, width, height} или кадр SpriteSheet; null — всё изображение
+        this.frame = null;
+        // Материал (шейдерный эффект); применяется только в WebGL-рендерере
+        this.material = null;
+    }
+
+    /**
+     * Запомнить позицию для интерполяции. Нужен, только если спрайт двигают
+     * сами по себе, а не через узел, которому он назначен drawable.
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+
+    /**
+     * Позиция для отрисовки между предыдущим и текущим шагом
+     * @param {number} alpha - коэффициент интерполяции (0-1)
+     * @returns {{x: number, y: number}}
+     */
+    getRenderPosition(alpha = 1) {
+        if (this.prevX === null) return { x: this.x, y: this.y };
+        return {
+            x: this.prevX + (this.x - this.prevX) * alpha,
+            y: this.prevY + (this.y - this.prevY) * alpha
+        };
+    }
+
+    /**
+     * Сбросить интерполяцию (после телепортации)
+     */
+    resetInterpolation() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+
+    /**
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} alpha - коэффициент интерполяции позиции
+     */
+    draw(context, alpha = 1) {
+        if (!this.visible || this.opacity <= 0) return;
+        const useMaterial = this.material && typeof context.setMaterial === 'function';
+        const previousMaterial = useMaterial ? context.material : null;
+        if (useMaterial) context.setMaterial(this.material);
+
+        context.save();
+        context.globalAlpha *= this.opacity;
+        if (this.blendMode !== BlendMode.NORMAL) {
+            context.globalCompositeOperation = COMPOSITE_OPERATIONS[this.blendMode];
+        }
+        const position = this.getRenderPosition(alpha);
+        context.translate(position.x, position.y);
+        if (this.rotation !== 0) context.rotate(this.rotation);
+
+        let left = -this.anchorX * this.width;
+        let top = -this.anchorY * this.height;
+        // Отражение вокруг центра спрайта: прямоугольник остаётся на месте
+        if (this.flipX) left = -left - this.width;
+        if (this.flipY) top = -top - this.height;
+        const scaleX = this.flipX ? -this.scaleX : this.scaleX;
+        const scaleY = this.flipY ? -this.scaleY : this.scaleY;
+        if (scaleX !== 1 || scaleY !== 1) context.scale(scaleX, scaleY);
+
+        // WebGL умножает цвет вершин, копия изображения нужна только для Canvas2D
+        let image = this.image;
+        if (this.tint && typeof context.setTint === 'function') {
+            context.setTint(this.tint);
+        } else if (this.tint) {
+            image = getTintedImage(this.image, this.tint, context);
+        }
+        if (this.frame) {
+            drawFrameImage(context, image, this.frame, left, top, this.width, this.height);
+        } else {
+            context.drawImage(image, left, top, this.width, this.height);
+        }
+        context.restore();
+
+        if (useMaterial) context.setMaterial(previousMaterial);
     }
 
-    draw(context) {
-        context.globalAlpha = this.opacity;
-        context.drawImage(this.image, this.x, this.y, this.width, this.height);
-        context.globalAlpha = 1.0;
+    /**
+     * Назначить материал
+     * @param {Material|null} material
+     */
+    setMaterial(material) {
+        this.material = material;
     }
 
     setOpacity(opacity) {
         this.opacity = opacity;
     }
-}
\ No newline at end of file
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @returns {Sprite}
+     */
+    setScale(x, y = x) {
+        this.scaleX = x;
+        this.scaleY = y;
+        return this;
+    }
+
+    /**
+     * Точка привязки (вокруг неё поворот и масштаб)
+     * @param {number} x - доля ширины
+     * @param {number} y - доля высоты
+     * @returns {Sprite}
+     */
+    setAnchor(x, y = x) {
+        this.anchorX = x;
+        this.anchorY = y;
+        return this;
+    }
+
+    /**
+     * @param {boolean} x
+     * @param {boolean} y
+     * @returns {Sprite}
+     */
+    setFlip(x, y = false) {
+        this.flipX = x;
+        this.flipY = y;
+        return this;
+    }
+
+    /**
+     * @param {string} mode - 'normal', 'add', 'multiply' или 'screen'
+     * @returns {Sprite}
+     */
+    setBlendMode(mode) {
+        if (!COMPOSITE_OPERATIONS[mode]) {
+            throw new RangeError(`Unknown blend mode "${mode}"`);
+        }
+        this.blendMode = mode;
+        return this;
+    }
+
+    /**
+     * Тонирование: изображение умножается на цвет. В WebGL цвет задаётся вершинам,
+     * в Canvas2D копия для каждого цвета создаётся один раз и общая для всех спрайтов
+     * с этим изображением.
+     * @param {string|null} color
+     * @returns {Sprite}
+     */
+    setTint(color) {
+        this.tint = color;
+        return this;
+    }
+
+    /**
+     * Рисовать часть изображения
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     * @returns {Sprite}
+     */
+    setSourceRect(x, y, width, height) {
+        this.frame = { x, y, width, height };
+        return this;
+    }
+
+    /**
+     * Рисовать кадр: {x, y, width, height} (например, AnimationController.getCurrentFrame())
+     * или кадр SpriteSheet с обрезкой и поворотом
+     * @param {Object|null} frame - null — всё изображение
+     * @returns {Sprite}
+     */
+    setFrame(frame) {
+        this.frame = frame || null;
+        return this;
+    }
+
+    /**
+     * Удалить тонированные копии изображения (после его перерисовки)
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     */
+    static clearTintCache(image) {
+        tintCache.delete(image);
+    }
+}
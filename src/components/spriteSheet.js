@@ -0,0 +1,278 @@
+// Спрайт-листы: именованные кадры из JSON TexturePacker и Aseprite
+import { Animation, AnimationDirection } from './animation.js';
+import { loadImage, loadJSON } from '../utils/loader.js';
+
+/**
+ * Нарисовать кадр изображения с учётом обрезки и поворота в атласе.
+ * Простые кадры {x, y, width, height} рисуются как прямоугольник источника.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLImageElement|HTMLCanvasElement} image
+ * @param {Object} f - кадр (см. SpriteSheet.createFrame)
+ * @param {number} x - левый верхний угол исходного (необрезанного) кадра
+ * @param {number} y
+ * @param {number} width - ширина исходного кадра на экране (по умолчанию sourceWidth)
+ * @param {number} height
+ */
+export function drawFrameImage(ctx, image, f, x, y, width, height) {
+    const sourceWidth = f.sourceWidth || f.width;
+    const sourceHeight = f.sourceHeight || f.height;
+    const scaleX = width !== undefined ? width / sourceWidth : 1;
+    const scaleY = height !== undefined ? height / sourceHeight : 1;
+    const dx = x + (f.offsetX || 0) * scaleX;
+    const dy = y + (f.offsetY || 0) * scaleY;
+    const dw = f.width * scaleX;
+    const dh = f.height * scaleY;
+
+    if (!f.rotated) {
+        ctx.drawImage(image, f.x, f.y, f.width, f.height, dx, dy, dw, dh);
+        return;
+    }
+    // В атласе кадр повёрнут на 90° по часовой стрелке: поворачиваем обратно
+    ctx.save();
+    ctx.translate(dx, dy + dh);
+    ctx.rotate(-Math.PI / 2);
+    ctx.drawImage(image, f.x, f.y, f.height, f.width, 0, 0, dh, dw);
+    ctx.restore();
+}
+
+export class SpriteSheet {
+    /**
+     * @param {HTMLImageElement|HTMLCanvasElement} image - изображение атласа
+     * @param {Array<Object>} frames - кадры (см. SpriteSheet.createFrame)
+     * @param {Array<Object>} tags - теги анимаций [{name, from, to, direction}]
+     */
+    constructor(image, frames = [], tags = []) {
+        this.image = image;
+        // Кадры по имени и в порядке файла (индексы тегов ссылаются на этот порядок)
+        this.frames = new Map();
+        this.frameList = [];
+        frames.forEach(frame => this.addFrame(frame));
+        this.tags = new Map(tags.map(tag => [tag.name, tag]));
+    }
+
+    /**
+     * @param {Object} frame
+     */
+    addFrame(frame) {
+        if (this.frames.has(frame.name)) {
+            throw new Error(`Sprite sheet already has a frame "${frame.name}"`);
+        }
+        this.frames.set(frame.name, frame);
+        this.frameList.push(frame);
+    }
+
+    /**
+     * Кадр по имени или индексу
+     * @param {string|number} nameOrIndex
+     * @returns {Object}
+     */
+    getFrame(nameOrIndex) {
+        const frame = typeof nameOrIndex === 'number'
+            ? this.frameList[nameOrIndex]
+            : this.frames.get(nameOrIndex);
+        if (!frame) {
+            throw new Error(`Sprite sheet has no frame "${nameOrIndex}"`);
+        }
+        return frame;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    hasFrame(name) {
+        return this.frames.has(name);
+    }
+
+    /**
+     * @returns {Array<string>} - имена кадров в порядке файла
+     */
+    getFrameNames() {
+        return this.frameList.map(frame => frame.name);
+    }
+
+    /**
+     * Кадры, имена которых начинаются с префикса, в естественном порядке
+     * ('walk_2' раньше 'walk_10')
+     * @param {string} prefix
+     * @returns {Array<Object>}
+     */
+    getFramesByPrefix(prefix) {
+        return this.frameList
+            .filter(frame => frame.name.startsWith(prefix))
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    }
+
+    /**
+     * Создать анимацию из кадров
+     * @param {string} name
+     * @param {Array<string|number>|string} frames - имена или индексы кадров либо префикс имён
+     * @param {number} frameRate - для кадров без собственной длительности
+     * @param {boolean} loop
+     * @param {Object} options - { direction }
+     * @returns {Animation}
+     */
+    createAnimation(name, frames, frameRate = 12, loop = true, options = {}) {
+        const list = typeof frames === 'string'
+            ? this.getFramesByPrefix(frames)
+            : frames.map(frame => this.getFrame(frame));
+        if (list.length === 0) {
+            throw new Error(`Animation "${name}" has no frames`);
+        }
+        return new Animation(name, list, frameRate, loop, options);
+    }
+
+    /**
+     * Анимация по тегу (Aseprite)
+     * @param {string} tagName
+     * @param {Object} options - { loop, frameRate }
+     * @returns {Animation}
+     */
+    getAnimation(tagName, options = {}) {
+        const tag = this.tags.get(tagName);
+        if (!tag) {
+            throw new Error(`Sprite sheet has no tag "${tagName}"`);
+        }
+        const { loop = true, frameRate = 12 } = options;
+        let frames = this.frameList.slice(tag.from, tag.to + 1);
+        let direction = tag.direction;
+        // pingpong_reverse: pingpong, начиная с последнего кадра
+        if (direction === 'pingpong_reverse') {
+            frames = frames.reverse();
+            direction = AnimationDirection.PINGPONG;
+        }
+        return new Animation(tag.name, frames, frameRate, loop, { direction });
+    }
+
+    /**
+     * Анимации для всех тегов
+     * @param {Object} options - { loop, frameRate }
+     * @returns {Array<Animation>}
+     */
+    createAnimations(options = {}) {
+        return [...this.tags.keys()].map(name => this.getAnimation(name, options));
+    }
+
+    /**
+     * Нарисовать кадр с учётом обрезки и поворота в атласе.
+     * (x, y) — левый верхний угол исходного (необрезанного) кадра
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {string|number|Object} frame - кадр, его имя или индекс
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width - ширина исходного кадра на экране (по умолчанию sourceWidth)
+     * @param {number} height - высота исходного кадра на экране
+     */
+    drawFrame(ctx, frame, x, y, width, height) {
+        const f = typeof frame === 'object' ? frame : this.getFrame(frame);
+        drawFrameImage(ctx, this.image, f, x, y, width, height);
+    }
+
+    /**
+     * Разобрать JSON TexturePacker или Aseprite (формат определяется по meta)
+     * @param {Object} json
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     * @returns {SpriteSheet}
+     */
+    static parse(json, image) {
+        const meta = json.meta || {};
+        const isAseprite = Array.isArray(meta.frameTags) || /aseprite/i.test(meta.app || '');
+        return isAseprite ? SpriteSheet.fromAseprite(json, image) : SpriteSheet.fromTexturePacker(json, image);
+    }
+
+    /**
+     * JSON TexturePacker (формат «JSON Hash» или «JSON Array»)
+     * @param {Object} json
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     * @returns {SpriteSheet}
+     */
+    static fromTexturePacker(json, image) {
+        return new SpriteSheet(image, SpriteSheet._parseFrames(json));
+    }
+
+    /**
+     * JSON Aseprite (hash или array): длительности кадров и теги
+     * @param {Object} json
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     * @returns {SpriteSheet}
+     */
+    static fromAseprite(json, image) {
+        const frames = SpriteSheet._parseFrames(json);
+        const tags = ((json.meta && json.meta.frameTags) || []).map(tag => {
+            if (tag.from < 0 || tag.to >= frames.length || tag.from > tag.to) {
+                throw new RangeError(`Tag "${tag.name}" refers to missing frames ${tag.from}-${tag.to}`);
+            }
+            return { name: tag.name, from: tag.from, to: tag.to, direction: tag.direction || AnimationDirection.FORWARD };
+        });
+        return new SpriteSheet(image, frames, tags);
+    }
+
+    /**
+     * Загрузить JSON и изображение (по meta.image относительно JSON, если не указано)
+     * @param {string} url - URL файла JSON
+     * @param {string|HTMLImageElement} image - URL или готовое изображение
+     * @returns {Promise<SpriteSheet>}
+     */
+    static async load(url, image = null) {
+        const json = await loadJSON(url);
+        let source = image;
+        if (!source) {
+            if (!json.meta || !json.meta.image) {
+                throw new Error(`Sprite sheet ${url} does not name its image`);
+            }
+            source = url.slice(0, url.lastIndexOf('/') + 1) + json.meta.image;
+        }
+        if (typeof source === 'string') {
+            source = await loadImage(source);
+        }
+        return SpriteSheet.parse(json, source);
+    }
+
+    /**
+     * Кадр из записи JSON: {frame, rotated, trimmed, spriteSourceSize, sourceSize, pivot, duration}
+     * @param {string} name
+     * @param {Object} data
+     * @returns {Object} - {name, x, y, width, height, rotated, trimmed, offsetX, offsetY,
+     *     sourceWidth, sourceHeight, pivotX, pivotY, duration}
+     */
+    static createFrame(name, data) {
+        const { frame, rotated = false, trimmed = false } = data;
+        if (!frame) {
+            throw new Error(`Frame "${name}" has no "frame" rectangle`);
+        }
+        const spriteSource = data.spriteSourceSize || { x: 0, y: 0, w: frame.w, h: frame.h };
+        const sourceSize = data.sourceSize || { w: frame.w, h: frame.h };
+        const pivot = data.pivot || { x: 0.5, y: 0.5 };
+        return {
+            name,
+            x: frame.x,
+            y: frame.y,
+            // Размер кадра до поворота в атласе
+            width: frame.w,
+            height: frame.h,
+            rotated: !!rotated,
+            trimmed: !!trimmed,
+            // Положение обрезанного кадра внутри исходного
+            offsetX: spriteSource.x,
+            offsetY: spriteSource.y,
+            sourceWidth: sourceSize.w,
+            sourceHeight: sourceSize.h,
+            pivotX: pivot.x,
+            pivotY: pivot.y,
+            duration: data.duration
+        };
+    }
+
+    /**
+     * @private
+     */
+    static _parseFrames(json) {
+        if (!json || !json.frames) {
+            throw new Error('Sprite sheet JSON has no "frames"');
+        }
+        if (Array.isArray(json.frames)) {
+            return json.frames.map((data, i) => SpriteSheet.createFrame(data.filename || String(i), data));
+        }
+        return Object.entries(json.frames).map(([name, data]) => SpriteSheet.createFrame(name, data));
+    }
+}
@@ -0,0 +1,396 @@
+// Текст: веб-шрифты и растровые шрифты BMFont с переносом строк и выравниванием
+import { BitmapFont } from './bitmapFont.js';
+import { createCanvas, canCreateCanvas } from '../utils/canvas.js';
+
+export const TextAlign = {
+    LEFT: 'left',
+    CENTER: 'center',
+    RIGHT: 'right'
+};
+
+const DEFAULT_STYLE = {
+    font: 'sans-serif',
+    fontSize: 16,
+    fontStyle: '',
+    color: '#ffffff',
+    stroke: null,
+    strokeWidth: 0,
+    align: TextAlign.LEFT,
+    wordWrap: 0,
+    lineHeight: null,
+    letterSpacing: 0,
+    originX: 0,
+    originY: 0
+};
+
+// Контекст для измерения веб-шрифтов и кэш ширин по шрифту
+let measureContext;
+const widthCache = new Map();
+const MAX_CACHED_WIDTHS = 1000;
+
+/**
+ * Контекст для measureText (null, если холста нет, например в тестах)
+ * @private
+ */
+function getMeasureContext() {
+    if (measureContext === undefined) {
+        measureContext = null;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            measureContext = new OffscreenCanvas(1, 1).getContext('2d');
+        } else if (typeof document !== 'undefined') {
+            measureContext = document.createElement('canvas').getContext('2d');
+        }
+    }
+    return measureContext;
+}
+
+export class Text {
+    /**
+     * @param {string} text
+     * @param {number} x - левый край блока текста (с учётом originX)
+     * @param {number} y - верхний край блока (с учётом originY)
+     * @param {Object} style
+     * @param {string|BitmapFont} style.font - семейство веб-шрифта или BitmapFont
+     * @param {number} style.fontSize - размер (px); BitmapFont масштабируется от своего размера
+     * @param {string} style.fontStyle - 'bold', 'italic' и т.п. (веб-шрифты)
+     * @param {string} style.color - цвет заливки (веб-шрифты)
+     * @param {string} style.stroke - цвет обводки (веб-шрифты)
+     * @param {number} style.strokeWidth
+     * @param {string} style.align - 'left', 'center' или 'right' внутри блока
+     * @param {number} style.wordWrap - ширина переноса по словам (0 — без переноса)
+     * @param {number} style.lineHeight - высота строки (px); по умолчанию из шрифта
+     * @param {number} style.letterSpacing - дополнительный интервал между символами (px)
+     * @param {number} style.originX - точка привязки по ширине блока (0 — слева, 0.5 — центр)
+     * @param {number} style.originY - точка привязки по высоте блока
+     */
+    constructor(text = '', x = 0, y = 0, style = {}) {
+        this.x = x;
+        this.y = y;
+        this.opacity = 1;
+        this.visible = true;
+        // Плотность растра веб-шрифта (2 — чёткий текст при двукратном масштабе холста)
+        this.resolution = 1;
+        this._text = String(text);
+        this.style = { ...DEFAULT_STYLE };
+        this.layout = null;
+        // Растр веб-шрифта: холст растёт, но не уменьшается, чтобы не пересоздавать текстуру
+        this.raster = { canvas: null, layout: null, resolution: 0, width: 0, height: 0, padding: 0 };
+        this.setStyle(style);
+    }
+
+    get text() { return this._text; }
+    set text(value) { this.setText(value); }
+
+    /**
+     * @param {string|number} text
+     * @returns {Text}
+     */
+    setText(text) {
+        const value = String(text);
+        if (value !== this._text) {
+            this._text = value;
+            this.layout = null;
+        }
+        return this;
+    }
+
+    /**
+     * Изменить часть стиля
+     * @param {Object} style
+     * @returns {Text}
+     */
+    setStyle(style) {
+        if (style.align !== undefined && !Object.values(TextAlign).includes(style.align)) {
+            throw new RangeError(`Unknown text align "${style.align}"`);
+        }
+        Object.assign(this.style, style);
+        this.layout = null;
+        return this;
+    }
+
+    /**
+     * Сбросить раскладку и ширины символов шрифта (например, после загрузки веб-шрифта)
+     */
+    invalidate() {
+        this.layout = null;
+        if (!this.isBitmap()) widthCache.delete(this.getCSSFont());
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isBitmap() {
+        return this.style.font instanceof BitmapFont;
+    }
+
+    /**
+     * Строка CSS-шрифта для веб-шрифтов
+     * @returns {string}
+     */
+    getCSSFont() {
+        const { fontStyle, fontSize, font } = this.style;
+        return `${fontStyle} ${fontSize}px ${font}`.trim();
+    }
+
+    get width() { return this.getLayout().width; }
+    get height() { return this.getLayout().height; }
+
+    /**
+     * Раскладка текста (кэшируется до изменения текста или стиля)
+     * @returns {{lines: Array<Object>, width: number, height: number, lineHeight: number}}
+     */
+    getLayout() {
+        if (!this.layout) {
+            this.layout = this._computeLayout();
+        }
+        return this.layout;
+    }
+
+    /**
+     * Границы блока текста
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getBounds() {
+        const { width, height } = this.getLayout();
+        return {
+            x: this.x - width * this.style.originX,
+            y: this.y - height * this.style.originY,
+            width,
+            height
+        };
+    }
+
+    draw(context) {
+        if (!this.visible || this._text.length === 0) return;
+        const layout = this.getLayout();
+        const bounds = this.getBounds();
+
+        context.save();
+        context.globalAlpha *= this.opacity;
+        if (this.isBitmap()) {
+            this._drawBitmap(context, layout, bounds.x, bounds.y);
+        } else {
+            this._drawWebFont(context, layout, bounds.x, bounds.y);
+        }
+        context.restore();
+    }
+
+    /**
+     * Веб-шрифт рисуется один раз во внеэкранный холст и дальше выводится через drawImage,
+     * поэтому работает и на WebGL, где fillText не поддерживается
+     * @private
+     */
+    _drawWebFont(context, layout, left, top) {
+        if (!canCreateCanvas()) {
+            this._fillWebFont(context, layout, left, top);
+            return;
+        }
+        const raster = this._getRaster(context, layout);
+        const { canvas, resolution, width, height, padding } = raster;
+        context.drawImage(
+            canvas, 0, 0, width, height,
+            left - padding, top - padding, width / resolution, height / resolution
+        );
+    }
+
+    /**
+     * Растр текста; перерисовывается, только если изменилась раскладка
+     * @private
+     */
+    _getRaster(context, layout) {
+        const raster = this.raster;
+        const resolution = this.resolution;
+        if (raster.layout === layout && raster.resolution === resolution) return raster;
+
+        // Поля под обводку и выносные элементы глифов
+        const padding = Math.ceil(this.style.strokeWidth / 2 + this.style.fontSize * 0.2);
+        const width = Math.max(1, Math.ceil((layout.width + padding * 2) * resolution));
+        const height = Math.max(1, Math.ceil((layout.height + padding * 2) * resolution));
+
+        let reused = false;
+        if (raster.canvas && raster.canvas.width >= width && raster.canvas.height >= height) {
+            reused = true;
+        } else {
+            if (raster.canvas && typeof context.releaseTexture === 'function') {
+                context.releaseTexture(raster.canvas);
+            }
+            raster.canvas = createCanvas(
+                Math.max(width, raster.canvas ? raster.canvas.width : 0),
+                Math.max(height, raster.canvas ? raster.canvas.height : 0)
+            );
+        }
+
+        const ctx = raster.canvas.getContext('2d');
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, raster.canvas.width, raster.canvas.height);
+        ctx.save();
+        ctx.setTransform(resolution, 0, 0, resolution, 0, 0);
+        this._fillWebFont(ctx, layout, padding, padding);
+        ctx.restore();
+        if (reused && typeof context.updateTexture === 'function') context.updateTexture(raster.canvas);
+
+        Object.assign(raster, { layout, resolution, width, height, padding });
+        return raster;
+    }
+
+    /**
+     * @private
+     */
+    _fillWebFont(context, layout, left, top) {
+        const { color, stroke, strokeWidth } = this.style;
+        context.font = this.getCSSFont();
+        context.textAlign = 'left';
+        context.textBaseline = 'top';
+        context.fillStyle = color;
+        if (this.style.letterSpacing) context.letterSpacing = `${this.style.letterSpacing}px`;
+        if (stroke && strokeWidth > 0) {
+            context.strokeStyle = stroke;
+            context.lineWidth = strokeWidth;
+        }
+        for (const line of layout.lines) {
+            if (stroke && strokeWidth > 0) context.strokeText(line.text, left + line.x, top + line.y);
+            context.fillText(line.text, left + line.x, top + line.y);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _drawBitmap(context, layout, left, top) {
+        const font = this.style.font;
+        const scale = layout.scale;
+        for (const line of layout.lines) {
+            for (const { glyph, x } of line.glyphs) {
+                if (glyph.width === 0 || glyph.height === 0) continue;
+                const page = font.pages[glyph.page];
+                if (!page) continue;
+                context.drawImage(
+                    page,
+                    glyph.x, glyph.y, glyph.width, glyph.height,
+                    left + line.x + (x + glyph.xoffset) * scale,
+                    top + line.y + glyph.yoffset * scale,
+                    glyph.width * scale,
+                    glyph.height * scale
+                );
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _computeLayout() {
+        const { align, wordWrap, letterSpacing } = this.style;
+        const bitmap = this.isBitmap();
+        const font = this.style.font;
+        const scale = bitmap ? this.style.fontSize / font.size : 1;
+        const lineHeight = this.style.lineHeight
+            || (bitmap ? font.lineHeight * scale : this.style.fontSize * 1.2);
+        const measure = bitmap
+            ? text => font.measure(text, letterSpacing / scale) * scale
+            : this._webFontMeasure();
+
+        const texts = [];
+        for (const paragraph of this._text.split(/\r?\n/)) {
+            if (wordWrap > 0) {
+                texts.push(...this._wrap(paragraph, wordWrap, measure));
+            } else {
+                texts.push(paragraph);
+            }
+        }
+
+        const lines = texts.map((text, i) => ({
+            text,
+            width: measure(text),
+            x: 0,
+            y: i * lineHeight,
+            glyphs: bitmap ? this._placeGlyphs(text, letterSpacing / scale) : null
+        }));
+        const contentWidth = lines.reduce((max, line) => Math.max(max, line.width), 0);
+        // Выравнивание внутри ширины переноса или самой длинной строки
+        const blockWidth = wordWrap > 0 ? Math.max(wordWrap, contentWidth) : contentWidth;
+        const factor = align === TextAlign.CENTER ? 0.5 : align === TextAlign.RIGHT ? 1 : 0;
+        lines.forEach(line => { line.x = (blockWidth - line.width) * factor; });
+
+        return { lines, width: blockWidth, height: lines.length * lineHeight, lineHeight, scale };
+    }
+
+    /**
+     * Перенос по словам; слишком длинные слова разбиваются по символам
+     * @private
+     */
+    _wrap(paragraph, maxWidth, measure) {
+        const lines = [];
+        let current = '';
+        for (const word of paragraph.split(' ')) {
+            const candidate = current.length > 0 ? `${current} ${word}` : word;
+            if (measure(candidate) <= maxWidth) {
+                current = candidate;
+                continue;
+            }
+            if (current.length > 0) lines.push(current);
+            current = '';
+            // Слово не помещается даже в пустую строку
+            let rest = word;
+            while (measure(rest) > maxWidth && rest.length > 1) {
+                let cut = 1;
+                const chars = Array.from(rest);
+                while (cut < chars.length && measure(chars.slice(0, cut + 1).join('')) <= maxWidth) cut++;
+                lines.push(chars.slice(0, cut).join(''));
+                rest = chars.slice(cut).join('');
+            }
+            current = rest;
+        }
+        lines.push(current);
+        return lines;
+    }
+
+    /**
+     * Позиции глифов строки растрового шрифта (в пикселях шрифта)
+     * @private
+     */
+    _placeGlyphs(text, letterSpacing) {
+        const font = this.style.font;
+        const glyphs = [];
+        let x = 0;
+        let previous = null;
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            const glyph = font.getGlyph(code);
+            if (!glyph) continue;
+            if (previous !== null) x += font.getKerning(previous, code) + letterSpacing;
+            glyphs.push({ glyph, x });
+            x += glyph.xadvance;
+            previous = code;
+        }
+        return glyphs;
+    }
+
+    /**
+     * Функция измерения для веб-шрифта (ширины кэшируются по шрифту)
+     * @private
+     */
+    _webFontMeasure() {
+        const cssFont = this.getCSSFont();
+        const { letterSpacing, fontSize } = this.style;
+        if (!widthCache.has(cssFont)) widthCache.set(cssFont, new Map());
+        const cache = widthCache.get(cssFont);
+        const ctx = getMeasureContext();
+        return text => {
+            let width = cache.get(text);
+            if (width === undefined) {
+                if (ctx) {
+                    ctx.font = cssFont;
+                    width = ctx.measureText(text).width;
+                } else {
+                    // Без холста — оценка, как у StubContext
+                    width = text.length * fontSize * 0.5;
+                }
+                // Меняющийся текст (счётчики) не должен раздувать кэш
+                if (cache.size >= MAX_CACHED_WIDTHS) cache.clear();
+                cache.set(text, width);
+            }
+            return width + Math.max(0, Array.from(text).length - 1) * letterSpacing;
+        };
+    }
+}
@@ -1,4 +1,6 @@
 // Система тайловых карт для создания уровней
+import { createCanvas, canCreateCanvas } from '../utils/canvas.js';
+
 export class Tilemap {
     /**
      * @param {number} tileWidth - ширина тайла
@@ -21,6 +23,18 @@ export class Tilemap {
         
         // Коллизии
         this.collisionTiles = new Set();
+
+        // Растёт при каждом изменении тайлов или коллизий (для кэшей, зависящих от карты)
+        this.version = 0;
+        this.collisionEdges = null;
+        this.collisionEdgesVersion = -1;
+
+        // Статичные слои рисуются заранее в куски-холсты примерно такого размера (px)
+        this.chunkSize = 512;
+        // Сколько кусков слоя держать в кэше: давно не видимые сверх этого освобождаются
+        this.maxChunks = 64;
+        // Холсты удалённых кусков: их текстуры WebGL освобождаются при следующей отрисовке
+        this.releasedChunks = [];
     }
 
     /**
@@ -31,6 +45,16 @@ export class Tilemap {
     setTileset(image, cols) {
         this.tileset = image;
         this.tilesetCols = cols;
+        this.clearCache();
+    }
+
+    /**
+     * Сменить размер кусков кэша (кэш сбрасывается)
+     * @param {number} size - px
+     */
+    setChunkSize(size) {
+        this.chunkSize = size;
+        this.clearCache();
     }
 
     /**
@@ -41,7 +65,7 @@ export class Tilemap {
      */
     createLayer(name, zIndex = 0) {
         const data = new Array(this.rows * this.cols).fill(-1);
-        this.layers.set(name, { data, zIndex, visible: true });
+        this._setLayer(name, { data, zIndex, visible: true, cache: true, chunks: new Map() });
         return data;
     }
 
@@ -52,7 +76,40 @@ export class Tilemap {
      * @param {number} zIndex - порядок отрисовки
      */
     loadLayer(name, data, zIndex = 0) {
-        this.layers.set(name, { data: [...data], zIndex, visible: true });
+        this._setLayer(name, { data: [...data], zIndex, visible: true, cache: true, chunks: new Map() });
+    }
+
+    /**
+     * Включить или отключить кэш слоя. Слои, которые меняются почти каждый кадр
+     * (анимированная вода, разрушаемые стены), выгоднее рисовать по тайлам.
+     * @param {string} name - имя слоя
+     * @param {boolean} enabled
+     */
+    setLayerCache(name, enabled) {
+        const layer = this.layers.get(name);
+        if (!layer) return;
+        layer.cache = enabled;
+        if (!enabled) this._releaseChunks(layer);
+    }
+
+    /**
+     * Перерисовать кэш слоя (или всех слоёв) — нужно после прямой записи в массив данных слоя
+     * @param {string} name - имя слоя; без имени — все слои
+     */
+    invalidateLayer(name = null) {
+        const layers = name === null ? [...this.layers.values()] : [this.layers.get(name)];
+        for (const layer of layers) {
+            if (!layer) continue;
+            layer.chunks.forEach(chunk => { chunk.dirty = true; });
+        }
+        this.version++;
+    }
+
+    /**
+     * Удалить все куски кэша
+     */
+    clearCache() {
+        this.layers.forEach(layer => this._releaseChunks(layer));
     }
 
     /**
@@ -66,6 +123,10 @@ export class Tilemap {
         const layerData = this.layers.get(layer);
         if (layerData && col >= 0 && col < this.cols && row >= 0 && row < this.rows) {
             layerData.data[row * this.cols + col] = tileId;
+            this.version++;
+            const { chunkCols, chunkRows } = this._getChunkTiles();
+            const chunk = layerData.chunks.get(`${Math.floor(col / chunkCols)},${Math.floor(row / chunkRows)}`);
+            if (chunk) chunk.dirty = true;
         }
     }
 
@@ -103,6 +164,7 @@ export class Tilemap {
      */
     setCollisionTiles(tileIds) {
         this.collisionTiles = new Set(tileIds);
+        this.version++;
     }
 
     /**
@@ -135,6 +197,61 @@ export class Tilemap {
         return false;
     }
 
+    /**
+     * Границы между твёрдыми и свободными клетками (например, для теней).
+     * Соседние рёбра на одной линии объединяются; край карты считается стеной.
+     * Результат кэшируется до изменения карты.
+     * @returns {Array<{x1: number, y1: number, x2: number, y2: number}>} - в мировых координатах
+     */
+    getCollisionEdges() {
+        if (this.collisionEdgesVersion === this.version) {
+            return this.collisionEdges;
+        }
+        const solid = new Uint8Array(this.cols * this.rows);
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                solid[row * this.cols + col] = this.checkCollision(
+                    col * this.tileWidth, row * this.tileHeight
+                ) ? 1 : 0;
+            }
+        }
+        // За границами карты — стена
+        const isSolid = (col, row) => col < 0 || col >= this.cols || row < 0 || row >= this.rows
+            || solid[row * this.cols + col] === 1;
+
+        const edges = [];
+        const tw = this.tileWidth;
+        const th = this.tileHeight;
+        // Горизонтальные рёбра: между строками row - 1 и row
+        for (let row = 0; row <= this.rows; row++) {
+            let start = -1;
+            for (let col = 0; col <= this.cols; col++) {
+                const edge = col < this.cols && isSolid(col, row - 1) !== isSolid(col, row);
+                if (edge && start === -1) start = col;
+                if (!edge && start !== -1) {
+                    edges.push({ x1: start * tw, y1: row * th, x2: col * tw, y2: row * th });
+                    start = -1;
+                }
+            }
+        }
+        // Вертикальные рёбра: между колонками col - 1 и col
+        for (let col = 0; col <= this.cols; col++) {
+            let start = -1;
+            for (let row = 0; row <= this.rows; row++) {
+                const edge = row < this.rows && isSolid(col - 1, row) !== isSolid(col, row);
+                if (edge && start === -1) start = row;
+                if (!edge && start !== -1) {
+                    edges.push({ x1: col * tw, y1: start * th, x2: col * tw, y2: row * th });
+                    start = -1;
+                }
+            }
+        }
+
+        this.collisionEdges = edges;
+        this.collisionEdgesVersion = this.version;
+        return edges;
+    }
+
     /**
      * Проверить коллизию прямоугольника
      * @param {number} x 
@@ -162,53 +279,41 @@ export class Tilemap {
     /**
      * Отрисовать карту
      * @param {CanvasRenderingContext2D} ctx - контекст канваса
-     * @param {Object} camera - камера {x, y, width, height}
+     * @param {Camera|Object|number} camera - Camera, уже применённая к контексту (только отсечение),
+     *     или {x, y, width, height} — карта сдвигается на -x, -y. В сцене вызывается как draw(ctx, alpha, camera).
+     * @param {Camera} sceneCamera - камера сцены, если вторым аргументом передан alpha
      */
-    draw(ctx, camera = null) {
+    draw(ctx, camera = null, sceneCamera = null) {
         if (!this.tileset) return;
+        if (typeof camera === 'number') camera = sceneCamera;
 
-        // Сортировка слоёв по zIndex
-        const sortedLayers = [...this.layers.entries()]
-            .sort((a, b) => a[1].zIndex - b[1].zIndex);
-
-        // Определить видимую область
-        let startCol = 0, endCol = this.cols;
-        let startRow = 0, endRow = this.rows;
-
-        if (camera) {
-            startCol = Math.max(0, Math.floor(camera.x / this.tileWidth));
-            endCol = Math.min(this.cols, Math.ceil((camera.x + camera.width) / this.tileWidth));
-            startRow = Math.max(0, Math.floor(camera.y / this.tileHeight));
-            endRow = Math.min(this.rows, Math.ceil((camera.y + camera.height) / this.tileHeight));
+        this._flushReleasedChunks(ctx);
+
+        // Видимая область в мировых координатах и сдвиг на экран
+        let view = null;
+        let offsetX = 0;
+        let offsetY = 0;
+        if (camera && typeof camera.getWorldBounds === 'function') {
+            view = camera.getWorldBounds();
+        } else if (camera) {
+            view = camera;
+            offsetX = -camera.x;
+            offsetY = -camera.y;
         }
 
-        for (const [name, layer] of sortedLayers) {
-            if (!layer.visible) continue;
+        // Сортировка слоёв по zIndex
+        const sortedLayers = [...this.layers.values()]
+            .sort((a, b) => a.zIndex - b.zIndex);
+        // Пока тайлсет не загружен, в кэш попали бы пустые куски. Без внеэкранных
+        // холстов (headless без DOM) тайлы рисуются по одному
+        const cacheable = (this.tileset.naturalWidth || this.tileset.width) > 0 && canCreateCanvas();
 
-            for (let row = startRow; row < endRow; row++) {
-                for (let col = startCol; col < endCol; col++) {
-                    const tileId = layer.data[row * this.cols + col];
-                    if (tileId < 0) continue;
-
-                    // Позиция тайла в тайлсете
-                    const srcX = (tileId % this.tilesetCols) * this.tileWidth;
-                    const srcY = Math.floor(tileId / this.tilesetCols) * this.tileHeight;
-
-                    // Позиция на экране
-                    let destX = col * this.tileWidth;
-                    let destY = row * this.tileHeight;
-
-                    if (camera) {
-                        destX -= camera.x;
-                        destY -= camera.y;
-                    }
-
-                    ctx.drawImage(
-                        this.tileset,
-                        srcX, srcY, this.tileWidth, this.tileHeight,
-                        destX, destY, this.tileWidth, this.tileHeight
-                    );
-                }
+        for (const layer of sortedLayers) {
+            if (!layer.visible) continue;
+            if (layer.cache && cacheable) {
+                this._drawLayerChunks(ctx, layer, view, offsetX, offsetY);
+            } else {
+                this._drawLayerTiles(ctx, layer, view, offsetX, offsetY);
             }
         }
     }
@@ -234,7 +339,8 @@ export class Tilemap {
             layers[name] = {
                 data: layer.data,
                 zIndex: layer.zIndex,
-                visible: layer.visible
+                visible: layer.visible,
+                cache: layer.cache
             };
         });
 
@@ -264,6 +370,7 @@ export class Tilemap {
         for (const [name, layer] of Object.entries(json.layers)) {
             tilemap.loadLayer(name, layer.data, layer.zIndex);
             tilemap.layers.get(name).visible = layer.visible;
+            if (layer.cache === false) tilemap.setLayerCache(name, false);
         }
 
         if (json.collisionTiles) {
@@ -272,4 +379,171 @@ export class Tilemap {
 
         return tilemap;
     }
+
+    /**
+     * @private
+     */
+    _setLayer(name, layer) {
+        const previous = this.layers.get(name);
+        if (previous) this._releaseChunks(previous);
+        this.layers.set(name, layer);
+        this.version++;
+    }
+
+    /**
+     * Размер куска в тайлах (не меньше одного тайла)
+     * @private
+     */
+    _getChunkTiles() {
+        return {
+            chunkCols: Math.max(1, Math.floor(this.chunkSize / this.tileWidth)),
+            chunkRows: Math.max(1, Math.floor(this.chunkSize / this.tileHeight))
+        };
+    }
+
+    /**
+     * Диапазон тайлов, попадающих в видимую область
+     * @private
+     */
+    _getVisibleRange(view) {
+        if (!view) return { startCol: 0, endCol: this.cols, startRow: 0, endRow: this.rows };
+        return {
+            startCol: Math.max(0, Math.floor(view.x / this.tileWidth)),
+            endCol: Math.min(this.cols, Math.ceil((view.x + view.width) / this.tileWidth)),
+            startRow: Math.max(0, Math.floor(view.y / this.tileHeight)),
+            endRow: Math.min(this.rows, Math.ceil((view.y + view.height) / this.tileHeight))
+        };
+    }
+
+    /**
+     * Нарисовать видимые тайлы слоя по одному
+     * @private
+     */
+    _drawLayerTiles(ctx, layer, view, offsetX, offsetY) {
+        const { startCol, endCol, startRow, endRow } = this._getVisibleRange(view);
+        for (let row = startRow; row < endRow; row++) {
+            for (let col = startCol; col < endCol; col++) {
+                this._drawTile(ctx, layer.data[row * this.cols + col],
+                    col * this.tileWidth + offsetX, row * this.tileHeight + offsetY);
+            }
+        }
+    }
+
+    /**
+     * Нарисовать видимые куски слоя, перерисовав изменённые
+     * @private
+     */
+    _drawLayerChunks(ctx, layer, view, offsetX, offsetY) {
+        const { startCol, endCol, startRow, endRow } = this._getVisibleRange(view);
+        if (startCol >= endCol || startRow >= endRow) return;
+        const { chunkCols, chunkRows } = this._getChunkTiles();
+        let visible = 0;
+
+        for (let cy = Math.floor(startRow / chunkRows); cy <= Math.floor((endRow - 1) / chunkRows); cy++) {
+            for (let cx = Math.floor(startCol / chunkCols); cx <= Math.floor((endCol - 1) / chunkCols); cx++) {
+                const key = `${cx},${cy}`;
+                let chunk = layer.chunks.get(key);
+                if (!chunk) {
+                    chunk = { canvas: null, empty: true, dirty: true };
+                } else {
+                    layer.chunks.delete(key);
+                }
+                // Порядок Map — порядок использования: видимые куски уходят в конец
+                layer.chunks.set(key, chunk);
+                visible++;
+                if (chunk.dirty) this._renderChunk(ctx, layer, chunk, cx * chunkCols, cy * chunkRows, chunkCols, chunkRows);
+                if (chunk.empty) continue;
+
+                ctx.drawImage(
+                    chunk.canvas,
+                    cx * chunkCols * this.tileWidth + offsetX, cy * chunkRows * this.tileHeight + offsetY,
+                    chunk.canvas.width, chunk.canvas.height
+                );
+            }
+        }
+
+        this._evictChunks(layer, Math.max(this.maxChunks, visible));
+    }
+
+    /**
+     * Освободить давно не видимые куски слоя сверх лимита
+     * @private
+     */
+    _evictChunks(layer, limit) {
+        for (const [key, chunk] of layer.chunks) {
+            if (layer.chunks.size <= limit) break;
+            if (chunk.canvas) this.releasedChunks.push(chunk.canvas);
+            layer.chunks.delete(key);
+        }
+    }
+
+    /**
+     * Нарисовать тайлы куска в его холст
+     * @private
+     */
+    _renderChunk(ctx, layer, chunk, firstCol, firstRow, chunkCols, chunkRows) {
+        const cols = Math.min(chunkCols, this.cols - firstCol);
+        const rows = Math.min(chunkRows, this.rows - firstRow);
+        chunk.dirty = false;
+
+        let empty = true;
+        for (let row = firstRow; row < firstRow + rows && empty; row++) {
+            for (let col = firstCol; col < firstCol + cols; col++) {
+                if (layer.data[row * this.cols + col] >= 0) {
+                    empty = false;
+                    break;
+                }
+            }
+        }
+        chunk.empty = empty;
+        if (empty) return;
+
+        if (!chunk.canvas) chunk.canvas = createCanvas(cols * this.tileWidth, rows * this.tileHeight);
+        const chunkContext = chunk.canvas.getContext('2d');
+        chunkContext.clearRect(0, 0, chunk.canvas.width, chunk.canvas.height);
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                this._drawTile(chunkContext, layer.data[(firstRow + row) * this.cols + firstCol + col],
+                    col * this.tileWidth, row * this.tileHeight);
+            }
+        }
+        if (typeof ctx.updateTexture === 'function') ctx.updateTexture(chunk.canvas);
+    }
+
+    /**
+     * @private
+     */
+    _drawTile(ctx, tileId, x, y) {
+        if (tileId < 0) return;
+        // Позиция тайла в тайлсете
+        const srcX = (tileId % this.tilesetCols) * this.tileWidth;
+        const srcY = Math.floor(tileId / this.tilesetCols) * this.tileHeight;
+        ctx.drawImage(
+            this.tileset,
+            srcX, srcY, this.tileWidth, this.tileHeight,
+            x, y, this.tileWidth, this.tileHeight
+        );
+    }
+
+    /**
+     * @private
+     */
+    _releaseChunks(layer) {
+        layer.chunks.forEach(chunk => {
+            if (chunk.canvas) this.releasedChunks.push(chunk.canvas);
+        });
+        layer.chunks.clear();
+    }
+
+    /**
+     * Освободить текстуры WebGL удалённых кусков
+     * @private
+     */
+    _flushReleasedChunks(ctx) {
+        if (this.releasedChunks.length === 0) return;
+        if (typeof ctx.releaseTexture === 'function') {
+            this.releasedChunks.forEach(canvas => ctx.releaseTexture(canvas));
+        }
+        this.releasedChunks = [];
+    }
 }
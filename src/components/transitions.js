@@ -0,0 +1,225 @@
+// Анимированные переходы между сценами
+import { getEasing } from '../utils/easing.js';
+
+export class Transition {
+    /**
+     * @param {Object} config
+     * @param {number} config.duration - длительность в мс
+     * @param {string|Function} config.easing - функция плавности
+     * @param {number} holdAt - прогресс (0-1), на котором переход ждёт загрузки новой сцены
+     */
+    constructor(config = {}, holdAt = 0) {
+        const { duration = 500, easing = 'linear' } = config;
+        this.duration = duration;
+        this.easing = getEasing(easing);
+        this.holdAt = holdAt;
+        this.elapsed = 0;
+    }
+
+    /**
+     * Линейный прогресс перехода (0-1)
+     * @returns {number}
+     */
+    getProgress() {
+        return this.duration > 0 ? Math.min(this.elapsed / this.duration, 1) : 1;
+    }
+
+    /**
+     * Прогресс с учётом функции плавности
+     * @returns {number}
+     */
+    getEasedProgress() {
+        return this.easing(this.getProgress());
+    }
+
+    /**
+     * Обновить переход
+     * @param {number} deltaTime
+     * @param {boolean} ready - загружена ли новая сцена
+     */
+    update(deltaTime, ready) {
+        this.elapsed += deltaTime;
+        if (!ready) {
+            // Пока ассеты грузятся, переход не открывает новую сцену
+            this.elapsed = Math.min(this.elapsed, this.holdAt * this.duration);
+        }
+    }
+
+    /**
+     * Достиг ли переход точки смены сцен
+     * @returns {boolean}
+     */
+    hasReachedSwitch() {
+        return this.getProgress() >= this.holdAt;
+    }
+
+    /**
+     * Завершён ли переход
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.getProgress() >= 1;
+    }
+
+    /**
+     * Отрисовать переход
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Scene} from - уходящая сцена
+     * @param {Scene|null} to - новая сцена; null, пока она не загружена и не получила onEnter
+     * @param {number} width - логическая ширина экрана
+     * @param {number} height - логическая высота экрана
+     * @param {number} alpha - коэффициент интерполяции
+     * @param {Camera} camera - камера, для которой идёт отрисовка
+     */
+    draw(ctx, from, to, width, height, alpha = 1, camera = null) {
+        const scene = to || from;
+        if (scene) scene.draw(ctx, alpha, camera);
+    }
+}
+
+// Затемнение в цвет и обратно. Новая сцена грузится, пока экран закрыт цветом
+export class FadeTransition extends Transition {
+    /**
+     * @param {Object} config - duration, easing, color
+     */
+    constructor(config = {}) {
+        super(config, 0.5);
+        this.color = config.color || '#000000';
+    }
+
+    draw(ctx, from, to, width, height, alpha = 1, camera = null) {
+        const progress = this.getProgress();
+        const scene = progress < 0.5 || !to ? from : to;
+        if (scene) scene.draw(ctx, alpha, camera);
+
+        const cover = progress < 0.5 ? progress * 2 : (1 - progress) * 2;
+        ctx.save();
+        ctx.globalAlpha = this.easing(Math.max(0, Math.min(cover, 1)));
+        ctx.fillStyle = this.color;
+        ctx.fillRect(0, 0, width, height);
+        ctx.restore();
+    }
+}
+
+// Плавное перетекание одной сцены в другую
+export class CrossfadeTransition extends Transition {
+    constructor(config = {}) {
+        super(config, 0);
+    }
+
+    draw(ctx, from, to, width, height, alpha = 1, camera = null) {
+        const progress = this.getEasedProgress();
+
+        if (from) {
+            ctx.save();
+            ctx.globalAlpha = 1 - progress;
+            from.draw(ctx, alpha, camera);
+            ctx.restore();
+        }
+        if (to) {
+            ctx.save();
+            ctx.globalAlpha = progress;
+            to.draw(ctx, alpha, camera);
+            ctx.restore();
+        }
+    }
+}
+
+const SLIDE_DIRECTIONS = {
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 },
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 }
+};
+
+// Новая сцена выталкивает старую в заданном направлении
+export class SlideTransition extends Transition {
+    /**
+     * @param {Object} config - duration, easing, direction ('left', 'right', 'up', 'down')
+     */
+    constructor(config = {}) {
+        super(config, 0);
+        const direction = config.direction || 'left';
+        if (!SLIDE_DIRECTIONS[direction]) {
+            throw new Error(`Unknown slide direction "${direction}"`);
+        }
+        this.direction = direction;
+    }
+
+    draw(ctx, from, to, width, height, alpha = 1, camera = null) {
+        const progress = this.getEasedProgress();
+        const dir = SLIDE_DIRECTIONS[this.direction];
+
+        if (from) {
+            ctx.save();
+            ctx.translate(dir.x * width * progress, dir.y * height * progress);
+            from.draw(ctx, alpha, camera);
+            ctx.restore();
+        }
+        if (to) {
+            ctx.save();
+            ctx.translate(-dir.x * width * (1 - progress), -dir.y * height * (1 - progress));
+            to.draw(ctx, alpha, camera);
+            ctx.restore();
+        }
+    }
+}
+
+// Новая сцена открывается расширяющимся кругом
+export class CircleWipeTransition extends Transition {
+    /**
+     * @param {Object} config - duration, easing, x, y (центр круга, по умолчанию центр экрана)
+     */
+    constructor(config = {}) {
+        super(config, 0);
+        this.centerX = config.x;
+        this.centerY = config.y;
+    }
+
+    draw(ctx, from, to, width, height, alpha = 1, camera = null) {
+        const progress = this.getEasedProgress();
+        const cx = this.centerX !== undefined ? this.centerX : width / 2;
+        const cy = this.centerY !== undefined ? this.centerY : height / 2;
+        // Радиус, достаточный, чтобы закрыть самый дальний угол
+        const maxRadius = Math.hypot(Math.max(cx, width - cx), Math.max(cy, height - cy));
+
+        if (from) from.draw(ctx, alpha, camera);
+        if (to && progress > 0) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(cx, cy, maxRadius * progress, 0, Math.PI * 2);
+            ctx.clip();
+            to.draw(ctx, alpha, camera);
+            ctx.restore();
+        }
+    }
+}
+
+const TRANSITION_TYPES = {
+    cut: Transition,
+    fade: FadeTransition,
+    crossfade: CrossfadeTransition,
+    slide: SlideTransition,
+    circle: CircleWipeTransition
+};
+
+/**
+ * Создать переход по описанию
+ * @param {Transition|string|Object} config - готовый переход, имя типа или {type, duration, easing, ...}
+ * @returns {Transition}
+ *
+ * @example
+ * createTransition({ type: 'fade', duration: 800, color: '#fff', easing: 'easeInOutQuad' });
+ */
+export function createTransition(config) {
+    if (config instanceof Transition) return config;
+    const options = typeof config === 'string' ? { type: config } : { ...config };
+    const TransitionClass = TRANSITION_TYPES[options.type || 'fade'];
+    if (!TransitionClass) {
+        throw new Error(`Unknown transition type "${options.type}"`);
+    }
+    if (TransitionClass === Transition) {
+        return new Transition({ ...options, duration: options.duration || 0 });
+    }
+    return new TransitionClass(options);
+}
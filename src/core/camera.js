@@ -1,12 +1,37 @@
 // Система камеры для управления viewport
+import { Matrix2D } from '../utils/matrix2d.js';
+
 export class Camera {
-    constructor(width, height) {
+    /**
+     * @param {number} width - ширина области вывода
+     * @param {number} height - высота области вывода
+     * @param {Object} options
+     * @param {string} options.name - имя камеры (для engine.getCamera)
+     * @param {Object} options.viewport - область вывода на холсте {x, y, width, height}
+     * @param {string} options.clearColor - цвет заливки области перед отрисовкой (null — без заливки)
+     * @param {Array<string>} options.layerMask - имена слоёв, которые рисует камера (null — все)
+     */
+    constructor(width, height, options = {}) {
+        const { name = null, viewport = {}, clearColor = null, layerMask = null } = options;
+        this.name = name;
+        this.enabled = true;
         this.x = 0;
         this.y = 0;
-        this.width = width;
-        this.height = height;
+        // Область вывода в пикселях холста; width и height камеры — её размер
+        this.viewport = {
+            x: viewport.x || 0,
+            y: viewport.y || 0,
+            width: viewport.width !== undefined ? viewport.width : width,
+            height: viewport.height !== undefined ? viewport.height : height
+        };
+        this.clearColor = clearColor;
+        this.layerMask = null;
+        this.setLayerMask(layerMask);
         this.zoom = 1;
+        // Поворот камеры (радианы): мир на экране поворачивается в обратную сторону
         this.rotation = 0;
+        // Точка экрана, вокруг которой выполняются поворот и масштаб (доли размера, по умолчанию центр)
+        this.origin = { x: 0.5, y: 0.5 };
         
         // Границы мира
         this.bounds = null;
@@ -17,7 +42,70 @@ export class Camera {
         this.deadzone = { x: 50, y: 50 }; // Мёртвая зона
         
         // Эффект тряски
-        this.shake = { intensity: 0, duration: 0, elapsed: 0 };
+        this.shake = { intensity: 0, duration: 0, elapsed: 0, offsetX: 0, offsetY: 0 };
+
+        // Матрица вида (мир -> экран) и обратная к ней, пересчитываются по запросу
+        this.viewMatrix = new Matrix2D();
+        this.inverseViewMatrix = new Matrix2D();
+    }
+
+    get width() { return this.viewport.width; }
+    set width(value) { this.viewport.width = value; }
+
+    get height() { return this.viewport.height; }
+    set height(value) { this.viewport.height = value; }
+
+    /**
+     * Задать область вывода на холсте (для разделённого экрана, миникарты и т.п.)
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     */
+    setViewport(x, y, width, height) {
+        this.viewport.x = x;
+        this.viewport.y = y;
+        this.viewport.width = width;
+        this.viewport.height = height;
+    }
+
+    /**
+     * Попадает ли точка холста в область вывода
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    containsScreenPoint(x, y) {
+        const { viewport } = this;
+        return x >= viewport.x && x < viewport.x + viewport.width &&
+               y >= viewport.y && y < viewport.y + viewport.height;
+    }
+
+    /**
+     * Задать слои, которые рисует камера
+     * @param {Array<string>|Set<string>|null} layers - null — все слои
+     */
+    setLayerMask(layers) {
+        this.layerMask = layers ? new Set(layers) : null;
+    }
+
+    /**
+     * Рисует ли камера слой
+     * @param {string} name
+     * @returns {boolean}
+     */
+    rendersLayer(name) {
+        return this.layerMask === null || this.layerMask.has(name);
+    }
+
+    /**
+     * Задать точку поворота и масштаба
+     * @param {number} x - доля ширины (0 — левый край, 1 — правый)
+     * @param {number} y - доля высоты
+     */
+    setOrigin(x, y = x) {
+        this.origin.x = x;
+        this.origin.y = y;
     }
 
     /**
@@ -66,12 +154,11 @@ export class Camera {
     update(deltaTime) {
         // Следование за целью
         if (this.target) {
-            const targetX = this.target.x - this.width / 2;
-            const targetY = this.target.y - this.height / 2;
+            const position = this._positionFor(this.target.x, this.target.y);
 
             // Проверка мёртвой зоны
-            const dx = targetX - this.x;
-            const dy = targetY - this.y;
+            const dx = position.x - this.x;
+            const dy = position.y - this.y;
 
             if (Math.abs(dx) > this.deadzone.x) {
                 this.x += dx * this.followSpeed;
@@ -83,68 +170,120 @@ export class Camera {
 
         // Применение границ
         if (this.bounds) {
-            this.x = Math.max(this.bounds.minX, Math.min(this.x, this.bounds.maxX - this.width));
-            this.y = Math.max(this.bounds.minY, Math.min(this.y, this.bounds.maxY - this.height));
+            this._clampToBounds();
         }
 
-        // Обновление тряски
+        // Обновление тряски: смещение выбирается раз за шаг, чтобы матрица и
+        // преобразования координат в течение кадра совпадали
         if (this.shake.duration > 0) {
             this.shake.elapsed += deltaTime;
             if (this.shake.elapsed >= this.shake.duration) {
                 this.shake.duration = 0;
                 this.shake.intensity = 0;
+                this.shake.offsetX = 0;
+                this.shake.offsetY = 0;
+            } else {
+                const progress = 1 - (this.shake.elapsed / this.shake.duration);
+                const currentIntensity = this.shake.intensity * progress;
+                this.shake.offsetX = (Math.random() - 0.5) * 2 * currentIntensity;
+                this.shake.offsetY = (Math.random() - 0.5) * 2 * currentIntensity;
             }
         }
     }
 
     /**
-     * Получить смещение для рендеринга (с учётом тряски)
+     * Получить смещение для рендеринга (с учётом тряски).
+     * Только перенос: зум и поворот учитывает getViewMatrix()
      * @returns {{x: number, y: number}}
      */
     getOffset() {
-        let offsetX = -this.x;
-        let offsetY = -this.y;
+        return {
+            x: -this.x + this.shake.offsetX,
+            y: -this.y + this.shake.offsetY
+        };
+    }
 
-        // Добавить тряску
-        if (this.shake.duration > 0) {
-            const progress = 1 - (this.shake.elapsed / this.shake.duration);
-            const currentIntensity = this.shake.intensity * progress;
-            offsetX += (Math.random() - 0.5) * 2 * currentIntensity;
-            offsetY += (Math.random() - 0.5) * 2 * currentIntensity;
-        }
+    /**
+     * Матрица вида (мир -> пиксели холста): перенос, поворот и масштаб вокруг origin,
+     * затем тряска в экранных пикселях и сдвиг к области вывода
+     * @returns {Matrix2D} - общий объект камеры, не изменяйте его
+     */
+    getViewMatrix() {
+        const originX = this.origin.x * this.width;
+        const originY = this.origin.y * this.height;
+        return this.viewMatrix.identity()
+            .translate(this.viewport.x + originX + this.shake.offsetX, this.viewport.y + originY + this.shake.offsetY)
+            .scale(this.zoom)
+            .rotate(-this.rotation)
+            .translate(-(this.x + originX), -(this.y + originY));
+    }
 
-        return { x: offsetX, y: offsetY };
+    /**
+     * Обратная матрица вида (экран -> мир)
+     * @returns {Matrix2D} - общий объект камеры, не изменяйте его
+     */
+    getInverseViewMatrix() {
+        return this.inverseViewMatrix.copy(this.getViewMatrix()).invert();
     }
 
     /**
-     * Преобразовать мировые координаты в экранные
+     * Применить матрицу вида к контексту (домножить текущую)
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    applyToContext(ctx) {
+        this.getViewMatrix().applyToContext(ctx);
+    }
+
+    /**
+     * Преобразовать мировые координаты в экранные (пиксели холста)
      * @param {number} worldX 
      * @param {number} worldY 
      * @returns {{x: number, y: number}}
      */
     worldToScreen(worldX, worldY) {
-        const offset = this.getOffset();
-        return {
-            x: (worldX + offset.x) * this.zoom,
-            y: (worldY + offset.y) * this.zoom
-        };
+        return this.getViewMatrix().transformPoint(worldX, worldY);
     }
 
     /**
-     * Преобразовать экранные координаты в мировые
+     * Преобразовать экранные координаты (пиксели холста) в мировые
      * @param {number} screenX 
      * @param {number} screenY 
      * @returns {{x: number, y: number}}
      */
     screenToWorld(screenX, screenY) {
-        return {
-            x: screenX / this.zoom + this.x,
-            y: screenY / this.zoom + this.y
-        };
+        return this.getInverseViewMatrix().transformPoint(screenX, screenY);
+    }
+
+    /**
+     * Видимая область в мировых координатах: углы области вывода (повёрнутый прямоугольник)
+     * @returns {Array<{x: number, y: number}>} - левый верхний, правый верхний, правый нижний, левый нижний
+     */
+    getViewPolygon() {
+        const inverse = this.getInverseViewMatrix();
+        const { x, y, width, height } = this.viewport;
+        return [
+            inverse.transformPoint(x, y),
+            inverse.transformPoint(x + width, y),
+            inverse.transformPoint(x + width, y + height),
+            inverse.transformPoint(x, y + height)
+        ];
+    }
+
+    /**
+     * Ограничивающий прямоугольник видимой области в мировых координатах
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getWorldBounds() {
+        const corners = this.getViewPolygon();
+        const xs = corners.map(p => p.x);
+        const ys = corners.map(p => p.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
     }
 
     /**
-     * Проверить, виден ли объект на экране
+     * Проверить, виден ли объект на экране (с учётом поворота и зума)
      * @param {number} x 
      * @param {number} y 
      * @param {number} width 
@@ -152,19 +291,93 @@ export class Camera {
      * @returns {boolean}
      */
     isVisible(x, y, width = 0, height = 0) {
-        return x + width > this.x &&
-               x < this.x + this.width &&
-               y + height > this.y &&
-               y < this.y + this.height;
+        const corners = this.getViewPolygon();
+        const box = [
+            { x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }
+        ];
+        // Теорема о разделяющей оси: оси мира и две стороны видимой области
+        const axes = [
+            { x: 1, y: 0 },
+            { x: 0, y: 1 },
+            { x: corners[1].x - corners[0].x, y: corners[1].y - corners[0].y },
+            { x: corners[3].x - corners[0].x, y: corners[3].y - corners[0].y }
+        ];
+        return axes.every(axis => {
+            const view = this._project(corners, axis);
+            const object = this._project(box, axis);
+            return object.max > view.min && object.min < view.max;
+        });
     }
 
     /**
-     * Центрировать камеру на точке
+     * Центрировать камеру на точке (точка окажется в центре экрана)
      * @param {number} x 
      * @param {number} y 
      */
     centerOn(x, y) {
-        this.x = x - this.width / 2;
-        this.y = y - this.height / 2;
+        const position = this._positionFor(x, y);
+        this.x = position.x;
+        this.y = position.y;
+    }
+
+    /**
+     * Положение камеры, при котором мировая точка попадает в центр области вывода
+     * @private
+     */
+    _positionFor(worldX, worldY) {
+        // Сдвиг центра экрана от origin, переведённый в мировые единицы
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const dx = (0.5 - this.origin.x) * this.width / this.zoom;
+        const dy = (0.5 - this.origin.y) * this.height / this.zoom;
+        return {
+            x: worldX - (cos * dx - sin * dy) - this.origin.x * this.width,
+            y: worldY - (sin * dx + cos * dy) - this.origin.y * this.height
+        };
+    }
+
+    /**
+     * Удержать видимую область внутри границ мира (по её ограничивающему прямоугольнику)
+     * @private
+     */
+    _clampToBounds() {
+        const { minX, minY, maxX, maxY } = this.bounds;
+        // Тряска не должна сдвигать саму камеру
+        const { offsetX, offsetY } = this.shake;
+        this.shake.offsetX = 0;
+        this.shake.offsetY = 0;
+        const view = this.getWorldBounds();
+        this.shake.offsetX = offsetX;
+        this.shake.offsetY = offsetY;
+        // Область больше мира по оси — выровнять по минимальной границе, как раньше
+        let dx = 0;
+        let dy = 0;
+        if (view.width >= maxX - minX || view.x < minX) {
+            dx = minX - view.x;
+        } else if (view.x + view.width > maxX) {
+            dx = maxX - (view.x + view.width);
+        }
+        if (view.height >= maxY - minY || view.y < minY) {
+            dy = minY - view.y;
+        } else if (view.y + view.height > maxY) {
+            dy = maxY - (view.y + view.height);
+        }
+        this.x += dx;
+        this.y += dy;
+    }
+
+    /**
+     * Проекция точек на ось
+     * @private
+     */
+    _project(points, axis) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const p of points) {
+            const value = p.x * axis.x + p.y * axis.y;
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        return { min, max };
     }
 }
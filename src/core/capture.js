@@ -0,0 +1,194 @@
+// Снимки кадра (PNG) и запись последовательности кадров в анимированный GIF
+import { Plugin } from './plugin.js';
+import { createCanvas, canvasToBlob } from '../utils/canvas.js';
+import { GifEncoder } from '../utils/gifEncoder.js';
+
+/**
+ * Перерисовать текущий кадр во внеэкранный 2D-холст. Постобработка рендерера
+ * и материалы WebGL в снимок не попадают.
+ * @param {Engine} engine
+ * @param {Object} options
+ * @param {number} options.scale - множитель к логическому разрешению (2 — вдвое больше)
+ * @param {Array<string>} options.excludeLayers - слои сцен, которые не рисуются (например, ['ui'])
+ * @param {boolean} options.plugins - рисовать плагины (оверлеи в preRender/postRender);
+ *     их хуки вызываются второй раз за кадр, поэтому по умолчанию выключено
+ * @param {string|null} options.background - заливка под кадром (по умолчанию цвет очистки рендерера)
+ * @param {number} options.alpha - коэффициент интерполяции
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function captureCanvas(engine, options = {}) {
+    const {
+        scale = 1, excludeLayers = [], plugins = false, alpha = 1,
+        background = engine.renderer ? engine.renderer.backend.clearColor : null
+    } = options;
+    if (!(scale > 0)) {
+        throw new RangeError('Capture scale must be a positive number');
+    }
+    const width = Math.max(1, Math.round(engine.width * scale));
+    const height = Math.max(1, Math.round(engine.height * scale));
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+    }
+    ctx.setTransform(width / engine.width, 0, 0, height / engine.height, 0, 0);
+
+    // Скрыть слои на время отрисовки
+    const hidden = [];
+    for (const scene of engine.sceneStack) {
+        if (!scene.layers) continue;
+        for (const name of excludeLayers) {
+            const layer = scene.layers.get(name);
+            if (layer && layer.visible) {
+                layer.visible = false;
+                hidden.push(layer);
+            }
+        }
+    }
+    try {
+        engine.renderTo(ctx, alpha, { plugins });
+    } finally {
+        hidden.forEach(layer => { layer.visible = true; });
+    }
+    return canvas;
+}
+
+/**
+ * Снимок текущего кадра
+ * @param {Engine} engine
+ * @param {Object} options - как у captureCanvas, плюс type и quality
+ * @returns {Promise<Blob>} - по умолчанию 'image/png'; ошибки (например, неверный scale) — отклонённым промисом
+ */
+export function captureFrame(engine, options = {}) {
+    const { type = 'image/png', quality } = options;
+    try {
+        return canvasToBlob(captureCanvas(engine, options), type, quality);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+}
+
+export class FrameRecorder extends Plugin {
+    /**
+     * @param {Object} options
+     * @param {number} options.fps - кадров в секунду в GIF
+     * @param {number} options.duration - длительность записи (мс)
+     * @param {number} options.scale - множитель к логическому разрешению
+     * @param {Array<string>} options.excludeLayers - слои сцен, которые не записываются
+     * @param {boolean} options.plugins - записывать плагины (оверлеи)
+     * @param {number} options.maxColors - размер палитры кадра (2-256)
+     * @param {number} options.loop - повторы GIF (0 — бесконечно, -1 — один раз)
+     * @param {Function} options.onComplete - (blob) => {} по окончании записи
+     */
+    constructor(options = {}) {
+        super('frameRecorder', 900);
+        const {
+            fps = 10, duration = 3000, scale = 1, excludeLayers = [], plugins = false,
+            maxColors = 256, loop = 0, onComplete = null
+        } = options;
+        if (!(fps > 0) || !(duration > 0)) {
+            throw new RangeError('Recording fps and duration must be positive numbers');
+        }
+        this.fps = fps;
+        this.duration = duration;
+        this.captureOptions = { scale, excludeLayers, plugins };
+        this.maxColors = maxColors;
+        this.loop = loop;
+        this.onComplete = onComplete;
+
+        this.maxFrames = Math.max(1, Math.round(duration * fps / 1000));
+        this.frameCount = 0;
+        // Пиксели снятых кадров: кодируются в GIF после остановки, не тормозя игру
+        this.frames = [];
+        this.encoder = null;
+        this.nextFrameTime = null;
+        this.recording = false;
+        this.finished = false;
+        this.capturing = false;
+        this.blob = null;
+
+        // Результат записи: Blob 'image/gif'
+        this.done = new Promise((resolve) => {
+            this._resolve = resolve;
+        });
+    }
+
+    init(engine) {
+        this.recording = true;
+    }
+
+    postRender(context, alpha) {
+        // Снимок сам вызывает хуки плагинов — не записывать изнутри него
+        if (!this.recording || this.capturing) return;
+        const now = this.engine.clock.now();
+        if (this.nextFrameTime === null) this.nextFrameTime = now;
+        if (now < this.nextFrameTime) return;
+
+        const interval = 1000 / this.fps;
+        this.capturing = true;
+        try {
+            this._addFrame(captureCanvas(this.engine, { ...this.captureOptions, alpha }), interval);
+        } finally {
+            this.capturing = false;
+        }
+        // После долгого кадра не догонять пачкой снимков
+        this.nextFrameTime = Math.max(this.nextFrameTime + interval, now);
+        if (this.frameCount >= this.maxFrames) this.stop();
+    }
+
+    /**
+     * Закончить запись досрочно (или дождаться результата).
+     * Кадры кодируются по одному за задачу, между ними игра продолжает работать.
+     * @returns {Promise<Blob>}
+     */
+    stop() {
+        if (this.finished) return this.done;
+        this.recording = false;
+        this.finished = true;
+        if (this.engine) this.engine.removePlugin(this);
+        setTimeout(() => this._encodeNext(), 0);
+        return this.done;
+    }
+
+    destroy() {
+        // Отключили раньше времени — отдать то, что успели записать
+        if (!this.finished) this.stop();
+    }
+
+    /**
+     * @private
+     */
+    _addFrame(canvas, delay) {
+        const pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        this.frames.push({ pixels, delay });
+        this.frameCount++;
+    }
+
+    /**
+     * Закодировать следующий кадр и отложить остальные; после последнего — отдать результат
+     * @private
+     */
+    _encodeNext() {
+        const frame = this.frames.shift();
+        if (frame) {
+            const { pixels, delay } = frame;
+            if (!this.encoder) {
+                this.encoder = new GifEncoder(pixels.width, pixels.height, { loop: this.loop, maxColors: this.maxColors });
+            }
+            this.encoder.addFrame(pixels, delay);
+            setTimeout(() => this._encodeNext(), 0);
+            return;
+        }
+
+        if (this.encoder) this.blob = this.encoder.toBlob();
+        if (this.onComplete) {
+            try {
+                this.onComplete(this.blob);
+            } catch (e) {
+                console.error('Error in recorder onComplete callback:', e);
+            }
+        }
+        this._resolve(this.blob);
+    }
+}
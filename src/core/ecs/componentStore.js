@@ -0,0 +1,67 @@
+// Хранилище компонентов одного типа
+export class ComponentStore {
+    /**
+     * @param {string} type - имя типа компонента
+     * @param {Function|Object} defaults - фабрика значений по умолчанию или объект-шаблон
+     */
+    constructor(type, defaults = null) {
+        if (!type || typeof type !== 'string') {
+            throw new TypeError('Component type must be a non-empty string');
+        }
+        this.type = type;
+        this.defaults = defaults;
+        this.data = new Map();
+    }
+
+    /**
+     * Создать экземпляр компонента с учётом значений по умолчанию
+     * @param {Object} values - значения полей
+     * @returns {Object}
+     */
+    create(values = {}) {
+        const base = typeof this.defaults === 'function'
+            ? this.defaults()
+            : { ...(this.defaults || {}) };
+        return Object.assign(base, values);
+    }
+
+    /**
+     * @param {number} entity
+     * @param {Object} component
+     */
+    set(entity, component) {
+        this.data.set(entity, component);
+    }
+
+    /**
+     * @param {number} entity
+     * @returns {Object|undefined}
+     */
+    get(entity) {
+        return this.data.get(entity);
+    }
+
+    /**
+     * @param {number} entity
+     * @returns {boolean}
+     */
+    has(entity) {
+        return this.data.has(entity);
+    }
+
+    /**
+     * @param {number} entity
+     * @returns {boolean}
+     */
+    delete(entity) {
+        return this.data.delete(entity);
+    }
+
+    /**
+     * Количество компонентов в хранилище
+     * @returns {number}
+     */
+    get size() {
+        return this.data.size;
+    }
+}
@@ -0,0 +1,42 @@
+// Базовый класс системы ECS
+export class System {
+    /**
+     * @param {string} name - имя системы
+     * @param {Array<string>} query - типы компонентов, которые нужны системе
+     * @param {number} priority - порядок выполнения (меньше — раньше)
+     */
+    constructor(name, query = [], priority = 0) {
+        this.name = name;
+        this.query = query;
+        this.priority = priority;
+        this.enabled = true;
+        this.world = null;
+    }
+
+    /**
+     * Вызывается при добавлении в мир
+     * @param {World} world
+     */
+    init(world) {}
+
+    /**
+     * Обновить сущности, подходящие под запрос
+     * @param {Array<number>} entities - ID сущностей
+     * @param {number} deltaTime
+     */
+    update(entities, deltaTime) {}
+
+    /**
+     * Отрисовать сущности, подходящие под запрос
+     * @param {Array<number>} entities - ID сущностей
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} alpha - коэффициент интерполяции
+     */
+    draw(entities, context, alpha) {}
+
+    /**
+     * Вызывается при удалении из мира
+     * @param {World} world
+     */
+    destroy(world) {}
+}
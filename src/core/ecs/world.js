@@ -0,0 +1,376 @@
+// Мир ECS: сущности, хранилища компонентов, системы и запросы
+import { EventEmitter } from '../../utils/eventEmitter.js';
+import { ComponentStore } from './componentStore.js';
+import { System } from './system.js';
+
+// Встроенные типы компонентов
+export const Components = {
+    TRANSFORM: 'Transform',
+    VELOCITY: 'Velocity',
+    LEGACY: 'Legacy'
+};
+
+// Система для объектов Entity/Character, перенесённых в мир через adopt()
+export class LegacySystem extends System {
+    constructor() {
+        super('legacy', [Components.LEGACY], 0);
+    }
+
+    update(entities, deltaTime) {
+        for (const id of entities) {
+            const { object } = this.world.getComponent(id, Components.LEGACY);
+            if (object && typeof object.update === 'function') {
+                object.update(deltaTime);
+            }
+        }
+    }
+
+    draw(entities, context, alpha) {
+        for (const id of entities) {
+            const { object } = this.world.getComponent(id, Components.LEGACY);
+            if (object && typeof object.draw === 'function') {
+                object.draw(context, alpha);
+            }
+        }
+    }
+}
+
+// Перемещение по Velocity (пикселей в мс, как у Entity)
+export class MovementSystem extends System {
+    constructor(priority = -10) {
+        super('movement', [Components.TRANSFORM, Components.VELOCITY], priority);
+    }
+
+    update(entities, deltaTime) {
+        for (const id of entities) {
+            // Скорость объектов из adopt() уже применяет их собственный update
+            if (this.world.hasComponent(id, Components.LEGACY)) continue;
+            const transform = this.world.getComponent(id, Components.TRANSFORM);
+            const velocity = this.world.getComponent(id, Components.VELOCITY);
+            transform.x += velocity.x * deltaTime;
+            transform.y += velocity.y * deltaTime;
+        }
+    }
+}
+
+export class World extends EventEmitter {
+    constructor() {
+        super();
+        this.nextId = 1;
+        this.entities = new Set();
+        this.stores = new Map();
+        this.queries = new Map();
+        this.systems = [];
+        // Объект -> ID сущности для adopt()
+        this.adopted = new Map();
+
+        this.defineComponent(Components.TRANSFORM, () => ({ x: 0, y: 0 }));
+        this.defineComponent(Components.VELOCITY, () => ({ x: 0, y: 0 }));
+        this.defineComponent(Components.LEGACY, () => ({ object: null }));
+    }
+
+    /**
+     * Объявить тип компонента
+     * @param {string} type - имя типа
+     * @param {Function|Object} defaults - фабрика или шаблон значений по умолчанию
+     * @returns {ComponentStore}
+     *
+     * @example
+     * world.defineComponent('Health', () => ({ current: 100, max: 100 }));
+     */
+    defineComponent(type, defaults = null) {
+        if (this.stores.has(type)) {
+            throw new Error(`Component type "${type}" is already defined`);
+        }
+        const store = new ComponentStore(type, defaults);
+        this.stores.set(type, store);
+        return store;
+    }
+
+    /**
+     * Создать сущность
+     * @param {Object} components - {Тип: значения}
+     * @returns {number} - ID сущности
+     */
+    createEntity(components = {}) {
+        const id = this.nextId++;
+        this.entities.add(id);
+        this.emit('entityCreated', id);
+
+        for (const [type, values] of Object.entries(components)) {
+            this.addComponent(id, type, values);
+        }
+        return id;
+    }
+
+    /**
+     * Удалить сущность со всеми компонентами
+     * @param {number} id
+     */
+    destroyEntity(id) {
+        if (!this.entities.has(id)) return;
+
+        for (const store of this.stores.values()) {
+            if (store.has(id)) this.removeComponent(id, store.type);
+        }
+        this.entities.delete(id);
+
+        for (const [object, entity] of this.adopted) {
+            if (entity === id) this.adopted.delete(object);
+        }
+        this.emit('entityDestroyed', id);
+    }
+
+    /**
+     * @param {number} id
+     * @returns {boolean}
+     */
+    hasEntity(id) {
+        return this.entities.has(id);
+    }
+
+    /**
+     * Добавить компонент сущности
+     * @param {number} id
+     * @param {string} type
+     * @param {Object} values - значения полей (поверх значений по умолчанию)
+     * @returns {Object} - компонент
+     */
+    addComponent(id, type, values = {}) {
+        if (!this.entities.has(id)) {
+            throw new Error(`Entity ${id} does not exist`);
+        }
+        const store = this._getStore(type);
+
+        if (store.has(id)) {
+            return Object.assign(store.get(id), values);
+        }
+
+        const component = store.create(values);
+        store.set(id, component);
+        this._updateQueries(id, type);
+
+        this.emit('componentAdded', id, type, component);
+        this.emit(`componentAdded:${type}`, id, component);
+        return component;
+    }
+
+    /**
+     * Удалить компонент у сущности
+     * @param {number} id
+     * @param {string} type
+     * @returns {boolean}
+     */
+    removeComponent(id, type) {
+        const store = this._getStore(type);
+        const component = store.get(id);
+        if (!store.delete(id)) return false;
+
+        this._updateQueries(id, type);
+
+        this.emit('componentRemoved', id, type, component);
+        this.emit(`componentRemoved:${type}`, id, component);
+        return true;
+    }
+
+    /**
+     * @param {number} id
+     * @param {string} type
+     * @returns {Object|undefined}
+     */
+    getComponent(id, type) {
+        return this._getStore(type).get(id);
+    }
+
+    /**
+     * @param {number} id
+     * @param {string} type
+     * @returns {boolean}
+     */
+    hasComponent(id, type) {
+        return this._getStore(type).has(id);
+    }
+
+    /**
+     * Найти сущности со всеми указанными компонентами
+     * @param {Array<string>} types
+     * @returns {Array<number>}
+     */
+    query(types) {
+        if (!Array.isArray(types) || types.length === 0) {
+            return [...this.entities];
+        }
+
+        const key = [...types].sort().join('|');
+        let query = this.queries.get(key);
+        if (!query) {
+            query = { types: [...types], entities: new Set() };
+            types.forEach(type => this._getStore(type));
+            for (const id of this.entities) {
+                if (this._matches(id, query.types)) query.entities.add(id);
+            }
+            this.queries.set(key, query);
+        }
+        return [...query.entities];
+    }
+
+    /**
+     * Добавить систему
+     * @param {System} system
+     * @returns {World}
+     */
+    addSystem(system) {
+        if (!system || typeof system !== 'object') {
+            throw new TypeError('System must be an object');
+        }
+        system.world = this;
+        this.systems.push(system);
+        this.systems.sort((a, b) => a.priority - b.priority);
+        if (typeof system.init === 'function') system.init(this);
+        return this;
+    }
+
+    /**
+     * Удалить систему
+     * @param {System|string} systemOrName
+     * @returns {boolean}
+     */
+    removeSystem(systemOrName) {
+        const index = this.systems.findIndex(s => s === systemOrName || s.name === systemOrName);
+        if (index === -1) return false;
+        const [system] = this.systems.splice(index, 1);
+        if (typeof system.destroy === 'function') system.destroy(this);
+        system.world = null;
+        return true;
+    }
+
+    /**
+     * Получить систему по имени
+     * @param {string} name
+     * @returns {System|null}
+     */
+    getSystem(name) {
+        return this.systems.find(s => s.name === name) || null;
+    }
+
+    /**
+     * Перенести существующий объект (Entity, Character и т.п.) в мир.
+     * Его update/draw вызывает LegacySystem, позиция доступна как компонент Transform.
+     * @param {Object} object
+     * @returns {number} - ID сущности
+     */
+    adopt(object) {
+        if (object === null || typeof object !== 'object') {
+            throw new TypeError('Only objects can be adopted into the world');
+        }
+        if (this.adopted.has(object)) {
+            return this.adopted.get(object);
+        }
+        if (!this.getSystem('legacy')) {
+            this.addSystem(new LegacySystem());
+        }
+
+        const id = this.createEntity();
+        this.adopted.set(object, id);
+        this.addComponent(id, Components.LEGACY, { object });
+
+        if (typeof object.x === 'number' && typeof object.y === 'number') {
+            // Компонент ссылается на поля объекта, а не копирует их
+            this._getStore(Components.TRANSFORM).set(id, {
+                get x() { return object.x; },
+                set x(value) { object.x = value; },
+                get y() { return object.y; },
+                set y(value) { object.y = value; }
+            });
+            this._announce(id, Components.TRANSFORM);
+        }
+        if (object.velocity && typeof object.velocity.x === 'number') {
+            this._getStore(Components.VELOCITY).set(id, object.velocity);
+            this._announce(id, Components.VELOCITY);
+        }
+        return id;
+    }
+
+    /**
+     * Получить ID сущности перенесённого объекта
+     * @param {Object} object
+     * @returns {number|null}
+     */
+    getEntityOf(object) {
+        return this.adopted.has(object) ? this.adopted.get(object) : null;
+    }
+
+    /**
+     * Обновить все системы
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        for (const system of [...this.systems]) {
+            if (!system.enabled || typeof system.update !== 'function') continue;
+            system.update(this.query(system.query), deltaTime);
+        }
+    }
+
+    /**
+     * Отрисовать все системы (мир можно добавить в Scene как обычный объект)
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} alpha
+     */
+    draw(context, alpha = 1) {
+        for (const system of this.systems) {
+            if (!system.enabled || typeof system.draw !== 'function') continue;
+            system.draw(this.query(system.query), context, alpha);
+        }
+    }
+
+    /**
+     * Удалить все сущности
+     */
+    clear() {
+        [...this.entities].forEach(id => this.destroyEntity(id));
+    }
+
+    /**
+     * @private
+     */
+    _getStore(type) {
+        const store = this.stores.get(type);
+        if (!store) {
+            throw new Error(`Component type "${type}" is not defined`);
+        }
+        return store;
+    }
+
+    /**
+     * Обновить индексы запросов и разослать событие для компонента,
+     * записанного в хранилище напрямую
+     * @private
+     */
+    _announce(id, type) {
+        this._updateQueries(id, type);
+        const component = this._getStore(type).get(id);
+        this.emit('componentAdded', id, type, component);
+        this.emit(`componentAdded:${type}`, id, component);
+    }
+
+    /**
+     * @private
+     */
+    _matches(id, types) {
+        return types.every(type => this._getStore(type).has(id));
+    }
+
+    /**
+     * @private
+     */
+    _updateQueries(id, type) {
+        for (const query of this.queries.values()) {
+            if (!query.types.includes(type)) continue;
+            if (this._matches(id, query.types)) {
+                query.entities.add(id);
+            } else {
+                query.entities.delete(id);
+            }
+        }
+    }
+}
@@ -1,6 +1,29 @@
 // Основной класс игрового движка
+import { Camera } from './camera.js';
+import { GameLoop } from './gameLoop.js';
+import { ManualClock, createHeadlessCanvas } from './headless.js';
+import { PluginManager } from './plugin.js';
+import { timers as globalTimers } from '../utils/timer.js';
+import { profiler as globalProfiler } from '../utils/profiler.js';
+import { captureFrame } from './capture.js';
+
 export class Engine {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement} canvas - канвас для отрисовки
+     * @param {Object} options - дополнительные настройки
+     * @param {boolean} options.headless - работа без браузера
+     * @param {Object} options.clock - источник времени с методом now() (мс)
+     * @param {Object} options.renderTarget - контекст отрисовки вместо canvas.getContext('2d')
+     * @param {GameLoop|Object} options.loop - игровой цикл или его конфигурация
+     * @param {Camera} options.camera - основная камера
+     * @param {Array<Camera>} options.cameras - все камеры в порядке отрисовки (первая — основная)
+     * @param {TimerManager} options.timers - менеджер таймеров
+     * @param {Profiler} options.profiler - профайлер (замеры 'update' и 'render' по кадрам)
+     * @param {Renderer} options.renderer - рендерер: очищает кадр и даёт контекст отрисовки
+     * @param {StateMachine} options.stateMachine - конечный автомат игры (доступен плагинам)
+     * @param {ScaleManager} options.scaleManager - логическое разрешение и масштаб холста
+     */
+    constructor(canvas, options = {}) {
         console.log('Engine constructor called');
         if (!canvas) {
             console.error('Canvas is null or undefined');
@@ -16,7 +39,27 @@ export class Engine {
         }
         this.canvas = canvas;
         this.scenes = [];
-        this.activeScene = null;
+        // Стек сцен: верхняя сцена активна, нижние могут продолжать обновляться/рисоваться
+        this.sceneStack = [];
+
+        this.headless = !!options.headless;
+        this.clock = options.clock || { now: () => performance.now() };
+        this.renderTarget = options.renderTarget || null;
+        this.renderer = options.renderer || null;
+        this.stateMachine = options.stateMachine || null;
+        this.scaleManager = options.scaleManager || null;
+        // Камеры рисуются по порядку, каждая в свою область вывода; camera — основная
+        this.cameras = options.cameras ? [...options.cameras] : [options.camera || new Camera(this.width, this.height)];
+        this.camera = this.cameras[0] || null;
+        this.timers = options.timers || globalTimers;
+        this.profiler = options.profiler || globalProfiler;
+        this.loop = options.loop instanceof GameLoop ? options.loop : new GameLoop(options.loop);
+        this.lastStepTime = null;
+        this.frameCount = 0;
+        this.plugins = new PluginManager(this);
+
+        this.loop.onUpdate = (deltaTime) => this.updateFrame(deltaTime);
+        this.loop.onRender = (alpha) => this.renderFrame(alpha);
 
         try {
             // other initialization code
@@ -27,45 +70,122 @@ export class Engine {
         console.log('Engine constructor finished');
     }
 
+    /**
+     * Логическая ширина кадра: в ней заданы камеры и области вывода
+     * @returns {number}
+     */
+    get width() {
+        return this.scaleManager ? this.scaleManager.width : this.canvas.width;
+    }
+
+    /**
+     * Логическая высота кадра
+     * @returns {number}
+     */
+    get height() {
+        return this.scaleManager ? this.scaleManager.height : this.canvas.height;
+    }
+
+    /**
+     * Активная (верхняя) сцена стека
+     * @returns {Scene|null}
+     */
+    get activeScene() {
+        return this.sceneStack.length > 0 ? this.sceneStack[this.sceneStack.length - 1] : null;
+    }
+
     addScene(scene) {
         this.scenes.push(scene);
-        if (!this.activeScene) this.activeScene = scene;
+        if (!this.activeScene) this.pushScene(scene);
     }
 
-    setActiveScene(scene) {
+    /**
+     * Сделать сцену единственной в стеке (все сцены стека получают onExit)
+     * @param {Scene} scene
+     * @param {*} data - данные для onEnter
+     */
+    setActiveScene(scene, data) {
         console.log('Engine setActiveScene called');
-        if (scene === null || typeof scene !== 'object') {
-            console.error('Active scene is null or not an object');
-            throw new Error('Active scene is null or not an object');
+        this._validateScene(scene);
+        while (this.sceneStack.length > 0) {
+            this._callSceneHook(this.sceneStack.pop(), 'onExit');
         }
-        console.log('Active scene:', scene);
-        if (!scene.update || typeof scene.update !== 'function') {
-            console.error('Active scene has no update method');
-            throw new Error('Active scene has no update method');
-        }
-        console.log('Active scene update method:', scene.update);
-        if (!scene.draw || typeof scene.draw !== 'function') {
-            console.error('Active scene has no draw method');
-            throw new Error('Active scene has no draw method');
-        }
-        console.log('Active scene draw method:', scene.draw);
-        this.activeScene = scene;
+        this.sceneStack.push(scene);
+        this._callSceneHook(scene, 'onEnter', data);
         console.log('Engine setActiveScene finished');
     }
 
+    /**
+     * Положить сцену поверх текущей (пауза, инвентарь, диалог)
+     * @param {Scene} scene
+     * @param {*} data - данные для onEnter
+     */
+    pushScene(scene, data) {
+        this._validateScene(scene);
+        if (this.sceneStack.includes(scene)) {
+            throw new Error('Scene is already in the scene stack');
+        }
+        const covered = this.activeScene;
+        if (covered) this._callSceneHook(covered, 'onPause');
+        this.sceneStack.push(scene);
+        this._callSceneHook(scene, 'onEnter', data);
+    }
+
+    /**
+     * Снять верхнюю сцену и вернуться к предыдущей
+     * @param {*} data - данные для onResume открывшейся сцены
+     * @returns {Scene|null} - снятая сцена
+     */
+    popScene(data) {
+        const scene = this.sceneStack.pop();
+        if (!scene) return null;
+        this._callSceneHook(scene, 'onExit');
+        const uncovered = this.activeScene;
+        if (uncovered) this._callSceneHook(uncovered, 'onResume', data);
+        return scene;
+    }
+
+    /**
+     * Заменить верхнюю сцену стека
+     * @param {Scene} scene
+     * @param {*} data - данные для onEnter
+     * @returns {Scene|null} - заменённая сцена
+     */
+    replaceScene(scene, data) {
+        this._validateScene(scene);
+        const previous = this.sceneStack.pop() || null;
+        if (previous) this._callSceneHook(previous, 'onExit');
+        this.sceneStack.push(scene);
+        this._callSceneHook(scene, 'onEnter', data);
+        return previous;
+    }
+
+    /**
+     * Сцены, которые обновляются в этом кадре (снизу вверх)
+     * @returns {Array<Scene>}
+     */
+    getUpdatingScenes() {
+        return this._collectScenes('updateBelow');
+    }
+
+    /**
+     * Сцены, которые рисуются в этом кадре (снизу вверх)
+     * @returns {Array<Scene>}
+     */
+    getDrawingScenes() {
+        return this._collectScenes('drawBelow');
+    }
+
     update(deltaTime) {
         try {
-            console.log('Engine update called');
             if (this.activeScene) {
-                console.log('Active scene:', this.activeScene);
-                if (typeof this.activeScene.update !== 'function') {
-                    console.error('Active scene has no update method');
-                    throw new Error('Active scene has no update method');
+                for (const scene of this.getUpdatingScenes()) {
+                    if (typeof scene.update !== 'function') {
+                        console.error('Active scene has no update method');
+                        throw new Error('Active scene has no update method');
+                    }
+                    scene.update(deltaTime);
                 }
-                this.activeScene.update(deltaTime);
-                console.log('Engine update finished');
-            } else {
-                console.log('No active scene');
             }
         } catch (e) {
             console.error('Error in Engine update:', e);
@@ -73,23 +193,341 @@ export class Engine {
         }
     }
 
-    render(context) {
+    /**
+     * Нарисовать сцены стека
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} alpha - коэффициент интерполяции
+     * @param {Camera} camera - камера, для которой идёт отрисовка (маска слоёв)
+     */
+    render(context, alpha = 1, camera = null) {
         try {
-            console.log('Engine render called');
             if (this.activeScene) {
-                console.log('Active scene:', this.activeScene);
-                if (typeof this.activeScene.draw !== 'function') {
-                    console.error('Active scene has no draw method');
-                    throw new Error('Active scene has no draw method');
+                for (const scene of this.getDrawingScenes()) {
+                    if (typeof scene.draw !== 'function') {
+                        console.error('Active scene has no draw method');
+                        throw new Error('Active scene has no draw method');
+                    }
+                    scene.draw(context, alpha, camera);
                 }
-                this.activeScene.draw(context);
-            } else {
-                console.log('No active scene');
             }
         } catch (e) {
             console.error('Error in Engine render:', e);
             if (e instanceof Error) console.error(e.stack);
         }
-        console.log('Engine render finished');
+    }
+
+    /**
+     * Проверить, что объект может быть сценой
+     * @private
+     */
+    _validateScene(scene) {
+        if (scene === null || typeof scene !== 'object') {
+            console.error('Active scene is null or not an object');
+            throw new Error('Active scene is null or not an object');
+        }
+        if (!scene.update || typeof scene.update !== 'function') {
+            console.error('Active scene has no update method');
+            throw new Error('Active scene has no update method');
+        }
+        if (!scene.draw || typeof scene.draw !== 'function') {
+            console.error('Active scene has no draw method');
+            throw new Error('Active scene has no draw method');
+        }
+    }
+
+    /**
+     * Вызвать необязательный колбэк сцены
+     * @private
+     */
+    _callSceneHook(scene, hook, data) {
+        if (typeof scene[hook] !== 'function') return;
+        try {
+            scene[hook](data);
+        } catch (e) {
+            console.error(`Error in scene ${hook}:`, e);
+        }
+    }
+
+    /**
+     * Пройти стек сверху вниз, пока сцены пропускают флаг вниз
+     * @private
+     */
+    _collectScenes(flag) {
+        const result = [];
+        for (let i = this.sceneStack.length - 1; i >= 0; i--) {
+            const scene = this.sceneStack[i];
+            result.unshift(scene);
+            if (!scene[flag]) break;
+        }
+        return result;
+    }
+
+    /**
+     * Один шаг обновления всех подсистем
+     * @param {number} deltaTime - длительность шага (мс)
+     */
+    updateFrame(deltaTime) {
+        this.profiler.begin('update');
+        try {
+            this.plugins.invoke('preUpdate', deltaTime);
+            this.update(deltaTime);
+            this.cameras.forEach(camera => camera.update(deltaTime));
+            if (this.timers) this.timers.update(deltaTime);
+            if (this.renderer && this.renderer.postProcess) this.renderer.postProcess.update(deltaTime);
+            this.plugins.invoke('postUpdate', deltaTime);
+        } finally {
+            this.profiler.end('update');
+        }
+    }
+
+    /**
+     * Отрисовать кадр в цель отрисовки с учётом камеры
+     * @param {number} alpha - коэффициент интерполяции (0-1)
+     */
+    renderFrame(alpha = 1) {
+        this.profiler.begin('render');
+        try {
+            if (this.renderer) this.renderer.beginFrame(this.clock.now());
+
+            const context = this.getRenderTarget();
+            if (!context) return;
+            // Дальше всё рисуется в логических координатах
+            if (this.scaleManager) this.scaleManager.applyToContext(context);
+
+            this.renderTo(context, alpha);
+
+            if (this.renderer) this.profiler.measure('present', () => this.renderer.endFrame());
+        } finally {
+            this.profiler.end('render');
+            this.profiler.endFrame();
+        }
+    }
+
+    /**
+     * Нарисовать кадр всеми камерами в заданный контекст (например, во внеэкранный холст для снимка).
+     * Контекст должен быть уже в логических координатах.
+     * @param {CanvasRenderingContext2D|Object} context
+     * @param {number} alpha - коэффициент интерполяции (0-1)
+     * @param {Object} options
+     * @param {boolean} options.plugins - вызывать хуки preRender/postRender плагинов
+     */
+    renderTo(context, alpha = 1, options = {}) {
+        const { plugins = true } = options;
+        if (plugins) this.plugins.invoke('preRender', context, alpha);
+
+        if (this.cameras.length === 0) {
+            this.render(context, alpha);
+        }
+        for (const camera of this.cameras) {
+            if (camera.enabled) this._renderCamera(context, camera, alpha);
+        }
+
+        if (plugins) this.plugins.invoke('postRender', context, alpha);
+    }
+
+    /**
+     * Снимок текущего кадра (кадр перерисовывается во внеэкранный холст)
+     * @param {Object} options
+     * @param {number} options.scale - множитель к логическому разрешению
+     * @param {Array<string>} options.excludeLayers - слои сцен, которые не попадут в снимок (например, ['ui'])
+     * @param {boolean} options.plugins - рисовать плагины
+     * @param {string} options.type - MIME-тип (по умолчанию 'image/png')
+     * @returns {Promise<Blob>}
+     */
+    capture(options = {}) {
+        return captureFrame(this, options);
+    }
+
+    /**
+     * Добавить камеру (рисуется после уже добавленных, т.е. поверх них)
+     * @param {Camera} camera
+     * @param {number} index - позиция в порядке отрисовки
+     * @returns {Camera}
+     */
+    addCamera(camera, index = this.cameras.length) {
+        if (this.cameras.includes(camera)) {
+            throw new Error('Camera is already added');
+        }
+        this.cameras.splice(index, 0, camera);
+        if (!this.camera) this.camera = camera;
+        return camera;
+    }
+
+    /**
+     * Удалить камеру
+     * @param {Camera|string} cameraOrName
+     * @returns {boolean}
+     */
+    removeCamera(cameraOrName) {
+        const camera = typeof cameraOrName === 'string' ? this.getCamera(cameraOrName) : cameraOrName;
+        const index = this.cameras.indexOf(camera);
+        if (index === -1) return false;
+        this.cameras.splice(index, 1);
+        if (this.camera === camera) this.camera = this.cameras[0] || null;
+        return true;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Camera|null}
+     */
+    getCamera(name) {
+        return this.cameras.find(camera => camera.name === name) || null;
+    }
+
+    /**
+     * Верхняя включённая камера, в область вывода которой попадает точка холста
+     * @param {number} x
+     * @param {number} y
+     * @returns {Camera|null}
+     */
+    getCameraAt(x, y) {
+        for (let i = this.cameras.length - 1; i >= 0; i--) {
+            const camera = this.cameras[i];
+            if (camera.enabled && camera.containsScreenPoint(x, y)) return camera;
+        }
+        return null;
+    }
+
+    /**
+     * Нарисовать сцены одной камерой: отсечение по области вывода, заливка, матрица вида
+     * @private
+     */
+    _renderCamera(context, camera, alpha) {
+        const { x, y, width, height } = camera.viewport;
+        const fullscreen = x <= 0 && y <= 0 && x + width >= this.width && y + height >= this.height;
+
+        context.save();
+        if (!fullscreen) {
+            context.beginPath();
+            context.rect(x, y, width, height);
+            context.clip();
+        }
+        if (camera.clearColor) {
+            context.clearRect(x, y, width, height);
+            context.fillStyle = camera.clearColor;
+            context.fillRect(x, y, width, height);
+        }
+        camera.applyToContext(context);
+        this.render(context, alpha, camera);
+        context.restore();
+    }
+
+    /**
+     * Получить контекст, в который рисует движок: renderTarget, контекст рендерера
+     * или 2D-контекст канваса
+     * @returns {CanvasRenderingContext2D|Object|null}
+     */
+    getRenderTarget() {
+        if (!this.renderTarget) {
+            this.renderTarget = this.renderer ? this.renderer.context : this.canvas.getContext('2d');
+        }
+        return this.renderTarget;
+    }
+
+    /**
+     * Продвинуть движок на один кадр
+     * @param {number} deltaTime - время кадра (мс); по умолчанию берётся из часов
+     * @returns {number} - количество выполненных шагов обновления
+     */
+    step(deltaTime) {
+        const now = this.clock.now();
+        if (deltaTime === undefined) {
+            deltaTime = this.lastStepTime === null ? 0 : now - this.lastStepTime;
+        }
+        if (typeof deltaTime !== 'number' || Number.isNaN(deltaTime)) {
+            throw new TypeError('Engine.step expects deltaTime to be a number');
+        }
+        this.lastStepTime = now;
+        this.frameCount++;
+        return this.loop.tick(deltaTime);
+    }
+
+    /**
+     * Прогнать несколько кадров подряд
+     * @param {number} frames - количество кадров
+     * @param {number} deltaTime - время одного кадра (мс), по умолчанию фиксированный шаг цикла
+     * @returns {Engine}
+     */
+    runFrames(frames, deltaTime = this.loop.fixedStep) {
+        if (!Number.isInteger(frames) || frames < 0) {
+            throw new RangeError('Engine.runFrames expects a non-negative integer');
+        }
+        for (let i = 0; i < frames; i++) {
+            if (typeof this.clock.advance === 'function') {
+                this.clock.advance(deltaTime);
+            }
+            this.step(deltaTime);
+        }
+        return this;
+    }
+
+    /**
+     * Сбросить отсчёт времени (после паузы или перед стартом)
+     */
+    resetClock() {
+        this.lastStepTime = null;
+        this.loop.reset();
+    }
+
+    /**
+     * Подключить плагин
+     * @param {Plugin|Object} plugin - плагин с хуками init, preUpdate, postUpdate,
+     *     preRender, postRender, destroy
+     * @returns {Engine}
+     */
+    use(plugin) {
+        this.plugins.add(plugin);
+        return this;
+    }
+
+    /**
+     * Отключить плагин
+     * @param {Plugin|Object|string} pluginOrName - плагин или его имя
+     * @returns {boolean}
+     */
+    removePlugin(pluginOrName) {
+        return this.plugins.remove(pluginOrName);
+    }
+
+    /**
+     * Получить плагин по имени
+     * @param {string} name
+     * @returns {Plugin|Object|null}
+     */
+    getPlugin(name) {
+        return this.plugins.get(name);
+    }
+
+    /**
+     * Освободить ресурсы движка и отключить все плагины
+     */
+    destroy() {
+        this.plugins.clear();
+        while (this.sceneStack.length > 0) {
+            this._callSceneHook(this.sceneStack.pop(), 'onExit');
+        }
+        this.scenes = [];
+    }
+
+    /**
+     * Создать движок без браузера: ручные часы и заглушка контекста
+     * @param {Object} options - настройки как у конструктора, плюс width и height
+     * @returns {Engine}
+     *
+     * @example
+     * const engine = Engine.createHeadless({ width: 320, height: 240 });
+     * engine.addScene(scene);
+     * engine.runFrames(60);
+     */
+    static createHeadless(options = {}) {
+        const { width = 800, height = 600 } = options;
+        const canvas = createHeadlessCanvas(width, height, options.renderTarget);
+        return new Engine(canvas, {
+            ...options,
+            headless: true,
+            clock: options.clock || new ManualClock(),
+            renderTarget: canvas.getContext('2d')
+        });
     }
 }
@@ -0,0 +1,134 @@
+// Игровой цикл с фиксированным шагом обновления и интерполяцией отрисовки
+export const LoopMode = {
+    FIXED: 'fixed',
+    VARIABLE: 'variable',
+    SEMI_FIXED: 'semi-fixed'
+};
+
+export class GameLoop {
+    /**
+     * @param {Object} config - конфигурация цикла
+     * @param {string} config.mode - режим: 'fixed', 'variable' или 'semi-fixed'
+     * @param {number} config.updateRate - частота обновлений в секунду
+     * @param {number} config.maxSteps - максимум шагов обновления за кадр
+     * @param {number} config.maxFrameTime - максимальная учитываемая длительность кадра (мс)
+     */
+    constructor(config = {}) {
+        const {
+            mode = LoopMode.FIXED,
+            updateRate = 60,
+            maxSteps = 5,
+            maxFrameTime = 250
+        } = config;
+
+        if (!Object.values(LoopMode).includes(mode)) {
+            throw new Error(`Unknown loop mode "${mode}"`);
+        }
+
+        this.mode = mode;
+        this.maxSteps = maxSteps;
+        this.maxFrameTime = maxFrameTime;
+        this.setUpdateRate(updateRate);
+
+        // Накопитель времени для фиксированного шага
+        this.accumulator = 0;
+        // Коэффициент интерполяции между предыдущим и текущим состоянием (0-1)
+        this.alpha = 1;
+
+        // Статистика последнего кадра
+        this.stepsThisFrame = 0;
+        this.droppedTime = 0;
+
+        // Callbacks
+        this.onUpdate = null;
+        this.onRender = null;
+    }
+
+    /**
+     * Установить частоту обновлений
+     * @param {number} updateRate - обновлений в секунду
+     */
+    setUpdateRate(updateRate) {
+        if (typeof updateRate !== 'number' || updateRate <= 0) {
+            throw new RangeError('updateRate must be a positive number');
+        }
+        this.updateRate = updateRate;
+        this.fixedStep = 1000 / updateRate;
+    }
+
+    /**
+     * Сбросить накопленное время (например, после паузы)
+     */
+    reset() {
+        this.accumulator = 0;
+        this.alpha = 1;
+        this.stepsThisFrame = 0;
+        this.droppedTime = 0;
+    }
+
+    /**
+     * Обработать один кадр
+     * @param {number} frameTime - время с прошлого кадра (мс)
+     * @returns {number} - количество выполненных шагов обновления
+     */
+    tick(frameTime) {
+        // Долгий кадр (например, вкладка была в фоне) не превращается в один огромный шаг
+        const elapsed = Math.min(Math.max(frameTime, 0), this.maxFrameTime);
+        this.droppedTime = Math.max(frameTime, 0) - elapsed;
+        this.stepsThisFrame = 0;
+
+        switch (this.mode) {
+            case LoopMode.VARIABLE:
+                this._update(elapsed);
+                this.alpha = 1;
+                break;
+
+            case LoopMode.SEMI_FIXED: {
+                let remaining = elapsed;
+                while (remaining > 0 && this.stepsThisFrame < this.maxSteps) {
+                    const step = Math.min(remaining, this.fixedStep);
+                    this._update(step);
+                    remaining -= step;
+                }
+                this.droppedTime += remaining;
+                this.alpha = 1;
+                break;
+            }
+
+            default: {
+                this.accumulator += elapsed;
+                while (this.accumulator >= this.fixedStep && this.stepsThisFrame < this.maxSteps) {
+                    this._update(this.fixedStep);
+                    this.accumulator -= this.fixedStep;
+                }
+
+                // Упёрлись в лимит шагов: отбрасываем целые шаги, чтобы не копить отставание
+                if (this.accumulator >= this.fixedStep) {
+                    const remainder = this.accumulator % this.fixedStep;
+                    this.droppedTime += this.accumulator - remainder;
+                    this.accumulator = remainder;
+                }
+
+                this.alpha = this.accumulator / this.fixedStep;
+                break;
+            }
+        }
+
+        if (this.onRender) {
+            this.onRender(this.alpha);
+        }
+
+        return this.stepsThisFrame;
+    }
+
+    /**
+     * Выполнить один шаг обновления
+     * @private
+     */
+    _update(deltaTime) {
+        this.stepsThisFrame++;
+        if (this.onUpdate) {
+            this.onUpdate(deltaTime);
+        }
+    }
+}
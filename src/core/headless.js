@@ -0,0 +1,245 @@
+// Окружение для запуска движка без браузера (тесты, сервер)
+
+/**
+ * Часы с ручным управлением временем
+ */
+export class ManualClock {
+    /**
+     * @param {number} startTime - начальное время (мс)
+     */
+    constructor(startTime = 0) {
+        this.time = startTime;
+    }
+
+    /**
+     * Текущее время (мс)
+     * @returns {number}
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Сдвинуть время вперёд
+     * @param {number} ms - миллисекунды
+     * @returns {number} - новое время
+     */
+    advance(ms) {
+        if (typeof ms !== 'number' || Number.isNaN(ms) || ms < 0) {
+            throw new RangeError('ManualClock.advance expects a non-negative number');
+        }
+        this.time += ms;
+        return this.time;
+    }
+
+    /**
+     * Установить время
+     * @param {number} time - время (мс)
+     */
+    set(time) {
+        this.time = time;
+    }
+}
+
+// Свойства состояния 2D-контекста, которые сохраняются save()/restore()
+const STATE_PROPERTIES = {
+    globalAlpha: 1,
+    globalCompositeOperation: 'source-over',
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    lineWidth: 1,
+    lineCap: 'butt',
+    lineJoin: 'miter',
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    filter: 'none',
+    imageSmoothingEnabled: true
+};
+
+// Методы рисования, которые только записываются
+const DRAW_METHODS = [
+    'translate', 'rotate', 'scale', 'transform', 'setTransform', 'resetTransform',
+    'clearRect', 'fillRect', 'strokeRect',
+    'beginPath', 'closePath', 'moveTo', 'lineTo', 'arc', 'arcTo', 'rect', 'ellipse',
+    'quadraticCurveTo', 'bezierCurveTo', 'fill', 'stroke', 'clip',
+    'drawImage', 'fillText', 'strokeText', 'putImageData', 'setLineDash'
+];
+
+/**
+ * Заглушка CanvasRenderingContext2D, записывающая все вызовы
+ */
+export class StubContext {
+    /**
+     * @param {Object} canvas - владелец контекста ({width, height})
+     */
+    constructor(canvas = null) {
+        this.canvas = canvas;
+        this.calls = [];
+        this.recording = true;
+        this.stateStack = [];
+        Object.assign(this, STATE_PROPERTIES);
+    }
+
+    /**
+     * Записать вызов
+     * @private
+     */
+    _record(name, args) {
+        if (this.recording) {
+            this.calls.push({ name, args });
+        }
+    }
+
+    save() {
+        const state = {};
+        for (const key of Object.keys(STATE_PROPERTIES)) {
+            state[key] = this[key];
+        }
+        this.stateStack.push(state);
+        this._record('save', []);
+    }
+
+    restore() {
+        const state = this.stateStack.pop();
+        if (state) Object.assign(this, state);
+        this._record('restore', []);
+    }
+
+    measureText(text) {
+        const size = parseFloat(this.font) || 10;
+        return { width: String(text).length * size * 0.5 };
+    }
+
+    createLinearGradient(...args) {
+        this._record('createLinearGradient', args);
+        return { addColorStop() {} };
+    }
+
+    createRadialGradient(...args) {
+        this._record('createRadialGradient', args);
+        return { addColorStop() {} };
+    }
+
+    createPattern(...args) {
+        this._record('createPattern', args);
+        return {};
+    }
+
+    getImageData(x, y, width, height) {
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+
+    /**
+     * Получить записанные вызовы, опционально по имени метода
+     * @param {string} name
+     * @returns {Array}
+     */
+    getCalls(name = null) {
+        return name ? this.calls.filter(call => call.name === name) : [...this.calls];
+    }
+
+    /**
+     * Очистить журнал вызовов
+     */
+    clearCalls() {
+        this.calls = [];
+    }
+}
+
+DRAW_METHODS.forEach(name => {
+    StubContext.prototype[name] = function(...args) {
+        this._record(name, args);
+    };
+});
+
+/**
+ * Подменить глобальный OffscreenCanvas холстами со StubContext (тесты внеэкранной отрисовки)
+ * @returns {{created: Array<Object>, restore: Function}} - созданные холсты и отмена подмены
+ *
+ * @example
+ * const offscreen = stubOffscreenCanvas();
+ * tilemap.draw(ctx);
+ * offscreen.created[0].context.getCalls('drawImage');
+ * offscreen.restore();
+ */
+export function stubOffscreenCanvas() {
+    const created = [];
+    const hadPrevious = 'OffscreenCanvas' in globalThis;
+    const previous = globalThis.OffscreenCanvas;
+    globalThis.OffscreenCanvas = class {
+        constructor(width, height) {
+            this.width = width;
+            this.height = height;
+            this.context = new StubContext(this);
+            created.push(this);
+        }
+
+        getContext(type) {
+            return type === '2d' ? this.context : null;
+        }
+
+        convertToBlob({ type = 'image/png' } = {}) {
+            return Promise.resolve(new Blob([], { type }));
+        }
+    };
+    return {
+        created,
+        restore() {
+            if (hadPrevious) {
+                globalThis.OffscreenCanvas = previous;
+            } else {
+                delete globalThis.OffscreenCanvas;
+            }
+        }
+    };
+}
+
+/**
+ * Заглушка WebGLRenderingContext для тестов WebGL-бэкенда: константы возвращают свои имена,
+ * create* — новые объекты, остальные вызовы записываются в calls
+ * @returns {Object}
+ */
+export function createStubWebGL() {
+    const calls = [];
+    let nextId = 1;
+    const target = {
+        calls,
+        getShaderParameter: () => true,
+        getProgramParameter: () => true,
+        getAttribLocation: (program, name) => name,
+        getUniformLocation: (program, name) => name
+    };
+    return new Proxy(target, {
+        get(obj, key) {
+            if (key in obj) return obj[key];
+            if (typeof key === 'string' && /^[A-Z0-9_]+$/.test(key)) return key;
+            return (...args) => {
+                calls.push({ name: key, args });
+                return key.startsWith('create') ? { id: nextId++ } : null;
+            };
+        }
+    });
+}
+
+/**
+ * Создать объект, совместимый с canvas, для headless-режима
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} renderTarget - контекст, который вернёт getContext('2d')
+ * @returns {Object}
+ */
+export function createHeadlessCanvas(width = 800, height = 600, renderTarget = null) {
+    const canvas = {
+        width,
+        height,
+        style: {},
+        getContext(type) {
+            return type === '2d' ? context : null;
+        },
+        addEventListener() {},
+        removeEventListener() {}
+    };
+    const context = renderTarget || new StubContext(canvas);
+    return canvas;
+}
@@ -1,16 +1,28 @@
 // Управление мышью
 export class Mouse {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {ScaleManager} options.scaleManager - переводит положение указателя в логические координаты игры
+     */
+    constructor(canvas, options = {}) {
         if (!canvas) {
             throw new Error('canvas is null or undefined');
         }
 
         this.position = { x: 0, y: 0 };
         this.buttons = {};
+        this.scaleManager = options.scaleManager || null;
 
         const handleMouseMove = (e) => {
-            this.position.x = e.offsetX;
-            this.position.y = e.offsetY;
+            if (this.scaleManager) {
+                const point = this.scaleManager.eventToLogical(e);
+                this.position.x = point.x;
+                this.position.y = point.y;
+            } else {
+                this.position.x = e.offsetX;
+                this.position.y = e.offsetY;
+            }
         };
 
         const handleMouseDown = (e) => {
@@ -26,6 +38,14 @@ export class Mouse {
         canvas.addEventListener('mouseup', handleMouseUp);
     }
 
+    /**
+     * Считать положение в логических координатах игры (например, game.scale)
+     * @param {ScaleManager|null} scaleManager
+     */
+    setScaleManager(scaleManager) {
+        this.scaleManager = scaleManager;
+    }
+
     isButtonPressed(button) {
         if (this.buttons === null || typeof this.buttons !== 'object') {
             throw new Error('this.buttons is null or not an object');
@@ -37,4 +57,32 @@ export class Mouse {
 
         return !!this.buttons[button];
     }
+
+    /**
+     * Камера, над областью вывода которой находится указатель
+     * @param {Array<Camera>|Camera} cameras - камеры в порядке отрисовки (например, engine.cameras)
+     * @returns {Camera|null} - верхняя из подходящих включённых камер
+     */
+    getCamera(cameras) {
+        const list = Array.isArray(cameras) ? cameras : [cameras];
+        for (let i = list.length - 1; i >= 0; i--) {
+            const camera = list[i];
+            if (camera.enabled !== false && camera.containsScreenPoint(this.position.x, this.position.y)) {
+                return camera;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Положение указателя в мире камеры, над которой он находится
+     * @param {Array<Camera>|Camera} cameras
+     * @returns {{x: number, y: number, camera: Camera}|null} - null, если указатель вне областей вывода
+     */
+    getWorldPosition(cameras) {
+        const camera = this.getCamera(cameras);
+        if (!camera) return null;
+        const world = camera.screenToWorld(this.position.x, this.position.y);
+        return { x: world.x, y: world.y, camera };
+    }
 }
\ No newline at end of file
@@ -0,0 +1,235 @@
+// Оверлей производительности: FPS, график времени кадра и счётчики подсистем
+import { Plugin } from './plugin.js';
+import { createCanvas } from '../utils/canvas.js';
+
+const WIDTH = 220;
+const LINE_HEIGHT = 14;
+const PADDING = 6;
+const GRAPH_HEIGHT = 40;
+// Шкала графика: 50 мс — вся высота; линии бюджета 60 и 30 FPS
+const GRAPH_MAX_MS = 50;
+const BUDGETS = [1000 / 60, 1000 / 30];
+
+export class PerformanceOverlay extends Plugin {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.visible - показывать сразу
+     * @param {string} options.toggleKey - KeyboardEvent.code клавиши показа (null — без клавиши)
+     * @param {string} options.position - 'top-left', 'top-right', 'bottom-left' или 'bottom-right'
+     * @param {number} options.refreshInterval - период перерисовки панели (мс)
+     * @param {Profiler} options.profiler - по умолчанию профайлер движка
+     */
+    constructor(options = {}) {
+        super('performanceOverlay', 1000);
+        const {
+            visible = true,
+            toggleKey = 'Backquote',
+            position = 'top-left',
+            refreshInterval = 250,
+            profiler = null
+        } = options;
+        this.visible = visible;
+        this.toggleKey = toggleKey;
+        this.position = position;
+        this.refreshInterval = refreshInterval;
+        this.profiler = profiler;
+
+        // Дополнительные источники: имя -> ObjectPool, имя -> функция
+        this.pools = new Map();
+        this.counters = new Map();
+
+        this.canvas = null;
+        this.panelContext = null;
+        this.lastRefresh = -Infinity;
+        this._onKeyDown = (e) => {
+            if (e.code === this.toggleKey) this.toggle();
+        };
+    }
+
+    init(engine) {
+        if (!this.profiler) this.profiler = engine.profiler;
+        if (this.toggleKey && typeof window !== 'undefined') {
+            window.addEventListener('keydown', this._onKeyDown);
+        }
+    }
+
+    destroy() {
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('keydown', this._onKeyDown);
+        }
+        this.canvas = null;
+        this.panelContext = null;
+    }
+
+    show() { this.visible = true; }
+    hide() { this.visible = false; }
+    toggle() { this.visible = !this.visible; }
+
+    /**
+     * Показывать статистику пула (ObjectPool.getStats)
+     * @param {string} name
+     * @param {ObjectPool} pool
+     */
+    addPool(name, pool) {
+        this.pools.set(name, pool);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    removePool(name) {
+        return this.pools.delete(name);
+    }
+
+    /**
+     * Показывать собственное значение
+     * @param {string} name
+     * @param {Function} getValue - вызывается при обновлении панели
+     */
+    addCounter(name, getValue) {
+        this.counters.set(name, getValue);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    removeCounter(name) {
+        return this.counters.delete(name);
+    }
+
+    /**
+     * Текущие значения панели
+     * @returns {Object} - {fps, frameTime, update, render, entities, particles, timers,
+     *     drawCalls, pools, counters, frames}
+     */
+    getSnapshot() {
+        const engine = this.engine;
+        const profiler = this.profiler;
+        const frames = profiler ? profiler.history.map(frame => frame.duration) : [];
+        let entities = 0;
+        let particles = 0;
+        for (const scene of engine.sceneStack) {
+            if (!Array.isArray(scene.entities)) continue;
+            entities += scene.entities.length;
+            for (const entity of scene.entities) {
+                if (typeof entity.getParticleCount === 'function') particles += entity.getParticleCount();
+            }
+        }
+
+        const pools = {};
+        this.pools.forEach((pool, name) => { pools[name] = pool.getStats(); });
+        const counters = {};
+        this.counters.forEach((getValue, name) => {
+            try {
+                counters[name] = getValue();
+            } catch (e) {
+                console.error(`Error in performance counter "${name}":`, e);
+            }
+        });
+        const rendererStats = engine.renderer ? engine.renderer.stats : null;
+
+        return {
+            fps: profiler ? profiler.getFPS() : 0,
+            frameTime: frames.length > 0 ? frames[frames.length - 1] : 0,
+            update: profiler ? profiler.getFrameAverage('update') : 0,
+            render: profiler ? profiler.getFrameAverage('render') : 0,
+            entities,
+            particles,
+            timers: engine.timers ? engine.timers.getCount() : 0,
+            drawCalls: rendererStats ? rendererStats.drawCalls : null,
+            pools,
+            counters,
+            frames
+        };
+    }
+
+    postRender(context) {
+        if (!this.visible) return;
+        const now = this.profiler ? this.profiler.now() : 0;
+        if (!this.canvas || now - this.lastRefresh >= this.refreshInterval) {
+            this.lastRefresh = now;
+            this._redraw(this.getSnapshot(), context);
+        }
+
+        const { width, height } = this.canvas;
+        const screen = this.engine.canvas;
+        const x = this.position.endsWith('right') ? screen.width - width : 0;
+        const y = this.position.startsWith('bottom') ? screen.height - height : 0;
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.globalAlpha = 1;
+        context.globalCompositeOperation = 'source-over';
+        context.drawImage(this.canvas, x, y);
+        context.restore();
+    }
+
+    /**
+     * Перерисовать панель во внеэкранный холст
+     * @private
+     */
+    _redraw(snapshot, target) {
+        const lines = this._formatLines(snapshot);
+        const height = PADDING * 3 + lines.length * LINE_HEIGHT + GRAPH_HEIGHT;
+        if (!this.canvas) {
+            this.canvas = createCanvas(WIDTH, height);
+            this.panelContext = this.canvas.getContext('2d');
+        } else if (this.canvas.height !== height) {
+            if (typeof target.releaseTexture === 'function') target.releaseTexture(this.canvas);
+            this.canvas.height = height;
+        }
+
+        const ctx = this.panelContext;
+        ctx.clearRect(0, 0, WIDTH, height);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, WIDTH, height);
+        ctx.font = '11px monospace';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#ffffff';
+        lines.forEach((line, i) => ctx.fillText(line, PADDING, PADDING + i * LINE_HEIGHT));
+        this._drawGraph(ctx, snapshot.frames, PADDING * 2 + lines.length * LINE_HEIGHT);
+
+        if (typeof target.updateTexture === 'function') target.updateTexture(this.canvas);
+    }
+
+    /**
+     * @private
+     */
+    _formatLines(snapshot) {
+        const ms = value => `${value.toFixed(2)} ms`;
+        const lines = [
+            `FPS ${snapshot.fps.toFixed(1)}  frame ${ms(snapshot.frameTime)}`,
+            `update ${ms(snapshot.update)}  render ${ms(snapshot.render)}`,
+            `entities ${snapshot.entities}  particles ${snapshot.particles}`,
+            `timers ${snapshot.timers}  draw calls ${snapshot.drawCalls === null ? 'n/a' : snapshot.drawCalls}`
+        ];
+        for (const [name, stats] of Object.entries(snapshot.pools)) {
+            lines.push(`pool ${name} ${stats.active}/${stats.total}`);
+        }
+        for (const [name, value] of Object.entries(snapshot.counters)) {
+            lines.push(`${name} ${value}`);
+        }
+        return lines;
+    }
+
+    /**
+     * Столбцы времени последних кадров
+     * @private
+     */
+    _drawGraph(ctx, frames, top) {
+        const width = WIDTH - PADDING * 2;
+        const scale = GRAPH_HEIGHT / GRAPH_MAX_MS;
+        const count = Math.min(frames.length, width);
+        for (let i = 0; i < count; i++) {
+            const duration = frames[frames.length - count + i];
+            const barHeight = Math.min(GRAPH_HEIGHT, duration * scale);
+            ctx.fillStyle = duration <= BUDGETS[0] + 1 ? '#4caf50' : duration <= BUDGETS[1] + 1 ? '#ffc107' : '#f44336';
+            ctx.fillRect(PADDING + width - count + i, top + GRAPH_HEIGHT - barHeight, 1, barHeight);
+        }
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        for (const budget of BUDGETS) {
+            ctx.fillRect(PADDING, top + GRAPH_HEIGHT - budget * scale, width, 1);
+        }
+    }
+}
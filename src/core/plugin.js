@@ -0,0 +1,196 @@
+// Система плагинов движка
+const HOOKS = ['init', 'preUpdate', 'postUpdate', 'preRender', 'postRender', 'destroy'];
+
+/**
+ * Базовый класс плагина. Достаточно переопределить нужные хуки.
+ *
+ * @example
+ * class FpsCounter extends Plugin {
+ *   constructor() { super('fps', 100); this.frames = 0; }
+ *   postRender(ctx) { this.frames++; }
+ * }
+ * engine.use(new FpsCounter());
+ */
+export class Plugin {
+    /**
+     * @param {string} name - уникальное имя плагина
+     * @param {number} priority - порядок вызова (меньше — раньше)
+     */
+    constructor(name, priority = 0) {
+        this.name = name;
+        this.priority = priority;
+        this.enabled = true;
+        this.engine = null;
+    }
+
+    /** Камера движка */
+    get camera() {
+        return this.engine ? this.engine.camera : null;
+    }
+
+    /** Рендерер движка */
+    get renderer() {
+        return this.engine ? this.engine.renderer : null;
+    }
+
+    /** Конечный автомат игры */
+    get stateMachine() {
+        return this.engine ? this.engine.stateMachine : null;
+    }
+
+    /**
+     * Вызывается при подключении плагина
+     * @param {Engine} engine
+     */
+    init(engine) {}
+
+    /**
+     * Перед обновлением сцены
+     * @param {number} deltaTime
+     */
+    preUpdate(deltaTime) {}
+
+    /**
+     * После обновления сцены, камеры и таймеров
+     * @param {number} deltaTime
+     */
+    postUpdate(deltaTime) {}
+
+    /**
+     * Перед отрисовкой сцены (экранные координаты)
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} alpha - коэффициент интерполяции
+     */
+    preRender(context, alpha) {}
+
+    /**
+     * После отрисовки сцены (экранные координаты)
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} alpha - коэффициент интерполяции
+     */
+    postRender(context, alpha) {}
+
+    /**
+     * Вызывается при отключении плагина
+     * @param {Engine} engine
+     */
+    destroy(engine) {}
+}
+
+// Менеджер плагинов: порядок по приоритету, безопасное удаление во время вызова хуков
+export class PluginManager {
+    /**
+     * @param {Engine} engine - движок-владелец
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.plugins = [];
+        this.nextOrder = 0;
+    }
+
+    /**
+     * Подключить плагин
+     * @param {Plugin|Object} plugin - экземпляр Plugin или объект с хуками
+     * @returns {Plugin|Object}
+     */
+    add(plugin) {
+        if (plugin === null || typeof plugin !== 'object') {
+            throw new TypeError('Plugin must be an object');
+        }
+        if (!plugin.name || typeof plugin.name !== 'string') {
+            throw new TypeError('Plugin must have a name');
+        }
+        if (this.get(plugin.name)) {
+            throw new Error(`Plugin "${plugin.name}" is already registered`);
+        }
+
+        if (typeof plugin.priority !== 'number') plugin.priority = 0;
+        if (plugin.enabled === undefined) plugin.enabled = true;
+        plugin.engine = this.engine;
+
+        this.plugins.push({ plugin, order: this.nextOrder++ });
+        this.plugins.sort((a, b) => (a.plugin.priority - b.plugin.priority) || (a.order - b.order));
+
+        this._call(plugin, 'init', [this.engine]);
+        return plugin;
+    }
+
+    /**
+     * Отключить плагин
+     * @param {Plugin|Object|string} pluginOrName - плагин или его имя
+     * @returns {boolean} - был ли плагин удалён
+     */
+    remove(pluginOrName) {
+        const index = this.plugins.findIndex(entry =>
+            entry.plugin === pluginOrName || entry.plugin.name === pluginOrName
+        );
+        if (index === -1) return false;
+
+        const [{ plugin }] = this.plugins.splice(index, 1);
+        this._call(plugin, 'destroy', [this.engine]);
+        plugin.engine = null;
+        return true;
+    }
+
+    /**
+     * Получить плагин по имени
+     * @param {string} name
+     * @returns {Plugin|Object|null}
+     */
+    get(name) {
+        const entry = this.plugins.find(entry => entry.plugin.name === name);
+        return entry ? entry.plugin : null;
+    }
+
+    /**
+     * Изменить приоритет плагина
+     * @param {string} name
+     * @param {number} priority
+     */
+    setPriority(name, priority) {
+        const plugin = this.get(name);
+        if (!plugin) {
+            throw new Error(`Plugin "${name}" not found`);
+        }
+        plugin.priority = priority;
+        this.plugins.sort((a, b) => (a.plugin.priority - b.plugin.priority) || (a.order - b.order));
+    }
+
+    /**
+     * Вызвать хук у всех включённых плагинов
+     * @param {string} hook - имя хука
+     * @param {...any} args - аргументы
+     */
+    invoke(hook, ...args) {
+        if (!HOOKS.includes(hook)) {
+            throw new Error(`Unknown plugin hook "${hook}"`);
+        }
+
+        // Снимок списка: плагин может удалить себя или другой плагин прямо из хука
+        const entries = [...this.plugins];
+        for (const entry of entries) {
+            if (!this.plugins.includes(entry) || !entry.plugin.enabled) continue;
+            this._call(entry.plugin, hook, args);
+        }
+    }
+
+    /**
+     * Отключить все плагины
+     */
+    clear() {
+        [...this.plugins].reverse().forEach(entry => this.remove(entry.plugin));
+    }
+
+    /**
+     * Вызвать хук одного плагина
+     * @private
+     */
+    _call(plugin, hook, args) {
+        if (typeof plugin[hook] !== 'function') return;
+        try {
+            plugin[hook](...args);
+        } catch (error) {
+            console.error(`Error in plugin "${plugin.name}" hook "${hook}":`, error);
+        }
+    }
+}
@@ -0,0 +1,89 @@
+// Бэкенд рендеринга на CanvasRenderingContext2D
+import { RenderBackend, COMPOSITE_OPERATIONS } from './renderBackend.js';
+
+export class Canvas2DBackend extends RenderBackend {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {CanvasRenderingContext2D} options.context - готовый контекст (например, StubContext)
+     * @param {boolean} options.smoothing - сглаживание изображений
+     */
+    constructor(canvas, options = {}) {
+        super(canvas, options);
+        const context = options.context || canvas.getContext('2d');
+        if (!context) {
+            throw new Error('Cannot create Canvas2D context');
+        }
+        this.type = 'canvas2d';
+        this.context = context;
+        if (options.smoothing !== undefined) {
+            this.context.imageSmoothingEnabled = options.smoothing;
+        }
+    }
+
+    clear(color = this.clearColor) {
+        const ctx = this.context;
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.clearRect(0, 0, this.width, this.height);
+        if (color && color !== 'transparent') {
+            ctx.fillStyle = color;
+            ctx.fillRect(0, 0, this.width, this.height);
+        }
+        ctx.restore();
+    }
+
+    save() { this.context.save(); }
+    restore() { this.context.restore(); }
+    translate(x, y) { this.context.translate(x, y); }
+    rotate(angle) { this.context.rotate(angle); }
+    scale(x, y = x) { this.context.scale(x, y); }
+    transform(a, b, c, d, e, f) { this.context.transform(a, b, c, d, e, f); }
+    setTransform(a, b, c, d, e, f) { this.context.setTransform(a, b, c, d, e, f); }
+
+    setAlpha(alpha) {
+        this.context.globalAlpha = alpha;
+    }
+
+    setBlendMode(mode) {
+        const operation = COMPOSITE_OPERATIONS[mode];
+        if (!operation) {
+            throw new RangeError(`Unknown blend mode "${mode}"`);
+        }
+        this.context.globalCompositeOperation = operation;
+    }
+
+    drawImage(image, sx, sy, sw, sh, dx, dy, dw, dh) {
+        this.context.drawImage(image, sx, sy, sw, sh, dx, dy, dw, dh);
+    }
+
+    fillRect(x, y, width, height, color) {
+        this.context.fillStyle = color;
+        this.context.fillRect(x, y, width, height);
+    }
+
+    strokeRect(x, y, width, height, color, lineWidth = 1) {
+        this.context.strokeStyle = color;
+        this.context.lineWidth = lineWidth;
+        this.context.strokeRect(x, y, width, height);
+    }
+
+    fillCircle(x, y, radius, color) {
+        const ctx = this.context;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    strokeCircle(x, y, radius, color, lineWidth = 1) {
+        const ctx = this.context;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+}
@@ -0,0 +1,212 @@
+// Материалы: шейдерная программа и значения её uniform-переменных
+import { SPRITE_VERTEX_SHADER, SPRITE_FRAGMENT_SHADER } from './renderPipeline.js';
+import { loadText } from '../../utils/loader.js';
+
+// Фрагментные шейдеры встроенных эффектов (входят в сборку, загружать их не нужно)
+const EFFECT_SHADERS = {
+    // Растворение: пиксели исчезают по шуму с ростом u_progress, по краю светится u_edgeColor
+    dissolve: `
+precision mediump float;
+uniform sampler2D u_texture;
+uniform float u_progress;
+uniform float u_edgeWidth;
+uniform vec4 u_edgeColor;
+uniform float u_noiseScale;
+varying vec2 v_texCoord;
+varying vec4 v_color;
+
+float noise(vec2 p) {
+    return fract(sin(dot(floor(p), vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+void main() {
+    vec4 color = texture2D(u_texture, v_texCoord) * v_color;
+    float n = noise(v_texCoord * u_noiseScale);
+    if (n < u_progress) {
+        discard;
+    }
+    if (n < u_progress + u_edgeWidth) {
+        color.rgb = u_edgeColor.rgb;
+        color.a *= u_edgeColor.a;
+    }
+    gl_FragColor = color;
+}`,
+
+    // Вспышка (например, белая при попадании): цвет смешивается с u_flashColor на u_amount
+    flash: `
+precision mediump float;
+uniform sampler2D u_texture;
+uniform vec4 u_flashColor;
+uniform float u_amount;
+varying vec2 v_texCoord;
+varying vec4 v_color;
+void main() {
+    vec4 color = texture2D(u_texture, v_texCoord) * v_color;
+    color.rgb = mix(color.rgb, u_flashColor.rgb, u_amount * u_flashColor.a);
+    gl_FragColor = color;
+}`,
+
+    // Обводка: прозрачные пиксели рядом с непрозрачными закрашиваются u_outlineColor
+    outline: `
+precision mediump float;
+uniform sampler2D u_texture;
+uniform vec2 u_textureSize;
+uniform vec4 u_outlineColor;
+uniform float u_outlineWidth;
+varying vec2 v_texCoord;
+varying vec4 v_color;
+void main() {
+    vec4 color = texture2D(u_texture, v_texCoord) * v_color;
+    vec2 texel = u_outlineWidth / u_textureSize;
+    float neighbours = texture2D(u_texture, v_texCoord + vec2(texel.x, 0.0)).a
+        + texture2D(u_texture, v_texCoord - vec2(texel.x, 0.0)).a
+        + texture2D(u_texture, v_texCoord + vec2(0.0, texel.y)).a
+        + texture2D(u_texture, v_texCoord - vec2(0.0, texel.y)).a;
+    if (color.a < 0.5 && neighbours > 0.0) {
+        color = vec4(u_outlineColor.rgb, u_outlineColor.a * v_color.a);
+    }
+    gl_FragColor = color;
+}`
+};
+
+// Значения uniform по умолчанию для встроенных эффектов
+export const MaterialEffects = {
+    dissolve: { u_progress: 0, u_edgeWidth: 0.05, u_edgeColor: '#ffaa00', u_noiseScale: 64 },
+    flash: { u_flashColor: '#ffffff', u_amount: 0 },
+    outline: { u_outlineColor: '#ffffff', u_outlineWidth: 1 }
+};
+
+// Загруженные исходники шейдеров по URL
+const sourceCache = new Map();
+
+let nextMaterialId = 1;
+
+export class Material {
+    /**
+     * @param {string} name - имя (для сообщений об ошибках)
+     * @param {Object} options
+     * @param {string} options.vertex - исходник вершинного шейдера (по умолчанию спрайтовый)
+     * @param {string} options.fragment - исходник фрагментного шейдера
+     * @param {Object} options.uniforms - значения uniform-переменных: числа, массивы,
+     *     цвета (строки CSS), логические значения и изображения (текстуры)
+     */
+    constructor(name, options = {}) {
+        const { vertex = SPRITE_VERTEX_SHADER, fragment = SPRITE_FRAGMENT_SHADER, uniforms = {} } = options;
+        this.id = nextMaterialId++;
+        this.name = name;
+        // Исходники и скомпилированные программы общие для клонов
+        this.shader = { vertex, fragment, programs: new Map() };
+        this.uniforms = { ...uniforms };
+    }
+
+    /**
+     * Установить значение uniform-переменной
+     * @param {string} name - имя в шейдере, например 'u_amount'
+     * @param {*} value
+     * @returns {Material}
+     */
+    setUniform(name, value) {
+        this.uniforms[name] = value;
+        return this;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {*}
+     */
+    getUniform(name) {
+        return this.uniforms[name];
+    }
+
+    /**
+     * Копия с теми же шейдерами и собственными значениями uniform
+     * (например, своя вспышка для каждого врага)
+     * @param {Object} uniforms - значения поверх скопированных
+     * @returns {Material}
+     */
+    clone(uniforms = {}) {
+        const material = new Material(this.name);
+        material.shader = this.shader;
+        material.uniforms = { ...this.uniforms, ...uniforms };
+        return material;
+    }
+
+    /**
+     * Скомпилированная программа для пайплайна (компилируется при первом обращении)
+     * @param {RenderPipeline} pipeline
+     * @returns {Object} - описание программы из RenderPipeline.createShader
+     */
+    getProgram(pipeline) {
+        let program = this.shader.programs.get(pipeline);
+        if (!program) {
+            program = pipeline.createShader(this.name, this.shader.vertex, this.shader.fragment);
+            this.shader.programs.set(pipeline, program);
+        }
+        return program;
+    }
+
+    /**
+     * Освободить программы
+     */
+    destroy() {
+        for (const [pipeline, program] of this.shader.programs) {
+            pipeline.gl.deleteProgram(program.program);
+        }
+        this.shader.programs.clear();
+    }
+
+    /**
+     * Загрузить материал из файлов .vert/.frag
+     * @param {string} name
+     * @param {Object} options
+     * @param {string} options.vertex - URL вершинного шейдера (по умолчанию встроенный спрайтовый)
+     * @param {string} options.fragment - URL фрагментного шейдера (по умолчанию встроенный спрайтовый)
+     * @param {Object} options.uniforms
+     * @returns {Promise<Material>}
+     */
+    static async load(name, options = {}) {
+        const { vertex = null, fragment = null, uniforms = {} } = options;
+        const [vertexSource, fragmentSource] = await Promise.all([
+            vertex ? loadShaderSource(vertex) : SPRITE_VERTEX_SHADER,
+            fragment ? loadShaderSource(fragment) : SPRITE_FRAGMENT_SHADER
+        ]);
+        return new Material(name, { vertex: vertexSource, fragment: fragmentSource, uniforms });
+    }
+
+    /**
+     * Встроенный эффект: 'dissolve', 'flash' или 'outline'. Шейдеры уже в сборке, промис
+     * оставлен для совместимости с load()
+     * @param {string} effect
+     * @param {Object} uniforms - значения поверх значений по умолчанию
+     * @returns {Promise<Material>}
+     *
+     * @example
+     * const flash = await Material.effect('flash');
+     * enemy.sprite.setMaterial(flash.clone({ u_amount: 1 }));
+     */
+    static effect(effect, uniforms = {}) {
+        if (!MaterialEffects[effect]) {
+            throw new RangeError(`Unknown material effect "${effect}"`);
+        }
+        return Promise.resolve(new Material(effect, {
+            fragment: EFFECT_SHADERS[effect],
+            uniforms: { ...MaterialEffects[effect], ...uniforms }
+        }));
+    }
+}
+
+/**
+ * Загрузить исходник шейдера (с кэшем по URL)
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+export function loadShaderSource(url) {
+    if (!sourceCache.has(url)) {
+        const promise = loadText(url).catch(error => {
+            sourceCache.delete(url);
+            throw error;
+        });
+        sourceCache.set(url, promise);
+    }
+    return sourceCache.get(url);
+}
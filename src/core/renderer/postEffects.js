@@ -0,0 +1,431 @@
+// Встроенные эффекты постобработки: шейдер для WebGL и запасной вариант для Canvas2D
+import { PostEffect } from './postProcess.js';
+import { createCanvas } from '../../utils/canvas.js';
+
+// Общее начало фрагментных шейдеров эффектов
+const HEADER = `
+precision mediump float;
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;
+uniform float u_time;
+varying vec2 v_texCoord;
+`;
+
+/**
+ * Свечение ярких участков: выделение по порогу, размытие и сложение с кадром
+ */
+export class BloomEffect extends PostEffect {
+    /**
+     * @param {Object} params
+     * @param {number} params.threshold - яркость, с которой начинается свечение (0..1)
+     * @param {number} params.intensity - сила свечения
+     * @param {number} params.radius - радиус размытия в пикселях
+     */
+    constructor(params = {}) {
+        super('bloom', { threshold: 0.7, intensity: 1, radius: 4 }, params);
+    }
+
+    get fragmentShader() {
+        return `${HEADER}
+uniform float u_threshold;
+uniform float u_intensity;
+uniform float u_radius;
+
+vec3 bright(vec2 uv) {
+    vec3 color = texture2D(u_texture, uv).rgb;
+    float luma = dot(color, vec3(0.299, 0.587, 0.114));
+    return color * smoothstep(u_threshold, u_threshold + 0.1, luma);
+}
+
+void main() {
+    vec4 base = texture2D(u_texture, v_texCoord);
+    vec2 step = u_radius / u_resolution;
+    vec3 glow = vec3(0.0);
+    float total = 0.0;
+    for (int x = -2; x <= 2; x++) {
+        for (int y = -2; y <= 2; y++) {
+            float weight = 1.0 / (1.0 + float(x * x + y * y));
+            glow += bright(v_texCoord + vec2(float(x), float(y)) * step * 0.5) * weight;
+            total += weight;
+        }
+    }
+    gl_FragColor = vec4(base.rgb + glow / total * u_intensity, base.a);
+}`;
+    }
+
+    getUniforms() {
+        const { threshold, intensity, radius } = this.params;
+        return { u_threshold: threshold, u_intensity: intensity, u_radius: radius };
+    }
+
+    applyCanvas(ctx, source, width, height, getScratch) {
+        const { threshold, intensity, radius } = this.params;
+        // Порог приближённо: затемнение и повышение контраста оставляют только яркие участки
+        const glow = getScratch(0);
+        const glowCtx = glow.getContext('2d');
+        glowCtx.filter = `brightness(${1 - threshold}) contrast(${1 + threshold * 4}) blur(${radius}px)`;
+        glowCtx.drawImage(source, 0, 0);
+        glowCtx.filter = 'none';
+
+        ctx.drawImage(source, 0, 0);
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.globalAlpha = Math.min(1, intensity);
+        ctx.drawImage(glow, 0, 0);
+    }
+}
+
+/**
+ * Затемнение краёв кадра
+ */
+export class VignetteEffect extends PostEffect {
+    /**
+     * @param {Object} params
+     * @param {number} params.intensity - непрозрачность затемнения (0..1)
+     * @param {number} params.radius - радиус незатемнённой области (доля половины диагонали)
+     * @param {number} params.softness - ширина перехода
+     * @param {string} params.color - цвет затемнения
+     */
+    constructor(params = {}) {
+        super('vignette', { intensity: 0.5, radius: 0.75, softness: 0.45, color: '#000000' }, params);
+    }
+
+    get fragmentShader() {
+        return `${HEADER}
+uniform float u_intensity;
+uniform float u_radius;
+uniform float u_softness;
+uniform vec4 u_color;
+
+void main() {
+    vec4 base = texture2D(u_texture, v_texCoord);
+    float distance = length(v_texCoord - 0.5) * 1.4142;
+    float amount = smoothstep(u_radius - u_softness, u_radius, distance) * u_intensity;
+    gl_FragColor = vec4(mix(base.rgb, u_color.rgb, amount), base.a);
+}`;
+    }
+
+    getUniforms() {
+        const { intensity, radius, softness, color } = this.params;
+        return { u_intensity: intensity, u_radius: radius, u_softness: softness, u_color: color };
+    }
+
+    applyCanvas(ctx, source, width, height) {
+        const { intensity, radius, softness, color } = this.params;
+        const diagonal = Math.sqrt(width * width + height * height) / 2;
+        const gradient = ctx.createRadialGradient(
+            width / 2, height / 2, Math.max(0, radius - softness) * diagonal,
+            width / 2, height / 2, Math.max(0.001, radius) * diagonal
+        );
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(1, color);
+
+        ctx.drawImage(source, 0, 0);
+        ctx.globalAlpha = intensity;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+    }
+}
+
+/**
+ * Эффект ЭЛТ-монитора: искривление экрана, строки развёртки и шум
+ */
+export class CRTEffect extends PostEffect {
+    /**
+     * @param {Object} params
+     * @param {number} params.curvature - сила искривления (0 — плоский экран)
+     * @param {number} params.scanlines - затемнение строк развёртки (0..1)
+     * @param {number} params.lineHeight - высота строки развёртки в пикселях
+     * @param {number} params.noise - сила шума (0..1)
+     */
+    constructor(params = {}) {
+        super('crt', { curvature: 0.1, scanlines: 0.3, lineHeight: 2, noise: 0.05 }, params);
+    }
+
+    get fragmentShader() {
+        return `${HEADER}
+uniform float u_curvature;
+uniform float u_scanlines;
+uniform float u_lineHeight;
+uniform float u_noise;
+
+float random(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+void main() {
+    vec2 centered = v_texCoord * 2.0 - 1.0;
+    centered *= 1.0 + u_curvature * dot(centered.yx, centered.yx) * 0.25;
+    vec2 uv = centered * 0.5 + 0.5;
+    if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+    }
+    vec4 base = texture2D(u_texture, uv);
+    float row = floor(uv.y * u_resolution.y / max(u_lineHeight, 1.0));
+    float line = mod(row, 2.0) * u_scanlines;
+    float grain = (random(uv + fract(u_time)) - 0.5) * u_noise;
+    gl_FragColor = vec4(base.rgb * (1.0 - line) + grain, base.a);
+}`;
+    }
+
+    getUniforms() {
+        const { curvature, scanlines, lineHeight, noise } = this.params;
+        return { u_curvature: curvature, u_scanlines: scanlines, u_lineHeight: lineHeight, u_noise: noise };
+    }
+
+    // Искривление и шум в Canvas2D не поддерживаются
+    applyCanvas(ctx, source, width, height) {
+        const { scanlines, lineHeight } = this.params;
+        const step = Math.max(1, Math.round(lineHeight));
+        ctx.drawImage(source, 0, 0);
+        ctx.fillStyle = `rgba(0, 0, 0, ${scanlines})`;
+        for (let y = step; y < height; y += step * 2) {
+            ctx.fillRect(0, y, width, step);
+        }
+    }
+}
+
+/**
+ * Хроматическая аберрация: красный и синий каналы смещены в разные стороны
+ */
+export class ChromaticAberrationEffect extends PostEffect {
+    /**
+     * @param {Object} params
+     * @param {number} params.offset - смещение каналов в пикселях
+     * @param {number} params.angle - направление смещения (радианы)
+     */
+    constructor(params = {}) {
+        super('chromaticAberration', { offset: 2, angle: 0 }, params);
+    }
+
+    get fragmentShader() {
+        return `${HEADER}
+uniform vec2 u_offset;
+
+void main() {
+    vec2 shift = u_offset / u_resolution;
+    vec4 base = texture2D(u_texture, v_texCoord);
+    float r = texture2D(u_texture, v_texCoord + shift).r;
+    float b = texture2D(u_texture, v_texCoord - shift).b;
+    gl_FragColor = vec4(r, base.g, b, base.a);
+}`;
+    }
+
+    getUniforms() {
+        const { offset, angle } = this.params;
+        // Ось Y текстуры направлена вверх
+        return { u_offset: [Math.cos(angle) * offset, -Math.sin(angle) * offset] };
+    }
+
+    applyCanvas(ctx, source, width, height, getScratch) {
+        const { offset, angle } = this.params;
+        const dx = Math.cos(angle) * offset;
+        const dy = Math.sin(angle) * offset;
+        const channels = [['#ff0000', -dx, -dy], ['#00ff00', 0, 0], ['#0000ff', dx, dy]];
+
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, width, height);
+        ctx.globalCompositeOperation = 'lighter';
+        channels.forEach(([color, x, y], i) => {
+            // Канал выделяется умножением кадра на чистый цвет
+            const channel = getScratch(i);
+            const channelCtx = channel.getContext('2d');
+            channelCtx.globalCompositeOperation = 'source-over';
+            channelCtx.drawImage(source, 0, 0);
+            channelCtx.globalCompositeOperation = 'multiply';
+            channelCtx.fillStyle = color;
+            channelCtx.fillRect(0, 0, width, height);
+            channelCtx.globalCompositeOperation = 'source-over';
+            ctx.drawImage(channel, x, y);
+        });
+        // Вернуть исходную прозрачность
+        ctx.globalCompositeOperation = 'destination-in';
+        ctx.drawImage(source, 0, 0);
+    }
+}
+
+/**
+ * Цветокоррекция по LUT: полоса из size квадратов size×size
+ * (ширина size*size, высота size; синий канал выбирает квадрат)
+ */
+export class ColorGradingEffect extends PostEffect {
+    /**
+     * @param {Object} params
+     * @param {HTMLImageElement|HTMLCanvasElement} params.lut - изображение таблицы
+     * @param {number} params.size - размер таблицы по каждому каналу (обычно 16 или 32)
+     * @param {number} params.intensity - доля скорректированного цвета (0..1)
+     */
+    constructor(params = {}) {
+        super('colorGrading', { lut: null, size: 16, intensity: 1 }, params);
+        // Пиксели LUT для Canvas2D (читаются один раз на изображение)
+        this.lutData = null;
+        this.lutSource = null;
+    }
+
+    get fragmentShader() {
+        return `${HEADER}
+uniform sampler2D u_lut;
+uniform float u_size;
+uniform float u_intensity;
+
+vec3 lookup(float slice, vec2 rg) {
+    vec2 uv = vec2((slice * u_size + 0.5 + rg.x * (u_size - 1.0)) / (u_size * u_size),
+                   (0.5 + rg.y * (u_size - 1.0)) / u_size);
+    return texture2D(u_lut, uv).rgb;
+}
+
+void main() {
+    vec4 base = texture2D(u_texture, v_texCoord);
+    float blue = base.b * (u_size - 1.0);
+    float slice = floor(blue);
+    vec3 graded = mix(lookup(slice, base.rg), lookup(min(slice + 1.0, u_size - 1.0), base.rg), blue - slice);
+    gl_FragColor = vec4(mix(base.rgb, graded, u_intensity), base.a);
+}`;
+    }
+
+    // Без LUT эффект пропускает кадр без изменений
+    getUniforms() {
+        const { lut, size, intensity } = this.params;
+        return { u_lut: lut, u_size: size, u_intensity: lut ? intensity : 0 };
+    }
+
+    applyCanvas(ctx, source, width, height) {
+        const { lut, size, intensity } = this.params;
+        ctx.drawImage(source, 0, 0);
+        if (!lut || intensity <= 0) return;
+
+        const table = this._getLutData(lut, size);
+        const image = ctx.getImageData(0, 0, width, height);
+        const data = image.data;
+        const max = size - 1;
+        const rowWidth = size * size;
+        for (let i = 0; i < data.length; i += 4) {
+            // Ближайшая ячейка таблицы
+            const r = Math.round(data[i] / 255 * max);
+            const g = Math.round(data[i + 1] / 255 * max);
+            const b = Math.round(data[i + 2] / 255 * max);
+            const index = (g * rowWidth + b * size + r) * 4;
+            data[i] += (table[index] - data[i]) * intensity;
+            data[i + 1] += (table[index + 1] - data[i + 1]) * intensity;
+            data[i + 2] += (table[index + 2] - data[i + 2]) * intensity;
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    /**
+     * @private
+     */
+    _getLutData(lut, size) {
+        if (this.lutSource !== lut) {
+            const canvas = createCanvas(size * size, size);
+            const lutCtx = canvas.getContext('2d');
+            lutCtx.drawImage(lut, 0, 0, size * size, size);
+            this.lutData = lutCtx.getImageData(0, 0, size * size, size).data;
+            this.lutSource = lut;
+        }
+        return this.lutData;
+    }
+}
+
+/**
+ * Перевод в оттенки серого
+ */
+export class GrayscaleEffect extends PostEffect {
+    /**
+     * @param {Object} params
+     * @param {number} params.amount - доля серого (0..1)
+     */
+    constructor(params = {}) {
+        super('grayscale', { amount: 1 }, params);
+    }
+
+    get fragmentShader() {
+        return `${HEADER}
+uniform float u_amount;
+
+void main() {
+    vec4 base = texture2D(u_texture, v_texCoord);
+    float luma = dot(base.rgb, vec3(0.299, 0.587, 0.114));
+    gl_FragColor = vec4(mix(base.rgb, vec3(luma), u_amount), base.a);
+}`;
+    }
+
+    getUniforms() {
+        return { u_amount: this.params.amount };
+    }
+
+    applyCanvas(ctx, source) {
+        ctx.filter = `grayscale(${this.params.amount})`;
+        ctx.drawImage(source, 0, 0);
+        ctx.filter = 'none';
+    }
+}
+
+/**
+ * Пикселизация кадра
+ */
+export class PixelateEffect extends PostEffect {
+    /**
+     * @param {Object} params
+     * @param {number} params.size - размер «пикселя» в пикселях холста
+     */
+    constructor(params = {}) {
+        super('pixelate', { size: 4 }, params);
+    }
+
+    get fragmentShader() {
+        return `${HEADER}
+uniform float u_size;
+
+void main() {
+    vec2 cell = max(u_size, 1.0) / u_resolution;
+    vec2 uv = (floor(v_texCoord / cell) + 0.5) * cell;
+    gl_FragColor = texture2D(u_texture, uv);
+}`;
+    }
+
+    getUniforms() {
+        return { u_size: this.params.size };
+    }
+
+    applyCanvas(ctx, source, width, height, getScratch) {
+        const size = Math.max(1, this.params.size);
+        const smallWidth = Math.max(1, Math.ceil(width / size));
+        const smallHeight = Math.max(1, Math.ceil(height / size));
+        const small = getScratch(0);
+        const smallCtx = small.getContext('2d');
+        smallCtx.imageSmoothingEnabled = false;
+        smallCtx.drawImage(source, 0, 0, smallWidth, smallHeight);
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(small, 0, 0, smallWidth, smallHeight, 0, 0, smallWidth * size, smallHeight * size);
+    }
+}
+
+// Типы эффектов для createPostEffect
+export const PostEffects = {
+    bloom: BloomEffect,
+    vignette: VignetteEffect,
+    crt: CRTEffect,
+    chromaticAberration: ChromaticAberrationEffect,
+    colorGrading: ColorGradingEffect,
+    grayscale: GrayscaleEffect,
+    pixelate: PixelateEffect
+};
+
+/**
+ * Создать встроенный эффект по имени типа
+ * @param {string} type - ключ PostEffects
+ * @param {Object} params
+ * @returns {PostEffect}
+ *
+ * @example
+ * renderer.postProcess.add(createPostEffect('vignette', { intensity: 0.6 }));
+ */
+export function createPostEffect(type, params = {}) {
+    const EffectClass = PostEffects[type];
+    if (!EffectClass) {
+        throw new RangeError(`Unknown post effect "${type}"`);
+    }
+    return new EffectClass(params);
+}
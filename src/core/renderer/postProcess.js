@@ -0,0 +1,461 @@
+// Постобработка: кадр рисуется во внеэкранную цель и проходит цепочку эффектов
+import { createProgram } from './webgl.js';
+import { getEasing } from '../../utils/easing.js';
+import { createCanvas } from '../../utils/canvas.js';
+
+// Полноэкранный прямоугольник: a_position в clip space, текстурные координаты из него
+export const FULLSCREEN_VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_texCoord;
+void main() {
+    v_texCoord = a_position * 0.5 + 0.5;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+/**
+ * Базовый класс эффекта. Наследники задают fragmentShader (WebGL),
+ * getUniforms() и applyCanvas() (запасной вариант для Canvas2D).
+ */
+export class PostEffect {
+    /**
+     * @param {string} name - имя эффекта в стеке
+     * @param {Object} defaults - параметры по умолчанию
+     * @param {Object} params - параметры поверх значений по умолчанию
+     */
+    constructor(name, defaults = {}, params = {}) {
+        this.name = params.name || name;
+        this.enabled = params.enabled !== undefined ? params.enabled : true;
+        this.params = { ...defaults };
+        Object.keys(defaults).forEach(key => {
+            if (params[key] !== undefined) this.params[key] = params[key];
+        });
+        // Анимации параметров: имя -> { from, to, duration, elapsed, easing, resolve }
+        this.tweens = new Map();
+    }
+
+    /**
+     * Фрагментный шейдер: получает u_texture, u_resolution, u_time и uniform из getUniforms()
+     * @returns {string}
+     */
+    get fragmentShader() {
+        return null;
+    }
+
+    /**
+     * Задать параметр; идущая анимация параметра прерывается, её промис выполняется
+     * @param {string} name
+     * @param {*} value
+     * @returns {PostEffect}
+     */
+    set(name, value) {
+        if (!(name in this.params)) {
+            throw new Error(`Effect "${this.name}" has no parameter "${name}"`);
+        }
+        const tween = this.tweens.get(name);
+        if (tween) {
+            this.tweens.delete(name);
+            tween.resolve();
+        }
+        this.params[name] = value;
+        return this;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {*}
+     */
+    get(name) {
+        return this.params[name];
+    }
+
+    /**
+     * Плавно изменить числовой параметр
+     * @param {string} name
+     * @param {number} to - конечное значение
+     * @param {number} duration - длительность (мс)
+     * @param {string|Function} easing - имя из Easing или функция
+     * @returns {Promise} - выполняется по окончании анимации
+     */
+    animate(name, to, duration, easing = 'linear') {
+        if (typeof this.params[name] !== 'number') {
+            throw new Error(`Effect parameter "${name}" is not numeric`);
+        }
+        const previous = this.tweens.get(name);
+        if (previous) previous.resolve();
+        if (!(duration > 0)) {
+            this.set(name, to);
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            this.tweens.set(name, {
+                from: this.params[name], to, duration, elapsed: 0, easing: getEasing(easing), resolve
+            });
+        });
+    }
+
+    /**
+     * Продвинуть анимации параметров
+     * @param {number} deltaTime - мс
+     */
+    update(deltaTime) {
+        for (const [name, tween] of this.tweens) {
+            tween.elapsed = Math.min(tween.duration, tween.elapsed + deltaTime);
+            const t = tween.easing(tween.elapsed / tween.duration);
+            this.params[name] = tween.from + (tween.to - tween.from) * t;
+            if (tween.elapsed >= tween.duration) {
+                this.tweens.delete(name);
+                tween.resolve();
+            }
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isAnimating() {
+        return this.tweens.size > 0;
+    }
+
+    /**
+     * Значения uniform для шейдера
+     * @param {number} width
+     * @param {number} height
+     * @returns {Object}
+     */
+    getUniforms(width, height) {
+        return {};
+    }
+
+    /**
+     * Запасной вариант для Canvas2D: нарисовать source в ctx с эффектом
+     * @param {CanvasRenderingContext2D} ctx - цель (очищена)
+     * @param {HTMLCanvasElement} source - исходный кадр
+     * @param {number} width
+     * @param {number} height
+     * @param {Function} getScratch - getScratch(index) возвращает вспомогательный холст того же размера
+     */
+    applyCanvas(ctx, source, width, height, getScratch) {
+        ctx.drawImage(source, 0, 0);
+    }
+}
+
+export class PostProcessStack {
+    /**
+     * @param {Renderer} renderer
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.effects = [];
+        this.time = 0;
+
+        // Ресурсы WebGL: две цели для пинг-понга, программы эффектов, буфер прямоугольника
+        this.targets = [];
+        this.programs = new Map();
+        this.quadBuffer = null;
+        this.active = false;
+
+        // Холсты Canvas2D
+        this.canvases = [];
+        this.scratch = [];
+    }
+
+    /**
+     * Добавить эффект в конец цепочки (или на позицию index)
+     * @param {PostEffect} effect
+     * @param {number} index
+     * @returns {PostEffect}
+     */
+    add(effect, index = this.effects.length) {
+        if (!(effect instanceof PostEffect)) {
+            throw new TypeError('Post-processing effect must extend PostEffect');
+        }
+        if (this.get(effect.name)) {
+            throw new Error(`Effect "${effect.name}" is already in the stack`);
+        }
+        this.effects.splice(index, 0, effect);
+        return effect;
+    }
+
+    /**
+     * @param {PostEffect|string} effectOrName
+     * @returns {boolean}
+     */
+    remove(effectOrName) {
+        const index = this.effects.findIndex(e => e === effectOrName || e.name === effectOrName);
+        if (index === -1) return false;
+        const [effect] = this.effects.splice(index, 1);
+        this._deleteProgram(effect);
+        return true;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {PostEffect|null}
+     */
+    get(name) {
+        return this.effects.find(e => e.name === name) || null;
+    }
+
+    /**
+     * Переместить эффект в цепочке
+     * @param {string} name
+     * @param {number} index
+     */
+    move(name, index) {
+        const effect = this.get(name);
+        if (!effect) throw new Error(`Effect "${name}" is not in the stack`);
+        this.effects.splice(this.effects.indexOf(effect), 1);
+        this.effects.splice(index, 0, effect);
+    }
+
+    /**
+     * Включить или выключить эффект
+     * @param {string} name
+     * @param {boolean} enabled
+     */
+    setEnabled(name, enabled) {
+        const effect = this.get(name);
+        if (!effect) throw new Error(`Effect "${name}" is not in the stack`);
+        effect.enabled = enabled;
+    }
+
+    /**
+     * @returns {Array<PostEffect>} - включённые эффекты по порядку
+     */
+    getEnabledEffects() {
+        return this.effects.filter(effect => effect.enabled);
+    }
+
+    /**
+     * Продвинуть анимации параметров
+     * @param {number} deltaTime - мс
+     */
+    update(deltaTime) {
+        this.effects.forEach(effect => effect.update(deltaTime));
+    }
+
+    /**
+     * Начать кадр: для WebGL перенаправить отрисовку во внеэкранную цель
+     * @param {number} time - мс
+     */
+    begin(time = 0) {
+        this.time = time;
+        this.active = this.getEnabledEffects().length > 0;
+        if (!this.active || this.renderer.type !== 'webgl') return;
+
+        const backend = this.renderer.backend;
+        const gl = backend.gl;
+        backend.flush();
+        this._ensureTargets(gl, backend.width, backend.height);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.targets[0].framebuffer);
+        backend.clear();
+    }
+
+    /**
+     * Завершить кадр: прогнать кадр через включённые эффекты на экран
+     */
+    end() {
+        if (!this.active) return;
+        this.active = false;
+        if (this.renderer.type === 'webgl') {
+            this._endWebGL();
+        } else {
+            this._endCanvas();
+        }
+    }
+
+    /**
+     * Освободить ресурсы
+     */
+    destroy() {
+        const gl = this.renderer.gl;
+        if (gl) {
+            this.targets.forEach(target => {
+                gl.deleteFramebuffer(target.framebuffer);
+                gl.deleteTexture(target.texture);
+            });
+            this.effects.forEach(effect => this._deleteProgram(effect));
+            if (this.quadBuffer) gl.deleteBuffer(this.quadBuffer);
+        }
+        this.targets = [];
+        this.quadBuffer = null;
+        this.canvases = [];
+        this.scratch = [];
+    }
+
+    /**
+     * @private
+     */
+    _endWebGL() {
+        const backend = this.renderer.backend;
+        const gl = backend.gl;
+        const pipeline = backend.pipeline;
+        const effects = this.getEnabledEffects();
+        const { width, height } = backend;
+
+        backend.flush();
+        gl.disable(gl.BLEND);
+        gl.disable(gl.SCISSOR_TEST);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+
+        let source = this.targets[0];
+        effects.forEach((effect, i) => {
+            const last = i === effects.length - 1;
+            const output = last ? null : this.targets[(this.targets.indexOf(source) + 1) % 2];
+            gl.bindFramebuffer(gl.FRAMEBUFFER, output ? output.framebuffer : null);
+            gl.viewport(0, 0, width, height);
+
+            const shader = this._getProgram(effect, pipeline);
+            gl.useProgram(shader.program);
+            gl.enableVertexAttribArray(shader.attributes.position);
+            gl.vertexAttribPointer(shader.attributes.position, 2, gl.FLOAT, false, 0, 0);
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, source.texture);
+            gl.uniform1i(shader.uniforms.texture, 0);
+            gl.uniform2f(shader.uniforms.resolution, width, height);
+            if (shader.uniforms.time) gl.uniform1f(shader.uniforms.time, this.time / 1000);
+
+            let unit = 1;
+            for (const [name, value] of Object.entries(effect.getUniforms(width, height))) {
+                if (value === null || value === undefined) continue;
+                const location = gl.getUniformLocation(shader.program, name);
+                if (location === null) continue;
+                unit = pipeline.setUniform(location, value, unit);
+            }
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            source = output;
+        });
+
+        // Пайплайн заново настроит программу, буфер и привязку текстуры при следующем flush
+        gl.enable(gl.BLEND);
+        pipeline.boundTexture = null;
+        pipeline.activeMaterial = undefined;
+        gl.bindBuffer(gl.ARRAY_BUFFER, pipeline.buffer);
+    }
+
+    /**
+     * Canvas2D: снимок кадра проходит через эффекты по очереди и рисуется обратно
+     * @private
+     */
+    _endCanvas() {
+        const backend = this.renderer.backend;
+        const ctx = backend.context;
+        const { width, height } = backend;
+        const [first, second] = this._ensureCanvases(width, height);
+
+        let source = first;
+        let target = second;
+        const sourceCtx = source.getContext('2d');
+        sourceCtx.clearRect(0, 0, width, height);
+        sourceCtx.drawImage(ctx.canvas || this.renderer.canvas, 0, 0);
+
+        const getScratch = index => this._getScratch(index, width, height);
+        for (const effect of this.getEnabledEffects()) {
+            const targetCtx = target.getContext('2d');
+            targetCtx.save();
+            targetCtx.clearRect(0, 0, width, height);
+            effect.applyCanvas(targetCtx, source, width, height, getScratch);
+            targetCtx.restore();
+            [source, target] = [target, source];
+        }
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'copy';
+        ctx.drawImage(source, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * @private
+     */
+    _ensureTargets(gl, width, height) {
+        if (!this.quadBuffer) {
+            this.quadBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        }
+        if (this.targets.length === 2 && this.targets[0].width === width && this.targets[0].height === height) {
+            return;
+        }
+        this.targets.forEach(target => {
+            gl.deleteFramebuffer(target.framebuffer);
+            gl.deleteTexture(target.texture);
+        });
+        this.targets = [0, 1].map(() => {
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            const framebuffer = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+            return { framebuffer, texture, width, height };
+        });
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.renderer.backend.pipeline.boundTexture = null;
+    }
+
+    /**
+     * @private
+     */
+    _getProgram(effect, pipeline) {
+        let shader = this.programs.get(effect);
+        if (!shader) {
+            const gl = pipeline.gl;
+            let program;
+            try {
+                program = createProgram(gl, FULLSCREEN_VERTEX_SHADER, effect.fragmentShader);
+            } catch (e) {
+                throw new Error(`Error compiling post effect "${effect.name}": ${e.message}`);
+            }
+            shader = {
+                program,
+                attributes: { position: gl.getAttribLocation(program, 'a_position') },
+                uniforms: {
+                    texture: gl.getUniformLocation(program, 'u_texture'),
+                    resolution: gl.getUniformLocation(program, 'u_resolution'),
+                    time: gl.getUniformLocation(program, 'u_time')
+                }
+            };
+            this.programs.set(effect, shader);
+        }
+        return shader;
+    }
+
+    /**
+     * @private
+     */
+    _deleteProgram(effect) {
+        const shader = this.programs.get(effect);
+        if (shader && this.renderer.gl) this.renderer.gl.deleteProgram(shader.program);
+        this.programs.delete(effect);
+    }
+
+    /**
+     * @private
+     */
+    _ensureCanvases(width, height) {
+        if (this.canvases.length === 0 || this.canvases[0].width !== width || this.canvases[0].height !== height) {
+            this.canvases = [createCanvas(width, height), createCanvas(width, height)];
+            this.scratch = [];
+        }
+        return this.canvases;
+    }
+
+    /**
+     * @private
+     */
+    _getScratch(index, width, height) {
+        if (!this.scratch[index]) {
+            this.scratch[index] = createCanvas(width, height);
+        }
+        const canvas = this.scratch[index];
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+}
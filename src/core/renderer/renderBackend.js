@@ -0,0 +1,124 @@
+// Общий интерфейс бэкендов рендеринга (Canvas2D и WebGL)
+export const BlendMode = {
+    NORMAL: 'normal',
+    ADD: 'add',
+    MULTIPLY: 'multiply',
+    SCREEN: 'screen'
+};
+
+// BlendMode -> globalCompositeOperation холста
+export const COMPOSITE_OPERATIONS = {
+    [BlendMode.NORMAL]: 'source-over',
+    [BlendMode.ADD]: 'lighter',
+    [BlendMode.MULTIPLY]: 'multiply',
+    [BlendMode.SCREEN]: 'screen'
+};
+
+/**
+ * Базовый класс бэкенда. Все бэкенды предоставляют одинаковый API рисования,
+ * а через context — объект, совместимый с CanvasRenderingContext2D,
+ * в который рисуют Entity, Sprite, Tilemap и ParticleEmitter.
+ */
+export class RenderBackend {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {string} options.clearColor - цвет очистки кадра
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.type = 'none';
+        this.width = canvas.width;
+        this.height = canvas.height;
+        this.clearColor = options.clearColor || '#000000';
+        this.context = null;
+    }
+
+    /**
+     * Начать кадр: очистить холст
+     * @param {number} time - время кадра в мс (для u_time материалов)
+     */
+    beginFrame(time = 0) {
+        this.clear();
+    }
+
+    /**
+     * Завершить кадр (отправить накопленное на GPU)
+     */
+    endFrame() {}
+
+    /**
+     * Очистить холст
+     * @param {string} color - цвет (по умолчанию clearColor)
+     */
+    clear(color) {}
+
+    /**
+     * @param {number} width
+     * @param {number} height
+     */
+    resize(width, height) {
+        if (width === null || width === undefined || height === null || height === undefined) {
+            throw new Error('Width and height must not be null');
+        }
+        this.width = width;
+        this.height = height;
+        this.canvas.width = width;
+        this.canvas.height = height;
+    }
+
+    save() {}
+    restore() {}
+    translate(x, y) {}
+    rotate(angle) {}
+    scale(x, y) {}
+    transform(a, b, c, d, e, f) {}
+    setTransform(a, b, c, d, e, f) {}
+
+    /**
+     * @param {number} alpha - прозрачность 0-1 (как globalAlpha, сохраняется в save/restore)
+     */
+    setAlpha(alpha) {}
+
+    /**
+     * @param {string} mode - значение BlendMode
+     */
+    setBlendMode(mode) {}
+
+    /**
+     * Материал для следующих фигур. Материалы поддерживает только WebGL, Canvas2D их игнорирует.
+     * @param {Material|null} material
+     */
+    setMaterial(material) {}
+
+    /**
+     * Цвет, на который умножаются следующие изображения (сохраняется в save/restore).
+     * Поддерживает только WebGL, Canvas2D его игнорирует.
+     * @param {string|null} color
+     */
+    setTint(color) {}
+
+    /**
+     * Нарисовать изображение (полная форма drawImage)
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     * @param {number} sx - X области источника
+     * @param {number} sy
+     * @param {number} sw
+     * @param {number} sh
+     * @param {number} dx - X на холсте
+     * @param {number} dy
+     * @param {number} dw
+     * @param {number} dh
+     */
+    drawImage(image, sx, sy, sw, sh, dx, dy, dw, dh) {}
+
+    fillRect(x, y, width, height, color) {}
+    strokeRect(x, y, width, height, color, lineWidth = 1) {}
+    fillCircle(x, y, radius, color) {}
+    strokeCircle(x, y, radius, color, lineWidth = 1) {}
+
+    /**
+     * Освободить ресурсы
+     */
+    destroy() {}
+}
@@ -1,10 +1,82 @@
-// Реальный рендеринг через WebGL
+// Пакетный рендеринг спрайтов через WebGL
+import { createProgram } from './webgl.js';
+import { Matrix2D } from '../../utils/matrix2d.js';
+import { parseColor } from '../../utils/color.js';
+
+export const SPRITE_VERTEX_SHADER = `
+attribute vec2 a_position;
+attribute vec2 a_texCoord;
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+varying vec2 v_texCoord;
+varying vec4 v_color;
+void main() {
+    vec2 clip = (a_position / u_resolution) * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    v_texCoord = a_texCoord;
+    v_color = a_color;
+}`;
+
+export const SPRITE_FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_texture;
+varying vec2 v_texCoord;
+varying vec4 v_color;
+void main() {
+    gl_FragColor = texture2D(u_texture, v_texCoord) * v_color;
+}`;
+
+// x, y, u, v, r, g, b, a
+export const FLOATS_PER_VERTEX = 8;
+const VERTICES_PER_QUAD = 6;
+const WHITE = { r: 1, g: 1, b: 1, a: 1 };
+
 export class RenderPipeline {
-    constructor(gl) {
-        console.log('RenderPipeline constructor called');
+    /**
+     * @param {WebGLRenderingContext} gl
+     * @param {Object} options
+     * @param {number} options.maxQuads - размер вершинного буфера в четырёхугольниках
+     * @param {boolean} options.sortByTexture - группировать по текстуре внутри одной глубины
+     * @param {boolean} options.smoothing - линейная фильтрация текстур
+     */
+    constructor(gl, options = {}) {
+        if (!gl) throw new Error('RenderPipeline requires a WebGL context');
+        const { maxQuads = 2048, sortByTexture = true, smoothing = true } = options;
         this.gl = gl;
         this.shaders = {};
-        console.log('RenderPipeline shaders:', this.shaders);
+        this.maxVertices = maxQuads * VERTICES_PER_QUAD;
+        this.sortByTexture = sortByTexture;
+        this.smoothing = smoothing;
+        this.width = gl.canvas ? gl.canvas.width : 0;
+        this.height = gl.canvas ? gl.canvas.height : 0;
+
+        // Очередь кадра: вершины копятся в staging, элементы описывают их диапазоны
+        this.staging = new Float32Array(this.maxVertices * FLOATS_PER_VERTEX);
+        this.stagedVertices = 0;
+        this.queue = [];
+        this.itemPool = [];
+        this.order = 0;
+
+        // Буфер, который уходит на GPU одним вызовом bufferSubData
+        this.upload = new Float32Array(this.maxVertices * FLOATS_PER_VERTEX);
+
+        this.textures = new Map();
+        this.textureIds = new Map();
+        // Размеры текстур для автоматической u_textureSize
+        this.textureSizes = new Map();
+        this.nextTextureId = 1;
+        this.boundTexture = null;
+
+        // Текущая программа: null — спрайтовый шейдер, иначе Material
+        this.activeMaterial = null;
+        this.activeProgram = null;
+        this.time = 0;
+
+        this.stats = { drawCalls: 0, quads: 0, triangles: 0, textureBinds: 0, flushes: 0 };
+
+        this.addShader('sprite', SPRITE_VERTEX_SHADER, SPRITE_FRAGMENT_SHADER);
+        this._initBuffers();
+        this.whiteTexture = this._createTexture(null);
     }
 
     addShader(name, vertexSource, fragmentSource) {
@@ -15,27 +87,530 @@ export class RenderPipeline {
         try {
             const shader = this.createShader(name, vertexSource, fragmentSource);
             this.shaders[name] = shader;
+            return shader;
         } catch (error) {
             console.error(`Error creating shader for ${name}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Скомпилировать программу и найти её атрибуты и uniform-переменные
+     * @returns {{program: WebGLProgram, attributes: Object, uniforms: Object}}
+     */
     createShader(name, vertexSource, fragmentSource) {
-        const shader = twgl.createProgramInfo(this.gl, [vertexSource, fragmentSource]);
-        if (!shader.program) {
-            throw new Error(`Error compiling shader for ${name}: ${shader.errorMessage}`);
+        const gl = this.gl;
+        let program;
+        try {
+            program = createProgram(gl, vertexSource, fragmentSource);
+        } catch (e) {
+            throw new Error(`Error compiling shader for ${name}: ${e.message}`);
         }
-        return shader;
+        return {
+            program,
+            attributes: {
+                position: gl.getAttribLocation(program, 'a_position'),
+                texCoord: gl.getAttribLocation(program, 'a_texCoord'),
+                color: gl.getAttribLocation(program, 'a_color')
+            },
+            // Переменные, которые пайплайн заполняет сам
+            uniforms: {
+                resolution: gl.getUniformLocation(program, 'u_resolution'),
+                texture: gl.getUniformLocation(program, 'u_texture'),
+                time: gl.getUniformLocation(program, 'u_time'),
+                textureSize: gl.getUniformLocation(program, 'u_textureSize')
+            },
+            // Кэш расположения остальных uniform-переменных материала
+            locations: new Map()
+        };
     }
 
-    render(scene) {
-        if (!scene) throw new Error('Scene is null');
-        try {
-            console.log('Rendering scene:', scene);
-            // ...реальный рендеринг сцены через WebGL...
-        } catch (error) {
-            console.error('Error rendering scene:', scene, error);
+    /**
+     * Начать кадр: сбросить статистику и задать размер области вывода
+     * @param {number} width
+     * @param {number} height
+     * @param {number} time - время в мс (передаётся в u_time в секундах)
+     */
+    begin(width = this.width, height = this.height, time = this.time) {
+        this.width = width;
+        this.height = height;
+        this.time = time;
+        this.stats.drawCalls = 0;
+        this.stats.quads = 0;
+        this.stats.triangles = 0;
+        this.stats.textureBinds = 0;
+        this.stats.flushes = 0;
+        this.boundTexture = null;
+        this._useMaterial(null);
+    }
+
+    /**
+     * Изменить размер области вывода
+     * @param {number} width
+     * @param {number} height
+     */
+    setResolution(width, height) {
+        this.flush();
+        this.width = width;
+        this.height = height;
+        this.gl.uniform2f(this.activeProgram.uniforms.resolution, width, height);
+    }
+
+    /**
+     * Завершить кадр
+     * @returns {Object} - статистика кадра
+     */
+    end() {
+        this.flush();
+        return this.getStats();
+    }
+
+    /**
+     * Отрисовать список спрайтов за один кадр
+     * @param {Array<Object>} sprites - параметры drawSprite: { image, x, y, ... }
+     * @returns {Object} - статистика кадра
+     */
+    render(sprites) {
+        if (!sprites) throw new Error('Sprite list is null');
+        this.begin();
+        for (const sprite of sprites) {
+            this.drawSprite(sprite.image, sprite.x, sprite.y, sprite);
+        }
+        return this.end();
+    }
+
+    /**
+     * Добавить спрайт в очередь
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     * @param {number} x
+     * @param {number} y
+     * @param {Object} options
+     * @param {number} options.width - ширина на экране (по умолчанию ширина источника)
+     * @param {number} options.height
+     * @param {Object} options.source - область изображения {x, y, width, height}
+     * @param {number} options.rotation - радианы
+     * @param {number} options.scaleX
+     * @param {number} options.scaleY
+     * @param {number} options.pivotX - точка опоры в пикселях спрайта
+     * @param {number} options.pivotY
+     * @param {string} options.tint - цвет, на который умножается текстура
+     * @param {number} options.alpha
+     * @param {number} options.depth - меньше — раньше рисуется
+     * @param {Matrix2D} options.matrix - дополнительная трансформация (например, камеры)
+     * @param {Material} options.material - материал вместо спрайтового шейдера
+     */
+    drawSprite(image, x, y, options = {}) {
+        if (!this._isReady(image)) return;
+        const texWidth = image.naturalWidth || image.width;
+        const texHeight = image.naturalHeight || image.height;
+        const source = options.source || { x: 0, y: 0, width: texWidth, height: texHeight };
+        const width = options.width !== undefined ? options.width : source.width;
+        const height = options.height !== undefined ? options.height : source.height;
+
+        const matrix = Matrix2D.fromTransform(
+            x, y, options.rotation || 0,
+            options.scaleX !== undefined ? options.scaleX : 1,
+            options.scaleY !== undefined ? options.scaleY : 1,
+            options.pivotX || 0, options.pivotY || 0
+        );
+        if (options.matrix) matrix.premultiply(options.matrix);
+
+        const { a, b, c, d, e, f } = matrix;
+        const points = [
+            e, f,
+            a * width + e, b * width + f,
+            a * width + c * height + e, b * width + d * height + f,
+            c * height + e, d * height + f
+        ];
+        const tint = options.tint ? parseColor(options.tint) : WHITE;
+        const alpha = options.alpha !== undefined ? options.alpha : 1;
+
+        this.drawQuad(
+            this.getTexture(image), points,
+            source.x / texWidth, source.y / texHeight,
+            (source.x + source.width) / texWidth, (source.y + source.height) / texHeight,
+            tint.r, tint.g, tint.b, tint.a * alpha,
+            options.depth || 0, options.material || null
+        );
+    }
+
+    /**
+     * Добавить четырёхугольник в очередь
+     * @param {WebGLTexture} texture
+     * @param {Array<number>} p - углы в координатах холста [x0, y0, ... x3, y3] по часовой
+     * @param {number} u0 - текстурные координаты левого верхнего угла
+     * @param {number} v0
+     * @param {number} u1 - текстурные координаты правого нижнего угла
+     * @param {number} v1
+     * @param {number} r - цвет (0-1), на который умножается текстура
+     * @param {number} g
+     * @param {number} b
+     * @param {number} a
+     * @param {number} depth
+     * @param {Material} material
+     */
+    drawQuad(texture, p, u0, v0, u1, v1, r, g, b, a, depth = 0, material = null) {
+        const start = this._stage(VERTICES_PER_QUAD);
+        this._writeVertex(p[0], p[1], u0, v0, r, g, b, a);
+        this._writeVertex(p[2], p[3], u1, v0, r, g, b, a);
+        this._writeVertex(p[4], p[5], u1, v1, r, g, b, a);
+        this._writeVertex(p[0], p[1], u0, v0, r, g, b, a);
+        this._writeVertex(p[4], p[5], u1, v1, r, g, b, a);
+        this._writeVertex(p[6], p[7], u0, v1, r, g, b, a);
+        this._enqueue(texture, depth, start, VERTICES_PER_QUAD, 1, material);
+    }
+
+    /**
+     * Добавить треугольники одного цвета (белая текстура)
+     * @param {Array<number>} triangles - [x0, y0, x1, y1, x2, y2, ...] в координатах холста
+     * @param {number} r
+     * @param {number} g
+     * @param {number} b
+     * @param {number} a
+     * @param {number} depth
+     * @param {Material} material
+     */
+    drawTriangles(triangles, r, g, b, a, depth = 0, material = null) {
+        const count = Math.floor(triangles.length / 2);
+        if (count < 3) return;
+        const start = this._stage(count);
+        for (let i = 0; i < count * 2; i += 2) {
+            this._writeVertex(triangles[i], triangles[i + 1], 0.5, 0.5, r, g, b, a);
         }
+        this._enqueue(this.whiteTexture, depth, start, count, 0, material);
+    }
+
+    /**
+     * Отсортировать очередь и отправить её на GPU минимальным числом вызовов
+     */
+    flush() {
+        if (this.queue.length === 0) return;
+        const gl = this.gl;
+        const queue = this.queue;
+
+        // Стабильная сортировка: глубина, затем материал и текстура, затем порядок добавления
+        queue.sort((x, y) => (x.depth - y.depth)
+            || (this.sortByTexture ? (x.materialId - y.materialId) || (x.textureId - y.textureId) : 0)
+            || (x.order - y.order));
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        // Значения uniform материалов могли измениться с прошлого flush
+        this.activeMaterial = undefined;
+        let batchTexture = null;
+        let batchMaterial = null;
+        let batchVertices = 0;
+
+        for (const item of queue) {
+            let offset = 0;
+            while (offset < item.count) {
+                // Треугольники не разрываются между пакетами
+                const room = Math.floor((this.maxVertices - batchVertices) / 3) * 3;
+                if (item.texture !== batchTexture || item.material !== batchMaterial || room === 0) {
+                    this._drawBatch(batchTexture, batchMaterial, batchVertices);
+                    batchTexture = item.texture;
+                    batchMaterial = item.material;
+                    batchVertices = 0;
+                    continue;
+                }
+                const take = Math.min(room, item.count - offset);
+                const from = (item.start + offset) * FLOATS_PER_VERTEX;
+                this.upload.set(this.staging.subarray(from, from + take * FLOATS_PER_VERTEX),
+                    batchVertices * FLOATS_PER_VERTEX);
+                batchVertices += take;
+                offset += take;
+            }
+            this.stats.quads += item.quads;
+            if (item.quads === 0) this.stats.triangles += item.count / 3;
+        }
+        this._drawBatch(batchTexture, batchMaterial, batchVertices);
+
+        this.stats.flushes++;
+        // Без spread: на сотнях тысяч элементов он переполняет стек вызовов
+        for (let i = 0; i < queue.length; i++) this.itemPool.push(queue[i]);
+        this.queue = [];
+        this.stagedVertices = 0;
+        this.order = 0;
+    }
+
+    /**
+     * Получить (и при необходимости загрузить) текстуру изображения
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     * @returns {WebGLTexture}
+     */
+    getTexture(image) {
+        let texture = this.textures.get(image);
+        if (!texture) {
+            texture = this._createTexture(image);
+            this.textures.set(image, texture);
+            this.textureSizes.set(texture, {
+                width: image.naturalWidth || image.width,
+                height: image.naturalHeight || image.height
+            });
+        }
+        return texture;
+    }
+
+    /**
+     * Загрузить содержимое изображения заново (холст, который перерисовали)
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     */
+    updateTexture(image) {
+        const texture = this.textures.get(image);
+        if (!texture) return;
+        this.flush();
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        gl.bindTexture(gl.TEXTURE_2D, this.boundTexture);
+    }
+
+    /**
+     * Удалить текстуру изображения
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     */
+    releaseTexture(image) {
+        const texture = this.textures.get(image);
+        if (!texture) return;
+        this.flush();
+        this.gl.deleteTexture(texture);
+        this.textures.delete(image);
+        this.textureIds.delete(texture);
+        this.textureSizes.delete(texture);
+        if (this.boundTexture === texture) this.boundTexture = null;
+    }
+
+    /**
+     * Статистика последнего кадра
+     * @returns {{drawCalls: number, quads: number, triangles: number, textureBinds: number, flushes: number}}
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    destroy() {
+        const gl = this.gl;
+        this.queue = [];
+        this.stagedVertices = 0;
+        for (const texture of this.textures.values()) {
+            gl.deleteTexture(texture);
+        }
+        this.textures.clear();
+        this.textureIds.clear();
+        gl.deleteTexture(this.whiteTexture);
+        gl.deleteBuffer(this.buffer);
+        Object.values(this.shaders).forEach(shader => gl.deleteProgram(shader.program));
+        this.shaders = {};
+    }
+
+    /**
+     * @private
+     */
+    _initBuffers() {
+        const gl = this.gl;
+        this.buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        // Буфер выделяется один раз, каждый пакет обновляет его начало
+        gl.bufferData(gl.ARRAY_BUFFER, this.upload.byteLength, gl.DYNAMIC_DRAW);
+        gl.activeTexture(gl.TEXTURE0);
+        this._useMaterial(null);
+    }
+
+    /**
+     * Переключить программу: null — спрайтовый шейдер, иначе программа материала
+     * @private
+     */
+    _useMaterial(material) {
+        const gl = this.gl;
+        const shader = material ? material.getProgram(this) : this.shaders.sprite;
+        const { attributes, uniforms } = shader;
+        const stride = FLOATS_PER_VERTEX * 4;
+
+        gl.useProgram(shader.program);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        // Атрибут может отсутствовать, если шейдер его не использует
+        if (attributes.position !== -1) {
+            gl.enableVertexAttribArray(attributes.position);
+            gl.vertexAttribPointer(attributes.position, 2, gl.FLOAT, false, stride, 0);
+        }
+        if (attributes.texCoord !== -1) {
+            gl.enableVertexAttribArray(attributes.texCoord);
+            gl.vertexAttribPointer(attributes.texCoord, 2, gl.FLOAT, false, stride, 8);
+        }
+        if (attributes.color !== -1) {
+            gl.enableVertexAttribArray(attributes.color);
+            gl.vertexAttribPointer(attributes.color, 4, gl.FLOAT, false, stride, 16);
+        }
+        gl.uniform2f(uniforms.resolution, this.width, this.height);
+        gl.uniform1i(uniforms.texture, 0);
+        if (uniforms.time) gl.uniform1f(uniforms.time, this.time / 1000);
+
+        if (material) {
+            // Текстуры материала занимают блоки начиная с 1, блок 0 — текстура спрайта
+            let unit = 1;
+            for (const [name, value] of Object.entries(material.uniforms)) {
+                const location = this._uniformLocation(shader, name);
+                if (location === null) continue;
+                unit = this.setUniform(location, value, unit);
+            }
+        }
+
+        this.activeMaterial = material;
+        this.activeProgram = shader;
+    }
+
+    /**
+     * @private
+     */
+    _uniformLocation(shader, name) {
+        if (!shader.locations.has(name)) {
+            shader.locations.set(name, this.gl.getUniformLocation(shader.program, name));
+        }
+        return shader.locations.get(name);
+    }
+
+    /**
+     * Передать значение uniform текущей программы по его типу (см. Material)
+     * @param {WebGLUniformLocation} location
+     * @param {*} value - число, логическое, цвет, массив или изображение
+     * @param {number} unit - первый свободный текстурный блок
+     * @returns {number} - следующий свободный текстурный блок
+     */
+    setUniform(location, value, unit = 1) {
+        const gl = this.gl;
+        if (typeof value === 'number') {
+            gl.uniform1f(location, value);
+        } else if (typeof value === 'boolean') {
+            gl.uniform1i(location, value ? 1 : 0);
+        } else if (typeof value === 'string' || (value && typeof value.r === 'number')) {
+            const { r, g, b, a } = parseColor(value);
+            gl.uniform4f(location, r, g, b, a !== undefined ? a : 1);
+        } else if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+            switch (value.length) {
+                case 1: gl.uniform1fv(location, value); break;
+                case 2: gl.uniform2fv(location, value); break;
+                case 3: gl.uniform3fv(location, value); break;
+                case 4: gl.uniform4fv(location, value); break;
+                case 9: gl.uniformMatrix3fv(location, false, value); break;
+                case 16: gl.uniformMatrix4fv(location, false, value); break;
+                default: throw new RangeError(`Unsupported uniform array length ${value.length}`);
+            }
+        } else if (value && value.width !== undefined && value.height !== undefined) {
+            // Новая текстура загружается уже на своём блоке, не трогая привязку блока 0
+            // (текстуру пакета или кадр постобработки)
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, this.getTexture(value));
+            gl.uniform1i(location, unit);
+            gl.activeTexture(gl.TEXTURE0);
+            return unit + 1;
+        } else {
+            throw new TypeError(`Unsupported uniform value: ${value}`);
+        }
+        return unit;
+    }
+
+    /**
+     * @private
+     */
+    _drawBatch(texture, material, vertexCount) {
+        if (!texture || vertexCount === 0) return;
+        const gl = this.gl;
+        if (material !== this.activeMaterial) {
+            this._useMaterial(material);
+        }
+        if (texture !== this.boundTexture) {
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            this.boundTexture = texture;
+            this.stats.textureBinds++;
+        }
+        if (this.activeProgram.uniforms.textureSize) {
+            const size = this.textureSizes.get(texture) || { width: 1, height: 1 };
+            gl.uniform2f(this.activeProgram.uniforms.textureSize, size.width, size.height);
+        }
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.upload.subarray(0, vertexCount * FLOATS_PER_VERTEX));
+        gl.drawArrays(gl.TRIANGLES, 0, vertexCount);
+        this.stats.drawCalls++;
+    }
+
+    /**
+     * @private
+     */
+    _createTexture(image) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        if (image) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE,
+                new Uint8Array([255, 255, 255, 255]));
+        }
+        // Размеры изображений не обязаны быть степенью двойки
+        const filter = this.smoothing ? gl.LINEAR : gl.NEAREST;
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        // Вернуть привязку, которую ожидает текущий пакет
+        gl.bindTexture(gl.TEXTURE_2D, this.boundTexture);
+        this.textureIds.set(texture, this.nextTextureId++);
+        return texture;
+    }
+
+    /**
+     * Загружено ли изображение
+     * @private
+     */
+    _isReady(image) {
+        if (!image) return false;
+        if (image.complete === false) return false;
+        return (image.naturalWidth || image.width) > 0;
+    }
+
+    /**
+     * Зарезервировать место в staging-буфере
+     * @private
+     */
+    _stage(count) {
+        const needed = (this.stagedVertices + count) * FLOATS_PER_VERTEX;
+        if (needed > this.staging.length) {
+            const grown = new Float32Array(Math.max(needed, this.staging.length * 2));
+            grown.set(this.staging);
+            this.staging = grown;
+        }
+        return this.stagedVertices;
+    }
+
+    /**
+     * @private
+     */
+    _writeVertex(x, y, u, v, r, g, b, a) {
+        const offset = this.stagedVertices * FLOATS_PER_VERTEX;
+        const staging = this.staging;
+        staging[offset] = x;
+        staging[offset + 1] = y;
+        staging[offset + 2] = u;
+        staging[offset + 3] = v;
+        staging[offset + 4] = r;
+        staging[offset + 5] = g;
+        staging[offset + 6] = b;
+        staging[offset + 7] = a;
+        this.stagedVertices++;
+    }
+
+    /**
+     * @private
+     */
+    _enqueue(texture, depth, start, count, quads, material) {
+        const item = this.itemPool.pop() || {};
+        item.texture = texture;
+        item.textureId = this.textureIds.get(texture) || 0;
+        item.material = material;
+        item.materialId = material ? material.id : 0;
+        item.depth = depth;
+        item.order = this.order++;
+        item.start = start;
+        item.count = count;
+        item.quads = quads;
+        this.queue.push(item);
     }
 }
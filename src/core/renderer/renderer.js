@@ -1,60 +1,133 @@
-// Основной рендерер
-import { initializeWebGL } from './webgl';
+// Основной рендерер: выбирает бэкенд (WebGL или Canvas2D) с общим API рисования
+import { Canvas2DBackend } from './canvas2dBackend.js';
+import { WebGLBackend } from './webglBackend.js';
+import { PostProcessStack } from './postProcess.js';
+import { createCanvas } from '../../utils/canvas.js';
+
+export const RendererBackend = {
+    AUTO: 'auto',
+    WEBGL: 'webgl',
+    CANVAS2D: 'canvas2d'
+};
 
 export class Renderer {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {string} options.backend - 'auto' (WebGL, при ошибке Canvas2D), 'webgl' или 'canvas2d'
+     * @param {string} options.clearColor - цвет очистки кадра
+     * @param {boolean} options.smoothing - сглаживание изображений
+     * @param {Array<PostEffect>} options.effects - начальная цепочка постобработки
+     */
+    constructor(canvas, options = {}) {
         if (!canvas) throw new Error('Canvas is null');
-        console.log('Initializing WebGL...');
-        try {
-            this.gl = initializeWebGL(canvas);
-            console.log('WebGL initialized successfully.');
-            this.width = canvas.width;
-            this.height = canvas.height;
-            console.log(`Renderer width: ${this.width}, height: ${this.height}`);
-        } catch (e) {
-            console.error('Error initializing WebGL:', e);
-            throw e;
-        }
+        const { backend = RendererBackend.AUTO, effects = [], ...backendOptions } = options;
+
+        this.canvas = canvas;
+        this.backend = Renderer.createBackend(canvas, backend, backendOptions);
+        this.type = this.backend.type;
+        // Для совместимости: WebGL-контекст, если выбран WebGL
+        this.gl = this.backend.gl || null;
+        this.width = canvas.width;
+        this.height = canvas.height;
+        // Эффекты постобработки кадра (пустой стек ничего не стоит)
+        this.postProcess = new PostProcessStack(this);
+        effects.forEach(effect => this.postProcess.add(effect));
+        // Статистика последнего завершённого кадра (только WebGL: вызовы отрисовки и т.п.)
+        this.stats = null;
     }
 
-    clear() {
-        const gl = this.gl;
-        if (!gl) throw new Error('Renderer.gl is null');
+    /**
+     * Контекст с API CanvasRenderingContext2D, в который рисуют компоненты
+     * @returns {CanvasRenderingContext2D|WebGLContext2D}
+     */
+    get context() {
+        return this.backend.context;
+    }
 
-        try {
-            console.log('Clearing WebGL context...');
-            gl.clearColor(0.0, 0.0, 0.0, 1.0);
-            gl.clear(gl.COLOR_BUFFER_BIT);
-            console.log('WebGL context cleared successfully.');
-        } catch (e) {
-            if (e instanceof Error) {
-                console.error('Error clearing WebGL context:', e);
-            } else {
-                console.error('Unknown error clearing WebGL context:', e);
-            }
-            throw e;
-        }
+    /**
+     * Начать кадр (очищает холст)
+     * @param {number} time - время кадра в мс (для u_time материалов)
+     */
+    beginFrame(time = 0) {
+        this.backend.beginFrame(time);
+        this.postProcess.begin(time);
     }
 
-    resize(width, height) {
-        if (this.gl === null) throw new Error('Renderer.gl is null');
+    /**
+     * Завершить кадр и применить постобработку
+     */
+    endFrame() {
+        this.backend.endFrame();
+        this.postProcess.end();
+        this.stats = this.backend.stats || null;
+    }
+
+    /**
+     * @param {string} color - цвет очистки (по умолчанию clearColor)
+     */
+    clear(color) {
+        this.backend.clear(color);
+    }
 
+    resize(width, height) {
         if (width === null || height === null) {
             throw new Error('Width and height must not be null');
         }
+        this.backend.resize(width, height);
+        this.width = width;
+        this.height = height;
+    }
+
+    destroy() {
+        this.postProcess.destroy();
+        this.backend.destroy();
+    }
+
+    /**
+     * Создать бэкенд нужного типа
+     * @param {HTMLCanvasElement} canvas
+     * @param {string} type - значение RendererBackend
+     * @param {Object} options
+     * @returns {RenderBackend}
+     */
+    static createBackend(canvas, type = RendererBackend.AUTO, options = {}) {
+        switch (type) {
+            case RendererBackend.CANVAS2D:
+                return new Canvas2DBackend(canvas, options);
+            case RendererBackend.WEBGL:
+                return new WebGLBackend(canvas, options);
+            case RendererBackend.AUTO: {
+                // Холст, получивший WebGL-контекст, уже не отдаст '2d': сначала проверяем WebGL
+                // на временном холсте и только потом занимаем основной
+                const error = options.gl ? null : Renderer.probeWebGL(options);
+                if (!error) return new WebGLBackend(canvas, options);
+                console.warn('WebGL backend is unavailable, falling back to Canvas2D:', error.message);
+                return new Canvas2DBackend(canvas, options);
+            }
+            default:
+                throw new RangeError(`Unknown renderer backend "${type}"`);
+        }
+    }
 
+    /**
+     * Проверить, что WebGL-бэкенд создаётся (контекст, шейдеры, буферы), на временном холсте
+     * @param {Object} options - параметры бэкенда
+     * @returns {Error|null} - причина, по которой WebGL недоступен, или null
+     */
+    static probeWebGL(options = {}) {
+        let probe = null;
         try {
-            console.log(`Resizing WebGL context to ${width}x${height}`);
-            this.width = width;
-            this.height = height;
-            this.gl.viewport(0, 0, width, height);
+            probe = new WebGLBackend(createCanvas(1, 1), options);
+            return null;
         } catch (e) {
-            if (e instanceof Error) {
-                console.error(`Error resizing WebGL context to ${width}x${height}:`, e);
-            } else {
-                console.error(`Unknown error resizing WebGL context to ${width}x${height}:`, e);
+            return e;
+        } finally {
+            if (probe) {
+                probe.destroy();
+                const lose = probe.gl.getExtension && probe.gl.getExtension('WEBGL_lose_context');
+                if (lose) lose.loseContext();
             }
-            throw e;
         }
     }
-}
\ No newline at end of file
+}
@@ -1,5 +1,6 @@
-// Фрагментный шейдер
+// Фрагментный шейдер без текстуры: только цвет вершины
 precision mediump float;
+varying vec4 v_color;
 void main() {
-    gl_FragColor = vec4(1.0, 1.0, 1.0, 1.0);
-}
\ No newline at end of file
+    gl_FragColor = v_color;
+}
@@ -1,5 +1,10 @@
-// Вершинный шейдер
-attribute vec4 a_position;
+// Вершинный шейдер без текстуры
+attribute vec2 a_position;
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+varying vec4 v_color;
 void main() {
-    gl_Position = a_position;
-}
\ No newline at end of file
+    vec2 clip = (a_position / u_resolution) * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    v_color = a_color;
+}
@@ -1,5 +1,8 @@
-// Фрагментный шейдер по умолчанию
+// Фрагментный шейдер по умолчанию: текстура, умноженная на цвет вершины (tint и alpha)
 precision mediump float;
+uniform sampler2D u_texture;
+varying vec2 v_texCoord;
+varying vec4 v_color;
 void main() {
-    gl_FragColor = vec4(1.0, 1.0, 1.0, 1.0);
+    gl_FragColor = texture2D(u_texture, v_texCoord) * v_color;
 }
@@ -1,5 +1,13 @@
-// Вершинный шейдер по умолчанию
-attribute vec4 a_position;
+// Вершинный шейдер по умолчанию: пиксельные координаты -> clip space
+attribute vec2 a_position;
+attribute vec2 a_texCoord;
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+varying vec2 v_texCoord;
+varying vec4 v_color;
 void main() {
-    gl_Position = a_position;
+    vec2 clip = (a_position / u_resolution) * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    v_texCoord = a_texCoord;
+    v_color = a_color;
 }
@@ -21,27 +21,81 @@ export function initializeWebGL(canvas) {
     return gl;
 }
 
+/**
+ * Скомпилировать шейдер
+ * @param {WebGLRenderingContext} gl
+ * @param {number} type - gl.VERTEX_SHADER или gl.FRAGMENT_SHADER
+ * @param {string} source - исходный код GLSL
+ * @returns {WebGLShader}
+ */
 export function createShader(gl, type, source) {
     const shader = gl.createShader(type);
-    if (!shader || shader === null) {
+    if (!shader) {
         throw new Error('Cannot create shader: null pointer reference');
     }
     gl.shaderSource(shader, source);
     gl.compileShader(shader);
-    const status = gl.getShaderParameter(shader, gl.COMPILE_STATUS);
-    if (!status) {
-        try {
-            const log = gl.getShaderInfoLog(shader);
-            console.log(`createShader: FAILED to compile shader: ${type}`);
-            console.log(`createShader: shader info log: ${log}`);
-            const error = new Error(`Ошибка компиляции шейдера: ${log}`);
-            throw error;
-        } catch (e) {
-            console.log(`createShader: FAILED to get shader info log: ${e}`);
-            throw new Error(`Cannot get shader info log: ${e}`);
-        }
-    } else {
-        console.log(`createShader: Successfully compiled shader: ${type}`);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const log = gl.getShaderInfoLog(shader) || '';
+        gl.deleteShader(shader);
+        const kind = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+        throw new Error(`Ошибка компиляции шейдера (${kind}):\n${formatShaderLog(source, log)}`);
     }
     return shader;
 }
+
+/**
+ * Сопоставить ошибки из журнала компиляции со строками исходника.
+ * Строки журнала вида "ERROR: 0:12: ..." дополняются строкой 12 и соседними.
+ * @param {string} source
+ * @param {string} log
+ * @returns {string}
+ */
+export function formatShaderLog(source, log) {
+    const lines = source.split('\n');
+    const width = String(lines.length).length;
+    const report = [];
+
+    for (const entry of log.split('\n').map(line => line.trim()).filter(Boolean)) {
+        const match = entry.match(/^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/);
+        if (!match) {
+            report.push(entry);
+            continue;
+        }
+        const lineNumber = parseInt(match[1], 10);
+        report.push(`line ${lineNumber}: ${match[2]}`);
+        for (let n = Math.max(1, lineNumber - 1); n <= Math.min(lines.length, lineNumber + 1); n++) {
+            const marker = n === lineNumber ? '>' : ' ';
+            report.push(`  ${marker} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+        }
+    }
+    return report.join('\n');
+}
+
+/**
+ * Скомпилировать шейдеры и слинковать программу
+ * @param {WebGLRenderingContext} gl
+ * @param {string} vertexSource
+ * @param {string} fragmentSource
+ * @returns {WebGLProgram}
+ */
+export function createProgram(gl, vertexSource, fragmentSource) {
+    const vertexShader = createShader(gl, gl.VERTEX_SHADER, vertexSource);
+    const fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+    const program = gl.createProgram();
+    if (!program) {
+        throw new Error('Cannot create program: null pointer reference');
+    }
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        const log = gl.getProgramInfoLog(program);
+        gl.deleteProgram(program);
+        throw new Error(`Cannot link program: ${log}`);
+    }
+    // Шейдеры больше не нужны отдельно от программы
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+    return program;
+}
@@ -0,0 +1,414 @@
+// Бэкенд рендеринга на WebGL: рисование через пакетный RenderPipeline
+import { RenderBackend, BlendMode } from './renderBackend.js';
+import { initializeWebGL } from './webgl.js';
+import { WebGLContext2D } from './webglContext2D.js';
+import { RenderPipeline } from './renderPipeline.js';
+import { Matrix2D } from '../../utils/matrix2d.js';
+import { parseColor } from '../../utils/color.js';
+
+const WHITE = { r: 1, g: 1, b: 1 };
+
+export class WebGLBackend extends RenderBackend {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {WebGLRenderingContext} options.gl - готовый контекст (например, для тестов)
+     * @param {boolean} options.smoothing - линейная фильтрация текстур
+     * @param {boolean} options.sortByTexture - группировать спрайты по текстуре внутри одной
+     *     глубины (меньше вызовов отрисовки, но перекрывающиеся спрайты могут поменяться местами)
+     * @param {number} options.maxQuads - размер вершинного буфера
+     */
+    constructor(canvas, options = {}) {
+        super(canvas, options);
+        this.type = 'webgl';
+        this.gl = options.gl || initializeWebGL(canvas);
+
+        // Состояние рисования и его стек для save/restore
+        this.matrix = new Matrix2D();
+        this.alpha = 1;
+        this.blendMode = BlendMode.NORMAL;
+        // Глубина для сортировки в пайплайне (меньше — раньше рисуется)
+        this.depth = 0;
+        // Материал для следующих фигур (null — спрайтовый шейдер)
+        this.material = null;
+        // Цвет, на который умножаются изображения ({r, g, b} или null)
+        this.tint = null;
+        // Прямоугольник отсечения в пикселях холста (null — без отсечения)
+        this.scissor = null;
+        this.stateStack = [];
+
+        this.pipeline = new RenderPipeline(this.gl, {
+            maxQuads: options.maxQuads,
+            smoothing: options.smoothing,
+            // Порядок рисования как в Canvas2D, если группировка не включена явно
+            sortByTexture: options.sortByTexture === true
+        });
+        this.pipeline.setResolution(this.width, this.height);
+        this.gl.viewport(0, 0, this.width, this.height);
+        this.gl.enable(this.gl.BLEND);
+        this._applyBlendMode(BlendMode.NORMAL);
+
+        this.context = new WebGLContext2D(this);
+    }
+
+    get smoothing() { return this.pipeline.smoothing; }
+    set smoothing(value) { this.pipeline.smoothing = value; }
+
+    /**
+     * Статистика последнего кадра (вызовы отрисовки, четырёхугольники, привязки текстур)
+     * @returns {Object}
+     */
+    get stats() {
+        return this.pipeline.getStats();
+    }
+
+    beginFrame(time = 0) {
+        this.pipeline.begin(this.width, this.height, time);
+        this.matrix.identity();
+        this.alpha = 1;
+        this.depth = 0;
+        this.material = null;
+        this.tint = null;
+        this._applyBlendMode(BlendMode.NORMAL);
+        this.scissor = null;
+        this._applyScissor();
+        this.stateStack = [];
+        this.clear();
+    }
+
+    endFrame() {
+        this.pipeline.end();
+    }
+
+    clear(color = this.clearColor) {
+        const gl = this.gl;
+        const { r, g, b, a } = parseColor(color);
+        this.flush();
+        gl.clearColor(r, g, b, a);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+
+    /**
+     * Очистить прямоугольник (ограничивающий прямоугольник после трансформации)
+     */
+    clearRect(x, y, width, height) {
+        const gl = this.gl;
+        const box = this._boundingBox([x, y, x + width, y, x + width, y + height, x, y + height]);
+        // Очистка, как и в canvas, не выходит за текущее отсечение
+        if (this.scissor) {
+            const { x: clipX, y: clipY, width: clipWidth, height: clipHeight } = this.scissor;
+            const right = Math.min(box.x + box.width, clipX + clipWidth);
+            const bottom = Math.min(box.y + box.height, clipY + clipHeight);
+            box.x = Math.max(box.x, clipX);
+            box.y = Math.max(box.y, clipY);
+            box.width = Math.max(0, right - box.x);
+            box.height = Math.max(0, bottom - box.y);
+        }
+        this.flush();
+        gl.enable(gl.SCISSOR_TEST);
+        gl.scissor(box.x, this.height - box.y - box.height, box.width, box.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        this._applyScissor();
+    }
+
+    resize(width, height) {
+        this.flush();
+        super.resize(width, height);
+        this.gl.viewport(0, 0, width, height);
+        this.pipeline.setResolution(width, height);
+    }
+
+    save() {
+        this.stateStack.push({
+            matrix: this.matrix.clone(),
+            alpha: this.alpha,
+            blendMode: this.blendMode,
+            depth: this.depth,
+            material: this.material,
+            tint: this.tint,
+            scissor: this.scissor
+        });
+    }
+
+    restore() {
+        const state = this.stateStack.pop();
+        if (!state) return;
+        this.matrix.copy(state.matrix);
+        this.alpha = state.alpha;
+        this.depth = state.depth;
+        this.material = state.material;
+        this.tint = state.tint;
+        this.setBlendMode(state.blendMode);
+        if (state.scissor !== this.scissor) this.setScissor(state.scissor);
+    }
+
+    translate(x, y) { this.matrix.translate(x, y); }
+    rotate(angle) { this.matrix.rotate(angle); }
+    scale(x, y = x) { this.matrix.scale(x, y); }
+    transform(a, b, c, d, e, f) { this.matrix.multiply(new Matrix2D(a, b, c, d, e, f)); }
+    setTransform(a, b, c, d, e, f) { this.matrix.set(a, b, c, d, e, f); }
+
+    setAlpha(alpha) {
+        this.alpha = Math.max(0, Math.min(1, alpha));
+    }
+
+    /**
+     * Задать глубину для следующих фигур (учитывается при сортировке внутри flush)
+     * @param {number} depth
+     */
+    setDepth(depth) {
+        this.depth = depth;
+    }
+
+    /**
+     * Задать материал для следующих фигур (сохраняется в save/restore)
+     * @param {Material|null} material
+     */
+    setMaterial(material) {
+        this.material = material || null;
+    }
+
+    /**
+     * Умножать следующие изображения на цвет (сохраняется в save/restore)
+     * @param {string|null} color
+     */
+    setTint(color) {
+        this.tint = color ? parseColor(color) : null;
+    }
+
+    /**
+     * Ограничить рисование прямоугольником (сохраняется в save/restore)
+     * @param {{x: number, y: number, width: number, height: number}|null} rect - пиксели холста
+     */
+    setScissor(rect) {
+        this.flush();
+        this.scissor = rect;
+        this._applyScissor();
+    }
+
+    setBlendMode(mode) {
+        if (!Object.values(BlendMode).includes(mode)) {
+            throw new RangeError(`Unknown blend mode "${mode}"`);
+        }
+        if (mode === this.blendMode) return;
+        this.flush();
+        this._applyBlendMode(mode);
+    }
+
+    drawImage(image, sx, sy, sw, sh, dx, dy, dw, dh) {
+        if (!this._isReady(image)) return;
+        const texture = this.pipeline.getTexture(image);
+        const texWidth = image.naturalWidth || image.width;
+        const texHeight = image.naturalHeight || image.height;
+        const points = this._transform([dx, dy, dx + dw, dy, dx + dw, dy + dh, dx, dy + dh]);
+        const u0 = sx / texWidth;
+        const v0 = sy / texHeight;
+        const u1 = (sx + sw) / texWidth;
+        const v1 = (sy + sh) / texHeight;
+        const { r, g, b } = this.tint || WHITE;
+        this.pipeline.drawQuad(texture, points, u0, v0, u1, v1, r, g, b, this.alpha, this.depth, this.material);
+    }
+
+    fillRect(x, y, width, height, color) {
+        this.fillPolygon([x, y, x + width, y, x + width, y + height, x, y + height], color);
+    }
+
+    strokeRect(x, y, width, height, color, lineWidth = 1) {
+        this.strokePolyline([x, y, x + width, y, x + width, y + height, x, y + height], color, lineWidth, true);
+    }
+
+    fillCircle(x, y, radius, color) {
+        this.fillPolygon(this._circlePoints(x, y, radius), color);
+    }
+
+    strokeCircle(x, y, radius, color, lineWidth = 1) {
+        this.strokePolyline(this._circlePoints(x, y, radius), color, lineWidth, true);
+    }
+
+    /**
+     * Залить выпуклый многоугольник
+     * @param {Array<number>} points - [x0, y0, x1, y1, ...] в локальных координатах
+     * @param {string} color
+     */
+    fillPolygon(points, color) {
+        this.fillWorldPolygon(this._transform(points), color);
+    }
+
+    /**
+     * Залить многоугольник, уже переведённый в координаты холста
+     * @param {Array<number>} points
+     * @param {string} color
+     */
+    fillWorldPolygon(points, color) {
+        const count = points.length / 2;
+        if (count < 3) return;
+        const { r, g, b, a } = parseColor(color);
+        const triangles = [];
+        // Веер треугольников от первой вершины
+        for (let i = 1; i < count - 1; i++) {
+            triangles.push(points[0], points[1], points[i * 2], points[i * 2 + 1], points[i * 2 + 2], points[i * 2 + 3]);
+        }
+        this.pipeline.drawTriangles(triangles, r, g, b, a * this.alpha, this.depth, this.material);
+    }
+
+    /**
+     * Обвести ломаную линию
+     * @param {Array<number>} points - в локальных координатах
+     * @param {string} color
+     * @param {number} lineWidth
+     * @param {boolean} closed
+     */
+    strokePolyline(points, color, lineWidth = 1, closed = false) {
+        const scale = Math.sqrt(Math.abs(this.matrix.determinant()));
+        this.strokeWorldPolyline(this._transform(points), color, lineWidth * scale, closed);
+    }
+
+    /**
+     * Обвести ломаную, уже переведённую в координаты холста
+     */
+    strokeWorldPolyline(points, color, lineWidth = 1, closed = false) {
+        const count = points.length / 2;
+        if (count < 2) return;
+        const { r, g, b, a } = parseColor(color);
+        const half = lineWidth / 2;
+        const triangles = [];
+        const segments = closed ? count : count - 1;
+        for (let i = 0; i < segments; i++) {
+            const j = (i + 1) % count;
+            const x0 = points[i * 2], y0 = points[i * 2 + 1];
+            const x1 = points[j * 2], y1 = points[j * 2 + 1];
+            const length = Math.hypot(x1 - x0, y1 - y0);
+            if (length === 0) continue;
+            // Нормаль к отрезку, вытянутому по ширине линии
+            const nx = -(y1 - y0) / length * half;
+            const ny = (x1 - x0) / length * half;
+            triangles.push(
+                x0 + nx, y0 + ny, x1 + nx, y1 + ny, x1 - nx, y1 - ny,
+                x0 + nx, y0 + ny, x1 - nx, y1 - ny, x0 - nx, y0 - ny
+            );
+        }
+        this.pipeline.drawTriangles(triangles, r, g, b, a * this.alpha, this.depth, this.material);
+    }
+
+    /**
+     * Получить (и при необходимости загрузить) текстуру изображения
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     * @returns {WebGLTexture}
+     */
+    getTexture(image) {
+        return this.pipeline.getTexture(image);
+    }
+
+    /**
+     * Загрузить изображение заново (после перерисовки холста-источника)
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     */
+    updateTexture(image) {
+        this.pipeline.updateTexture(image);
+    }
+
+    /**
+     * Удалить текстуру изображения
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     */
+    releaseTexture(image) {
+        this.pipeline.releaseTexture(image);
+    }
+
+    /**
+     * Отправить накопленное на GPU
+     */
+    flush() {
+        this.pipeline.flush();
+    }
+
+    destroy() {
+        this.pipeline.destroy();
+    }
+
+    /**
+     * @private
+     */
+    _applyBlendMode(mode) {
+        const gl = this.gl;
+        switch (mode) {
+            case BlendMode.ADD:
+                gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+                break;
+            case BlendMode.MULTIPLY:
+                gl.blendFunc(gl.DST_COLOR, gl.ONE_MINUS_SRC_ALPHA);
+                break;
+            case BlendMode.SCREEN:
+                gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_COLOR);
+                break;
+            default:
+                gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        }
+        this.blendMode = mode;
+    }
+
+    /**
+     * @private
+     */
+    _applyScissor() {
+        const gl = this.gl;
+        const rect = this.scissor;
+        if (!rect) {
+            gl.disable(gl.SCISSOR_TEST);
+            return;
+        }
+        gl.enable(gl.SCISSOR_TEST);
+        // Ось Y в WebGL направлена вверх
+        gl.scissor(rect.x, this.height - rect.y - rect.height, rect.width, rect.height);
+    }
+
+    /**
+     * Загружено ли изображение
+     * @private
+     */
+    _isReady(image) {
+        if (!image) return false;
+        if (image.complete === false) return false;
+        return (image.naturalWidth || image.width) > 0;
+    }
+
+    /**
+     * Перевести точки текущей матрицей
+     * @private
+     */
+    _transform(points) {
+        const { a, b, c, d, e, f } = this.matrix;
+        const result = new Array(points.length);
+        for (let i = 0; i < points.length; i += 2) {
+            result[i] = a * points[i] + c * points[i + 1] + e;
+            result[i + 1] = b * points[i] + d * points[i + 1] + f;
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    _boundingBox(points) {
+        const world = this._transform(points);
+        const xs = world.filter((_, i) => i % 2 === 0);
+        const ys = world.filter((_, i) => i % 2 === 1);
+        const x = Math.floor(Math.min(...xs));
+        const y = Math.floor(Math.min(...ys));
+        return { x, y, width: Math.ceil(Math.max(...xs)) - x, height: Math.ceil(Math.max(...ys)) - y };
+    }
+
+    /**
+     * @private
+     */
+    _circlePoints(x, y, radius) {
+        const segments = Math.max(12, Math.min(64, Math.ceil(radius)));
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            points.push(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+        }
+        return points;
+    }
+}
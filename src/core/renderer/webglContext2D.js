@@ -0,0 +1,389 @@
+// Объект с API CanvasRenderingContext2D поверх WebGLBackend
+import { BlendMode } from './renderBackend.js';
+import { parseColor } from '../../utils/color.js';
+
+// globalCompositeOperation -> BlendMode
+const BLEND_MODES = {
+    'source-over': BlendMode.NORMAL,
+    'lighter': BlendMode.ADD,
+    'multiply': BlendMode.MULTIPLY,
+    'screen': BlendMode.SCREEN
+};
+
+const WHITE = parseColor('#ffffff');
+
+// Свойства стиля, которые сохраняются в save/restore
+const STYLE_PROPERTIES = ['fillStyle', 'strokeStyle', 'lineWidth', 'font', 'textAlign', 'textBaseline'];
+
+/**
+ * Подмножество CanvasRenderingContext2D, достаточное для компонентов движка:
+ * трансформации, globalAlpha, globalCompositeOperation, drawImage, прямоугольники и пути
+ * (линии, дуги, эллипсы, квадратичные и кубические кривые раскладываются на отрезки).
+ * clip() отсекает по ограничивающему прямоугольнику пути (scissor).
+ * Текст и градиенты не поддерживаются (вызовы игнорируются с предупреждением).
+ */
+export class WebGLContext2D {
+    /**
+     * @param {WebGLBackend} backend
+     */
+    constructor(backend) {
+        this.backend = backend;
+        this.canvas = backend.canvas;
+
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this._compositeOperation = 'source-over';
+
+        this.styleStack = [];
+        // Подпути в координатах холста: точки переводятся в момент добавления, как в canvas
+        this.subpaths = [];
+        this.warned = new Set();
+    }
+
+    get globalAlpha() { return this.backend.alpha; }
+    set globalAlpha(value) { this.backend.setAlpha(value); }
+
+    get globalCompositeOperation() { return this._compositeOperation; }
+    set globalCompositeOperation(value) {
+        const mode = BLEND_MODES[value];
+        if (!mode) {
+            this._warnOnce(`globalCompositeOperation "${value}"`);
+            return;
+        }
+        this._compositeOperation = value;
+        this.backend.setBlendMode(mode);
+    }
+
+    /** Материал для следующих фигур (сохраняется в save/restore) */
+    get material() { return this.backend.material; }
+
+    /**
+     * @param {Material|null} material
+     */
+    setMaterial(material) {
+        this.backend.setMaterial(material);
+    }
+
+    /**
+     * Умножать следующие изображения на цвет без копии изображения (сохраняется в save/restore)
+     * @param {string|null} color
+     */
+    setTint(color) {
+        this.backend.setTint(color);
+    }
+
+    get imageSmoothingEnabled() { return this.backend.smoothing; }
+    set imageSmoothingEnabled(value) { this.backend.smoothing = value; }
+
+    save() {
+        const style = { compositeOperation: this._compositeOperation };
+        STYLE_PROPERTIES.forEach(key => { style[key] = this[key]; });
+        this.styleStack.push(style);
+        this.backend.save();
+    }
+
+    restore() {
+        const style = this.styleStack.pop();
+        if (!style) return;
+        STYLE_PROPERTIES.forEach(key => { this[key] = style[key]; });
+        this._compositeOperation = style.compositeOperation;
+        this.backend.restore();
+    }
+
+    translate(x, y) { this.backend.translate(x, y); }
+    rotate(angle) { this.backend.rotate(angle); }
+    scale(x, y) { this.backend.scale(x, y); }
+    transform(a, b, c, d, e, f) { this.backend.transform(a, b, c, d, e, f); }
+    setTransform(a, b, c, d, e, f) {
+        // Поддерживается и форма setTransform(DOMMatrix)
+        if (typeof a === 'object' && a !== null) {
+            this.backend.setTransform(a.a, a.b, a.c, a.d, a.e, a.f);
+        } else {
+            this.backend.setTransform(a, b, c, d, e, f);
+        }
+    }
+    resetTransform() { this.backend.setTransform(1, 0, 0, 1, 0, 0); }
+
+    getTransform() {
+        return this.backend.matrix.clone();
+    }
+
+    /**
+     * drawImage(image, dx, dy), (image, dx, dy, dw, dh) или (image, sx, sy, sw, sh, dx, dy, dw, dh)
+     */
+    drawImage(image, ...args) {
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        if (args.length === 2) {
+            this.backend.drawImage(image, 0, 0, width, height, args[0], args[1], width, height);
+        } else if (args.length === 4) {
+            this.backend.drawImage(image, 0, 0, width, height, args[0], args[1], args[2], args[3]);
+        } else if (args.length === 8) {
+            this.backend.drawImage(image, ...args);
+        } else {
+            throw new TypeError('drawImage expects 3, 5 or 9 arguments');
+        }
+    }
+
+    /**
+     * Загрузить заново текстуру холста, который перерисовали после первого drawImage
+     * @param {HTMLCanvasElement|OffscreenCanvas} image
+     */
+    updateTexture(image) {
+        this.backend.updateTexture(image);
+    }
+
+    /**
+     * Удалить текстуру (например, перед изменением размера холста)
+     * @param {HTMLCanvasElement|OffscreenCanvas} image
+     */
+    releaseTexture(image) {
+        this.backend.releaseTexture(image);
+    }
+
+    fillRect(x, y, width, height) {
+        const color = this._style(this.fillStyle);
+        if (color) this.backend.fillRect(x, y, width, height, color);
+    }
+
+    strokeRect(x, y, width, height) {
+        const color = this._style(this.strokeStyle);
+        if (color) this.backend.strokeRect(x, y, width, height, color, this.lineWidth);
+    }
+
+    clearRect(x, y, width, height) {
+        this.backend.clearRect(x, y, width, height);
+    }
+
+    beginPath() {
+        this.subpaths = [];
+    }
+
+    moveTo(x, y) {
+        this.subpaths.push({ points: this._point(x, y), closed: false });
+    }
+
+    lineTo(x, y) {
+        const subpath = this._currentSubpath();
+        subpath.points.push(...this._point(x, y));
+    }
+
+    closePath() {
+        const subpath = this.subpaths[this.subpaths.length - 1];
+        if (subpath) subpath.closed = true;
+    }
+
+    rect(x, y, width, height) {
+        this.subpaths.push({
+            points: [
+                ...this._point(x, y), ...this._point(x + width, y),
+                ...this._point(x + width, y + height), ...this._point(x, y + height)
+            ],
+            closed: true
+        });
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+    }
+
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+        let sweep = endAngle - startAngle;
+        if (counterclockwise) {
+            if (sweep > 0) sweep = sweep % (Math.PI * 2) - Math.PI * 2;
+            sweep = Math.max(sweep, -Math.PI * 2);
+        } else {
+            if (sweep < 0) sweep = sweep % (Math.PI * 2) + Math.PI * 2;
+            sweep = Math.min(sweep, Math.PI * 2);
+        }
+        const radius = Math.max(radiusX, radiusY);
+        const segments = Math.max(8, Math.ceil(Math.abs(sweep) / (Math.PI * 2) * Math.max(12, Math.min(64, radius))));
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const subpath = this._currentSubpath();
+        for (let i = 0; i <= segments; i++) {
+            const angle = startAngle + sweep * (i / segments);
+            const px = Math.cos(angle) * radiusX;
+            const py = Math.sin(angle) * radiusY;
+            subpath.points.push(...this._point(x + px * cos - py * sin, y + px * sin + py * cos));
+        }
+    }
+
+    quadraticCurveTo(cx, cy, x, y) {
+        const points = this._currentSubpath(cx, cy).points;
+        const x0 = points[points.length - 2];
+        const y0 = points[points.length - 1];
+        // Аффинное преобразование сохраняет кривую: считаем сразу в координатах холста
+        const [x1, y1] = this._point(cx, cy);
+        const [x2, y2] = this._point(x, y);
+        const segments = this._curveSegments(Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x1, y2 - y1));
+        for (let i = 1; i <= segments; i++) {
+            const t = i / segments;
+            const u = 1 - t;
+            points.push(u * u * x0 + 2 * u * t * x1 + t * t * x2, u * u * y0 + 2 * u * t * y1 + t * t * y2);
+        }
+    }
+
+    bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+        const points = this._currentSubpath(c1x, c1y).points;
+        const x0 = points[points.length - 2];
+        const y0 = points[points.length - 1];
+        const [x1, y1] = this._point(c1x, c1y);
+        const [x2, y2] = this._point(c2x, c2y);
+        const [x3, y3] = this._point(x, y);
+        const segments = this._curveSegments(
+            Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x1, y2 - y1) + Math.hypot(x3 - x2, y3 - y2)
+        );
+        for (let i = 1; i <= segments; i++) {
+            const t = i / segments;
+            const u = 1 - t;
+            const a = u * u * u;
+            const b = 3 * u * u * t;
+            const c = 3 * u * t * t;
+            const d = t * t * t;
+            points.push(a * x0 + b * x1 + c * x2 + d * x3, a * y0 + b * y1 + c * y2 + d * y3);
+        }
+    }
+
+    fill() {
+        const color = this._style(this.fillStyle);
+        if (!color) return;
+        for (const subpath of this.subpaths) {
+            this.backend.fillWorldPolygon(subpath.points, color);
+        }
+    }
+
+    stroke() {
+        const color = this._style(this.strokeStyle);
+        if (!color) return;
+        const scale = Math.sqrt(Math.abs(this.backend.matrix.determinant()));
+        for (const subpath of this.subpaths) {
+            this.backend.strokeWorldPolyline(subpath.points, color, this.lineWidth * scale, subpath.closed);
+        }
+    }
+
+    /**
+     * Отсечь по ограничивающему прямоугольнику текущего пути (внутри текущего отсечения)
+     */
+    clip() {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const { points } of this.subpaths) {
+            for (let i = 0; i < points.length; i += 2) {
+                minX = Math.min(minX, points[i]);
+                maxX = Math.max(maxX, points[i]);
+                minY = Math.min(minY, points[i + 1]);
+                maxY = Math.max(maxY, points[i + 1]);
+            }
+        }
+        if (minX > maxX) {
+            minX = minY = maxX = maxY = 0;
+        } else if (!this._isAxisAlignedRect()) {
+            this._warnOnce('non-rectangular clip() (the bounding box is used)');
+        }
+        const current = this.backend.scissor;
+        if (current) {
+            minX = Math.max(minX, current.x);
+            minY = Math.max(minY, current.y);
+            maxX = Math.min(maxX, current.x + current.width);
+            maxY = Math.min(maxY, current.y + current.height);
+        }
+        const x = Math.round(minX);
+        const y = Math.round(minY);
+        this.backend.setScissor({
+            x, y, width: Math.max(0, Math.round(maxX) - x), height: Math.max(0, Math.round(maxY) - y)
+        });
+    }
+
+    fillText() { this._warnOnce('fillText()'); }
+    strokeText() { this._warnOnce('strokeText()'); }
+
+    measureText(text) {
+        const size = parseFloat(this.font) || 10;
+        return { width: String(text).length * size * 0.5 };
+    }
+
+    createLinearGradient() {
+        this._warnOnce('gradients');
+        return { addColorStop() {} };
+    }
+
+    createRadialGradient() {
+        this._warnOnce('gradients');
+        return { addColorStop() {} };
+    }
+
+    /**
+     * Состоит ли путь из одного прямоугольника со сторонами вдоль осей
+     * @private
+     */
+    _isAxisAlignedRect() {
+        if (this.subpaths.length !== 1) return false;
+        const points = this.subpaths[0].points;
+        if (points.length !== 8) return false;
+        for (let i = 0; i < 8; i += 2) {
+            const next = (i + 2) % 8;
+            if (points[i] !== points[next] && points[i + 1] !== points[next + 1]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Текущий подпуть (создаётся, если путь пуст). Кривая без начальной точки
+     * начинается, как в canvas, с точки (x, y).
+     * @private
+     */
+    _currentSubpath(x, y) {
+        if (this.subpaths.length === 0) {
+            this.subpaths.push({ points: [], closed: false });
+        }
+        const subpath = this.subpaths[this.subpaths.length - 1];
+        if (subpath.points.length === 0 && x !== undefined) {
+            subpath.points.push(...this._point(x, y));
+        }
+        return subpath;
+    }
+
+    /**
+     * Число отрезков кривой по длине её контрольной ломаной (px холста)
+     * @private
+     */
+    _curveSegments(length) {
+        return Math.max(4, Math.min(64, Math.ceil(length / 8)));
+    }
+
+    /**
+     * @private
+     */
+    _point(x, y) {
+        const { a, b, c, d, e, f } = this.backend.matrix;
+        return [a * x + c * y + e, b * x + d * y + f];
+    }
+
+    /**
+     * Разобранный цвет стиля. Градиенты и шаблоны заменяются белым; нераспознанный цвет
+     * даёт null (вызов пропускается с предупреждением), а не исключение посреди кадра
+     * @private
+     */
+    _style(style) {
+        if (typeof style !== 'string') return WHITE;
+        try {
+            return parseColor(style);
+        } catch (e) {
+            this._warnOnce(`color "${style}"`);
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _warnOnce(feature) {
+        if (this.warned.has(feature)) return;
+        this.warned.add(feature);
+        console.warn(`WebGL backend does not support ${feature}; the call is ignored`);
+    }
+}
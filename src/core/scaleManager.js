@@ -0,0 +1,319 @@
+// Масштабирование логического разрешения игры под размер окна или контейнера
+export const ScaleMode = {
+    // Целиком в контейнер с сохранением пропорций, по краям — полосы
+    FIT: 'fit',
+    // Заполнить контейнер с сохранением пропорций, лишнее обрезается
+    FILL: 'fill',
+    // Растянуть на весь контейнер без сохранения пропорций
+    STRETCH: 'stretch',
+    // Целый множитель в физических пикселях (пиксель-арт без размытия)
+    INTEGER: 'integer',
+    // Без масштабирования: логический размер в CSS-пикселях
+    NONE: 'none'
+};
+
+export class ScaleManager {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {number} options.width - логическая ширина
+     * @param {number} options.height - логическая высота
+     * @param {string} options.mode - режим из ScaleMode
+     * @param {HTMLElement} options.parent - контейнер (по умолчанию родитель холста; body — окно)
+     * @param {number} options.pixelRatio - плотность пикселей (по умолчанию window.devicePixelRatio)
+     * @param {number} options.maxPixelRatio - верхняя граница плотности
+     * @param {Renderer} options.renderer - рендерер, которому передаётся новый размер холста
+     * @param {boolean} options.autoResize - следить за размером окна и контейнера
+     */
+    constructor(canvas, options = {}) {
+        if (!canvas) {
+            throw new Error('Canvas is null or undefined');
+        }
+        const {
+            width = canvas.width, height = canvas.height, mode = ScaleMode.FIT, parent = null,
+            pixelRatio = null, maxPixelRatio = Infinity, renderer = null, autoResize = true
+        } = options;
+        if (!Object.values(ScaleMode).includes(mode)) {
+            throw new RangeError(`Unknown scale mode "${mode}"`);
+        }
+        this.canvas = canvas;
+        // Логическое разрешение: в нём работают камеры, сцены и ввод
+        this.width = width;
+        this.height = height;
+        this.mode = mode;
+        this.parent = parent || canvas.parentElement || null;
+        this.pixelRatio = pixelRatio;
+        this.maxPixelRatio = maxPixelRatio;
+        this.renderer = renderer;
+        // Последняя раскладка (см. computeLayout)
+        this.layout = null;
+        // Вызывается после изменения размера: (layout) => {}
+        this.onResize = null;
+
+        this._onWindowResize = () => this.refresh();
+        this._observer = null;
+        this._positionContainer();
+        if (autoResize) this.start();
+        else this.refresh();
+    }
+
+    /**
+     * Следить за размером окна (в том числе за сменой devicePixelRatio при масштабе страницы)
+     * и контейнера
+     */
+    start() {
+        if (typeof window !== 'undefined') {
+            window.addEventListener('resize', this._onWindowResize);
+        }
+        if (!this._observer && this._usesContainer() && typeof ResizeObserver !== 'undefined') {
+            this._observer = new ResizeObserver(() => this.refresh());
+            this._observer.observe(this.parent);
+        }
+        this.refresh();
+    }
+
+    /**
+     * Перестать следить за размерами
+     */
+    stop() {
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('resize', this._onWindowResize);
+        }
+        if (this._observer) {
+            this._observer.disconnect();
+            this._observer = null;
+        }
+    }
+
+    destroy() {
+        this.stop();
+        this.onResize = null;
+    }
+
+    /**
+     * Сменить режим масштабирования
+     * @param {string} mode
+     */
+    setMode(mode) {
+        if (!Object.values(ScaleMode).includes(mode)) {
+            throw new RangeError(`Unknown scale mode "${mode}"`);
+        }
+        this.mode = mode;
+        this.refresh();
+    }
+
+    /**
+     * Сменить логическое разрешение
+     * @param {number} width
+     * @param {number} height
+     */
+    setLogicalSize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.refresh();
+    }
+
+    /**
+     * Пересчитать раскладку под текущий размер контейнера и применить её к холсту
+     * @returns {Object} - раскладка
+     */
+    refresh() {
+        const { width, height } = this._getContainerSize();
+        const layout = this.computeLayout(width, height, this._getPixelRatio());
+        this._apply(layout);
+        return layout;
+    }
+
+    /**
+     * Раскладка холста в контейнере (без обращения к DOM)
+     * @param {number} containerWidth - CSS-пиксели
+     * @param {number} containerHeight - CSS-пиксели
+     * @param {number} pixelRatio
+     * @returns {{displayWidth: number, displayHeight: number, offsetX: number, offsetY: number,
+     *     canvasWidth: number, canvasHeight: number, scaleX: number, scaleY: number, pixelRatio: number}}
+     *     - display* и offset* — размер и положение холста в контейнере (CSS), canvas* — размер
+     *     буфера, scale* — множитель из логических координат в пиксели буфера
+     */
+    computeLayout(containerWidth, containerHeight, pixelRatio = 1) {
+        const { width, height } = this;
+        let displayWidth;
+        let displayHeight;
+
+        switch (this.mode) {
+            case ScaleMode.FILL: {
+                const scale = Math.max(containerWidth / width, containerHeight / height);
+                displayWidth = width * scale;
+                displayHeight = height * scale;
+                break;
+            }
+            case ScaleMode.STRETCH:
+                displayWidth = containerWidth;
+                displayHeight = containerHeight;
+                break;
+            case ScaleMode.INTEGER: {
+                // Множитель считается в физических пикселях, чтобы пиксель игры был целым на экране
+                const factor = Math.max(1, Math.floor(Math.min(
+                    containerWidth * pixelRatio / width,
+                    containerHeight * pixelRatio / height
+                )));
+                displayWidth = width * factor / pixelRatio;
+                displayHeight = height * factor / pixelRatio;
+                break;
+            }
+            case ScaleMode.NONE:
+                displayWidth = width;
+                displayHeight = height;
+                break;
+            default: {
+                const scale = Math.min(containerWidth / width, containerHeight / height);
+                displayWidth = width * scale;
+                displayHeight = height * scale;
+                break;
+            }
+        }
+
+        const canvasWidth = Math.max(1, Math.round(displayWidth * pixelRatio));
+        const canvasHeight = Math.max(1, Math.round(displayHeight * pixelRatio));
+        return {
+            displayWidth,
+            displayHeight,
+            offsetX: (containerWidth - displayWidth) / 2,
+            offsetY: (containerHeight - displayHeight) / 2,
+            canvasWidth,
+            canvasHeight,
+            scaleX: canvasWidth / width,
+            scaleY: canvasHeight / height,
+            pixelRatio
+        };
+    }
+
+    /**
+     * Установить матрицу перехода из логических координат в пиксели буфера
+     * @param {CanvasRenderingContext2D|Object} context
+     */
+    applyToContext(context) {
+        if (!this.layout) return;
+        context.setTransform(this.layout.scaleX, 0, 0, this.layout.scaleY, 0, 0);
+    }
+
+    /**
+     * Перевести координаты окна (clientX/clientY) в логические координаты игры
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {{x: number, y: number}}
+     */
+    toLogical(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        if (!rect.width || !rect.height) return { x: 0, y: 0 };
+        return {
+            x: (clientX - rect.left) * this.width / rect.width,
+            y: (clientY - rect.top) * this.height / rect.height
+        };
+    }
+
+    /**
+     * Логические координаты события мыши, указателя или касания (первое касание)
+     * @param {MouseEvent|PointerEvent|TouchEvent|Touch} event
+     * @returns {{x: number, y: number}}
+     */
+    eventToLogical(event) {
+        const point = event.changedTouches && event.changedTouches.length > 0 ? event.changedTouches[0] : event;
+        return this.toLogical(point.clientX, point.clientY);
+    }
+
+    /**
+     * Логическая точка внутри игрового поля (не на полосах и не в обрезанной части)
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    contains(x, y) {
+        return x >= 0 && y >= 0 && x < this.width && y < this.height;
+    }
+
+    /**
+     * @private
+     */
+    _apply(layout) {
+        const { canvas } = this;
+        const sizeChanged = canvas.width !== layout.canvasWidth || canvas.height !== layout.canvasHeight;
+        if (sizeChanged) {
+            if (this.renderer) this.renderer.resize(layout.canvasWidth, layout.canvasHeight);
+            else {
+                canvas.width = layout.canvasWidth;
+                canvas.height = layout.canvasHeight;
+            }
+        }
+        if (canvas.style) {
+            // Полосы FIT — фон контейнера; для FILL контейнеру нужен overflow: hidden
+            canvas.style.position = 'absolute';
+            canvas.style.left = `${layout.offsetX}px`;
+            canvas.style.top = `${layout.offsetY}px`;
+            canvas.style.width = `${layout.displayWidth}px`;
+            canvas.style.height = `${layout.displayHeight}px`;
+            canvas.style.imageRendering = this.mode === ScaleMode.INTEGER ? 'pixelated' : '';
+        }
+
+        const previous = this.layout;
+        this.layout = layout;
+        const changed = !previous || sizeChanged
+            || previous.displayWidth !== layout.displayWidth || previous.displayHeight !== layout.displayHeight
+            || previous.offsetX !== layout.offsetX || previous.offsetY !== layout.offsetY;
+        if (changed && this.onResize) {
+            try {
+                this.onResize(layout);
+            } catch (e) {
+                console.error('Error in scale onResize callback:', e);
+            }
+        }
+    }
+
+    /**
+     * Холст позиционируется абсолютно относительно контейнера: статичному контейнеру
+     * задаётся position: relative, иначе left/top считались бы от другого предка
+     * @private
+     */
+    _positionContainer() {
+        if (!this._usesContainer() || !this.parent.style || !this.canvas.style) return;
+        const position = typeof getComputedStyle === 'function'
+            ? getComputedStyle(this.parent).position
+            : this.parent.style.position;
+        if (!position || position === 'static') this.parent.style.position = 'relative';
+    }
+
+    /**
+     * Контейнер — отдельный элемент, а не страница целиком
+     * @private
+     */
+    _usesContainer() {
+        return !!this.parent && (typeof document === 'undefined' || this.parent !== document.body);
+    }
+
+    /**
+     * @private
+     */
+    _getContainerSize() {
+        const fallback = typeof window !== 'undefined'
+            ? { width: window.innerWidth, height: window.innerHeight }
+            : { width: this.width, height: this.height };
+        if (this._usesContainer()) {
+            // Контейнер без заданного размера схлопывается вокруг абсолютного холста:
+            // нулевое измерение берётся из окна, а не даёт масштаб 0
+            return {
+                width: this.parent.clientWidth || fallback.width,
+                height: this.parent.clientHeight || fallback.height
+            };
+        }
+        return fallback;
+    }
+
+    /**
+     * @private
+     */
+    _getPixelRatio() {
+        const ratio = this.pixelRatio
+            || (typeof window !== 'undefined' && window.devicePixelRatio)
+            || 1;
+        return Math.min(ratio, this.maxPixelRatio);
+    }
+}
@@ -0,0 +1,47 @@
+// Внеэкранные холсты для промежуточной отрисовки
+
+/**
+ * Создать внеэкранный холст (OffscreenCanvas или элемент canvas)
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    throw new Error('Offscreen rendering requires OffscreenCanvas or a DOM canvas');
+}
+
+/**
+ * Можно ли создать внеэкранный холст (в headless-режиме без DOM — нет)
+ * @returns {boolean}
+ */
+export function canCreateCanvas() {
+    return typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined';
+}
+
+/**
+ * Закодировать содержимое холста в файл изображения
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {string} type - MIME-тип, например 'image/png'
+ * @param {number} quality - качество 0-1 для 'image/jpeg' и 'image/webp'
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, type = 'image/png', quality = undefined) {
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type, quality });
+    }
+    if (typeof canvas.toBlob === 'function') {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas could not be encoded'))), type, quality);
+        });
+    }
+    return Promise.reject(new Error('Canvas does not support image encoding'));
+}
@@ -0,0 +1,160 @@
+// Разбор CSS-цветов в компоненты RGBA (0-1) для WebGL
+import { createCanvas, canCreateCanvas } from './canvas.js';
+
+const NAMED_COLORS = {
+    transparent: [0, 0, 0, 0],
+    black: [0, 0, 0, 1],
+    white: [255, 255, 255, 1],
+    red: [255, 0, 0, 1],
+    green: [0, 128, 0, 1],
+    lime: [0, 255, 0, 1],
+    blue: [0, 0, 255, 1],
+    yellow: [255, 255, 0, 1],
+    cyan: [0, 255, 255, 1],
+    magenta: [255, 0, 255, 1],
+    orange: [255, 165, 0, 1],
+    purple: [128, 0, 128, 1],
+    gray: [128, 128, 128, 1],
+    grey: [128, 128, 128, 1]
+};
+
+// Разобранные строки кэшируются: одни и те же цвета приходят каждый кадр.
+// Размер ограничен: интерполированные цвета (например, у частиц) дают новые строки каждый кадр
+const CACHE_LIMIT = 512;
+const cache = new Map();
+
+// Контекст 1×1 для цветов, которые знает только браузер (остальные имена CSS); null — недоступен
+let normalizer;
+
+/**
+ * Разобрать цвет: '#rgb', '#rgba', '#rrggbb', '#rrggbbaa', 'rgb()', 'rgba()', 'hsl()', 'hsla()'
+ * или имя. Имена вне встроенной таблицы переводятся в rgb через 2D-контекст браузера.
+ * @param {string|Object} color - строка или уже разобранный {r, g, b, a}
+ * @returns {{r: number, g: number, b: number, a: number}} - компоненты 0-1
+ * @throws {Error} если цвет не распознан
+ */
+export function parseColor(color) {
+    if (color && typeof color === 'object') {
+        return color;
+    }
+    if (typeof color !== 'string') {
+        throw new TypeError('Color must be a string');
+    }
+    let parsed = cache.get(color);
+    if (!parsed) {
+        parsed = Object.freeze(parseColorString(color.trim().toLowerCase()));
+        if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+        cache.set(color, parsed);
+    }
+    return parsed;
+}
+
+/**
+ * @param {string} value
+ * @returns {{r: number, g: number, b: number, a: number}}
+ */
+function parseColorString(value) {
+    const parsed = parseColorSyntax(value);
+    if (parsed) return parsed;
+    const normalized = normalizeColor(value);
+    const fromBrowser = normalized && parseColorSyntax(normalized);
+    if (fromBrowser) return fromBrowser;
+    throw new Error(`Unsupported color "${value}"`);
+}
+
+/**
+ * Разобрать цвет без помощи браузера
+ * @param {string} value - в нижнем регистре
+ * @returns {{r: number, g: number, b: number, a: number}|null}
+ */
+function parseColorSyntax(value) {
+    if (NAMED_COLORS[value]) {
+        const [r, g, b, a] = NAMED_COLORS[value];
+        return { r: r / 255, g: g / 255, b: b / 255, a };
+    }
+
+    if (value[0] === '#') {
+        let hex = value.slice(1);
+        if (hex.length === 3 || hex.length === 4) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        if ((hex.length === 6 || hex.length === 8) && /^[0-9a-f]+$/.test(hex)) {
+            const n = i => parseInt(hex.slice(i, i + 2), 16) / 255;
+            return { r: n(0), g: n(2), b: n(4), a: hex.length === 8 ? n(6) : 1 };
+        }
+    }
+
+    const match = value.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+        const parts = match[1].split(/[\s,/]+/).filter(Boolean);
+        if (parts.length === 3 || parts.length === 4) {
+            const channel = p => p.endsWith('%') ? parseFloat(p) / 100 : parseFloat(p) / 255;
+            const alpha = parts.length === 4
+                ? (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]))
+                : 1;
+            return { r: channel(parts[0]), g: channel(parts[1]), b: channel(parts[2]), a: alpha };
+        }
+    }
+
+    const hsl = value.match(/^hsla?\(([^)]+)\)$/);
+    if (hsl) {
+        const parts = hsl[1].split(/[\s,/]+/).filter(Boolean);
+        if (parts.length === 3 || parts.length === 4) {
+            const alpha = parts.length === 4
+                ? (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]))
+                : 1;
+            return { ...hslToRgb(parseHue(parts[0]), parseFloat(parts[1]) / 100, parseFloat(parts[2]) / 100), a: alpha };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Оттенок в градусах: 'deg', 'rad', 'turn' или число
+ * @param {string} value
+ * @returns {number}
+ */
+function parseHue(value) {
+    const number = parseFloat(value);
+    if (value.endsWith('turn')) return number * 360;
+    if (value.endsWith('rad')) return number * 180 / Math.PI;
+    return number;
+}
+
+/**
+ * @param {number} hue - градусы
+ * @param {number} saturation - 0-1
+ * @param {number} lightness - 0-1
+ * @returns {{r: number, g: number, b: number}}
+ */
+function hslToRgb(hue, saturation, lightness) {
+    const s = Math.min(Math.max(saturation, 0), 1);
+    const l = Math.min(Math.max(lightness, 0), 1);
+    const h = ((hue % 360) + 360) % 360;
+    const chroma = s * Math.min(l, 1 - l);
+    const channel = n => {
+        const k = (n + h / 30) % 12;
+        return l - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return { r: channel(0), g: channel(8), b: channel(4) };
+}
+
+/**
+ * Перевести цвет в '#rrggbb' или 'rgba()' через 2D-контекст (так браузер нормализует fillStyle)
+ * @param {string} value
+ * @returns {string|null} - null, если контекста нет или браузер цвет не принял
+ */
+function normalizeColor(value) {
+    if (normalizer === undefined) {
+        normalizer = canCreateCanvas() ? createCanvas(1, 1).getContext('2d') : null;
+    }
+    if (!normalizer) return null;
+    // Неверный цвет контекст игнорирует: сравниваем результат с двумя разными исходными цветами
+    normalizer.fillStyle = '#000000';
+    normalizer.fillStyle = value;
+    const first = normalizer.fillStyle;
+    normalizer.fillStyle = '#ffffff';
+    normalizer.fillStyle = value;
+    return typeof first === 'string' && first === normalizer.fillStyle ? first.toLowerCase() : null;
+}
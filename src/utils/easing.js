@@ -0,0 +1,36 @@
+// Функции плавности для анимаций и переходов (t от 0 до 1)
+export const Easing = {
+    linear: t => t,
+
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => (--t) * t * t + 1,
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1),
+
+    easeInSine: t => 1 - Math.cos((t * Math.PI) / 2),
+    easeOutSine: t => Math.sin((t * Math.PI) / 2),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+
+    easeOutBack: t => {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    }
+};
+
+/**
+ * Получить функцию плавности по имени или вернуть переданную функцию
+ * @param {string|Function} easing - имя из Easing или функция
+ * @returns {Function}
+ */
+export function getEasing(easing = 'linear') {
+    if (typeof easing === 'function') return easing;
+    const fn = Easing[easing];
+    if (!fn) {
+        throw new Error(`Unknown easing "${easing}"`);
+    }
+    return fn;
+}
@@ -0,0 +1,366 @@
+// Кодировщик анимированных GIF на чистом JS: палитра median cut и сжатие LZW
+const MAX_CODES = 4096;
+// Непрозрачным считается пиксель с альфой от этого значения
+const ALPHA_THRESHOLD = 128;
+
+export class GifEncoder {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} options
+     * @param {number} options.loop - число повторов (0 — бесконечно, -1 — проиграть один раз)
+     * @param {number} options.maxColors - размер палитры кадра (2-256)
+     */
+    constructor(width, height, options = {}) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0
+            || width > 0xffff || height > 0xffff) {
+            throw new RangeError('GIF width and height must be integers between 1 and 65535');
+        }
+        const { loop = 0, maxColors = 256 } = options;
+        if (maxColors < 2 || maxColors > 256) {
+            throw new RangeError('maxColors must be between 2 and 256');
+        }
+        this.width = width;
+        this.height = height;
+        this.loop = loop;
+        this.maxColors = maxColors;
+        this.frameCount = 0;
+        this.finished = false;
+
+        this.bytes = new ByteWriter();
+        this._writeHeader();
+    }
+
+    /**
+     * Добавить кадр
+     * @param {ImageData|Uint8ClampedArray|Uint8Array} pixels - RGBA размером width * height
+     * @param {number} delay - длительность кадра (мс, в GIF хранится с точностью 10 мс)
+     */
+    addFrame(pixels, delay = 100) {
+        if (this.finished) {
+            throw new Error('GIF is already finished');
+        }
+        const data = pixels.data || pixels;
+        if (data.length !== this.width * this.height * 4) {
+            throw new RangeError(`Frame must have ${this.width * this.height * 4} RGBA bytes, got ${data.length}`);
+        }
+
+        const { palette, indices, transparentIndex } = quantize(data, this.maxColors);
+        let tableBits = 1;
+        while ((1 << tableBits) < palette.length / 3) tableBits++;
+        const out = this.bytes;
+
+        // Graphic Control Extension: задержка и прозрачность
+        const transparent = transparentIndex >= 0;
+        // С прозрачностью кадр перед следующим стирается, иначе остаётся (следующий всё равно закрывает его целиком)
+        const disposal = transparent ? 2 : 1;
+        out.writeBytes([0x21, 0xf9, 0x04, (disposal << 2) | (transparent ? 1 : 0)]);
+        out.writeShort(Math.round(delay / 10));
+        out.writeBytes([transparent ? transparentIndex : 0, 0x00]);
+
+        // Image Descriptor с локальной палитрой
+        out.writeByte(0x2c);
+        out.writeShort(0);
+        out.writeShort(0);
+        out.writeShort(this.width);
+        out.writeShort(this.height);
+        out.writeByte(0x80 | (tableBits - 1));
+        out.writeBytes(palette);
+        for (let i = palette.length; i < 3 * (1 << tableBits); i++) out.writeByte(0);
+
+        const minCodeSize = Math.max(2, tableBits);
+        out.writeByte(minCodeSize);
+        const compressed = lzwEncode(indices, minCodeSize);
+        for (let i = 0; i < compressed.length; i += 255) {
+            const block = compressed.subarray(i, i + 255);
+            out.writeByte(block.length);
+            out.writeBytes(block);
+        }
+        out.writeByte(0);
+        this.frameCount++;
+    }
+
+    /**
+     * Закончить файл
+     * @returns {Uint8Array} - содержимое GIF
+     */
+    finish() {
+        if (!this.finished) {
+            this.bytes.writeByte(0x3b);
+            this.finished = true;
+        }
+        return this.bytes.toUint8Array();
+    }
+
+    /**
+     * @returns {Blob} - 'image/gif'
+     */
+    toBlob() {
+        return new Blob([this.finish()], { type: 'image/gif' });
+    }
+
+    /**
+     * Заголовок, размер экрана и повтор анимации
+     * @private
+     */
+    _writeHeader() {
+        const out = this.bytes;
+        out.writeString('GIF89a');
+        out.writeShort(this.width);
+        out.writeShort(this.height);
+        // Без глобальной палитры: у каждого кадра своя
+        out.writeBytes([0x00, 0x00, 0x00]);
+        if (this.loop >= 0) {
+            out.writeBytes([0x21, 0xff, 0x0b]);
+            out.writeString('NETSCAPE2.0');
+            out.writeBytes([0x03, 0x01]);
+            out.writeShort(this.loop);
+            out.writeByte(0x00);
+        }
+    }
+}
+
+/**
+ * Растущий буфер байтов
+ * @private
+ */
+class ByteWriter {
+    constructor() {
+        this.buffer = new Uint8Array(4096);
+        this.length = 0;
+    }
+
+    _reserve(count) {
+        if (this.length + count <= this.buffer.length) return;
+        let size = this.buffer.length * 2;
+        while (size < this.length + count) size *= 2;
+        const buffer = new Uint8Array(size);
+        buffer.set(this.buffer.subarray(0, this.length));
+        this.buffer = buffer;
+    }
+
+    writeByte(value) {
+        this._reserve(1);
+        this.buffer[this.length++] = value;
+    }
+
+    writeShort(value) {
+        this.writeByte(value & 0xff);
+        this.writeByte((value >> 8) & 0xff);
+    }
+
+    writeBytes(bytes) {
+        this._reserve(bytes.length);
+        this.buffer.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) this.writeByte(text.charCodeAt(i));
+    }
+
+    toUint8Array() {
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+/**
+ * Палитра кадра и индексы пикселей. До maxColors цветов — точная палитра,
+ * иначе median cut по гистограмме 5 бит на канал.
+ * @param {Uint8ClampedArray|Uint8Array} data - RGBA
+ * @param {number} maxColors
+ * @returns {{palette: Uint8Array, indices: Uint8Array, transparentIndex: number}}
+ * @private
+ */
+function quantize(data, maxColors = 256) {
+    const pixelCount = data.length / 4;
+    let transparent = false;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] < ALPHA_THRESHOLD) {
+            transparent = true;
+            break;
+        }
+    }
+    const colorLimit = maxColors - (transparent ? 1 : 0);
+    const indices = new Uint8Array(pixelCount);
+
+    // Точная палитра, если цветов немного (пиксель-арт, интерфейс)
+    const exact = new Map();
+    for (let p = 0, i = 0; p < pixelCount && exact.size <= colorLimit; p++, i += 4) {
+        if (data[i + 3] < ALPHA_THRESHOLD) continue;
+        const color = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        if (!exact.has(color)) exact.set(color, exact.size);
+    }
+    if (exact.size <= colorLimit) {
+        const count = exact.size + (transparent ? 1 : 0);
+        const palette = new Uint8Array(Math.max(2, count) * 3);
+        exact.forEach((index, color) => {
+            palette[index * 3] = color >> 16;
+            palette[index * 3 + 1] = (color >> 8) & 0xff;
+            palette[index * 3 + 2] = color & 0xff;
+        });
+        const transparentIndex = transparent ? exact.size : -1;
+        for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+            indices[p] = data[i + 3] < ALPHA_THRESHOLD
+                ? transparentIndex
+                : exact.get((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+        }
+        return { palette, indices, transparentIndex };
+    }
+
+    // Гистограмма 32x32x32
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < ALPHA_THRESHOLD) continue;
+        const bucket = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+        counts[bucket]++;
+        sums[bucket * 3] += data[i];
+        sums[bucket * 3 + 1] += data[i + 1];
+        sums[bucket * 3 + 2] += data[i + 2];
+    }
+    const buckets = [];
+    for (let bucket = 0; bucket < counts.length; bucket++) {
+        if (counts[bucket] > 0) buckets.push(bucket);
+    }
+
+    const boxes = medianCut(buckets, counts, colorLimit);
+    const lookup = new Uint8Array(32768);
+    const palette = new Uint8Array(Math.max(2, boxes.length + (transparent ? 1 : 0)) * 3);
+    boxes.forEach((box, index) => {
+        let total = 0;
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        for (const bucket of box) {
+            lookup[bucket] = index;
+            total += counts[bucket];
+            r += sums[bucket * 3];
+            g += sums[bucket * 3 + 1];
+            b += sums[bucket * 3 + 2];
+        }
+        palette[index * 3] = Math.round(r / total);
+        palette[index * 3 + 1] = Math.round(g / total);
+        palette[index * 3 + 2] = Math.round(b / total);
+    });
+
+    const transparentIndex = transparent ? boxes.length : -1;
+    for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+        indices[p] = data[i + 3] < ALPHA_THRESHOLD
+            ? transparentIndex
+            : lookup[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)];
+    }
+    return { palette, indices, transparentIndex };
+}
+
+/**
+ * Делить корзины гистограммы пополам по медиане самого протяжённого канала,
+ * пока не наберётся limit групп
+ * @private
+ */
+function medianCut(buckets, counts, limit) {
+    const channel = (bucket, c) => (bucket >> (10 - c * 5)) & 31;
+    // Группа: корзины, канал с наибольшим разбросом и приоритет деления
+    const createBox = (list) => {
+        let weight = 0;
+        const min = [31, 31, 31];
+        const max = [0, 0, 0];
+        for (const bucket of list) {
+            weight += counts[bucket];
+            for (let c = 0; c < 3; c++) {
+                const value = channel(bucket, c);
+                if (value < min[c]) min[c] = value;
+                if (value > max[c]) max[c] = value;
+            }
+        }
+        let widestChannel = 0;
+        for (let c = 1; c < 3; c++) {
+            if (max[c] - min[c] > max[widestChannel] - min[widestChannel]) widestChannel = c;
+        }
+        const score = list.length < 2 ? 0 : (max[widestChannel] - min[widestChannel]) * weight;
+        return { buckets: list, weight, widestChannel, score };
+    };
+
+    const boxes = [createBox(buckets)];
+    while (boxes.length < limit) {
+        // Делим группу с наибольшим произведением разброса на число пикселей
+        let target = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            if (boxes[i].score > 0 && (target === -1 || boxes[i].score > boxes[target].score)) target = i;
+        }
+        if (target === -1) break;
+
+        const { buckets: list, weight, widestChannel } = boxes[target];
+        list.sort((a, b) => channel(a, widestChannel) - channel(b, widestChannel));
+        let accumulated = 0;
+        let split = 1;
+        for (; split < list.length - 1; split++) {
+            accumulated += counts[list[split - 1]];
+            if (accumulated >= weight / 2) break;
+        }
+        boxes.splice(target, 1, createBox(list.slice(0, split)), createBox(list.slice(split)));
+    }
+    return boxes.map(box => box.buckets);
+}
+
+/**
+ * Сжатие индексов LZW с переменной длиной кода (как в GIF)
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize
+ * @returns {Uint8Array}
+ * @private
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = new ByteWriter();
+    // Цепочка (код префикса, следующий индекс) -> код
+    const dictionary = new Map();
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let bits = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.writeByte(bits & 0xff);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+        // Декодер расширяет код, когда его словарь заполняет текущую длину
+        if (nextCode > (1 << codeSize) - 1 && codeSize < 12) codeSize++;
+    };
+
+    emit(clearCode);
+    if (indices.length === 0) {
+        emit(endCode);
+    } else {
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = dictionary.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode < MAX_CODES) {
+                dictionary.set(key, nextCode++);
+            } else {
+                // Словарь заполнен — начать заново
+                emit(clearCode);
+                dictionary.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+            prefix = index;
+        }
+        emit(prefix);
+        emit(endCode);
+    }
+    if (bitCount > 0) out.writeByte(bits & 0xff);
+    return out.toUint8Array();
+}
@@ -28,3 +28,14 @@ export function loadJSON(url) {
         throw error;
     });
 }
+
+export function loadText(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            console.log(`Error loading text: ${url}`);
+            throw new Error(`Не удалось загрузить файл: ${url}`);
+        }
+        console.log(`Loading text from ${url}`);
+        return response.text();
+    });
+}
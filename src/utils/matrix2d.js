@@ -0,0 +1,213 @@
+// Аффинная матрица 2D в формате canvas: [a c e; b d f; 0 0 1]
+export class Matrix2D {
+    constructor(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+        this.a = a;
+        this.b = b;
+        this.c = c;
+        this.d = d;
+        this.e = e;
+        this.f = f;
+    }
+
+    /**
+     * Установить значения
+     * @returns {Matrix2D}
+     */
+    set(a, b, c, d, e, f) {
+        this.a = a;
+        this.b = b;
+        this.c = c;
+        this.d = d;
+        this.e = e;
+        this.f = f;
+        return this;
+    }
+
+    /**
+     * Сбросить в единичную матрицу
+     * @returns {Matrix2D}
+     */
+    identity() {
+        return this.set(1, 0, 0, 1, 0, 0);
+    }
+
+    /**
+     * Копировать значения из другой матрицы
+     * @param {Matrix2D} m
+     * @returns {Matrix2D}
+     */
+    copy(m) {
+        return this.set(m.a, m.b, m.c, m.d, m.e, m.f);
+    }
+
+    /**
+     * @returns {Matrix2D}
+     */
+    clone() {
+        return new Matrix2D(this.a, this.b, this.c, this.d, this.e, this.f);
+    }
+
+    /**
+     * Умножить справа: this = this * m (m применяется первой)
+     * @param {Matrix2D} m
+     * @returns {Matrix2D}
+     */
+    multiply(m) {
+        return this.set(
+            this.a * m.a + this.c * m.b,
+            this.b * m.a + this.d * m.b,
+            this.a * m.c + this.c * m.d,
+            this.b * m.c + this.d * m.d,
+            this.a * m.e + this.c * m.f + this.e,
+            this.b * m.e + this.d * m.f + this.f
+        );
+    }
+
+    /**
+     * Умножить слева: this = m * this (m применяется последней)
+     * @param {Matrix2D} m
+     * @returns {Matrix2D}
+     */
+    premultiply(m) {
+        return this.set(
+            m.a * this.a + m.c * this.b,
+            m.b * this.a + m.d * this.b,
+            m.a * this.c + m.c * this.d,
+            m.b * this.c + m.d * this.d,
+            m.a * this.e + m.c * this.f + m.e,
+            m.b * this.e + m.d * this.f + m.f
+        );
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @returns {Matrix2D}
+     */
+    translate(x, y) {
+        this.e += this.a * x + this.c * y;
+        this.f += this.b * x + this.d * y;
+        return this;
+    }
+
+    /**
+     * @param {number} angle - угол в радианах
+     * @returns {Matrix2D}
+     */
+    rotate(angle) {
+        if (angle === 0) return this;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return this.set(
+            this.a * cos + this.c * sin,
+            this.b * cos + this.d * sin,
+            this.c * cos - this.a * sin,
+            this.d * cos - this.b * sin,
+            this.e,
+            this.f
+        );
+    }
+
+    /**
+     * @param {number} sx
+     * @param {number} sy
+     * @returns {Matrix2D}
+     */
+    scale(sx, sy = sx) {
+        this.a *= sx;
+        this.b *= sx;
+        this.c *= sy;
+        this.d *= sy;
+        return this;
+    }
+
+    /**
+     * Определитель
+     * @returns {number}
+     */
+    determinant() {
+        return this.a * this.d - this.b * this.c;
+    }
+
+    /**
+     * Обратить матрицу на месте
+     * @returns {Matrix2D}
+     */
+    invert() {
+        const det = this.determinant();
+        if (det === 0) {
+            throw new Error('Matrix2D is not invertible');
+        }
+        const { a, b, c, d, e, f } = this;
+        return this.set(
+            d / det,
+            -b / det,
+            -c / det,
+            a / det,
+            (c * f - d * e) / det,
+            (b * e - a * f) / det
+        );
+    }
+
+    /**
+     * Преобразовать точку
+     * @param {number} x
+     * @param {number} y
+     * @param {Object} out - объект для результата
+     * @returns {{x: number, y: number}}
+     */
+    transformPoint(x, y, out = { x: 0, y: 0 }) {
+        out.x = this.a * x + this.c * y + this.e;
+        out.y = this.b * x + this.d * y + this.f;
+        return out;
+    }
+
+    /**
+     * Разложить на перенос, поворот и масштаб (без скоса)
+     * @returns {{x: number, y: number, rotation: number, scaleX: number, scaleY: number}}
+     */
+    decompose() {
+        const scaleX = Math.hypot(this.a, this.b);
+        const rotation = Math.atan2(this.b, this.a);
+        const scaleY = scaleX !== 0 ? this.determinant() / scaleX : Math.hypot(this.c, this.d);
+        return { x: this.e, y: this.f, rotation, scaleX, scaleY };
+    }
+
+    /**
+     * Домножить текущую матрицу контекста
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    applyToContext(ctx) {
+        ctx.transform(this.a, this.b, this.c, this.d, this.e, this.f);
+    }
+
+    /**
+     * Заменить матрицу контекста
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    setContextTransform(ctx) {
+        ctx.setTransform(this.a, this.b, this.c, this.d, this.e, this.f);
+    }
+
+    /**
+     * Составить матрицу из переноса, поворота, масштаба и точки опоры
+     * @param {number} x
+     * @param {number} y
+     * @param {number} rotation - радианы
+     * @param {number} scaleX
+     * @param {number} scaleY
+     * @param {number} pivotX
+     * @param {number} pivotY
+     * @param {Matrix2D} out
+     * @returns {Matrix2D}
+     */
+    static fromTransform(x, y, rotation = 0, scaleX = 1, scaleY = 1, pivotX = 0, pivotY = 0, out = new Matrix2D()) {
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const a = cos * scaleX;
+        const b = sin * scaleX;
+        const c = -sin * scaleY;
+        const d = cos * scaleY;
+        return out.set(a, b, c, d, x - (a * pivotX + c * pivotY), y - (b * pivotX + d * pivotY));
+    }
+}
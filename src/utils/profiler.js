@@ -0,0 +1,222 @@
+// Профайлер: вложенные замеры по кадрам, статистика и экспорт в JSON
+const EXPORT_VERSION = 1;
+
+export class Profiler {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.enabled - собирать ли замеры
+     * @param {number} options.historySize - сколько последних кадров хранить
+     * @param {Function} options.now - источник времени (мс), по умолчанию performance.now
+     */
+    constructor(options = {}) {
+        const { enabled = true, historySize = 120, now = () => performance.now() } = options;
+        this.enabled = enabled;
+        this.historySize = historySize;
+        this.now = now;
+
+        // Открытые замеры: [{name, path, start}]
+        this.stack = [];
+        // Накопленное за всё время: путь -> {count, total, min, max, last}
+        this.markers = new Map();
+        // Замеры текущего кадра: путь -> мс
+        this.frameMarkers = new Map();
+        // Последние кадры: [{duration, markers}]
+        this.history = [];
+        this.frameCount = 0;
+        this.lastFrameEnd = null;
+    }
+
+    /**
+     * Начать замер. Вложенные замеры получают путь вида 'render/lighting'.
+     * @param {string} name
+     */
+    begin(name) {
+        if (!this.enabled) return;
+        const parent = this.stack[this.stack.length - 1];
+        const path = parent ? `${parent.path}/${name}` : name;
+        this.stack.push({ name, path, start: this.now() });
+    }
+
+    /**
+     * Закончить замер. Незакрытые замеры внутри него (код бросил исключение
+     * между begin и end) отбрасываются без записи.
+     * @param {string} name - имя замера; без имени закрывается последний открытый
+     * @returns {number} - длительность (мс), 0 если такой замер не открыт
+     */
+    end(name) {
+        if (!this.enabled || this.stack.length === 0) return 0;
+        let index = this.stack.length - 1;
+        if (name !== undefined) {
+            while (index >= 0 && this.stack[index].name !== name) index--;
+            if (index === -1) return 0;
+        }
+        const scope = this.stack[index];
+        this.stack.length = index;
+        const duration = this.now() - scope.start;
+        this.record(scope.path, duration);
+        return duration;
+    }
+
+    /**
+     * Замерить вызов функции
+     * @param {string} name
+     * @param {Function} fn
+     * @returns {*} - результат fn
+     */
+    measure(name, fn) {
+        if (!this.enabled) return fn();
+        this.begin(name);
+        try {
+            return fn();
+        } finally {
+            this.end(name);
+        }
+    }
+
+    /**
+     * Добавить готовое значение (например, время, измеренное снаружи)
+     * @param {string} path
+     * @param {number} duration - мс
+     */
+    record(path, duration) {
+        if (!this.enabled) return;
+        let stats = this.markers.get(path);
+        if (!stats) {
+            stats = { count: 0, total: 0, min: Infinity, max: 0, last: 0 };
+            this.markers.set(path, stats);
+        }
+        stats.count++;
+        stats.total += duration;
+        stats.min = Math.min(stats.min, duration);
+        stats.max = Math.max(stats.max, duration);
+        stats.last = duration;
+        this.frameMarkers.set(path, (this.frameMarkers.get(path) || 0) + duration);
+    }
+
+    /**
+     * Закончить кадр: замеры с прошлого вызова попадают в историю
+     */
+    endFrame() {
+        if (!this.enabled) return;
+        const now = this.now();
+        const duration = this.lastFrameEnd === null ? 0 : now - this.lastFrameEnd;
+        this.lastFrameEnd = now;
+        this.frameCount++;
+        this.history.push({ duration, markers: Object.fromEntries(this.frameMarkers) });
+        if (this.history.length > this.historySize) this.history.shift();
+        this.frameMarkers.clear();
+    }
+
+    /**
+     * Статистика замера за всё время
+     * @param {string} path
+     * @returns {{count: number, total: number, avg: number, min: number, max: number, last: number}|null}
+     */
+    getStats(path) {
+        const stats = this.markers.get(path);
+        if (!stats) return null;
+        return { ...stats, avg: stats.total / stats.count };
+    }
+
+    /**
+     * Среднее время замера за кадр по истории
+     * @param {string} path
+     * @returns {number}
+     */
+    getFrameAverage(path) {
+        if (this.history.length === 0) return 0;
+        const total = this.history.reduce((sum, frame) => sum + (frame.markers[path] || 0), 0);
+        return total / this.history.length;
+    }
+
+    /**
+     * Кадров в секунду по последней секунде истории
+     * @returns {number}
+     */
+    getFPS() {
+        let time = 0;
+        let frames = 0;
+        for (let i = this.history.length - 1; i >= 0 && time < 1000; i--) {
+            const { duration } = this.history[i];
+            if (duration <= 0) continue;
+            time += duration;
+            frames++;
+        }
+        return time > 0 ? frames * 1000 / time : 0;
+    }
+
+    /**
+     * Сбросить всё накопленное
+     */
+    reset() {
+        this.stack = [];
+        this.markers.clear();
+        this.frameMarkers.clear();
+        this.history = [];
+        this.frameCount = 0;
+        this.lastFrameEnd = null;
+    }
+
+    /**
+     * Данные для сохранения и сравнения сборок
+     * @param {Object} meta - произвольные сведения (версия сборки, устройство)
+     * @returns {Object}
+     */
+    toJSON(meta = {}) {
+        const markers = {};
+        for (const path of [...this.markers.keys()].sort()) {
+            const stats = this.getStats(path);
+            markers[path] = {
+                count: stats.count,
+                total: round(stats.total),
+                avg: round(stats.avg),
+                min: round(stats.min),
+                max: round(stats.max),
+                perFrame: round(this.getFrameAverage(path))
+            };
+        }
+        const durations = this.history.map(frame => frame.duration).filter(duration => duration > 0);
+        return {
+            version: EXPORT_VERSION,
+            meta,
+            frames: this.frameCount,
+            fps: round(this.getFPS()),
+            frameTime: {
+                avg: round(durations.reduce((sum, d) => sum + d, 0) / (durations.length || 1)),
+                max: round(Math.max(0, ...durations))
+            },
+            markers
+        };
+    }
+
+    /**
+     * Сравнить два экспорта toJSON(): изменение среднего времени за кадр
+     * @param {Object} before
+     * @param {Object} after
+     * @returns {Object<string, {before: number, after: number, delta: number, change: number}>}
+     *     - change — относительное изменение (0.1 — на 10% медленнее)
+     */
+    static compare(before, after) {
+        if (before.version !== EXPORT_VERSION || after.version !== EXPORT_VERSION) {
+            throw new Error(`Unsupported profile version (expected ${EXPORT_VERSION})`);
+        }
+        const result = {};
+        const paths = new Set([...Object.keys(before.markers), ...Object.keys(after.markers)]);
+        for (const path of [...paths].sort()) {
+            const a = before.markers[path] ? before.markers[path].perFrame : 0;
+            const b = after.markers[path] ? after.markers[path].perFrame : 0;
+            result[path] = { before: a, after: b, delta: round(b - a), change: a > 0 ? round((b - a) / a) : null };
+        }
+        return result;
+    }
+}
+
+/**
+ * @private
+ */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// Глобальный профайлер движка
+export const profiler = new Profiler();
@@ -0,0 +1,144 @@
+// Пространственный хеш для быстрого поиска объектов в области
+export class SpatialHash {
+    /**
+     * @param {number} cellSize - размер ячейки в пикселях
+     */
+    constructor(cellSize = 128) {
+        if (typeof cellSize !== 'number' || cellSize <= 0) {
+            throw new RangeError('SpatialHash cellSize must be a positive number');
+        }
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        // Объект -> { bounds, keys }
+        this.entries = new Map();
+    }
+
+    /**
+     * Добавить или обновить объект
+     * @param {Object} object
+     * @param {{x: number, y: number, width: number, height: number}} bounds
+     */
+    insert(object, bounds) {
+        const entry = this.entries.get(object);
+        if (entry && this._sameBounds(entry.bounds, bounds)) return;
+
+        const keys = this._keysFor(bounds);
+        if (entry) {
+            // Ячейки не изменились — достаточно обновить границы
+            if (entry.keys.length === keys.length && entry.keys.every((key, i) => key === keys[i])) {
+                entry.bounds = { ...bounds };
+                return;
+            }
+            this._removeFromCells(object, entry.keys);
+        }
+
+        for (const key of keys) {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                this.cells.set(key, cell);
+            }
+            cell.add(object);
+        }
+        this.entries.set(object, { bounds: { ...bounds }, keys });
+    }
+
+    /**
+     * Удалить объект
+     * @param {Object} object
+     * @returns {boolean}
+     */
+    remove(object) {
+        const entry = this.entries.get(object);
+        if (!entry) return false;
+        this._removeFromCells(object, entry.keys);
+        this.entries.delete(object);
+        return true;
+    }
+
+    /**
+     * @param {Object} object
+     * @returns {boolean}
+     */
+    has(object) {
+        return this.entries.has(object);
+    }
+
+    /**
+     * Получить сохранённые границы объекта
+     * @param {Object} object
+     * @returns {Object|null}
+     */
+    getBounds(object) {
+        const entry = this.entries.get(object);
+        return entry ? entry.bounds : null;
+    }
+
+    /**
+     * Найти объекты, границы которых пересекают прямоугольник
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     * @returns {Array<Object>}
+     */
+    queryRect(x, y, width, height) {
+        const found = new Set();
+        for (const key of this._keysFor({ x, y, width, height })) {
+            const cell = this.cells.get(key);
+            if (!cell) continue;
+            for (const object of cell) {
+                if (found.has(object)) continue;
+                const b = this.entries.get(object).bounds;
+                if (b.x <= x + width && b.x + b.width >= x && b.y <= y + height && b.y + b.height >= y) {
+                    found.add(object);
+                }
+            }
+        }
+        return [...found];
+    }
+
+    /**
+     * Очистить хеш
+     */
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+    }
+
+    /**
+     * @private
+     */
+    _keysFor(bounds) {
+        const startX = Math.floor(bounds.x / this.cellSize);
+        const startY = Math.floor(bounds.y / this.cellSize);
+        const endX = Math.floor((bounds.x + bounds.width) / this.cellSize);
+        const endY = Math.floor((bounds.y + bounds.height) / this.cellSize);
+        const keys = [];
+        for (let cy = startY; cy <= endY; cy++) {
+            for (let cx = startX; cx <= endX; cx++) {
+                keys.push(`${cx},${cy}`);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * @private
+     */
+    _removeFromCells(object, keys) {
+        for (const key of keys) {
+            const cell = this.cells.get(key);
+            if (!cell) continue;
+            cell.delete(object);
+            if (cell.size === 0) this.cells.delete(key);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sameBounds(a, b) {
+        return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+    }
+}
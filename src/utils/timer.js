@@ -162,6 +162,14 @@ export class TimerManager {
         this.timers.forEach(timer => timer.update(deltaTime));
     }
 
+    /**
+     * Количество активных таймеров и интервалов
+     * @returns {number}
+     */
+    getCount() {
+        return this.timers.size;
+    }
+
     /**
      * Приостановить все таймеры
      */
@@ -0,0 +1,99 @@
+// Полигон видимости из точки: область, которую освещает источник света
+const EPSILON = 1e-4;
+
+/**
+ * Отрезки сторон прямоугольника
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @returns {Array<{x1: number, y1: number, x2: number, y2: number}>}
+ */
+export function rectToSegments(x, y, width, height) {
+    return polygonToSegments([
+        { x, y },
+        { x: x + width, y },
+        { x: x + width, y: y + height },
+        { x, y: y + height }
+    ]);
+}
+
+/**
+ * Отрезки сторон замкнутого многоугольника
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<{x1: number, y1: number, x2: number, y2: number}>}
+ */
+export function polygonToSegments(points) {
+    return points.map((point, i) => {
+        const next = points[(i + 1) % points.length];
+        return { x1: point.x, y1: point.y, x2: next.x, y2: next.y };
+    });
+}
+
+/**
+ * Полигон видимости: лучи из (x, y) к концам отрезков и немного мимо них,
+ * каждый луч обрывается на ближайшем отрезке. Видимость ограничена квадратом
+ * со стороной 2 * radius вокруг точки.
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<{x1: number, y1: number, x2: number, y2: number}>} segments - препятствия
+ * @param {number} radius
+ * @returns {Array<{x: number, y: number}>} - вершины по возрастанию угла
+ */
+export function computeVisibilityPolygon(x, y, segments, radius) {
+    const left = x - radius;
+    const top = y - radius;
+    const right = x + radius;
+    const bottom = y + radius;
+
+    // Только отрезки, задевающие квадрат, плюс сам квадрат
+    const blockers = rectToSegments(left, top, radius * 2, radius * 2);
+    for (const s of segments) {
+        if (Math.max(s.x1, s.x2) < left || Math.min(s.x1, s.x2) > right
+            || Math.max(s.y1, s.y2) < top || Math.min(s.y1, s.y2) > bottom) continue;
+        blockers.push(s);
+    }
+
+    const angles = [];
+    for (const s of blockers) {
+        for (const [px, py] of [[s.x1, s.y1], [s.x2, s.y2]]) {
+            const angle = Math.atan2(py - y, px - x);
+            // Лучи чуть в стороны заглядывают за угол препятствия
+            angles.push(angle - EPSILON, angle, angle + EPSILON);
+        }
+    }
+    angles.sort((a, b) => a - b);
+
+    const polygon = [];
+    for (const angle of angles) {
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        let nearest = Infinity;
+        for (const s of blockers) {
+            const t = raySegmentDistance(x, y, dx, dy, s);
+            if (t < nearest) nearest = t;
+        }
+        if (nearest !== Infinity) {
+            polygon.push({ x: x + dx * nearest, y: y + dy * nearest });
+        }
+    }
+    return polygon;
+}
+
+/**
+ * Расстояние вдоль луча до отрезка (Infinity, если не пересекает)
+ * @private
+ */
+function raySegmentDistance(x, y, dx, dy, s) {
+    const sx = s.x2 - s.x1;
+    const sy = s.y2 - s.y1;
+    const denominator = dx * sy - dy * sx;
+    // Луч параллелен отрезку
+    if (Math.abs(denominator) < 1e-12) return Infinity;
+    const qx = s.x1 - x;
+    const qy = s.y1 - y;
+    const t = (qx * sy - qy * sx) / denominator;
+    const u = (qx * dy - qy * dx) / denominator;
+    if (t < 0 || u < 0 || u > 1) return Infinity;
+    return t;
+}
@@ -4,21 +4,63 @@
  * Главный файл экспорта всех модулей движка
  */
 
+import { Engine } from './core/engine.js';
+import { Renderer } from './core/renderer/renderer.js';
+import { Camera } from './core/camera.js';
+import { GameLoop } from './core/gameLoop.js';
+import { GameStateMachine } from './utils/stateMachine.js';
+import { PerformanceOverlay } from './core/performanceOverlay.js';
+import { ScaleManager } from './core/scaleManager.js';
+import { FrameRecorder } from './core/capture.js';
+
 // Core
 export { Engine } from './core/engine.js';
-export { Renderer } from './core/renderer/renderer.js';
+export { GameLoop, LoopMode } from './core/gameLoop.js';
+export { Plugin, PluginManager } from './core/plugin.js';
+export { PerformanceOverlay } from './core/performanceOverlay.js';
+export { ScaleManager, ScaleMode } from './core/scaleManager.js';
+export { FrameRecorder, captureCanvas, captureFrame } from './core/capture.js';
+export { ManualClock, StubContext, createHeadlessCanvas } from './core/headless.js';
+export { Renderer, RendererBackend } from './core/renderer/renderer.js';
+export { RenderBackend, BlendMode } from './core/renderer/renderBackend.js';
+export { Canvas2DBackend } from './core/renderer/canvas2dBackend.js';
+export { WebGLBackend } from './core/renderer/webglBackend.js';
+export { WebGLContext2D } from './core/renderer/webglContext2D.js';
+export { RenderPipeline } from './core/renderer/renderPipeline.js';
+export { Material, MaterialEffects, loadShaderSource } from './core/renderer/material.js';
+export { PostEffect, PostProcessStack } from './core/renderer/postProcess.js';
+export {
+    BloomEffect, VignetteEffect, CRTEffect, ChromaticAberrationEffect, ColorGradingEffect,
+    GrayscaleEffect, PixelateEffect, PostEffects, createPostEffect
+} from './core/renderer/postEffects.js';
 export { Camera } from './core/camera.js';
 export { AudioManager, audio } from './core/audio/audioManager.js';
 
 // Components
-export { Scene } from './components/scene.js';
+export { Scene, DEFAULT_LAYER } from './components/scene.js';
+export { RenderLayer, LayerSort } from './components/renderLayer.js';
+export { SceneManager } from './components/sceneManager.js';
+export {
+    Transition, FadeTransition, CrossfadeTransition, SlideTransition, CircleWipeTransition, createTransition
+} from './components/transitions.js';
 export { Character } from './components/character.js';
 export { Entity } from './components/entity.js';
+export { Node } from './components/node.js';
 export { Sprite } from './components/sprite.js';
-export { Animation, AnimationController } from './components/animation.js';
+export { Animation, AnimationController, AnimationDirection } from './components/animation.js';
+export { SpriteSheet } from './components/spriteSheet.js';
+export { Text, TextAlign } from './components/text.js';
+export { Graphics } from './components/graphics.js';
+export { BitmapFont } from './components/bitmapFont.js';
 export { Tilemap } from './components/tilemap.js';
+export { LightLayer, PointLight, SpotLight } from './components/lighting.js';
 export { ParticleEmitter, ParticleEffects } from './components/particleSystem.js';
 
+// ECS
+export { World, Components, LegacySystem, MovementSystem } from './core/ecs/world.js';
+export { System } from './core/ecs/system.js';
+export { ComponentStore } from './core/ecs/componentStore.js';
+
 // Physics
 export { checkCollision, resolveCollision } from './core/physics/collision.js';
 
@@ -31,7 +73,14 @@ export { ObjectPool, BulletPool } from './utils/objectPool.js';
 export { Logger, LogLevel, logger } from './utils/logger.js';
 export { StateMachine, State, GameStateMachine } from './utils/stateMachine.js';
 export { Timer, TimerManager, TimeUtils, timers } from './utils/timer.js';
+export { Profiler, profiler } from './utils/profiler.js';
+export { GifEncoder } from './utils/gifEncoder.js';
 export { Vector2 } from './utils/vector2.js';
+export { Matrix2D } from './utils/matrix2d.js';
+export { SpatialHash } from './utils/spatialHash.js';
+export { Easing, getEasing } from './utils/easing.js';
+export { parseColor } from './utils/color.js';
+export { computeVisibilityPolygon } from './utils/visibility.js';
 export { SaveManager, saves } from './utils/saveManager.js';
 export { ResourceManager } from './utils/resourceManager.js';
 
@@ -46,16 +95,37 @@ export const VERSION = '1.0.0';
  * @example
  * const game = XernEngine.createGame({
  *   canvas: document.getElementById('gameCanvas'),
- *   width: 800,
+ *   width: 800,        // логическое разрешение
  *   height: 600,
  *   scenes: {
  *     main: new Scene()
+ *   },
+ *   loop: {
+ *     mode: 'fixed',      // 'fixed', 'variable' или 'semi-fixed'
+ *     updateRate: 60,     // обновлений в секунду
+ *     maxSteps: 5         // максимум шагов обновления за кадр
+ *   },
+ *   renderer: {
+ *     backend: 'auto',    // 'auto', 'webgl' или 'canvas2d'
+ *     clearColor: '#000'
+ *   },
+ *   cameras: [            // по умолчанию одна камера на весь холст
+ *     { name: 'p1', viewport: { x: 0, y: 0, width: 400, height: 600 } },
+ *     { name: 'p2', viewport: { x: 400, y: 0, width: 400, height: 600 } }
+ *   ],
+ *   performanceOverlay: { visible: false },  // true или настройки PerformanceOverlay
+ *   scale: {              // без scale холст остаётся width x height
+ *     mode: 'fit',        // 'fit', 'fill', 'stretch', 'integer' или 'none'
+ *     maxPixelRatio: 2
  *   }
  * });
  * game.start();
  */
 export function createGame(config) {
-    const { canvas, width = 800, height = 600, scenes = {} } = config;
+    const {
+        canvas, width = 800, height = 600, scenes = {}, loop: loopConfig = {}, renderer: rendererConfig = {},
+        cameras: cameraConfigs = [{}], performanceOverlay = false, scale: scaleConfig = null
+    } = config;
 
     if (!canvas) {
         throw new Error('Canvas element is required');
@@ -64,38 +134,36 @@ export function createGame(config) {
     canvas.width = width;
     canvas.height = height;
 
-    const engine = new Engine(canvas);
-    const renderer = new Renderer(canvas);
-    const camera = new Camera(width, height);
+    const renderer = new Renderer(canvas, rendererConfig);
+    // Холст подстраивается под контейнер, камеры и сцены работают в width x height
+    const scale = scaleConfig
+        ? new ScaleManager(canvas, { ...(scaleConfig === true ? {} : scaleConfig), width, height, renderer })
+        : null;
+    // Камера или её настройки: { name, viewport, clearColor, layerMask }
+    const cameras = cameraConfigs.map(cameraConfig => (cameraConfig instanceof Camera
+        ? cameraConfig
+        : new Camera(width, height, cameraConfig)));
+    const camera = cameras[0];
     const stateMachine = new GameStateMachine();
+    const loop = new GameLoop(loopConfig);
+    const engine = new Engine(canvas, { renderer, cameras, loop, stateMachine, scaleManager: scale });
 
     // Добавить сцены
     Object.entries(scenes).forEach(([name, scene]) => {
         engine.addScene(scene);
     });
 
+    if (performanceOverlay) {
+        engine.use(new PerformanceOverlay(performanceOverlay === true ? {} : performanceOverlay));
+    }
+
     let running = false;
-    let lastTime = 0;
 
+    // Обновление и отрисовка выполняются в engine.step(): фиксированный шаг + интерполяция
     function gameLoop(currentTime) {
         if (!running) return;
 
-        const deltaTime = currentTime - lastTime;
-        lastTime = currentTime;
-
-        // Обновление
-        engine.update(deltaTime);
-        camera.update(deltaTime);
-        timers.update(deltaTime);
-
-        // Рендеринг
-        renderer.clear();
-        const ctx = canvas.getContext('2d');
-        const offset = camera.getOffset();
-        ctx.save();
-        ctx.translate(offset.x, offset.y);
-        engine.render(ctx);
-        ctx.restore();
+        engine.step();
 
         requestAnimationFrame(gameLoop);
     }
@@ -104,11 +172,43 @@ export function createGame(config) {
         engine,
         renderer,
         camera,
+        cameras: engine.cameras,
         stateMachine,
+        loop,
+        scale,
+
+        /**
+         * Подключить плагин к движку
+         * @param {Plugin|Object} plugin
+         */
+        use(plugin) {
+            engine.use(plugin);
+            return this;
+        },
+
+        /**
+         * Снимок текущего кадра
+         * @param {Object} options - { scale, excludeLayers, plugins, type }
+         * @returns {Promise<Blob>} - PNG
+         */
+        capture(options = {}) {
+            return engine.capture(options);
+        },
+
+        /**
+         * Записать анимированный GIF; результат — recorder.done
+         * @param {Object} options - { fps, duration, scale, excludeLayers, plugins, maxColors, loop }
+         * @returns {FrameRecorder}
+         */
+        record(options = {}) {
+            const recorder = new FrameRecorder(options);
+            engine.use(recorder);
+            return recorder;
+        },
 
         start() {
             running = true;
-            lastTime = performance.now();
+            engine.resetClock();
             requestAnimationFrame(gameLoop);
         },
 
@@ -122,7 +222,7 @@ export function createGame(config) {
 
         resume() {
             running = true;
-            lastTime = performance.now();
+            engine.resetClock();
             requestAnimationFrame(gameLoop);
         }
     };
@@ -0,0 +1,129 @@
+// Тесты для Graphics
+import { Graphics } from '../../src/components/graphics';
+import { Renderer, RendererBackend } from '../../src/core/renderer/renderer';
+import { StubContext, createStubWebGL, stubOffscreenCanvas } from '../../src/core/headless';
+
+describe('Graphics', () => {
+    test('fill and stroke share the cached path until the next shape', () => {
+        const graphics = new Graphics(10, 20)
+            .roundRect(0, 0, 100, 20, 5).fill('#333')
+            .stroke({ width: 2, color: '#fff', dash: [4, 2] })
+            .line(0, 30, 100, 30).stroke('#f00');
+
+        expect(graphics.commands.map(command => command.type)).toEqual(['fill', 'stroke', 'stroke']);
+        expect(graphics.commands[0].path).toBe(graphics.commands[1].path);
+        expect(graphics.commands[2].path).not.toBe(graphics.commands[0].path);
+
+        const ctx = new StubContext();
+        graphics.draw(ctx);
+        const points = graphics.commands[0].path.subpaths[0].points;
+        graphics.draw(ctx);
+
+        // Геометрия не пересчитывается между кадрами
+        expect(graphics.commands[0].path.subpaths[0].points).toBe(points);
+        expect(ctx.getCalls('translate')[0].args).toEqual([10, 20]);
+        expect(ctx.getCalls('fill')).toHaveLength(2);
+        expect(ctx.getCalls('stroke')).toHaveLength(4);
+        expect(ctx.getCalls('setLineDash')[0].args).toEqual([[4, 2]]);
+        expect(ctx.globalAlpha).toBe(1);
+    });
+
+    test('gradients are created once per context', () => {
+        const gradient = Graphics.linearGradient(0, 0, 0, 10, [[0, '#0f0'], [1, '#f00']]);
+        const graphics = new Graphics().rect(0, 0, 50, 10).fill(gradient);
+        const ctx = new StubContext();
+        graphics.draw(ctx);
+        graphics.draw(ctx);
+        expect(ctx.getCalls('createLinearGradient')).toHaveLength(1);
+    });
+
+    test('gradient shapes are drawn from a cached raster on WebGL', () => {
+        const offscreen = stubOffscreenCanvas();
+        try {
+            const gradient = Graphics.linearGradient(0, 0, 0, 10, [[0, '#0f0'], [1, '#f00']]);
+            const graphics = new Graphics().rect(0, 0, 50, 10).fill(gradient).rect(0, 20, 10, 10).fill('#00f');
+            const webgl = new StubContext();
+            webgl.setMaterial = () => {};
+            webgl.releaseTexture = jest.fn();
+            graphics.draw(webgl);
+            graphics.draw(webgl);
+
+            const [raster] = offscreen.created;
+            expect(offscreen.created).toHaveLength(1);
+            expect(raster.context.getCalls('createLinearGradient')[0].args).toEqual([0, 0, 0, 10]);
+            expect(raster.context.getCalls('setTransform')[0].args).toEqual([1, 0, 0, 1, 1, 1]);
+            expect(raster.context.getCalls('fill')).toHaveLength(1);
+            // Поле в 1px вокруг фигуры на сглаживание
+            expect(webgl.getCalls('drawImage').map(call => call.args)).toEqual([
+                [raster, 0, 0, 52, 12, -1, -1, 52, 12],
+                [raster, 0, 0, 52, 12, -1, -1, 52, 12]
+            ]);
+            expect(webgl.getCalls('createLinearGradient')).toHaveLength(0);
+            expect(webgl.getCalls('fill')).toHaveLength(2);
+
+            graphics.clear();
+            expect(webgl.releaseTexture).toHaveBeenCalledWith(raster);
+        } finally {
+            offscreen.restore();
+        }
+    });
+
+    test('concave, multi-path and styled-stroke shapes are rasterized on WebGL', () => {
+        const offscreen = stubOffscreenCanvas();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        try {
+            const gl = createStubWebGL();
+            const renderer = new Renderer({ width: 64, height: 64, getContext: () => gl }, { backend: RendererBackend.WEBGL });
+            const { backend, context } = renderer;
+            jest.spyOn(backend, 'fillWorldPolygon');
+            jest.spyOn(backend, 'strokeWorldPolyline');
+
+            const graphics = new Graphics()
+                // Стрелка: веер из первой вершины залил бы выемку
+                .polygon([0, 0, 40, 20, 0, 40, 15, 20]).fill('#f00')
+                .circle(10, 10, 5).circle(30, 10, 5).fill('#0f0')
+                .rect(0, 50, 20, 10).fill('#00f').stroke({ width: 2, color: '#fff' })
+                .line(0, 62, 40, 62).stroke({ width: 2, color: '#fff', cap: 'round' })
+                .line(0, 64, 40, 64).stroke({ width: 2, color: '#fff', dash: [4, 2] });
+            renderer.beginFrame();
+            graphics.draw(context);
+            graphics.draw(context);
+            renderer.endFrame();
+
+            // Растр у стрелки, двух кругов, круглых концов и пунктира — по одному на команду
+            expect(offscreen.created).toHaveLength(4);
+            expect(offscreen.created[0].context.getCalls('lineTo').map(call => call.args)).toEqual([[40, 20], [0, 40], [15, 20]]);
+            expect(offscreen.created[3].context.getCalls('setLineDash')[0].args).toEqual([[4, 2]]);
+            // Выпуклый прямоугольник и его обводка по умолчанию рисуются треугольниками
+            expect(backend.fillWorldPolygon).toHaveBeenCalledTimes(2);
+            expect(backend.strokeWorldPolyline).toHaveBeenCalledTimes(2);
+            expect(graphics.commands.map(command => command.needsRaster)).toEqual([true, true, false, false, true, true]);
+        } finally {
+            offscreen.restore();
+            jest.restoreAllMocks();
+        }
+    });
+
+    test('curves are flattened and bounds include the stroke width', () => {
+        const graphics = new Graphics()
+            .moveTo(0, 0)
+            .bezierCurveTo(0, 40, 40, 40, 40, 0)
+            .arc(60, 0, 20, Math.PI, 0)
+            .stroke({ width: 4 });
+        const [subpath] = graphics.commands[0].path.subpaths;
+
+        const [endX, endY] = subpath.points.slice(-2);
+        expect(endX).toBeCloseTo(80);
+        expect(endY).toBeCloseTo(0);
+        const bounds = graphics.getBounds();
+        expect(bounds.x).toBe(-2);
+        expect(bounds.width).toBeCloseTo(84);
+        // Вершина кривой Безье на y = 30, дуга поднимается до y = -20
+        expect(bounds.y).toBeCloseTo(-22);
+        expect(bounds.y + bounds.height).toBeCloseTo(32, 0);
+
+        graphics.circle(0, 0, 10).fill('#fff');
+        expect(graphics.getBounds().y).toBeCloseTo(-22);
+        expect(graphics.clear().getBounds()).toEqual({ x: 0, y: 0, width: 0, height: 0 });
+    });
+});
@@ -0,0 +1,119 @@
+// Тесты для LightLayer, источников света и теней
+import { LightLayer, PointLight, SpotLight } from '../../src/components/lighting';
+import { Tilemap } from '../../src/components/tilemap';
+import { StubContext } from '../../src/core/headless';
+import { computeVisibilityPolygon, rectToSegments } from '../../src/utils/visibility';
+
+function createWalledMap() {
+    // 4x3, стена в клетке (2, 1)
+    const tilemap = new Tilemap(10, 10, 4, 3);
+    tilemap.createLayer('walls');
+    tilemap.setCollisionTiles([1]);
+    tilemap.setTile('walls', 2, 1, 1);
+    return tilemap;
+}
+
+function createRecordingContext() {
+    const calls = [];
+    return new Proxy({ calls }, {
+        get(target, name) {
+            if (name in target) return target[name];
+            if (name === 'createRadialGradient') return () => ({ addColorStop() {} });
+            return (...args) => calls.push([name, args]);
+        },
+        set(target, name, value) {
+            target[name] = value;
+            return true;
+        }
+    });
+}
+
+describe('Tilemap.getCollisionEdges', () => {
+    test('returns merged wall outlines and caches them until the map changes', () => {
+        const tilemap = createWalledMap();
+        const edges = tilemap.getCollisionEdges();
+
+        // Контур карты (4 отрезка) и четыре стороны стены
+        expect(edges).toHaveLength(8);
+        expect(edges).toContainEqual({ x1: 0, y1: 0, x2: 40, y2: 0 });
+        expect(edges).toContainEqual({ x1: 20, y1: 10, x2: 30, y2: 10 });
+        expect(edges).toContainEqual({ x1: 20, y1: 10, x2: 20, y2: 20 });
+        expect(tilemap.getCollisionEdges()).toBe(edges);
+
+        tilemap.setTile('walls', 2, 1, -1);
+        expect(tilemap.getCollisionEdges()).toHaveLength(4);
+    });
+});
+
+describe('computeVisibilityPolygon', () => {
+    test('stops rays at the nearest wall', () => {
+        const wall = [{ x1: 50, y1: -100, x2: 50, y2: 100 }];
+        const polygon = computeVisibilityPolygon(0, 0, wall, 100);
+
+        expect(Math.max(...polygon.map(point => point.x))).toBeCloseTo(50);
+        expect(Math.min(...polygon.map(point => point.x))).toBeCloseTo(-100);
+    });
+
+    test('looks past the corners of a box', () => {
+        const polygon = computeVisibilityPolygon(0, 0, rectToSegments(20, -5, 10, 10), 100);
+        // Лучи мимо углов уходят до края квадрата видимости
+        expect(polygon.some(point => point.x > 99 && point.y > 5)).toBe(true);
+        expect(polygon.every(point => !(point.x > 20.01 && Math.abs(point.y) < 4))).toBe(true);
+    });
+});
+
+describe('LightLayer', () => {
+    test('fills ambient colour and draws only lights in view', () => {
+        const layer = new LightLayer({ ambient: '#101010' });
+        const ctx = createRecordingContext();
+        layer.canvas = { width: 100, height: 100 };
+        layer.lightContext = ctx;
+        const near = layer.addLight(new PointLight(50, 50, { radius: 20, castShadows: false }));
+        layer.addLight(new SpotLight(500, 500, { radius: 20 }));
+        jest.spyOn(near, 'drawShape');
+
+        layer.renderLightMap({ x: 0, y: 0, width: 100, height: 100 });
+
+        expect(ctx.calls[1]).toEqual(['fillRect', [0, 0, 100, 100]]);
+        expect(near.drawShape.mock.calls).toHaveLength(1);
+        expect(near.drawShape.mock.calls[0][1]).toBe(1);
+        expect(ctx.calls.filter(([name]) => name === 'arc')).toHaveLength(1);
+    });
+
+    test('soft shadows split the intensity between samples', () => {
+        const layer = new LightLayer({ shadowSamples: 4 });
+        layer.canvas = { width: 40, height: 30 };
+        layer.lightContext = createRecordingContext();
+        layer.addTilemap(createWalledMap());
+        const light = layer.addLight(new PointLight(5, 5, { radius: 30, intensity: 0.8, softness: 2 }));
+        jest.spyOn(light, 'drawShape');
+
+        layer.renderLightMap({ x: 0, y: 0, width: 40, height: 30 });
+
+        expect(light.drawShape).toHaveBeenCalledTimes(4);
+        expect(light.drawShape.mock.calls[0][1]).toBeCloseTo(0.2);
+        expect(layer.lightContext.calls.filter(([name]) => name === 'clip')).toHaveLength(4);
+    });
+
+    test('without a camera the light map covers the logical canvas area', () => {
+        const layer = new LightLayer();
+        layer.canvas = { width: 320, height: 240 };
+        layer.lightContext = createRecordingContext();
+        // Холст 640x480 с масштабом 2 (плотность пикселей)
+        const ctx = new StubContext({ width: 640, height: 480 });
+        ctx.getTransform = () => ({ a: 2, b: 0, c: 0, d: 2, e: 0, f: 0 });
+
+        layer.draw(ctx);
+
+        expect(ctx.getCalls('drawImage')[0].args).toEqual([layer.canvas, 0, 0, 320, 240, 0, 0, 320, 240]);
+    });
+
+    test('flicker keeps intensity within the configured range', () => {
+        const light = new PointLight(0, 0, { intensity: 1, flicker: 0.3 });
+        for (let i = 0; i < 50; i++) {
+            light.update(16);
+            expect(light.getIntensity()).toBeGreaterThanOrEqual(0.7);
+            expect(light.getIntensity()).toBeLessThanOrEqual(1);
+        }
+    });
+});
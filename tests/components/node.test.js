@@ -0,0 +1,117 @@
+// Тесты для Node и Matrix2D: иерархия, кэш матриц и перенос между родителями
+import { Node } from '../../src/components/node';
+import { Entity } from '../../src/components/entity';
+import { Matrix2D } from '../../src/utils/matrix2d';
+import { StubContext } from '../../src/core/headless';
+
+const expectPoint = (point, x, y) => {
+    expect(point.x).toBeCloseTo(x);
+    expect(point.y).toBeCloseTo(y);
+};
+
+describe('Matrix2D', () => {
+    test('fromTransform rotates and scales around the pivot', () => {
+        const m = Matrix2D.fromTransform(100, 50, Math.PI / 2, 2, 2, 10, 0);
+
+        // Точка опоры попадает в (x, y)
+        expectPoint(m.transformPoint(10, 0), 100, 50);
+        expectPoint(m.transformPoint(20, 0), 100, 70);
+
+        const { x, y, rotation, scaleX, scaleY } = m.decompose();
+        expect(rotation).toBeCloseTo(Math.PI / 2);
+        expect([scaleX, scaleY].map(v => Math.round(v * 1000) / 1000)).toEqual([2, 2]);
+        expectPoint({ x, y }, 100, 30);
+    });
+
+    test('multiply and invert round-trip points', () => {
+        const parent = Matrix2D.fromTransform(30, -20, 0.7, 1.5, 0.5);
+        const local = Matrix2D.fromTransform(4, 8, -0.3, 2, 2);
+        const world = parent.clone().multiply(local);
+
+        // multiply: сначала local, потом parent
+        const inner = local.transformPoint(3, 1);
+        const expected = parent.transformPoint(inner.x, inner.y);
+        const point = world.transformPoint(3, 1);
+        expectPoint(point, expected.x, expected.y);
+        expectPoint(world.clone().invert().transformPoint(point.x, point.y), 3, 1);
+        expect(() => new Matrix2D(0, 0, 0, 0, 0, 0).invert()).toThrow('Matrix2D is not invertible');
+    });
+});
+
+describe('Node', () => {
+    test('world matrices are cached until the node or an ancestor changes', () => {
+        const root = new Node(100, 0);
+        const child = root.addChild(new Node(10, 0));
+        const leaf = child.addChild(new Node(5, 0));
+
+        const world = leaf.getWorldMatrix();
+        expectPoint(leaf.getWorldPosition(), 115, 0);
+        expect(leaf._worldDirty).toBe(false);
+
+        // То же значение не сбрасывает кэш
+        root.x = 100;
+        expect(leaf._worldDirty).toBe(false);
+
+        root.rotation = Math.PI / 2;
+        expect(child._worldDirty).toBe(true);
+        expect(leaf._worldDirty).toBe(true);
+        expect(leaf.getWorldMatrix()).toBe(world);
+        expectPoint(leaf.getWorldPosition(), 100, 15);
+        expect(leaf.getWorldRotation()).toBeCloseTo(Math.PI / 2);
+
+        leaf.removeFromParent();
+        expectPoint(leaf.getWorldPosition(), 5, 0);
+    });
+
+    test('setParent keeps the world transform unless asked not to', () => {
+        const parent = new Node(100, 0).setScale(2);
+        parent.rotation = Math.PI / 2;
+        const node = new Node(50, 50);
+
+        node.setParent(parent);
+        expect(node.parent).toBe(parent);
+        expectPoint(node.getWorldPosition(), 50, 50);
+        expect(node.getWorldRotation()).toBeCloseTo(0);
+        expect(node.rotation).toBeCloseTo(-Math.PI / 2);
+        expect(node.scaleX).toBeCloseTo(0.5);
+
+        node.setParent(null);
+        expect(parent.children).toHaveLength(0);
+        expectPoint(node.getWorldPosition(), 50, 50);
+        expect(node.scaleX).toBeCloseTo(1);
+
+        node.setParent(parent, false);
+        expectPoint(node.getWorldPosition(), 0, 100);
+    });
+
+    test('rejects cycles and non-node children', () => {
+        const a = new Node();
+        const b = a.addChild(new Node());
+        const other = new Node();
+
+        expect(() => b.addChild(a)).toThrow('Cannot add a node to itself or to its own descendant');
+        expect(() => a.addChild(a)).toThrow('Cannot add a node to itself or to its own descendant');
+        expect(() => a.addChild({})).toThrow(TypeError);
+
+        // Новый родитель забирает узел у прежнего
+        other.addChild(b);
+        expect(a.children).toHaveLength(0);
+        expect(b.parent).toBe(other);
+    });
+
+    test('draws children in local space with the interpolated position', () => {
+        const entity = new Entity(0, 0);
+        const child = entity.addChild(new Node(5, 0));
+        child.drawable = { draw: jest.fn() };
+        entity.x = 20;
+        const ctx = new StubContext();
+
+        entity.draw(ctx, 0.5);
+
+        // Сущность на полпути между прошлой (0) и текущей (20) позицией
+        const offsets = ctx.getCalls('transform').map(call => call.args.slice(4));
+        expect(offsets).toEqual([[10, 0], [5, 0]]);
+        expect(child.drawable.draw).toHaveBeenCalledWith(ctx, 0.5);
+        expect(ctx.getCalls('save')).toHaveLength(ctx.getCalls('restore').length);
+    });
+});
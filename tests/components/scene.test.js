@@ -0,0 +1,296 @@
+// Тесты для Scene: поиск сущностей и пространственный индекс
+import { Scene } from '../../src/components/scene';
+import { Entity } from '../../src/components/entity';
+import { SpatialHash } from '../../src/utils/spatialHash';
+import { Camera } from '../../src/core/camera';
+
+const createEntity = (x, y, size = 10) => {
+    const entity = new Entity(x, y);
+    entity.width = size;
+    entity.height = size;
+    return entity;
+};
+
+describe('SpatialHash', () => {
+    test('moves objects between cells and finds them by their bounds', () => {
+        const hash = new SpatialHash(100);
+        const a = {};
+        const b = {};
+        hash.insert(a, { x: 10, y: 10, width: 20, height: 20 });
+        hash.insert(b, { x: 90, y: 90, width: 20, height: 20 });
+
+        // b лежит на стыке четырёх ячеек
+        expect(hash.entries.get(b).keys).toEqual(['0,0', '1,0', '0,1', '1,1']);
+        expect(hash.queryRect(0, 0, 50, 50)).toEqual([a]);
+        expect(hash.queryRect(95, 95, 1, 1)).toEqual([b]);
+
+        hash.insert(a, { x: 250, y: 10, width: 20, height: 20 });
+        expect(hash.queryRect(0, 0, 50, 50)).toEqual([]);
+        expect(hash.queryRect(200, 0, 100, 100)).toEqual([a]);
+        expect(hash.cells.has('0,0')).toBe(true);
+
+        expect(hash.remove(b)).toBe(true);
+        expect(hash.remove(b)).toBe(false);
+        expect(hash.cells.has('0,0')).toBe(false);
+        expect(() => new SpatialHash(0)).toThrow(RangeError);
+    });
+});
+
+describe('Scene queries', () => {
+    let scene;
+
+    beforeEach(() => {
+        scene = new Scene();
+    });
+
+    test('names and tags are indexed as they change', () => {
+        const a = createEntity(0, 0).setName('player').addTag('hero');
+        const b = createEntity(0, 0).addTag('hero');
+        scene.addEntity(a);
+        scene.addEntity(b);
+
+        expect(scene.findByName('player')).toBe(a);
+        expect(scene.findAllByTag('hero')).toEqual([a, b]);
+
+        a.setName('boss').removeTag('hero');
+        b.addTag('enemy');
+        expect(scene.findByName('player')).toBeNull();
+        expect(scene.findAllByName('boss')).toEqual([a]);
+        expect(scene.findAllByTag('hero')).toEqual([b]);
+        expect(scene.findAllByTag('enemy')).toEqual([b]);
+
+        scene.removeEntity(b);
+        expect(scene.findAllByTag('hero')).toEqual([]);
+        expect(scene.tagIndex.has('enemy')).toBe(false);
+    });
+
+    test('rect and radius queries see positions set between frames', () => {
+        const near = createEntity(0, 0);
+        const far = createEntity(200, 0);
+        scene.addEntity(near);
+        scene.addEntity(far);
+
+        expect(scene.queryRect(-5, -5, 20, 20)).toEqual([near]);
+        // Ближайшая точка far на расстоянии 200
+        expect(scene.queryRadius(0, 0, 150)).toEqual([near]);
+
+        far.setPosition(20, 0);
+        expect(scene.queryRadius(0, 0, 50)).toEqual([near, far]);
+        // Угол прямоугольника (20, 0) — вне круга радиуса 15 вокруг (5, 15)
+        expect(scene.queryRadius(5, 15, 15)).toEqual([near]);
+    });
+
+    test('moving a parent reindexes its child entities', () => {
+        const parent = createEntity(0, 0);
+        const child = parent.addChild(createEntity(10, 0));
+        scene.addEntity(parent);
+        scene.addEntity(child);
+        expect(scene.queryRect(9, 0, 2, 2)).toEqual([parent, child]);
+
+        parent.x = 500;
+        expect(scene.queryRect(9, 0, 2, 2)).toEqual([]);
+        expect(scene.queryRect(505, 0, 10, 10)).toEqual([parent, child]);
+    });
+
+    test('plain objects are reindexed after update or on request', () => {
+        const crate = { x: 0, y: 0, width: 10, height: 10, update() {} };
+        scene.addEntity(crate);
+
+        crate.x = 300;
+        expect(scene.queryRect(300, 0, 5, 5)).toEqual([]);
+        scene.update(16);
+        expect(scene.queryRect(300, 0, 5, 5)).toEqual([crate]);
+
+        crate.x = 600;
+        scene.updateEntityIndex(crate);
+        expect(scene.queryRect(600, 0, 5, 5)).toEqual([crate]);
+    });
+});
+
+describe('Scene changes during update', () => {
+    let scene;
+
+    beforeEach(() => {
+        scene = new Scene();
+    });
+
+    test('adds and removes are applied after the frame, in call order', () => {
+        const spawned = createEntity(0, 0);
+        const doomed = createEntity(0, 0);
+        const transient = createEntity(0, 0);
+        jest.spyOn(spawned, 'update');
+        jest.spyOn(doomed, 'update');
+        spawned.onAdded = jest.fn();
+        const spawner = createEntity(0, 0);
+        spawner.update = () => {
+            scene.addEntity(spawned);
+            scene.removeEntity(doomed);
+            scene.addEntity(transient);
+            scene.removeEntity(transient);
+            expect(scene.entities).not.toContain(spawned);
+        };
+        scene.addEntity(spawner);
+        scene.addEntity(doomed);
+
+        scene.update(16);
+
+        expect(scene.entities).toEqual([spawner, spawned]);
+        expect(spawned.update).not.toHaveBeenCalled();
+        // Удаление отложено: сущность ещё обновляется в этом кадре
+        expect(doomed.update).toHaveBeenCalledTimes(1);
+        expect(doomed.scene).toBeNull();
+        expect(transient.scene).toBeNull();
+        expect(spawned.onAdded).toHaveBeenCalledWith(scene);
+        expect(scene.queryRect(0, 0, 1, 1)).toEqual([spawner, spawned]);
+    });
+
+    test('destroyed entities stop updating and leave with their children', () => {
+        const parent = createEntity(0, 0);
+        const child = parent.addChild(createEntity(0, 0));
+        jest.spyOn(child, 'update');
+        parent.onRemoved = jest.fn();
+        child.onRemoved = jest.fn();
+        const killer = createEntity(0, 0);
+        killer.update = () => parent.destroy();
+        scene.addEntity(killer);
+        scene.addEntity(parent);
+        scene.addEntity(child);
+
+        scene.update(16);
+
+        expect(scene.entities).toEqual([killer]);
+        expect(child.destroyed).toBe(true);
+        expect(child.parent).toBeNull();
+        expect(child.update).not.toHaveBeenCalled();
+        expect(parent.onRemoved).toHaveBeenCalledWith(scene);
+        expect(child.onRemoved).toHaveBeenCalledWith(scene);
+        // Уничтоженную сущность нельзя добавить снова
+        scene.addEntity(parent);
+        expect(scene.entities).toEqual([killer]);
+    });
+
+    test('queued changes are applied even when an entity update throws', () => {
+        const spawned = createEntity(0, 0);
+        const broken = createEntity(0, 0);
+        broken.update = () => {
+            scene.addEntity(spawned);
+            throw new Error('boom');
+        };
+        scene.addEntity(broken);
+
+        expect(() => scene.update(16)).toThrow('boom');
+        expect(scene.updating).toBe(false);
+        expect(scene.entities).toEqual([broken, spawned]);
+    });
+
+    test('errors in onAdded and onRemoved hooks are logged, not thrown', () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const entity = createEntity(0, 0);
+        entity.onAdded = () => { throw new Error('added'); };
+        entity.onRemoved = () => { throw new Error('removed'); };
+
+        scene.addEntity(entity);
+        scene.removeEntity(entity);
+
+        expect(scene.entities).toEqual([]);
+        expect(errorSpy).toHaveBeenCalledTimes(2);
+        errorSpy.mockRestore();
+    });
+});
+
+describe('Scene render layers', () => {
+    let scene;
+    let order;
+
+    const drawn = (name, x = 0, y = 0) => {
+        const entity = createEntity(x, y).setName(name);
+        entity.draw = () => order.push(name);
+        return entity;
+    };
+
+    beforeEach(() => {
+        scene = new Scene();
+        order = [];
+    });
+
+    test('layers draw by zIndex and reorder when it changes', () => {
+        scene.addLayer('ui', { zIndex: 10 });
+        scene.addLayer('background', { zIndex: -1 });
+        scene.addEntity(drawn('hud').setLayer('ui'));
+        scene.addEntity(drawn('hero'));
+        scene.addEntity(drawn('sky').setLayer('background'));
+
+        scene.draw({});
+        expect(order).toEqual(['sky', 'hero', 'hud']);
+
+        order = [];
+        scene.getLayer('background').zIndex = 20;
+        scene.setLayerVisible('ui', false);
+        scene.draw({});
+        expect(order).toEqual(['hero', 'sky']);
+
+        order = [];
+        scene.draw({}, 1, new Camera(100, 100, { layerMask: ['background'] }));
+        expect(order).toEqual(['sky']);
+        expect(() => scene.addLayer('ui')).toThrow('Layer "ui" already exists');
+    });
+
+    test('y-sorted layers re-sort only when keys change', () => {
+        const layer = scene.addLayer('actors', { sort: 'y' });
+        const a = drawn('a', 0, 30).setLayer('actors');
+        const b = drawn('b', 0, 10).setLayer('actors');
+        const c = drawn('c', 0, 10).setLayer('actors');
+        [a, b, c].forEach(entity => scene.addEntity(entity));
+
+        const sorted = layer.getSortedEntities();
+        // Равные ключи — в порядке добавления
+        expect(sorted).toEqual([b, c, a]);
+        expect(layer.getSortedEntities()).toBe(sorted);
+
+        b.y = 50;
+        expect(layer.getSortedEntities()).toEqual([c, a, b]);
+        expect(() => { layer.sort = 'x'; }).toThrow(RangeError);
+    });
+
+    test('removal uses the owning layer even after entity.layer is assigned directly', () => {
+        scene.addLayer('fx');
+        const spark = drawn('spark').setLayer('fx');
+        scene.addEntity(spark);
+
+        spark.layer = 'other';
+        scene.removeEntity(spark);
+        scene.draw({});
+
+        expect(scene.getLayer('fx').entities).toEqual([]);
+        expect(scene.getLayer('other')).toBeNull();
+        expect(order).toEqual([]);
+    });
+
+    test('removing a layer moves its entities to the default layer', () => {
+        const layer = scene.addLayer('fx', { zIndex: 5 });
+        const spark = drawn('spark').setLayer('fx');
+        scene.addEntity(spark);
+
+        expect(scene.removeLayer('fx')).toBe(true);
+        expect(spark.layer).toBe('default');
+        expect(scene.getLayer('default').entities).toEqual([spark]);
+        // Бывший слой больше не влияет на порядок
+        layer.zIndex = -10;
+        expect(scene.layerOrder.map(l => l.name)).toEqual(['default']);
+        expect(() => scene.removeLayer('default')).toThrow('Cannot remove the default layer');
+    });
+
+    test('layer materials wrap their entities on contexts that support them', () => {
+        const material = { id: 'glow' };
+        scene.addLayer('glow', { zIndex: 1, material });
+        scene.addEntity(drawn('plain'));
+        scene.addEntity(drawn('lit').setLayer('glow'));
+        const materials = [];
+        const ctx = { setMaterial: value => materials.push(value) };
+
+        scene.draw(ctx);
+
+        expect(materials).toEqual([material, null]);
+        expect(order).toEqual(['plain', 'lit']);
+    });
+});
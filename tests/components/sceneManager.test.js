@@ -0,0 +1,71 @@
+// Тесты для SceneManager и переходов
+import { SceneManager } from '../../src/components/sceneManager';
+import { StubContext } from '../../src/core/headless';
+
+function createScene(name, log) {
+    return {
+        name,
+        update() {},
+        draw(ctx, alpha, camera) { log.push(['draw', name, camera]); },
+        onEnter() { log.push(['enter', name]); },
+        onExit() { log.push(['exit', name]); }
+    };
+}
+
+describe('SceneManager', () => {
+    test('a superseded transition resolves with the scene on screen', async () => {
+        const log = [];
+        const manager = new SceneManager();
+        ['menu', 'level', 'shop'].forEach(name => manager.addScene(createScene(name, log)));
+        manager.setScene('menu');
+
+        const first = manager.setScene('level', { transition: 'fade' });
+        const second = manager.setScene('shop');
+
+        await expect(first).resolves.toBe(manager.getScene('menu'));
+        await expect(second).resolves.toBe(manager.getScene('shop'));
+        expect(manager.isTransitioning()).toBe(false);
+        expect(log.filter(entry => entry[0] === 'enter').map(entry => entry[1])).toEqual(['menu', 'shop']);
+    });
+
+    test('the incoming scene is drawn only after loading and onEnter', async () => {
+        const log = [];
+        const manager = new SceneManager({ width: 320, height: 180 });
+        const menu = createScene('menu', log);
+        const level = createScene('level', log);
+        let finishLoading;
+        level.preload = () => new Promise(resolve => { finishLoading = resolve; });
+        manager.addScene(menu);
+        manager.addScene(level);
+        manager.setScene('menu');
+
+        const done = manager.setScene('level', { transition: { type: 'crossfade', duration: 100 } });
+        const ctx = new StubContext({ width: 1280, height: 720 });
+        const camera = { name: 'main' };
+        manager.update(50);
+        manager.draw(ctx, 1, camera);
+        expect(log.filter(entry => entry[1] === 'level')).toEqual([]);
+
+        finishLoading();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        manager.update(50);
+        manager.draw(ctx, 1, camera);
+        expect(log.slice(-3)).toEqual([['enter', 'level'], ['draw', 'menu', camera], ['draw', 'level', camera]]);
+
+        manager.update(100);
+        await expect(done).resolves.toBe(level);
+    });
+
+    test('fade covers the logical screen size', () => {
+        const manager = new SceneManager({ width: 320, height: 180 });
+        manager.addScene(createScene('menu', []));
+        manager.addScene(createScene('level', []));
+        manager.setScene('menu');
+        manager.setScene('level', { transition: { type: 'fade', duration: 100 } });
+
+        const ctx = new StubContext({ width: 1280, height: 720 });
+        manager.update(10);
+        manager.draw(ctx);
+        expect(ctx.getCalls('fillRect')[0].args).toEqual([0, 0, 320, 180]);
+    });
+});
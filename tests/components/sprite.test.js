@@ -0,0 +1,111 @@
+// Тесты для Sprite
+import { Sprite } from '../../src/components/sprite';
+import { StubContext, stubOffscreenCanvas } from '../../src/core/headless';
+
+describe('Sprite', () => {
+    const image = { width: 64, height: 32 };
+    let ctx;
+
+    beforeEach(() => {
+        ctx = new StubContext();
+    });
+
+    const drawn = () => ctx.getCalls().filter(call => call.name !== 'save' && call.name !== 'restore')
+        .map(call => [call.name, ...call.args]);
+
+    test('restores the previous alpha and blend mode', () => {
+        const sprite = new Sprite(image, 0, 0, 16, 16).setBlendMode('add');
+        sprite.opacity = 0.5;
+        ctx.globalAlpha = 0.8;
+
+        sprite.draw(ctx);
+
+        expect(ctx.globalAlpha).toBe(0.8);
+        expect(ctx.globalCompositeOperation).toBe('source-over');
+        expect(() => sprite.setBlendMode('overlay')).toThrow(RangeError);
+    });
+
+    test('rotates and scales around the anchor and flips in place', () => {
+        const sprite = new Sprite(image, 100, 50, 40, 20).setAnchor(0.5, 1).setScale(2, 3).setFlip(true);
+        sprite.rotation = Math.PI / 2;
+
+        sprite.draw(ctx);
+
+        expect(drawn()).toEqual([
+            ['translate', 100, 50],
+            ['rotate', Math.PI / 2],
+            ['scale', -2, 3],
+            ['drawImage', image, -20, -20, 40, 20]
+        ]);
+    });
+
+    test('draws animation and sprite sheet frames', () => {
+        const sprite = new Sprite(image, 10, 20, 32, 32).setFrame({ x: 32, y: 0, width: 32, height: 32 });
+        sprite.draw(ctx);
+
+        // Обрезанный кадр: прозрачные поля 4px слева и 2px сверху
+        sprite.setFrame({
+            x: 0, y: 0, width: 24, height: 28, rotated: false,
+            offsetX: 4, offsetY: 2, sourceWidth: 32, sourceHeight: 32
+        });
+        sprite.draw(ctx);
+
+        expect(ctx.getCalls('drawImage').map(call => call.args)).toEqual([
+            [image, 32, 0, 32, 32, 0, 0, 32, 32],
+            [image, 0, 0, 24, 28, 4, 2, 24, 28]
+        ]);
+    });
+
+    test('tinted copies are created once per image and colour', () => {
+        const offscreen = stubOffscreenCanvas();
+        try {
+            const a = new Sprite(image, 0, 0, 8, 8).setTint('#ff0000');
+            const b = new Sprite(image, 0, 0, 8, 8).setTint('#ff0000');
+            a.draw(ctx);
+            b.draw(ctx);
+            a.draw(ctx);
+
+            const { created } = offscreen;
+            expect(created).toHaveLength(1);
+            expect(created[0].context.getCalls('fillRect')[0].args).toEqual([0, 0, 64, 32]);
+            expect(ctx.getCalls('drawImage').every(call => call.args[0] === created[0])).toBe(true);
+        } finally {
+            offscreen.restore();
+        }
+    });
+
+    test('evicted tinted copies release their textures', () => {
+        const offscreen = stubOffscreenCanvas();
+        try {
+            const sheet = { width: 16, height: 16 };
+            const sprite = new Sprite(sheet, 0, 0, 16, 16);
+            ctx.releaseTexture = jest.fn();
+            for (let i = 0; i <= 16; i++) sprite.setTint(`rgb(${i}, 0, 0)`).draw(ctx);
+
+            expect(ctx.releaseTexture.mock.calls).toEqual([[offscreen.created[0]]]);
+        } finally {
+            offscreen.restore();
+        }
+    });
+
+    test('contexts with setTint tint the original image without a copy', () => {
+        const tints = [];
+        ctx.setTint = color => tints.push(color);
+        new Sprite(image, 0, 0, 8, 8).setTint('#00ff00').draw(ctx);
+
+        expect(tints).toEqual(['#00ff00']);
+        expect(ctx.getCalls('drawImage')[0].args[0]).toBe(image);
+    });
+
+    test('interpolates its position once update records the previous one', () => {
+        const sprite = new Sprite(image, 10, 0, 8, 8);
+        sprite.draw(ctx, 0.5);
+        sprite.update(16);
+        sprite.x = 30;
+        sprite.draw(ctx, 0.5);
+        sprite.resetInterpolation();
+        sprite.draw(ctx, 0.5);
+
+        expect(ctx.getCalls('translate').map(call => call.args)).toEqual([[10, 0], [20, 0], [30, 0]]);
+    });
+});
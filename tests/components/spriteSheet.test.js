@@ -0,0 +1,86 @@
+// Тесты для SpriteSheet и Animation
+import { SpriteSheet } from '../../src/components/spriteSheet';
+import { Animation } from '../../src/components/animation';
+
+// Фрагмент экспорта Aseprite (JSON Array) с обрезанными кадрами
+const asepriteJSON = {
+    frames: [
+        { filename: 'hero 0', frame: { x: 0, y: 0, w: 10, h: 12 }, rotated: false, trimmed: true,
+            spriteSourceSize: { x: 3, y: 4, w: 10, h: 12 }, sourceSize: { w: 16, h: 16 }, duration: 100 },
+        { filename: 'hero 1', frame: { x: 10, y: 0, w: 16, h: 16 }, rotated: false, trimmed: false,
+            spriteSourceSize: { x: 0, y: 0, w: 16, h: 16 }, sourceSize: { w: 16, h: 16 }, duration: 50 },
+        { filename: 'hero 2', frame: { x: 26, y: 0, w: 16, h: 16 }, rotated: false, trimmed: false,
+            spriteSourceSize: { x: 0, y: 0, w: 16, h: 16 }, sourceSize: { w: 16, h: 16 }, duration: 200 }
+    ],
+    meta: {
+        app: 'https://www.aseprite.org/',
+        image: 'hero.png',
+        frameTags: [
+            { name: 'run', from: 0, to: 2, direction: 'pingpong' },
+            { name: 'back', from: 1, to: 2, direction: 'reverse' }
+        ]
+    }
+};
+
+describe('SpriteSheet', () => {
+    test('parses trimmed frames with offsets and durations', () => {
+        const sheet = SpriteSheet.parse(asepriteJSON, {});
+        const frame = sheet.getFrame('hero 0');
+
+        expect(frame).toMatchObject({
+            x: 0, y: 0, width: 10, height: 12, trimmed: true,
+            offsetX: 3, offsetY: 4, sourceWidth: 16, sourceHeight: 16, duration: 100
+        });
+        expect(sheet.getFrame(2).name).toBe('hero 2');
+    });
+
+    test('draws trimmed frames at their source offset', () => {
+        const sheet = SpriteSheet.parse(asepriteJSON, {});
+        const ctx = { drawImage: jest.fn() };
+        sheet.drawFrame(ctx, 'hero 0', 100, 50, 32, 32);
+
+        expect(ctx.drawImage).toHaveBeenCalledWith(sheet.image, 0, 0, 10, 12, 106, 58, 20, 24);
+    });
+
+    test('reads TexturePacker hashes without tags', () => {
+        const sheet = SpriteSheet.parse({
+            frames: {
+                'walk_10.png': { frame: { x: 0, y: 0, w: 8, h: 8 } },
+                'walk_2.png': { frame: { x: 8, y: 0, w: 8, h: 8 } }
+            },
+            meta: { app: 'https://www.codeandweb.com/texturepacker' }
+        }, {});
+
+        expect(sheet.tags.size).toBe(0);
+        expect(sheet.createAnimation('walk', 'walk_').frames.map(f => f.name)).toEqual(['walk_2.png', 'walk_10.png']);
+    });
+
+    test('tag animations use per-frame durations and ping-pong', () => {
+        const run = SpriteSheet.parse(asepriteJSON, {}).getAnimation('run');
+        const seen = [];
+        run.play();
+        for (let t = 0; t < 700; t += 50) {
+            seen.push(run.currentFrame);
+            run.update(50);
+        }
+
+        // 0 длится 100 мс, 1 — 50 мс, 2 — 200 мс; крайние кадры не повторяются
+        expect(seen).toEqual([0, 0, 1, 2, 2, 2, 2, 1, 0, 0, 1, 2, 2, 2]);
+    });
+
+    test('reverse animations end on the first frame', () => {
+        const back = SpriteSheet.parse(asepriteJSON, {}).getAnimation('back', { loop: false });
+        back.onComplete = jest.fn();
+        back.play();
+        expect(back.getCurrentFrame().name).toBe('hero 2');
+
+        back.update(250);
+        expect(back.getCurrentFrame().name).toBe('hero 1');
+        expect(back.playing).toBe(false);
+        expect(back.onComplete).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects unknown directions', () => {
+        expect(() => new Animation('x', [], 12, true, { direction: 'sideways' })).toThrow(RangeError);
+    });
+});
@@ -0,0 +1,145 @@
+// Тесты для Text и BitmapFont
+import { Text } from '../../src/components/text';
+import { BitmapFont } from '../../src/components/bitmapFont';
+import { StubContext, stubOffscreenCanvas } from '../../src/core/headless';
+
+// Моноширинный шрифт 10px: у каждого символа xadvance 6, у пары "AV" кернинг -2
+const glyph = (char, x) => `char id=${char.charCodeAt(0)} x=${x} y=0 width=5 height=8 xoffset=0 yoffset=1 xadvance=6 page=0 chnl=15`;
+const fntText = [
+    'info face="Test" size=10 bold=0 italic=0 padding=0,0,0,0',
+    'common lineHeight=12 base=9 scaleW=64 scaleH=64 pages=1 packed=0',
+    'page id=0 file="test.png"',
+    'chars count=6',
+    'char id=32 x=0 y=0 width=0 height=0 xoffset=0 yoffset=0 xadvance=6 page=0 chnl=15',
+    ...['A', 'V', 'B', 'C', '?'].map((char, i) => glyph(char, 5 + i * 5)),
+    'kernings count=1',
+    'kerning first=65 second=86 amount=-2'
+].join('\n');
+
+describe('BitmapFont', () => {
+    test('reads the text and XML formats the same way', () => {
+        const xml = `<?xml version="1.0"?>
+<font>
+  <info face="Test" size="10" padding="0,0,0,0"/>
+  <common lineHeight="12" base="9" scaleW="64" scaleH="64" pages="1"/>
+  <pages><page id="0" file="test.png"/></pages>
+  <chars count="1"><char id="65" x="5" y="0" width="5" height="8" xoffset="0" yoffset="1" xadvance="6" page="0"/></chars>
+  <kernings count="1"><kerning first="65" second="86" amount="-2"/></kernings>
+</font>`;
+        const fromText = new BitmapFont(fntText);
+        const fromXML = new BitmapFont(xml);
+
+        expect(fromXML.getGlyph(65)).toEqual(fromText.getGlyph(65));
+        expect(fromXML.pageFiles).toEqual(['test.png']);
+        expect(fromText.lineHeight).toBe(12);
+        expect(fromText.getKerning(65, 86)).toBe(-2);
+        // Символа нет в шрифте — используется '?'
+        expect(fromText.getGlyph(90).id).toBe(63);
+    });
+
+    test('measures with kerning', () => {
+        const font = new BitmapFont(fntText);
+        expect(font.measure('AB')).toBe(12);
+        expect(font.measure('AV')).toBe(10);
+    });
+});
+
+describe('Text', () => {
+    const page = { width: 64, height: 64 };
+
+    test('wraps words within the width and aligns lines', () => {
+        const font = new BitmapFont(fntText, [page]);
+        const text = new Text('AB AB ABC', 100, 50, { font, fontSize: 20, wordWrap: 72, align: 'right' });
+        const layout = text.getLayout();
+
+        // Размер 20px — масштаб 2: "AB AB" = 5 * 6 * 2 = 60
+        expect(layout.lines.map(line => line.text)).toEqual(['AB AB', 'ABC']);
+        expect(layout.lines.map(line => line.x)).toEqual([12, 36]);
+        expect(text.getBounds()).toEqual({ x: 100, y: 50, width: 72, height: 48 });
+    });
+
+    test('breaks words longer than the wrap width', () => {
+        const font = new BitmapFont(fntText, [page]);
+        const text = new Text('ABCABC', 0, 0, { font, fontSize: 10, wordWrap: 20 });
+        expect(text.getLayout().lines.map(line => line.text)).toEqual(['ABC', 'ABC']);
+    });
+
+    test('caches the layout until the text or style changes', () => {
+        const font = new BitmapFont(fntText, [page]);
+        const text = new Text('AV', 0, 0, { font, fontSize: 10, originX: 0.5 });
+        const layout = text.getLayout();
+
+        text.setText('AV');
+        expect(text.getLayout()).toBe(layout);
+        text.setStyle({ letterSpacing: 1 });
+        expect(text.getLayout()).not.toBe(layout);
+        expect(text.width).toBe(11);
+        expect(text.getBounds().x).toBe(-5.5);
+    });
+
+    test('draws bitmap glyphs with kerning offsets', () => {
+        const font = new BitmapFont(fntText, [page]);
+        const ctx = { save() {}, restore() {}, globalAlpha: 1, drawImage: jest.fn() };
+        new Text('AV', 10, 20, { font, fontSize: 10 }).draw(ctx);
+
+        expect(ctx.drawImage.mock.calls).toEqual([
+            [page, 5, 0, 5, 8, 10, 21, 5, 8],
+            [page, 10, 0, 5, 8, 14, 21, 5, 8]
+        ]);
+    });
+});
+
+describe('Text with web fonts', () => {
+    let offscreen;
+
+    beforeAll(() => {
+        offscreen = stubOffscreenCanvas();
+    });
+
+    afterAll(() => {
+        offscreen.restore();
+    });
+
+    // Холст 1x1 для measureText создаётся один раз на модуль
+    const measureCanvas = () => offscreen.created.find(canvas => canvas.width === 1);
+
+    test('is rasterised once and drawn as an image', () => {
+        const label = new Text('Score', 10, 20, { fontSize: 20, stroke: '#000000', strokeWidth: 2 });
+        const ctx = new StubContext();
+        ctx.updateTexture = jest.fn();
+        label.draw(ctx);
+        label.draw(ctx);
+
+        const raster = offscreen.created.find(canvas => canvas !== measureCanvas());
+        expect(raster.context.getCalls('fillText')).toHaveLength(1);
+        expect(raster.context.getCalls('strokeText')).toHaveLength(1);
+        expect(ctx.getCalls('fillText')).toHaveLength(0);
+        // "Score" 50x24 и поля по 5px под обводку и выносные элементы
+        expect(ctx.getCalls('drawImage').map(call => call.args)).toEqual([
+            [raster, 0, 0, 60, 34, 5, 15, 60, 34],
+            [raster, 0, 0, 60, 34, 5, 15, 60, 34]
+        ]);
+
+        // Короче — тот же холст, текстура обновляется
+        label.setText('Sc');
+        label.draw(ctx);
+        expect(raster.context.getCalls('fillText')).toHaveLength(2);
+        expect(ctx.updateTexture).toHaveBeenCalledWith(raster);
+        expect(ctx.getCalls('drawImage')[2].args[0]).toBe(raster);
+    });
+
+    test('invalidate drops widths measured with the fallback font', () => {
+        const label = new Text('Hi', 0, 0, { font: 'Pixel', fontSize: 10 });
+        expect(label.width).toBe(10);
+
+        // Шрифт загрузился: глифы шире
+        const measure = measureCanvas().context;
+        measure.measureText = text => ({ width: text.length * 8 });
+        try {
+            label.invalidate();
+            expect(label.width).toBe(16);
+        } finally {
+            delete measure.measureText;
+        }
+    });
+});
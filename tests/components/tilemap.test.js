@@ -0,0 +1,117 @@
+// Тесты для кэша кусков Tilemap
+import { Tilemap } from '../../src/components/tilemap';
+import { Camera } from '../../src/core/camera';
+import { Engine } from '../../src/core/engine';
+import { Scene } from '../../src/components/scene';
+import { Entity } from '../../src/components/entity';
+import { StubContext, stubOffscreenCanvas } from '../../src/core/headless';
+
+function createMap() {
+    // 40x40 тайлов по 32px: куски 16x16 тайлов
+    const tilemap = new Tilemap(32, 32, 40, 40);
+    tilemap.setTileset({ width: 320, height: 320 }, 10);
+    tilemap.loadLayer('ground', new Array(40 * 40).fill(1));
+    return tilemap;
+}
+
+describe('Tilemap chunk cache', () => {
+    let offscreen;
+    let created;
+
+    beforeEach(() => {
+        offscreen = stubOffscreenCanvas();
+        created = offscreen.created;
+    });
+
+    afterEach(() => {
+        offscreen.restore();
+    });
+
+    test('draws only the chunks that intersect the camera', () => {
+        const tilemap = createMap();
+        const camera = new Camera(400, 300);
+        camera.x = 500;
+        camera.y = 100;
+        const ctx = new StubContext();
+
+        // В сцене карта получает (ctx, alpha, camera)
+        tilemap.draw(ctx, 0.5, camera);
+
+        // Видимо x 500..900, y 100..400: куски (0,0) и (1,0)
+        const draws = ctx.getCalls('drawImage');
+        expect(draws).toHaveLength(2);
+        expect(draws.map(call => [call.args[1], call.args[2]])).toEqual([[0, 0], [512, 0]]);
+        expect(created).toHaveLength(2);
+        expect(created[0].context.getCalls('drawImage')).toHaveLength(256);
+    });
+
+    test('setTile redraws only its chunk', () => {
+        const tilemap = createMap();
+        const ctx = new StubContext();
+        tilemap.draw(ctx);
+        const [first, second] = created;
+        const redraws = () => [first, second].map(canvas => canvas.context.getCalls('drawImage').length);
+        expect(redraws()).toEqual([256, 256]);
+
+        tilemap.setTile('ground', 20, 3, 5);
+        tilemap.draw(ctx);
+        expect(redraws()).toEqual([256, 512]);
+        // Куски переиспользуются
+        expect(created).toHaveLength(9);
+    });
+
+    test('chunks that leave the view are released beyond the budget', () => {
+        const tilemap = createMap();
+        tilemap.maxChunks = 2;
+        const ctx = new StubContext();
+        ctx.releaseTexture = jest.fn();
+        const camera = new Camera(400, 300);
+        const chunks = () => [...tilemap.layers.get('ground').chunks.keys()];
+
+        // Камера проходит куски (0,0) → (1,0) → (2,0) → (2,1)
+        for (const [x, y] of [[0, 0], [600, 0], [1100, 0], [1100, 600]]) {
+            camera.x = x;
+            camera.y = y;
+            tilemap.draw(ctx, 0, camera);
+        }
+
+        // Остались видимый и последний из ушедших с экрана
+        expect(chunks()).toEqual(['2,0', '2,1']);
+        expect(tilemap.releasedChunks).toEqual([created[1]]);
+        tilemap.draw(ctx, 0, camera);
+        expect(ctx.releaseTexture.mock.calls.map(call => call[0])).toEqual([created[0], created[1]]);
+        expect(tilemap.releasedChunks).toHaveLength(0);
+    });
+
+    test('layers with the cache disabled are drawn tile by tile', () => {
+        const tilemap = createMap();
+        tilemap.setLayerCache('ground', false);
+        const ctx = new StubContext();
+
+        // Простой прямоугольник без getWorldBounds сдвигает карту
+        tilemap.draw(ctx, { x: 64, y: 0, width: 64, height: 32 });
+
+        expect(created).toHaveLength(0);
+        const draws = ctx.getCalls('drawImage');
+        expect(draws).toHaveLength(2);
+        expect(draws[0].args.slice(5, 7)).toEqual([0, 0]);
+        expect(tilemap.toJSON().layers.ground.cache).toBe(false);
+    });
+
+    test('a headless engine without offscreen canvases draws tiles directly', () => {
+        offscreen.restore();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const engine = Engine.createHeadless({ width: 64, height: 32 });
+        const scene = new Scene();
+        const holder = new Entity(0, 0);
+        holder.drawable = createMap();
+        scene.addEntity(holder);
+        engine.addScene(scene);
+
+        expect(() => engine.runFrames(2)).not.toThrow();
+        const ctx = engine.getRenderTarget();
+        expect(ctx.getCalls('drawImage').length).toBeGreaterThan(0);
+        expect(ctx.getCalls('drawImage').every(call => call.args[0] === holder.drawable.tileset)).toBe(true);
+        console.log.mockRestore();
+    });
+});
@@ -0,0 +1,67 @@
+// Тесты для Camera
+import { Camera } from '../../src/core/camera';
+
+describe('Camera', () => {
+    let camera;
+
+    beforeEach(() => {
+        camera = new Camera(800, 600);
+        camera.x = 100;
+        camera.y = 50;
+    });
+
+    test('without zoom and rotation the view is a translation', () => {
+        expect(camera.worldToScreen(150, 80)).toEqual({ x: 50, y: 30 });
+        expect(camera.getWorldBounds()).toEqual({ x: 100, y: 50, width: 800, height: 600 });
+    });
+
+    test('screenToWorld inverts worldToScreen with zoom, rotation and shake', () => {
+        camera.zoom = 2.5;
+        camera.rotation = 0.7;
+        camera.setOrigin(0.25, 0.75);
+        camera.startShake(10, 100);
+        camera.update(16);
+
+        const screen = camera.worldToScreen(321, -45);
+        const world = camera.screenToWorld(screen.x, screen.y);
+        expect(world.x).toBeCloseTo(321);
+        expect(world.y).toBeCloseTo(-45);
+    });
+
+    test('zoom scales around the origin', () => {
+        camera.zoom = 2;
+        // Центр экрана остаётся на месте
+        expect(camera.worldToScreen(500, 350)).toEqual({ x: 400, y: 300 });
+        expect(camera.getWorldBounds()).toEqual({ x: 300, y: 200, width: 400, height: 300 });
+    });
+
+    test('isVisible uses the rotated view', () => {
+        camera.rotation = Math.PI / 4;
+        const center = camera.screenToWorld(400, 300);
+
+        expect(camera.isVisible(center.x - 5, center.y - 5, 10, 10)).toBe(true);
+        // В ограничивающем прямоугольнике, но за повёрнутым краем экрана
+        const bounds = camera.getWorldBounds();
+        expect(camera.isVisible(bounds.x, bounds.y, 10, 10)).toBe(false);
+    });
+
+    test('centerOn puts the point in the middle of the screen', () => {
+        camera.zoom = 3;
+        camera.rotation = 1.2;
+        camera.setOrigin(0, 0);
+        camera.centerOn(40, 70);
+
+        const screen = camera.worldToScreen(40, 70);
+        expect(screen.x).toBeCloseTo(400);
+        expect(screen.y).toBeCloseTo(300);
+    });
+
+    test('viewport offsets screen coordinates and hit tests', () => {
+        camera.setViewport(400, 0, 400, 300);
+
+        expect(camera.worldToScreen(100, 50)).toEqual({ x: 400, y: 0 });
+        expect(camera.screenToWorld(600, 150)).toEqual({ x: 300, y: 200 });
+        expect(camera.containsScreenPoint(450, 10)).toBe(true);
+        expect(camera.containsScreenPoint(350, 10)).toBe(false);
+    });
+});
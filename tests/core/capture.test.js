@@ -0,0 +1,76 @@
+// Тесты для снимков кадра и FrameRecorder
+import { Engine } from '../../src/core/engine';
+import { FrameRecorder } from '../../src/core/capture';
+import { GifEncoder } from '../../src/utils/gifEncoder';
+import { stubOffscreenCanvas } from '../../src/core/headless';
+import { Scene } from '../../src/components/scene';
+import { Entity } from '../../src/components/entity';
+
+describe('Frame capture', () => {
+    let offscreen;
+    let created;
+
+    beforeEach(() => {
+        offscreen = stubOffscreenCanvas();
+        created = offscreen.created;
+    });
+
+    afterEach(() => {
+        offscreen.restore();
+    });
+
+    function createGameEngine() {
+        const engine = Engine.createHeadless({ width: 320, height: 240 });
+        const scene = new Scene();
+        const world = new Entity(0, 0);
+        const hud = new Entity(0, 0);
+        world.draw = jest.fn();
+        hud.draw = jest.fn();
+        scene.addEntity(world);
+        scene.addEntity(hud);
+        hud.setLayer('ui');
+        engine.addScene(scene);
+        return { engine, scene, world, hud };
+    }
+
+    test('capture renders at a higher resolution without excluded layers', async () => {
+        const { engine, scene, world, hud } = createGameEngine();
+
+        const blob = await engine.capture({ scale: 2, excludeLayers: ['ui'] });
+
+        expect(blob.type).toBe('image/png');
+        expect([created[0].width, created[0].height]).toEqual([640, 480]);
+        expect(created[0].context.getCalls('setTransform')[0].args).toEqual([2, 0, 0, 2, 0, 0]);
+        expect(world.draw).toHaveBeenCalledTimes(1);
+        expect(hud.draw).not.toHaveBeenCalled();
+        expect(scene.getLayer('ui').visible).toBe(true);
+    });
+
+    test('a bad capture option rejects instead of throwing', async () => {
+        const { engine } = createGameEngine();
+
+        await expect(engine.capture({ scale: 0 })).rejects.toThrow(RangeError);
+    });
+
+    test('recorder captures frames at its own rate into a GIF', async () => {
+        const { engine } = createGameEngine();
+        const recorder = new FrameRecorder({ fps: 10, duration: 500, scale: 0.25 });
+        engine.use(recorder);
+        const addFrame = jest.spyOn(GifEncoder.prototype, 'addFrame');
+
+        // 60 кадров в секунду: снимок каждые 100 мс
+        engine.runFrames(40);
+        // Во время записи кадры только копируются, кодирование — после остановки
+        expect(addFrame).not.toHaveBeenCalled();
+        const blob = await recorder.done;
+        addFrame.mockRestore();
+
+        expect(recorder.frameCount).toBe(5);
+        expect(recorder.frames).toHaveLength(0);
+        expect(engine.getPlugin('frameRecorder')).toBeNull();
+        expect(blob.type).toBe('image/gif');
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        expect(String.fromCharCode(...bytes.slice(0, 6))).toBe('GIF89a');
+        expect(bytes[6] | (bytes[7] << 8)).toBe(80);
+    });
+});
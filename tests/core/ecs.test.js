@@ -0,0 +1,123 @@
+// Тесты для мира ECS: компоненты, запросы, системы и adopt()
+import { World, Components, MovementSystem } from '../../src/core/ecs/world';
+import { System } from '../../src/core/ecs/system';
+import { Entity } from '../../src/components/entity';
+
+describe('World', () => {
+    let world;
+
+    beforeEach(() => {
+        world = new World();
+        world.defineComponent('Health', () => ({ current: 100, max: 100 }));
+    });
+
+    test('components start from their defaults and types are defined once', () => {
+        const id = world.createEntity({ Health: { current: 40 }, [Components.TRANSFORM]: { x: 5 } });
+
+        expect(world.getComponent(id, 'Health')).toEqual({ current: 40, max: 100 });
+        expect(world.getComponent(id, Components.TRANSFORM)).toEqual({ x: 5, y: 0 });
+        // Повторное добавление дописывает поля в тот же компонент
+        const health = world.getComponent(id, 'Health');
+        expect(world.addComponent(id, 'Health', { max: 120 })).toBe(health);
+        expect(health).toEqual({ current: 40, max: 120 });
+
+        expect(() => world.defineComponent('Health')).toThrow('Component type "Health" is already defined');
+        expect(() => world.getComponent(id, 'Mana')).toThrow('Component type "Mana" is not defined');
+        expect(() => world.addComponent(99, 'Health')).toThrow('Entity 99 does not exist');
+    });
+
+    test('queries follow component changes and destroyed entities', () => {
+        const a = world.createEntity({ Health: {}, [Components.TRANSFORM]: {} });
+        const b = world.createEntity({ Health: {} });
+        const types = ['Health', Components.TRANSFORM];
+        expect(world.query(types)).toEqual([a]);
+
+        world.addComponent(b, Components.TRANSFORM);
+        // Порядок типов не важен: запрос тот же
+        expect(world.query([Components.TRANSFORM, 'Health'])).toEqual([a, b]);
+        expect(world.queries.size).toBe(1);
+
+        const removed = jest.fn();
+        world.on('componentRemoved:Health', removed);
+        world.removeComponent(a, 'Health');
+        expect(world.query(types)).toEqual([b]);
+        expect(removed).toHaveBeenCalledWith(a, { current: 100, max: 100 });
+
+        world.destroyEntity(b);
+        expect(world.query(types)).toEqual([]);
+        expect(world.hasEntity(b)).toBe(false);
+        expect(world.query([])).toEqual([a]);
+    });
+
+    test('systems run by priority with their query and can be removed', () => {
+        const order = [];
+        class Regen extends System {
+            constructor() {
+                super('regen', ['Health'], 5);
+            }
+
+            update(entities, deltaTime) {
+                order.push('regen');
+                for (const id of entities) this.world.getComponent(id, 'Health').current += deltaTime;
+            }
+        }
+        const regen = new Regen();
+        regen.destroy = jest.fn();
+        const id = world.createEntity({
+            Health: { current: 10 },
+            [Components.TRANSFORM]: {},
+            [Components.VELOCITY]: { x: 0.5 }
+        });
+        world.addSystem(regen);
+        world.addSystem(new MovementSystem());
+        const movement = world.getSystem('movement');
+        const update = movement.update.bind(movement);
+        movement.update = (...args) => {
+            order.push('movement');
+            update(...args);
+        };
+
+        world.update(10);
+
+        expect(order).toEqual(['movement', 'regen']);
+        expect(world.getComponent(id, Components.TRANSFORM).x).toBe(5);
+        expect(world.getComponent(id, 'Health').current).toBe(20);
+
+        regen.enabled = false;
+        world.update(10);
+        expect(world.getComponent(id, 'Health').current).toBe(20);
+
+        expect(world.removeSystem('regen')).toBe(true);
+        expect(regen.destroy).toHaveBeenCalledWith(world);
+        expect(regen.world).toBeNull();
+        expect(world.removeSystem('regen')).toBe(false);
+    });
+
+    test('adopted objects are updated once and expose their position as Transform', () => {
+        world.addSystem(new MovementSystem());
+        const entity = new Entity(10, 20);
+        entity.velocity = { x: 1, y: 0 };
+        entity.draw = jest.fn();
+
+        const id = world.adopt(entity);
+        expect(world.adopt(entity)).toBe(id);
+        expect(world.getEntityOf(entity)).toBe(id);
+        expect(world.query([Components.TRANSFORM, Components.VELOCITY])).toEqual([id]);
+
+        // Скорость применяет собственный update сущности, MovementSystem её пропускает
+        world.update(5);
+        expect(entity.x).toBe(15);
+
+        const transform = world.getComponent(id, Components.TRANSFORM);
+        transform.y = 50;
+        expect(entity.y).toBe(50);
+
+        const ctx = {};
+        world.draw(ctx, 0.5);
+        expect(entity.draw).toHaveBeenCalledWith(ctx, 0.5);
+
+        world.destroyEntity(id);
+        expect(world.getEntityOf(entity)).toBeNull();
+        expect(() => world.adopt(null)).toThrow(TypeError);
+    });
+});
@@ -1,4 +1,265 @@
 // Тесты для Engine
 import { Engine } from '../../src/core/engine';
+import { Scene } from '../../src/components/scene';
+import { Entity } from '../../src/components/entity';
+import { ParticleEmitter } from '../../src/components/particleSystem';
+import { TimerManager } from '../../src/utils/timer';
+import { Plugin } from '../../src/core/plugin';
+import { Camera } from '../../src/core/camera';
+import { PerformanceOverlay } from '../../src/core/performanceOverlay';
+import { Profiler } from '../../src/utils/profiler';
+import { ObjectPool } from '../../src/utils/objectPool';
 
-// ...тесты для методов движка...
+describe('Engine (headless)', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    test('runFrames advances scene entities with a fixed step', () => {
+        const engine = Engine.createHeadless({ loop: { updateRate: 50 } });
+        const scene = new Scene();
+        const entity = new Entity(0, 0);
+        entity.setVelocity(0.1, 0);
+        scene.addEntity(entity);
+        engine.addScene(scene);
+
+        engine.runFrames(10);
+
+        expect(entity.x).toBeCloseTo(20);
+        expect(engine.clock.now()).toBe(200);
+        expect(engine.frameCount).toBe(10);
+    });
+
+    test('step without deltaTime reads the injected clock', () => {
+        const engine = Engine.createHeadless({ loop: { mode: 'variable' } });
+        const seen = [];
+        const scene = new Scene();
+        scene.addEntity({ update: dt => seen.push(dt), draw() {} });
+        engine.addScene(scene);
+
+        engine.step();
+        engine.clock.advance(16);
+        engine.step();
+
+        expect(seen).toEqual([0, 16]);
+    });
+
+    test('timers and camera are updated by step', () => {
+        const timers = new TimerManager();
+        const engine = Engine.createHeadless({ timers, loop: { updateRate: 100 } });
+        const done = jest.fn();
+        timers.setTimeout(50, done);
+        engine.camera.startShake(5, 30);
+
+        engine.runFrames(5);
+
+        expect(done).toHaveBeenCalledTimes(1);
+        expect(engine.camera.shake.duration).toBe(0);
+    });
+
+    test('each camera draws its layers clipped to its viewport', () => {
+        const left = new Camera(400, 600, { name: 'left' });
+        const right = new Camera(400, 600, { name: 'right', viewport: { x: 400 }, layerMask: ['default'] });
+        const engine = Engine.createHeadless({ cameras: [left, right] });
+        const scene = new Scene();
+        const world = new Entity(0, 0);
+        const hud = new Entity(0, 0);
+        world.draw = jest.fn();
+        hud.draw = jest.fn();
+        scene.addEntity(world);
+        scene.addEntity(hud);
+        hud.setLayer('hud');
+        engine.addScene(scene);
+
+        engine.runFrames(1);
+
+        expect(world.draw).toHaveBeenCalledTimes(2);
+        expect(hud.draw).toHaveBeenCalledTimes(1);
+        const clips = engine.renderTarget.calls.filter(call => call.name === 'rect').map(call => call.args);
+        expect(clips).toEqual([[0, 0, 400, 600], [400, 0, 400, 600]]);
+        expect(engine.getCameraAt(500, 10)).toBe(right);
+    });
+
+    test('particles are simulated and drawn into the stub render target', () => {
+        const engine = Engine.createHeadless({ loop: { updateRate: 60 } });
+        const scene = new Scene();
+        const emitter = new ParticleEmitter({ burst: 5, emissionRate: 0, shape: 'square' });
+        scene.addEntity(emitter);
+        engine.addScene(scene);
+        emitter.start();
+
+        engine.runFrames(1);
+
+        expect(emitter.getParticleCount()).toBe(5);
+        expect(engine.getRenderTarget().getCalls('fillRect')).toHaveLength(5);
+    });
+
+    test('performance overlay reports profiler timings and engine counters', () => {
+        const profiler = new Profiler();
+        const timers = new TimerManager();
+        const engine = Engine.createHeadless({ profiler, timers });
+        const scene = new Scene();
+        const emitter = new ParticleEmitter({ burst: 3, emissionRate: 0 });
+        scene.addEntity(emitter);
+        scene.addEntity(new Entity(0, 0));
+        engine.addScene(scene);
+        emitter.start();
+        timers.setInterval(1000, () => {});
+        const pool = new ObjectPool(() => ({}), () => {}, 4);
+        pool.acquire();
+        const overlay = new PerformanceOverlay({ visible: false, toggleKey: null });
+        engine.use(overlay);
+        overlay.addPool('bullets', pool);
+
+        engine.runFrames(3);
+        const snapshot = overlay.getSnapshot();
+
+        expect(profiler.history).toHaveLength(3);
+        expect(profiler.getStats('update').count).toBe(3);
+        expect(profiler.getStats('render').count).toBe(3);
+        expect(snapshot).toMatchObject({ entities: 2, particles: 3, timers: 1, drawCalls: null });
+        expect(snapshot.pools.bullets).toEqual({ available: 3, active: 1, total: 4 });
+        expect(logSpy).not.toHaveBeenCalledWith('Engine update called');
+    });
+
+    test('an exception inside a profiler scope does not break the next frame', () => {
+        const profiler = new Profiler();
+        const engine = Engine.createHeadless({ profiler });
+        const update = engine.camera.update;
+        engine.camera.update = () => {
+            profiler.begin('shake');
+            throw new Error('boom');
+        };
+
+        expect(() => engine.updateFrame(16)).toThrow('boom');
+        expect(profiler.stack).toHaveLength(0);
+
+        engine.camera.update = update;
+        engine.runFrames(1);
+        expect(profiler.getStats('update').count).toBe(2);
+        expect(profiler.getStats('update/shake')).toBeNull();
+    });
+
+    test('runFrames rejects invalid frame counts', () => {
+        const engine = Engine.createHeadless();
+        expect(() => engine.runFrames(-1)).toThrow(RangeError);
+    });
+});
+
+describe('Engine plugins', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    test('hooks run in priority order around update and render', () => {
+        const engine = Engine.createHeadless();
+        const calls = [];
+        const make = (name, priority) => ({
+            name,
+            priority,
+            preUpdate: () => calls.push(`${name}:preUpdate`),
+            postRender: () => calls.push(`${name}:postRender`)
+        });
+        engine.use(make('late', 10)).use(make('early', -5));
+
+        engine.runFrames(1);
+
+        expect(calls).toEqual(['early:preUpdate', 'late:preUpdate', 'early:postRender', 'late:postRender']);
+    });
+
+    test('plugins get engine subsystems and can be removed at runtime', () => {
+        const engine = Engine.createHeadless();
+        const init = jest.fn();
+        const destroy = jest.fn();
+
+        class Probe extends Plugin {
+            init() { init(this.camera); }
+            postUpdate() { this.engine.removePlugin(this); }
+            destroy() { destroy(); }
+        }
+
+        engine.use(new Probe('probe'));
+        engine.runFrames(2);
+
+        expect(init).toHaveBeenCalledWith(engine.camera);
+        expect(destroy).toHaveBeenCalledTimes(1);
+        expect(engine.getPlugin('probe')).toBeNull();
+    });
+
+    test('duplicate plugin names are rejected', () => {
+        const engine = Engine.createHeadless();
+        engine.use({ name: 'debug' });
+        expect(() => engine.use({ name: 'debug' })).toThrow('already registered');
+    });
+});
+
+describe('Engine scene stack', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    function trackedScene(name, calls) {
+        const scene = new Scene();
+        scene.update = () => calls.push(`${name}:update`);
+        scene.draw = () => calls.push(`${name}:draw`);
+        ['onEnter', 'onExit', 'onPause', 'onResume'].forEach(hook => {
+            scene[hook] = () => calls.push(`${name}:${hook}`);
+        });
+        return scene;
+    }
+
+    test('overlay keeps gameplay drawing but not updating', () => {
+        const calls = [];
+        const engine = Engine.createHeadless();
+        const game = trackedScene('game', calls);
+        const pause = trackedScene('pause', calls);
+        pause.drawBelow = true;
+
+        engine.addScene(game);
+        engine.pushScene(pause);
+        calls.length = 0;
+        engine.runFrames(1);
+
+        expect(engine.activeScene).toBe(pause);
+        expect(calls).toEqual(['pause:update', 'game:draw', 'pause:draw']);
+    });
+
+    test('push, pop and replace fire lifecycle callbacks', () => {
+        const calls = [];
+        const engine = Engine.createHeadless();
+        const game = trackedScene('game', calls);
+        const dialog = trackedScene('dialog', calls);
+        const menu = trackedScene('menu', calls);
+
+        engine.addScene(game);
+        engine.pushScene(dialog);
+        expect(engine.popScene()).toBe(dialog);
+        engine.replaceScene(menu);
+
+        expect(calls).toEqual([
+            'game:onEnter',
+            'game:onPause', 'dialog:onEnter',
+            'dialog:onExit', 'game:onResume',
+            'game:onExit', 'menu:onEnter'
+        ]);
+        expect(engine.sceneStack).toEqual([menu]);
+    });
+});
@@ -0,0 +1,54 @@
+// Тесты для GameLoop
+import { GameLoop } from '../../src/core/gameLoop';
+
+describe('GameLoop', () => {
+    test('fixed mode runs whole steps and keeps the remainder as alpha', () => {
+        const loop = new GameLoop({ updateRate: 50 });
+        const steps = [];
+        let alpha = null;
+        loop.onUpdate = (dt) => steps.push(dt);
+        loop.onRender = (a) => { alpha = a; };
+
+        loop.tick(50);
+
+        expect(steps).toEqual([20, 20]);
+        expect(alpha).toBeCloseTo(0.5);
+    });
+
+    test('fixed mode caps steps per frame and drops the backlog', () => {
+        const loop = new GameLoop({ updateRate: 100, maxSteps: 3, maxFrameTime: 1000 });
+        let count = 0;
+        loop.onUpdate = () => count++;
+
+        loop.tick(95);
+
+        expect(count).toBe(3);
+        expect(loop.accumulator).toBeCloseTo(5);
+        expect(loop.droppedTime).toBeCloseTo(60);
+    });
+
+    test('long frames are clamped to maxFrameTime', () => {
+        const loop = new GameLoop({ mode: 'variable', maxFrameTime: 100 });
+        const steps = [];
+        loop.onUpdate = (dt) => steps.push(dt);
+
+        loop.tick(5000);
+
+        expect(steps).toEqual([100]);
+        expect(loop.alpha).toBe(1);
+    });
+
+    test('semi-fixed mode splits the frame into bounded steps', () => {
+        const loop = new GameLoop({ mode: 'semi-fixed', updateRate: 100 });
+        const steps = [];
+        loop.onUpdate = (dt) => steps.push(dt);
+
+        loop.tick(25);
+
+        expect(steps).toEqual([10, 10, 5]);
+    });
+
+    test('rejects unknown modes', () => {
+        expect(() => new GameLoop({ mode: 'turbo' })).toThrow('Unknown loop mode');
+    });
+});
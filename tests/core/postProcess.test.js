@@ -0,0 +1,160 @@
+// Тесты для стека постобработки и анимации параметров эффектов
+import { Renderer, RendererBackend } from '../../src/core/renderer/renderer';
+import { GrayscaleEffect, VignetteEffect, PixelateEffect, ColorGradingEffect } from '../../src/core/renderer/postEffects';
+import { StubContext, createStubWebGL, stubOffscreenCanvas } from '../../src/core/headless';
+
+function createRenderer(backend) {
+    const context = new StubContext();
+    const gl = createStubWebGL();
+    const canvas = { width: 64, height: 32, getContext: type => (type === '2d' ? context : gl) };
+    context.canvas = canvas;
+    return { renderer: new Renderer(canvas, { backend }), context, gl };
+}
+
+describe('PostEffect', () => {
+    test('animate eases a parameter and resolves when it ends', async () => {
+        const effect = new GrayscaleEffect({ amount: 0 });
+        const done = jest.fn();
+        effect.animate('amount', 1, 100, t => t * t).then(done);
+
+        effect.update(50);
+        expect(effect.get('amount')).toBeCloseTo(0.25);
+        expect(effect.isAnimating()).toBe(true);
+
+        effect.update(60);
+        await Promise.resolve();
+        expect(effect.get('amount')).toBe(1);
+        expect(effect.isAnimating()).toBe(false);
+        expect(done).toHaveBeenCalled();
+    });
+
+    test('set and a new animation settle the running one', async () => {
+        const effect = new VignetteEffect();
+        const first = jest.fn();
+        const second = jest.fn();
+        effect.animate('intensity', 1, 100).then(first);
+        effect.animate('intensity', 0, 100).then(second);
+        effect.set('intensity', 0.3);
+        await Promise.resolve();
+
+        expect(first).toHaveBeenCalled();
+        expect(second).toHaveBeenCalled();
+        effect.update(100);
+        expect(effect.get('intensity')).toBe(0.3);
+
+        await effect.animate('radius', 0.2, 0);
+        expect(effect.get('radius')).toBe(0.2);
+        expect(() => effect.set('blur', 1)).toThrow('Effect "vignette" has no parameter "blur"');
+        expect(() => effect.animate('color', '#fff', 100)).toThrow('Effect parameter "color" is not numeric');
+    });
+});
+
+describe('PostProcessStack', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('keeps effects in order and can move, toggle and remove them', () => {
+        const { renderer } = createRenderer(RendererBackend.CANVAS2D);
+        const stack = renderer.postProcess;
+        const grayscale = stack.add(new GrayscaleEffect());
+        stack.add(new VignetteEffect());
+        stack.add(new PixelateEffect(), 0);
+
+        expect(stack.effects.map(effect => effect.name)).toEqual(['pixelate', 'grayscale', 'vignette']);
+        stack.move('vignette', 0);
+        stack.setEnabled('pixelate', false);
+        expect(stack.getEnabledEffects().map(effect => effect.name)).toEqual(['vignette', 'grayscale']);
+
+        expect(stack.remove('grayscale')).toBe(true);
+        expect(stack.remove(grayscale)).toBe(false);
+        expect(stack.get('grayscale')).toBeNull();
+        expect(() => stack.add(new VignetteEffect())).toThrow('Effect "vignette" is already in the stack');
+        expect(() => stack.add({ name: 'fake' })).toThrow(TypeError);
+        expect(() => stack.move('bloom', 0)).toThrow('Effect "bloom" is not in the stack');
+    });
+
+    test('Canvas2D runs the frame through each fallback and draws it back', () => {
+        const offscreen = stubOffscreenCanvas();
+        try {
+            const { renderer, context } = createRenderer(RendererBackend.CANVAS2D);
+            const grayscale = renderer.postProcess.add(new GrayscaleEffect({ amount: 0.5 }));
+            jest.spyOn(grayscale, 'applyCanvas');
+
+            renderer.beginFrame();
+            renderer.endFrame();
+
+            const [first, second] = offscreen.created;
+            expect(first.context.getCalls('drawImage')[0].args).toEqual([context.canvas, 0, 0]);
+            expect(grayscale.applyCanvas).toHaveBeenCalledWith(second.context, first, 64, 32, expect.any(Function));
+            expect(context.getCalls('drawImage').pop().args).toEqual([second, 0, 0]);
+            expect(context.globalCompositeOperation).toBe('source-over');
+        } finally {
+            offscreen.restore();
+        }
+    });
+
+    test('an empty or disabled stack leaves the frame alone', () => {
+        const offscreen = stubOffscreenCanvas();
+        try {
+            const { renderer, context } = createRenderer(RendererBackend.CANVAS2D);
+            renderer.postProcess.add(new GrayscaleEffect({ enabled: false }));
+
+            renderer.beginFrame();
+            renderer.endFrame();
+
+            expect(offscreen.created).toHaveLength(0);
+            expect(context.getCalls('drawImage')).toHaveLength(0);
+        } finally {
+            offscreen.restore();
+        }
+    });
+
+    test('WebGL renders into a target and ping-pongs through the effects', () => {
+        const { renderer, gl } = createRenderer(RendererBackend.WEBGL);
+        const stack = renderer.postProcess;
+        stack.add(new GrayscaleEffect());
+        stack.add(new VignetteEffect());
+
+        renderer.beginFrame();
+        renderer.endFrame();
+
+        const framebuffers = gl.calls.filter(call => call.name === 'bindFramebuffer').map(call => call.args[1]);
+        const [scene, pingPong] = stack.targets;
+        // Кадр рисуется в первую цель, первый эффект пишет во вторую, последний — на экран
+        expect(framebuffers.slice(-3)).toEqual([scene.framebuffer, pingPong.framebuffer, null]);
+        expect(gl.calls.filter(call => call.name === 'drawArrays')).toHaveLength(2);
+        expect(stack.programs.size).toBe(2);
+
+        stack.remove('vignette');
+        expect(stack.programs.size).toBe(1);
+        expect(gl.calls.filter(call => call.name === 'deleteProgram')).toHaveLength(1);
+    });
+
+    test('uploading an effect texture keeps the frame bound on unit 0', () => {
+        const { renderer, gl } = createRenderer(RendererBackend.WEBGL);
+        const lut = { width: 256, height: 16, complete: true };
+        renderer.postProcess.add(new ColorGradingEffect({ lut }));
+
+        renderer.beginFrame();
+        renderer.context.drawImage({ width: 8, height: 8, complete: true }, 0, 0);
+        renderer.endFrame();
+
+        // Привязки текстур по блокам на момент прохода эффекта
+        const units = {};
+        let active = 'TEXTURE0';
+        let atDraw = null;
+        for (const { name, args } of gl.calls) {
+            if (name === 'activeTexture') active = args[0];
+            if (name === 'bindTexture') units[active] = args[1];
+            if (name === 'drawArrays' && args[0] === 'TRIANGLE_STRIP') atDraw = { ...units };
+        }
+        const lutTexture = renderer.backend.pipeline.textures.get(lut);
+        expect(atDraw.TEXTURE0).toBe(renderer.postProcess.targets[0].texture);
+        expect(Object.values(atDraw)).toContain(lutTexture);
+    });
+});
@@ -0,0 +1,171 @@
+// Тесты для RenderPipeline
+import { RenderPipeline, FLOATS_PER_VERTEX } from '../../src/core/renderer/renderPipeline';
+import { Material } from '../../src/core/renderer/material';
+import { formatShaderLog } from '../../src/core/renderer/webgl';
+import { WebGLBackend } from '../../src/core/renderer/webglBackend';
+import { createStubWebGL } from '../../src/core/headless';
+
+const image = (width = 32, height = 32) => ({ width, height, complete: true });
+const callsOf = (gl, name) => gl.calls.filter(call => call.name === name);
+
+describe('RenderPipeline', () => {
+    let gl;
+    let pipeline;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        gl = createStubWebGL();
+        pipeline = new RenderPipeline(gl, { maxQuads: 4 });
+        pipeline.begin(100, 100);
+        gl.calls.length = 0;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('quads with the same texture go into one draw call', () => {
+        const sheet = image();
+        pipeline.drawSprite(sheet, 0, 0);
+        pipeline.drawSprite(sheet, 10, 0);
+        pipeline.drawSprite(sheet, 20, 0);
+        const stats = pipeline.end();
+
+        expect(stats).toMatchObject({ drawCalls: 1, quads: 3, textureBinds: 1 });
+        expect(callsOf(gl, 'drawArrays')[0].args).toEqual(['TRIANGLES', 0, 18]);
+        expect(callsOf(gl, 'texImage2D')).toHaveLength(1);
+    });
+
+    test('a very long queue is flushed and recycled', () => {
+        const large = new RenderPipeline(gl);
+        large.begin(100, 100);
+        const count = 250000;
+        for (let i = 0; i < count; i++) large.drawTriangles([0, 0, 1, 0, 0, 1], 1, 1, 1, 1);
+
+        expect(large.end().triangles).toBe(count);
+        expect(large.queue).toHaveLength(0);
+        expect(large.itemPool).toHaveLength(count);
+    });
+
+    test('sorts by texture within a depth and keeps depth order', () => {
+        const a = image();
+        const b = image();
+        pipeline.drawSprite(a, 0, 0);
+        pipeline.drawSprite(b, 0, 0);
+        pipeline.drawSprite(a, 0, 0);
+        pipeline.drawSprite(b, 0, 0, { depth: -1 });
+        gl.calls.length = 0;
+        const stats = pipeline.end();
+
+        expect(stats).toMatchObject({ drawCalls: 3, quads: 4, textureBinds: 3 });
+        const bound = callsOf(gl, 'bindTexture').map(call => call.args[1]);
+        expect(bound).toEqual([pipeline.getTexture(b), pipeline.getTexture(a), pipeline.getTexture(b)]);
+    });
+
+    test('keeps submission order when texture sorting is off', () => {
+        pipeline.sortByTexture = false;
+        const a = image();
+        const b = image();
+        pipeline.drawSprite(a, 0, 0);
+        pipeline.drawSprite(b, 0, 0);
+        pipeline.drawSprite(a, 0, 0);
+
+        expect(pipeline.end().drawCalls).toBe(3);
+    });
+
+    test('writes positions, uvs, tint and alpha into the vertex buffer', () => {
+        pipeline.drawSprite(image(64, 32), 10, 20, {
+            source: { x: 32, y: 0, width: 32, height: 32 },
+            tint: '#ff0000',
+            alpha: 0.5
+        });
+        pipeline.end();
+
+        const data = callsOf(gl, 'bufferSubData')[0].args[2];
+        expect(data).toHaveLength(6 * FLOATS_PER_VERTEX);
+        // Первая вершина: левый верхний угол
+        expect(Array.from(data.slice(0, 8))).toEqual([10, 20, 0.5, 0, 1, 0, 0, 0.5]);
+        // Третья вершина: правый нижний угол
+        expect(Array.from(data.slice(16, 20))).toEqual([42, 52, 1, 1]);
+    });
+
+    test('splits batches when the vertex buffer is full', () => {
+        const sheet = image();
+        for (let i = 0; i < 6; i++) pipeline.drawSprite(sheet, i, 0);
+        const stats = pipeline.end();
+
+        expect(stats).toMatchObject({ drawCalls: 2, quads: 6, textureBinds: 1 });
+        expect(callsOf(gl, 'drawArrays').map(call => call.args[2])).toEqual([24, 12]);
+    });
+
+    test('skips images that are not loaded yet', () => {
+        pipeline.drawSprite({ width: 0, height: 0, complete: false }, 0, 0);
+        expect(pipeline.end().drawCalls).toBe(0);
+        expect(callsOf(gl, 'texImage2D')).toHaveLength(0);
+    });
+
+    test('materials switch programs and upload their uniforms', () => {
+        const sheet = image();
+        const flash = new Material('flash', { fragment: 'void main() {}', uniforms: { u_amount: 0.5, u_flashColor: '#ffffff' } });
+        pipeline.drawSprite(sheet, 0, 0);
+        pipeline.drawSprite(sheet, 0, 0, { material: flash });
+        pipeline.drawSprite(sheet, 0, 0, { material: flash });
+        const stats = pipeline.end();
+
+        expect(stats.drawCalls).toBe(2);
+        expect(callsOf(gl, 'useProgram').map(call => call.args[0])).toContain(flash.getProgram(pipeline).program);
+        expect(callsOf(gl, 'uniform1f')).toContainEqual({ name: 'uniform1f', args: ['u_amount', 0.5] });
+        expect(callsOf(gl, 'uniform4f')).toContainEqual({ name: 'uniform4f', args: ['u_flashColor', 1, 1, 1, 1] });
+    });
+
+    test('built-in material effects are bundled and need no shader files', async () => {
+        global.fetch = jest.fn();
+        try {
+            const outline = await Material.effect('outline', { u_outlineWidth: 2 });
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(outline.shader.fragment).toContain('uniform vec4 u_outlineColor;');
+            expect(outline.getUniform('u_outlineWidth')).toBe(2);
+            expect(outline.getProgram(pipeline)).toBeTruthy();
+        } finally {
+            delete global.fetch;
+        }
+    });
+});
+
+describe('WebGLContext2D tint', () => {
+    test('multiplies image quads by the tint until restore', () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const gl = createStubWebGL();
+        const backend = new WebGLBackend({ width: 100, height: 100 }, { gl });
+        const ctx = backend.context;
+        const sheet = image();
+        backend.beginFrame();
+
+        ctx.save();
+        ctx.setTint('#ff8000');
+        ctx.drawImage(sheet, 0, 0);
+        ctx.restore();
+        ctx.drawImage(sheet, 0, 0);
+        backend.endFrame();
+
+        const data = callsOf(gl, 'bufferSubData')[0].args[2];
+        const colour = vertex => Array.from(data.slice(vertex * FLOATS_PER_VERTEX + 4, vertex * FLOATS_PER_VERTEX + 7));
+        expect(colour(0).map(value => Math.round(value * 255))).toEqual([255, 128, 0]);
+        expect(colour(6)).toEqual([1, 1, 1]);
+        jest.restoreAllMocks();
+    });
+});
+
+describe('formatShaderLog', () => {
+    test('points compile errors at source lines', () => {
+        const source = 'precision mediump float;\nvoid main() {\n    gl_FragColor = colr;\n}';
+        const report = formatShaderLog(source, "ERROR: 0:3: 'colr' : undeclared identifier\n");
+
+        expect(report).toBe([
+            "line 3: 'colr' : undeclared identifier",
+            '    2 | void main() {',
+            '  > 3 |     gl_FragColor = colr;',
+            '    4 | }'
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,227 @@
+// Тесты для Renderer, Canvas2D- и WebGL-бэкендов и WebGLContext2D
+import { Renderer, RendererBackend } from '../../src/core/renderer/renderer';
+import { Canvas2DBackend } from '../../src/core/renderer/canvas2dBackend';
+import { WebGLBackend } from '../../src/core/renderer/webglBackend';
+import { BlendMode } from '../../src/core/renderer/renderBackend';
+import { StubContext, createStubWebGL, stubOffscreenCanvas } from '../../src/core/headless';
+
+/**
+ * Холст, отдающий заданные 2D- и WebGL-контексты
+ */
+function createCanvas(context2d = null, gl = null) {
+    const canvas = { width: 200, height: 100 };
+    canvas.getContext = type => (type === '2d' ? context2d : gl);
+    return canvas;
+}
+
+describe('Renderer', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('creates the requested backend', () => {
+        const canvas2d = new Renderer(createCanvas(new StubContext()), { backend: RendererBackend.CANVAS2D });
+        expect(console.log).not.toHaveBeenCalled();
+        const webgl = new Renderer(createCanvas(null, createStubWebGL()), { backend: RendererBackend.WEBGL });
+
+        expect(canvas2d.backend).toBeInstanceOf(Canvas2DBackend);
+        expect(canvas2d.type).toBe('canvas2d');
+        expect(webgl.backend).toBeInstanceOf(WebGLBackend);
+        expect(webgl.gl).toBe(webgl.backend.gl);
+        expect(() => Renderer.createBackend(createCanvas(), 'vulkan')).toThrow(RangeError);
+    });
+
+    test('auto falls back to Canvas2D when WebGL fails on a probe canvas', () => {
+        const offscreen = stubOffscreenCanvas();
+        try {
+            const gl = createStubWebGL();
+            const canvas = createCanvas(new StubContext(), gl);
+
+            const backend = Renderer.createBackend(canvas, RendererBackend.AUTO);
+
+            // Пробный холст без WebGL; основной холст не занят WebGL-контекстом
+            expect(offscreen.created).toHaveLength(1);
+            expect(backend).toBeInstanceOf(Canvas2DBackend);
+            expect(gl.calls).toHaveLength(0);
+            expect(console.warn).toHaveBeenCalledWith(
+                'WebGL backend is unavailable, falling back to Canvas2D:', expect.any(String)
+            );
+        } finally {
+            offscreen.restore();
+        }
+    });
+
+    test('auto uses WebGL when the probe succeeds', () => {
+        jest.spyOn(Renderer, 'probeWebGL').mockReturnValue(null);
+        const backend = Renderer.createBackend(createCanvas(new StubContext(), createStubWebGL()));
+
+        expect(backend).toBeInstanceOf(WebGLBackend);
+    });
+});
+
+describe('Canvas2DBackend', () => {
+    test('clears with the clear colour in canvas space and maps blend modes', () => {
+        const ctx = new StubContext();
+        const backend = new Canvas2DBackend(createCanvas(), { context: ctx, clearColor: '#123' });
+        ctx.globalAlpha = 0.5;
+
+        backend.clear();
+        backend.setBlendMode(BlendMode.ADD);
+
+        expect(ctx.getCalls('setTransform')[0].args).toEqual([1, 0, 0, 1, 0, 0]);
+        expect(ctx.getCalls('fillRect')[0].args).toEqual([0, 0, 200, 100]);
+        expect(ctx.globalAlpha).toBe(0.5);
+        expect(ctx.globalCompositeOperation).toBe('lighter');
+        expect(() => backend.setBlendMode('overlay')).toThrow(RangeError);
+    });
+});
+
+describe('WebGLContext2D', () => {
+    let backend;
+    let ctx;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        backend = new WebGLBackend(createCanvas(), { gl: createStubWebGL() });
+        ctx = backend.context;
+        backend.beginFrame();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const lastPoint = () => {
+        const { points } = ctx.subpaths[ctx.subpaths.length - 1];
+        return points.slice(-2);
+    };
+
+    test('paths are transformed into canvas space as they are built', () => {
+        jest.spyOn(backend.pipeline, 'drawTriangles');
+        ctx.translate(100, 0);
+        ctx.scale(2, 2);
+        ctx.beginPath();
+        ctx.rect(0, 0, 10, 5);
+        ctx.fillStyle = '#ff0000';
+        ctx.globalAlpha = 0.5;
+        ctx.fill();
+
+        expect(ctx.subpaths[0].points).toEqual([100, 0, 120, 0, 120, 10, 100, 10]);
+        const [triangles, r, g, b, a] = backend.pipeline.drawTriangles.mock.calls[0];
+        expect(triangles).toHaveLength(12);
+        expect([r, g, b, a]).toEqual([1, 0, 0, 0.5]);
+    });
+
+    test('fills and strokes both use the current material', () => {
+        jest.spyOn(backend.pipeline, 'drawTriangles');
+        const material = { name: 'glow' };
+        ctx.setMaterial(material);
+        ctx.beginPath();
+        ctx.rect(0, 0, 10, 10);
+        ctx.fill();
+        ctx.stroke();
+
+        const materials = backend.pipeline.drawTriangles.mock.calls.map(call => call[6]);
+        expect(materials).toEqual([material, material]);
+    });
+
+    test('curves are flattened between their end points', () => {
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.quadraticCurveTo(10, 20, 20, 0);
+        const quad = ctx.subpaths[0].points;
+        expect(lastPoint()).toEqual([20, 0]);
+        expect(Math.max(...quad.filter((value, i) => i % 2 === 1))).toBeCloseTo(10);
+
+        // Кривая без начальной точки начинается с первой контрольной, как в canvas
+        ctx.beginPath();
+        ctx.bezierCurveTo(0, 0, 0, 40, 40, 40);
+        expect(ctx.subpaths[0].points.slice(0, 2)).toEqual([0, 0]);
+        expect(lastPoint()).toEqual([40, 40]);
+        expect(ctx.subpaths[0].points.length).toBeGreaterThan(8);
+    });
+
+    test('ellipses follow their radii and rotation', () => {
+        ctx.beginPath();
+        ctx.ellipse(50, 50, 20, 10, Math.PI / 2, 0, Math.PI);
+        const { points } = ctx.subpaths[0];
+
+        // Повёрнут на 90°: большая ось вертикальна
+        expect(points[0]).toBeCloseTo(50);
+        expect(points[1]).toBeCloseTo(70);
+        const [endX, endY] = lastPoint();
+        expect(endX).toBeCloseTo(50);
+        expect(endY).toBeCloseTo(30);
+        for (let i = 0; i < points.length; i += 2) {
+            const dx = points[i] - 50;
+            const dy = points[i + 1] - 50;
+            expect((dy / 20) ** 2 + (dx / 10) ** 2).toBeCloseTo(1);
+        }
+
+        ctx.beginPath();
+        ctx.arc(0, 0, 10, 0, Math.PI / 2, true);
+        // Против часовой стрелки — длинная дуга через верх
+        expect(Math.min(...ctx.subpaths[0].points.filter((value, i) => i % 2 === 1))).toBeCloseTo(-10);
+    });
+
+    test('clip uses the path bounds as a scissor restored with the state', () => {
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(10, 20, 30, 40);
+        ctx.clip();
+        expect(backend.scissor).toEqual({ x: 10, y: 20, width: 30, height: 40 });
+
+        // Вложенное отсечение не выходит за текущее
+        ctx.beginPath();
+        ctx.rect(0, 0, 20, 30);
+        ctx.clip();
+        expect(backend.scissor).toEqual({ x: 10, y: 20, width: 10, height: 10 });
+
+        ctx.restore();
+        expect(backend.scissor).toBeNull();
+    });
+
+    test('hsl() and colour names known only to the browser are drawn, unknown colours are skipped', () => {
+        jest.spyOn(backend.pipeline, 'drawTriangles');
+        // 2D-контекст браузера переводит имена CSS в '#rrggbb' и игнорирует неверные цвета
+        const names = { pink: '#ffc0cb' };
+        globalThis.OffscreenCanvas = class {
+            getContext() {
+                let value = '#000000';
+                return {
+                    get fillStyle() { return value; },
+                    set fillStyle(color) { value = names[color] || (color[0] === '#' ? color : value); }
+                };
+            }
+        };
+        try {
+            for (const color of ['hsl(120, 100%, 25%)', 'pink', 'not-a-colour', 'not-a-colour']) {
+                ctx.fillStyle = color;
+                ctx.fillRect(0, 0, 10, 10);
+            }
+        } finally {
+            delete globalThis.OffscreenCanvas;
+        }
+
+        const colors = backend.pipeline.drawTriangles.mock.calls.map(([, r, g, b, a]) => [r, g, b, a]);
+        expect(colors).toEqual([[0, 0.5, 0, 1], [1, 192 / 255, 203 / 255, 1]]);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test('unsupported features warn once and are ignored', () => {
+        ctx.fillText('hi', 0, 0);
+        ctx.fillText('again', 0, 0);
+        ctx.globalCompositeOperation = 'xor';
+
+        expect(console.warn).toHaveBeenCalledTimes(2);
+        expect(ctx.globalCompositeOperation).toBe('source-over');
+        ctx.globalCompositeOperation = 'multiply';
+        expect(backend.blendMode).toBe(BlendMode.MULTIPLY);
+    });
+});
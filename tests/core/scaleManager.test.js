@@ -0,0 +1,81 @@
+// Тесты для ScaleManager
+import { ScaleManager, ScaleMode } from '../../src/core/scaleManager';
+import { Engine } from '../../src/core/engine';
+import { createHeadlessCanvas } from '../../src/core/headless';
+
+function createCanvas(rect = { left: 0, top: 0, width: 320, height: 180 }) {
+    return { width: 320, height: 180, style: {}, getBoundingClientRect: () => rect };
+}
+
+describe('ScaleManager', () => {
+    test('fit letterboxes and fill crops around the centre', () => {
+        const scale = new ScaleManager(createCanvas(), { width: 320, height: 180, autoResize: false });
+
+        const fit = scale.computeLayout(1000, 1000, 2);
+        expect(fit.displayWidth).toBe(1000);
+        expect(fit.displayHeight).toBeCloseTo(562.5);
+        expect(fit.offsetY).toBeCloseTo(218.75);
+        expect(fit.canvasWidth).toBe(2000);
+        expect(fit.scaleX).toBeCloseTo(6.25);
+
+        scale.mode = ScaleMode.FILL;
+        const fill = scale.computeLayout(1000, 1000, 1);
+        expect(fill.displayHeight).toBe(1000);
+        expect(fill.offsetX).toBeCloseTo((1000 - 320 * 1000 / 180) / 2);
+    });
+
+    test('integer mode uses a whole number of device pixels per game pixel', () => {
+        const scale = new ScaleManager(createCanvas(), { width: 320, height: 180, mode: 'integer', autoResize: false });
+        const layout = scale.computeLayout(1000, 700, 1.5);
+
+        // 1000 * 1.5 / 320 = 4.68 -> 4
+        expect(layout.canvasWidth).toBe(1280);
+        expect(layout.canvasHeight).toBe(720);
+        expect(layout.scaleX).toBe(4);
+        expect(layout.displayWidth).toBeCloseTo(1280 / 1.5);
+        expect(() => scale.setMode('zoom')).toThrow(RangeError);
+    });
+
+    test('a container without a size falls back to the window and becomes the positioning parent', () => {
+        const canvas = createCanvas();
+        const parent = { clientWidth: 640, clientHeight: 0, style: {} };
+        canvas.parentElement = parent;
+        const scale = new ScaleManager(canvas, { width: 320, height: 180, pixelRatio: 1, autoResize: false });
+
+        // Без window высота берётся из логического размера
+        expect(scale.layout.displayWidth).toBe(320);
+        expect(scale.layout.displayHeight).toBe(180);
+        expect(canvas.width).toBe(320);
+        expect(parent.style.position).toBe('relative');
+
+        const positioned = { clientWidth: 640, clientHeight: 360, style: { position: 'absolute' } };
+        canvas.parentElement = positioned;
+        new ScaleManager(canvas, { width: 320, height: 180, pixelRatio: 1, autoResize: false });
+        expect(positioned.style.position).toBe('absolute');
+        expect(canvas.style.width).toBe('640px');
+    });
+
+    test('pointer coordinates are converted to logical space', () => {
+        const canvas = createCanvas({ left: 100, top: 50, width: 640, height: 360 });
+        const scale = new ScaleManager(canvas, { width: 320, height: 180, autoResize: false });
+
+        expect(scale.toLogical(420, 230)).toEqual({ x: 160, y: 90 });
+        expect(scale.eventToLogical({ changedTouches: [{ clientX: 100, clientY: 410 }] })).toEqual({ x: 0, y: 180 });
+    });
+
+    test('engine renders in logical coordinates', () => {
+        const canvas = createHeadlessCanvas(320, 180);
+        const scaleManager = new ScaleManager(canvas, { width: 320, height: 180, pixelRatio: 2, autoResize: false });
+        const engine = new Engine(canvas, { headless: true, renderTarget: canvas.getContext('2d'), scaleManager });
+
+        expect(canvas.width).toBe(640);
+        expect(engine.width).toBe(320);
+        expect(engine.camera.width).toBe(320);
+
+        engine.renderFrame();
+        const context = engine.getRenderTarget();
+        expect(context.getCalls('setTransform')[0].args).toEqual([2, 0, 0, 2, 0, 0]);
+        // Камера на весь логический кадр — без отсечения
+        expect(context.getCalls('clip')).toHaveLength(0);
+    });
+});
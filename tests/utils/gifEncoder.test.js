@@ -0,0 +1,167 @@
+// Тесты для GifEncoder
+import { GifEncoder } from '../../src/utils/gifEncoder';
+
+/**
+ * Минимальный декодер GIF: кадры как {delay, palette, indices, transparentIndex}
+ */
+function decodeGif(bytes) {
+    let pos = 6;
+    const readShort = () => bytes[pos++] | (bytes[pos++] << 8);
+    const header = String.fromCharCode(...bytes.slice(0, 6));
+    const width = readShort();
+    const height = readShort();
+    pos += 3;
+    const frames = [];
+    let loop = null;
+    let control = null;
+
+    while (bytes[pos] !== 0x3b) {
+        const block = bytes[pos++];
+        if (block === 0x21) {
+            const label = bytes[pos++];
+            const size = bytes[pos];
+            if (label === 0xf9) {
+                const packed = bytes[pos + 1];
+                control = {
+                    delay: (bytes[pos + 2] | (bytes[pos + 3] << 8)) * 10,
+                    transparentIndex: packed & 1 ? bytes[pos + 4] : -1
+                };
+            } else if (label === 0xff) {
+                loop = bytes[pos + 14] | (bytes[pos + 15] << 8);
+            }
+            pos += size + 1;
+            while (bytes[pos] !== 0) pos += bytes[pos] + 1;
+            pos++;
+        } else if (block === 0x2c) {
+            pos += 8;
+            const packed = bytes[pos++];
+            const tableSize = 1 << ((packed & 7) + 1);
+            const palette = bytes.slice(pos, pos + tableSize * 3);
+            pos += tableSize * 3;
+            const minCodeSize = bytes[pos++];
+            const data = [];
+            while (bytes[pos] !== 0) {
+                const length = bytes[pos++];
+                data.push(...bytes.slice(pos, pos + length));
+                pos += length;
+            }
+            pos++;
+            frames.push({ ...control, palette, indices: lzwDecode(data, minCodeSize) });
+        } else {
+            throw new Error(`Unexpected block ${block}`);
+        }
+    }
+    return { header, width, height, loop, frames };
+}
+
+function lzwDecode(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let dictionary = null;
+    let previous = null;
+    let bitPos = 0;
+    const reset = () => {
+        dictionary = [];
+        for (let i = 0; i < clearCode + 2; i++) dictionary.push([i]);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+
+    while (bitPos + codeSize <= data.length * 8) {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, bitPos++) {
+            code |= ((data[bitPos >> 3] >> (bitPos & 7)) & 1) << i;
+        }
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === clearCode + 1) break;
+        let entry;
+        if (previous === null) {
+            entry = dictionary[code];
+        } else {
+            entry = code < dictionary.length
+                ? dictionary[code]
+                : dictionary[previous].concat(dictionary[previous][0]);
+            dictionary.push(dictionary[previous].concat(entry[0]));
+        }
+        output.push(...entry);
+        previous = code;
+        if (dictionary.length === (1 << codeSize) && codeSize < 12) codeSize++;
+    }
+    return output;
+}
+
+function colorAt(frame, pixel) {
+    const index = frame.indices[pixel];
+    return [...frame.palette.slice(index * 3, index * 3 + 3)];
+}
+
+describe('GifEncoder', () => {
+    test('encodes frames with exact palettes, delays and transparency', () => {
+        const encoder = new GifEncoder(2, 2, { loop: 0 });
+        encoder.addFrame(new Uint8ClampedArray([
+            255, 0, 0, 255, 0, 255, 0, 255,
+            0, 0, 255, 255, 255, 0, 0, 255
+        ]), 100);
+        encoder.addFrame(new Uint8ClampedArray([
+            10, 20, 30, 255, 0, 0, 0, 0,
+            0, 0, 0, 0, 10, 20, 30, 255
+        ]), 250);
+        const gif = decodeGif(encoder.finish());
+
+        expect(gif.header).toBe('GIF89a');
+        expect([gif.width, gif.height, gif.loop]).toEqual([2, 2, 0]);
+        expect(gif.frames.map(frame => frame.delay)).toEqual([100, 250]);
+        expect([0, 1, 2, 3].map(p => colorAt(gif.frames[0], p)))
+            .toEqual([[255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 0, 0]]);
+        expect(gif.frames[0].transparentIndex).toBe(-1);
+
+        const second = gif.frames[1];
+        expect(colorAt(second, 0)).toEqual([10, 20, 30]);
+        expect(second.indices[1]).toBe(second.transparentIndex);
+        expect(() => encoder.addFrame(new Uint8ClampedArray(16))).toThrow('GIF is already finished');
+    });
+
+    test('survives dictionary resets on noisy frames', () => {
+        // 200 цветов вразброс: больше 4096 кодов LZW
+        const size = 96;
+        const pixels = new Uint8ClampedArray(size * size * 4);
+        let seed = 7;
+        for (let i = 0; i < size * size; i++) {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            const value = seed % 200;
+            pixels.set([value, 255 - value, value >> 1, 255], i * 4);
+        }
+        const encoder = new GifEncoder(size, size);
+        encoder.addFrame(pixels);
+        const [frame] = decodeGif(encoder.finish()).frames;
+
+        expect(frame.indices).toHaveLength(size * size);
+        for (const p of [0, 1, 4000, size * size - 1]) {
+            expect(colorAt(frame, p)).toEqual([...pixels.slice(p * 4, p * 4 + 3)]);
+        }
+    });
+
+    test('reduces frames with many colours to the palette size', () => {
+        const size = 64;
+        const pixels = new Uint8ClampedArray(size * size * 4);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                pixels.set([x * 4, y * 4, (x + y) * 2, 255], (y * size + x) * 4);
+            }
+        }
+        const encoder = new GifEncoder(size, size, { maxColors: 64 });
+        encoder.addFrame(pixels);
+        const [frame] = decodeGif(encoder.finish()).frames;
+
+        expect(frame.palette.length).toBe(64 * 3);
+        expect(Math.max(...frame.indices)).toBeLessThan(64);
+        // Цвет пикселя близок к исходному
+        const [r, g, b] = colorAt(frame, 33 * size + 20);
+        expect(Math.abs(r - 80) + Math.abs(g - 132) + Math.abs(b - 106)).toBeLessThan(48);
+    });
+});
@@ -0,0 +1,80 @@
+// Тесты для Profiler
+import { Profiler } from '../../src/utils/profiler';
+
+describe('Profiler', () => {
+    let time;
+    let profiler;
+
+    beforeEach(() => {
+        time = 0;
+        profiler = new Profiler({ now: () => time });
+    });
+
+    test('nested scopes are recorded under their path', () => {
+        profiler.begin('render');
+        time += 2;
+        profiler.measure('lighting', () => { time += 3; });
+        profiler.end('render');
+
+        expect(profiler.getStats('render').last).toBe(5);
+        expect(profiler.getStats('render/lighting').last).toBe(3);
+    });
+
+    test('ending an outer scope drops scopes left open by an exception', () => {
+        profiler.begin('update');
+        expect(() => profiler.measure('ai', () => {
+            profiler.begin('pathfinding');
+            throw new Error('boom');
+        })).toThrow('boom');
+        time += 4;
+
+        expect(profiler.end('update')).toBe(4);
+        expect(profiler.stack).toHaveLength(0);
+        expect(profiler.getStats('update/ai')).not.toBeNull();
+        expect(profiler.getStats('update/ai/pathfinding')).toBeNull();
+        expect(profiler.end('render')).toBe(0);
+    });
+
+    test('frames collect markers for FPS and per-frame averages', () => {
+        for (let i = 0; i < 4; i++) {
+            profiler.measure('update', () => { time += 1; });
+            profiler.measure('update', () => { time += 1; });
+            time += 8;
+            profiler.endFrame();
+        }
+
+        // Первый кадр не имеет длительности
+        expect(profiler.history.map(frame => frame.duration)).toEqual([0, 10, 10, 10]);
+        expect(profiler.getFPS()).toBeCloseTo(100);
+        expect(profiler.getFrameAverage('update')).toBe(2);
+    });
+
+    test('exports JSON that can be compared between builds', () => {
+        profiler.measure('update', () => { time += 4; });
+        profiler.endFrame();
+        const before = profiler.toJSON({ build: 'a' });
+
+        profiler.reset();
+        profiler.measure('update', () => { time += 5; });
+        profiler.measure('render', () => { time += 1; });
+        profiler.endFrame();
+        const after = JSON.parse(JSON.stringify(profiler.toJSON({ build: 'b' })));
+
+        expect(before.meta).toEqual({ build: 'a' });
+        expect(before.markers.update).toEqual({ count: 1, total: 4, avg: 4, min: 4, max: 4, perFrame: 4 });
+        expect(Profiler.compare(before, after)).toEqual({
+            render: { before: 0, after: 1, delta: 1, change: null },
+            update: { before: 4, after: 5, delta: 1, change: 0.25 }
+        });
+    });
+
+    test('does nothing while disabled', () => {
+        profiler.enabled = false;
+        profiler.begin('update');
+        profiler.end('other');
+        profiler.endFrame();
+
+        expect(profiler.markers.size).toBe(0);
+        expect(profiler.history).toHaveLength(0);
+    });
+});